@@ -0,0 +1,152 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { SECURITY_CONFIG } from './config.js';
+import { Logger } from './logger.js';
+import { RateLimiter } from './rate-limiter.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_HISTORY_DAYS = 7;
+const USAGE_TTL_MS = (USAGE_HISTORY_DAYS + 1) * DAY_MS;
+
+let registry = null;
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function utcDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// =============================================
+// REGISTRO E AUTENTICAÇÃO DE CHAVES DE API
+// =============================================
+export class ApiKeyManager {
+  // Entradas aceitam a chave em texto (`key`) ou apenas o SHA-256 (`keyHash`),
+  // já conferidas por loadConfig na inicialização
+  static getRegistry() {
+    if (registry) return registry;
+
+    const entries = SECURITY_CONFIG.API_KEYS || [];
+
+    registry = entries.map(entry => {
+      const keyHash = entry.keyHash !== undefined ? entry.keyHash.toLowerCase() : sha256(entry.key);
+
+      return {
+        id: keyHash.slice(0, 16),
+        keyHash,
+        owner: entry.owner || 'desconhecido',
+        quotas: {
+          perMinute: entry.quotas?.perMinute ?? SECURITY_CONFIG.API_KEY_DEFAULT_QUOTAS.perMinute,
+          perDay: entry.quotas?.perDay ?? SECURITY_CONFIG.API_KEY_DEFAULT_QUOTAS.perDay,
+        },
+      };
+    });
+
+    Logger.info('Registro de chaves de API carregado', { keys: registry.length });
+
+    return registry;
+  }
+
+  static setRegistry(entries) {
+    registry = entries;
+  }
+
+  static extractKey(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+  }
+
+  // Retorna { apiKey } (null para acesso anônimo) ou { code, error }
+  static authenticate(req) {
+    const presented = this.extractKey(req);
+
+    if (!presented) {
+      if (SECURITY_CONFIG.API_KEYS_REQUIRED) {
+        return { code: 'API_KEY_REQUIRED', error: 'Chave de API obrigatória' };
+      }
+
+      return { apiKey: null };
+    }
+
+    const presentedHash = Buffer.from(sha256(presented), 'hex');
+    const apiKey = this.getRegistry().find(entry =>
+      timingSafeEqual(Buffer.from(entry.keyHash, 'hex'), presentedHash)
+    );
+
+    if (!apiKey) {
+      return { code: 'INVALID_API_KEY', error: 'Chave de API inválida' };
+    }
+
+    return { apiKey };
+  }
+
+  // Cota diária em janela fixa (dia UTC), contabilizada no mesmo store do rate
+  // limit. Conferir e somar é uma operação atômica do store (consumeQuota).
+  static async consumeDailyQuota(apiKey, amount = 1) {
+    const now = Date.now();
+    const usageKey = `usage:${apiKey.id}:${utcDate(now)}`;
+    const nextDay = Math.ceil((now + 1) / DAY_MS) * DAY_MS;
+    const reset = Math.ceil((nextDay - now) / 1000);
+
+    try {
+      const { allowed, requests } = await RateLimiter.getStore()
+        .consumeQuota(usageKey, amount, apiKey.quotas.perDay, USAGE_TTL_MS);
+
+      return {
+        allowed,
+        scope: 'day',
+        limit: apiKey.quotas.perDay,
+        remaining: Math.max(0, apiKey.quotas.perDay - requests),
+        reset,
+        retryAfter: allowed ? 0 : reset,
+      };
+    } catch (error) {
+      Logger.warn('Falha ao contabilizar uso da chave de API', { apiKey: apiKey.id, error: error.message });
+      return { allowed: true, limit: apiKey.quotas.perDay, remaining: apiKey.quotas.perDay, reset, retryAfter: 0 };
+    }
+  }
+
+  // Limite 0: a requisição nunca cabe e só conta como rejeitada
+  static async recordRejection(apiKey) {
+    const usageKey = `usage:${apiKey.id}:${utcDate(Date.now())}`;
+
+    try {
+      await RateLimiter.getStore().consumeQuota(usageKey, 1, 0, USAGE_TTL_MS);
+    } catch (error) {
+      Logger.warn('Falha ao contabilizar uso da chave de API', { apiKey: apiKey.id, error: error.message });
+    }
+  }
+
+  static async getUsage(apiKey) {
+    const store = RateLimiter.getStore();
+    const now = Date.now();
+
+    const history = await Promise.all(
+      Array.from({ length: USAGE_HISTORY_DAYS }, async (_, daysAgo) => {
+        const date = utcDate(now - daysAgo * DAY_MS);
+        const usage = (await store.get(`usage:${apiKey.id}:${date}`)) || { requests: 0, rejected: 0 };
+        return { date, ...usage };
+      })
+    );
+
+    const minute = (await store.get(`apikey:${apiKey.id}`)) || null;
+
+    return {
+      owner: apiKey.owner,
+      quotas: apiKey.quotas,
+      today: {
+        ...history[0],
+        remaining: Math.max(0, apiKey.quotas.perDay - history[0].requests),
+      },
+      minute: {
+        limit: apiKey.quotas.perMinute,
+        remaining: minute
+          ? Math.floor(Math.min(apiKey.quotas.perMinute,
+            minute.tokens + (now - minute.updatedAt) * apiKey.quotas.perMinute / 60000))
+          : apiKey.quotas.perMinute,
+      },
+      history,
+    };
+  }
+}
@@ -0,0 +1,107 @@
+import { SECURITY_CONFIG } from './config.js';
+import { Logger } from './logger.js';
+import { CNPJValidatorServer } from './validator.js';
+import { CNPJLookupService } from './lookup.js';
+import { CacheManager } from './cache/index.js';
+
+// =============================================
+// LOCALIZADOR DE ESTABELECIMENTOS (MATRIZ E FILIAIS)
+// =============================================
+// Nenhum provedor lista as filiais de uma raiz, então os números de ordem
+// (0001, 0002, ...) são sondados em sequência pelo serviço de consulta, que
+// aproveita o cache. A busca para após algumas ordens inexistentes seguidas,
+// no limite de sondagens ou de tempo, quando o chamador recusa pagar a próxima
+// sondagem (beforeProbe) ou quando a API externa começa a recusar chamadas.
+// stoppedBy diz qual foi o motivo. Parar por 'misses' é uma heurística, não
+// prova de que a lista está completa: filiais depois de uma lacuna maior que
+// BRANCHES_MAX_CONSECUTIVE_MISSES não aparecem. Ordens inexistentes ficam
+// marcadas no cache por BRANCHES_MISS_TTL_MS e, nesse período, contam como
+// falta sem nova sondagem (nem cobrança do chamador).
+export class BranchFinder {
+  static async find(cnpj, { beforeProbe = async () => true } = {}) {
+    const root = cnpj.substring(0, 8);
+    const queriedOrder = cnpj.substring(8, 12);
+    const deadline = Date.now() + SECURITY_CONFIG.BRANCHES_TIME_BUDGET_MS;
+    const branches = new Map();
+
+    // O CNPJ consultado precisa existir; se não existir, o erro sobe
+    const queried = await CNPJLookupService.lookup(cnpj);
+    branches.set(queriedOrder, this.summarize(queried.data));
+
+    let stoppedBy = 'misses';
+    let consecutiveMisses = 0;
+    let probed = 0;
+
+    for (let order = 1; ; order++) {
+      const orderNumber = String(order).padStart(4, '0');
+
+      if (branches.has(orderNumber)) {
+        consecutiveMisses = 0;
+        continue;
+      }
+
+      const pastQueried = !/^\d{4}$/.test(queriedOrder) || order > Number(queriedOrder);
+      if (pastQueried && consecutiveMisses >= SECURITY_CONFIG.BRANCHES_MAX_CONSECUTIVE_MISSES) {
+        break;
+      }
+
+      if (probed >= SECURITY_CONFIG.BRANCHES_MAX_PROBES) {
+        stoppedBy = 'max_probes';
+        break;
+      }
+
+      if (Date.now() > deadline) {
+        stoppedBy = 'time_budget';
+        break;
+      }
+
+      const probeCnpj = CNPJValidatorServer.fromBase(root + orderNumber);
+
+      if (await CacheManager.isMissing(probeCnpj)) {
+        consecutiveMisses++;
+        continue;
+      }
+
+      if (!(await beforeProbe())) {
+        stoppedBy = 'rate_limit';
+        break;
+      }
+
+      probed++;
+
+      try {
+        const { data } = await CNPJLookupService.lookup(probeCnpj);
+        branches.set(orderNumber, this.summarize(data));
+        consecutiveMisses = 0;
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') {
+          Logger.warn('Busca de filiais interrompida', { root, order: orderNumber, code: error.code });
+          stoppedBy = 'upstream';
+          break;
+        }
+
+        await CacheManager.setMissing(probeCnpj, SECURITY_CONFIG.BRANCHES_MISS_TTL_MS);
+        consecutiveMisses++;
+      }
+    }
+
+    return {
+      root,
+      stoppedBy,
+      probed,
+      branches: [...branches.values()].sort((a, b) => a.order.localeCompare(b.order)),
+    };
+  }
+
+  static summarize(data) {
+    return {
+      cnpj: data.taxId,
+      order: data.taxId.substring(8, 12),
+      head: data.head,
+      name: data.alias || data.company?.name || null,
+      status: data.status?.text || null,
+      city: data.address?.city || null,
+      state: data.address?.state || null,
+    };
+  }
+}
@@ -0,0 +1,143 @@
+import { mkdir, readdir, readFile, stat, unlink, utimes, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { KeyedLock, consumeTokensLocally } from './token-bucket.js';
+import { acquireLeaseLocally, releaseLeaseLocally } from './lease.js';
+import { consumeQuotaLocally } from './quota.js';
+
+// =============================================
+// BACKEND DE CACHE EM DISCO (LRU)
+// =============================================
+export class FileCacheBackend {
+  constructor({ ttl, maxSize, dir }) {
+    this.name = 'file';
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    this.dir = path.resolve(process.cwd(), dir);
+    // Índice de uso (chave -> arquivo), do menos para o mais recente
+    this.index = null;
+    this.locks = new KeyedLock();
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  // O mtime de cada arquivo guarda o último acesso, então a ordem LRU
+  // sobrevive a reinícios do processo
+  async loadIndex() {
+    if (this.index) return this.index;
+
+    await mkdir(this.dir, { recursive: true });
+
+    const files = (await readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const entries = await Promise.all(files.map(async (file) => {
+      const stats = await stat(path.join(this.dir, file));
+      return { key: decodeURIComponent(file.slice(0, -5)), accessedAt: stats.mtimeMs };
+    }));
+
+    entries.sort((a, b) => a.accessedAt - b.accessedAt);
+    this.index = new Map(entries.map(entry => [entry.key, true]));
+
+    return this.index;
+  }
+
+  touch(key) {
+    this.index.delete(key);
+    this.index.set(key, true);
+  }
+
+  async get(key) {
+    const index = await this.loadIndex();
+    const filePath = this.filePath(key);
+
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      index.delete(key);
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    const now = new Date();
+    await utimes(filePath, now, now).catch(() => {});
+    this.touch(key);
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    const index = await this.loadIndex();
+
+    if (!index.has(key) && index.size >= this.maxSize) {
+      const leastRecentKey = index.keys().next().value;
+      await this.delete(leastRecentKey);
+    }
+
+    // Escrita atômica: grava em arquivo temporário e renomeia
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ value, expiresAt: Date.now() + ttl }));
+    await rename(tempPath, filePath);
+
+    this.touch(key);
+  }
+
+  // Baldes do rate limiter, sem intercalar chamadas concorrentes do processo
+  // (instâncias diferentes no mesmo diretório não são coordenadas)
+  consumeTokens(rules, now) {
+    return consumeTokensLocally(this, this.locks, rules, now);
+  }
+
+  // Leases valem só dentro do processo, pelo mesmo motivo
+  acquireLease(key, token, ttl) {
+    return acquireLeaseLocally(this, this.locks, key, token, ttl);
+  }
+
+  releaseLease(key, token) {
+    return releaseLeaseLocally(this, this.locks, key, token);
+  }
+
+  consumeQuota(key, amount, limit, ttl) {
+    return consumeQuotaLocally(this, this.locks, key, amount, limit, ttl);
+  }
+
+  async delete(key) {
+    const index = await this.loadIndex();
+    index.delete(key);
+    await unlink(this.filePath(key)).catch(() => {});
+  }
+
+  async clear() {
+    const index = await this.loadIndex();
+    await Promise.all([...index.keys()].map(key => unlink(this.filePath(key)).catch(() => {})));
+    index.clear();
+  }
+
+  async size() {
+    return (await this.loadIndex()).size;
+  }
+
+  async purgeExpired() {
+    const index = await this.loadIndex();
+    let cleanedCount = 0;
+
+    for (const key of [...index.keys()]) {
+      try {
+        const entry = JSON.parse(await readFile(this.filePath(key), 'utf8'));
+        if (entry.expiresAt > Date.now()) continue;
+      } catch (error) {
+        // Arquivo ilegível ou removido: descartar
+      }
+
+      await this.delete(key);
+      cleanedCount++;
+    }
+
+    return cleanedCount;
+  }
+}
@@ -0,0 +1,165 @@
+import { SECURITY_CONFIG } from '../config.js';
+import { Logger } from '../logger.js';
+import { Metrics } from '../metrics.js';
+import { MemoryCacheBackend } from './memory.js';
+import { FileCacheBackend } from './file.js';
+import { RedisCacheBackend } from './redis.js';
+
+const CACHE_BACKENDS = {
+  memory: MemoryCacheBackend,
+  file: FileCacheBackend,
+  redis: RedisCacheBackend,
+};
+
+export function createCacheBackend(name, options = SECURITY_CONFIG.CACHE_BACKENDS[name]) {
+  const Backend = CACHE_BACKENDS[name];
+
+  if (!Backend) {
+    throw new Error(`Backend de cache desconhecido: ${name}`);
+  }
+
+  return new Backend(options);
+}
+
+let backend = null;
+
+const MISSING_PREFIX = 'missing:';
+
+// =============================================
+// GERENCIADOR DE CACHE COM BACKENDS INTERCAMBIÁVEIS
+// =============================================
+export class CacheManager {
+  static getBackend() {
+    if (!backend) {
+      backend = createCacheBackend(SECURITY_CONFIG.CACHE_BACKEND);
+    }
+
+    return backend;
+  }
+
+  static setBackend(newBackend) {
+    backend = newBackend;
+  }
+
+  // Libera conexões abertas (Redis) no desligamento do servidor
+  static async close() {
+    await backend?.close?.();
+    backend = null;
+  }
+
+  // Falhas do backend não devem derrubar a consulta: viram cache miss.
+  // Entradas além do TTL só voltam com allowStale, marcadas com stale: true;
+  // age é a idade da entrada em segundos.
+  static async get(cnpj, { allowStale = false } = {}) {
+    let entry = null;
+
+    try {
+      entry = await this.getBackend().get(cnpj);
+    } catch (error) {
+      Logger.warn('Falha ao ler do cache', { cnpj, backend: this.getBackend().name, error: error.message });
+    }
+
+    const freshness = entry ? this.getFreshness(entry) : null;
+    const usable = entry && (!freshness.stale || allowStale);
+
+    Metrics.increment('cnpj_cache_lookups_total', {
+      result: !usable ? 'miss' : freshness.stale ? 'stale' : 'hit',
+    });
+
+    if (!usable) return null;
+
+    const { cachedAt, ...value } = entry;
+    return { ...value, ...freshness };
+  }
+
+  // Entradas gravadas antes de existir o cachedAt são tratadas como frescas
+  static getFreshness(entry) {
+    if (!entry.cachedAt) return { stale: false, age: 0 };
+
+    const ageMs = Date.now() - entry.cachedAt;
+    return { stale: ageMs > this.getBackend().ttl, age: Math.floor(ageMs / 1000) };
+  }
+
+  // O backend guarda a entrada pelo TTL mais a janela de dados vencidos
+  static async set(cnpj, data) {
+    const cacheBackend = this.getBackend();
+
+    try {
+      await cacheBackend.set(cnpj, { ...data, cachedAt: Date.now() }, cacheBackend.ttl + SECURITY_CONFIG.CACHE_MAX_STALE_MS);
+    } catch (error) {
+      Logger.warn('Falha ao gravar no cache', { cnpj, backend: cacheBackend.name, error: error.message });
+    }
+  }
+
+  static async delete(cnpj) {
+    try {
+      await this.getBackend().delete(cnpj);
+    } catch (error) {
+      Logger.warn('Falha ao remover do cache', { cnpj, backend: this.getBackend().name, error: error.message });
+    }
+  }
+
+  // Marcas de CNPJ inexistente ficam no mesmo backend, em chaves próprias, para
+  // valer entre instâncias; falhas do backend contam como marca ausente
+  static async isMissing(cnpj) {
+    try {
+      return Boolean(await this.getBackend().get(MISSING_PREFIX + cnpj));
+    } catch (error) {
+      Logger.warn('Falha ao ler do cache', { cnpj, backend: this.getBackend().name, error: error.message });
+      return false;
+    }
+  }
+
+  static async setMissing(cnpj, ttl) {
+    try {
+      await this.getBackend().set(MISSING_PREFIX + cnpj, { missingAt: Date.now() }, ttl);
+    } catch (error) {
+      Logger.warn('Falha ao gravar no cache', { cnpj, backend: this.getBackend().name, error: error.message });
+    }
+  }
+
+  static clear() {
+    return this.getBackend().clear();
+  }
+
+  static async getSize() {
+    try {
+      return await this.getBackend().size();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static async health() {
+    const cacheBackend = this.getBackend();
+    const startTime = Date.now();
+
+    try {
+      await cacheBackend.get('__health__');
+      return { backend: cacheBackend.name, ok: true, latencyMs: Date.now() - startTime };
+    } catch (error) {
+      return { backend: cacheBackend.name, ok: false, error: error.message, latencyMs: Date.now() - startTime };
+    }
+  }
+
+  static async purgeExpired() {
+    const cacheBackend = this.getBackend();
+    return cacheBackend.purgeExpired ? cacheBackend.purgeExpired() : 0;
+  }
+}
+
+// Limpeza periódica do cache
+if (typeof setInterval !== 'undefined') {
+  const cleanupTimer = setInterval(async () => {
+    try {
+      const cleanedCount = await CacheManager.purgeExpired();
+
+      if (cleanedCount > 0) {
+        Logger.info('Limpeza periódica do cache', { cleanedCount });
+      }
+    } catch (error) {
+      Logger.error('Erro na limpeza periódica do cache', error);
+    }
+  }, 60000);
+  cleanupTimer.unref?.();
+}
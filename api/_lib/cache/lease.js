@@ -0,0 +1,22 @@
+// =============================================
+// LEASES NOS BACKENDS DO PRÓPRIO PROCESSO
+// =============================================
+// Trava com dono e validade: só é tomada se estiver livre, só quem a tomou
+// (token) a libera e ela some sozinha depois de ttl, se o dono cair. O backend
+// Redis faz o mesmo com SET NX PX (ver redis.js).
+export function acquireLeaseLocally(backend, lock, key, token, ttl) {
+  return lock.run([key], async () => {
+    if ((await backend.get(key)) !== null) return false;
+
+    await backend.set(key, token, ttl);
+    return true;
+  });
+}
+
+export function releaseLeaseLocally(backend, lock, key, token) {
+  return lock.run([key], async () => {
+    if ((await backend.get(key)) === token) {
+      await backend.delete(key);
+    }
+  });
+}
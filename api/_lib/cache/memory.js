@@ -0,0 +1,90 @@
+import { KeyedLock, consumeTokensLocally } from './token-bucket.js';
+import { acquireLeaseLocally, releaseLeaseLocally } from './lease.js';
+import { consumeQuotaLocally } from './quota.js';
+
+// =============================================
+// BACKEND DE CACHE EM MEMÓRIA (LRU)
+// =============================================
+export class MemoryCacheBackend {
+  constructor({ ttl, maxSize }) {
+    this.name = 'memory';
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    // A ordem de inserção do Map é a ordem de uso: o primeiro é o menos recente
+    this.entries = new Map();
+    this.locks = new KeyedLock();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+
+    if (this.entries.size >= this.maxSize) {
+      const leastRecentKey = this.entries.keys().next().value;
+      this.entries.delete(leastRecentKey);
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + ttl,
+    });
+  }
+
+  // Baldes do rate limiter, sem intercalar chamadas concorrentes
+  consumeTokens(rules, now) {
+    return consumeTokensLocally(this, this.locks, rules, now);
+  }
+
+  acquireLease(key, token, ttl) {
+    return acquireLeaseLocally(this, this.locks, key, token, ttl);
+  }
+
+  releaseLease(key, token) {
+    return releaseLeaseLocally(this, this.locks, key, token);
+  }
+
+  consumeQuota(key, amount, limit, ttl) {
+    return consumeQuotaLocally(this, this.locks, key, amount, limit, ttl);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        cleanedCount++;
+      }
+    }
+
+    return cleanedCount;
+  }
+}
@@ -0,0 +1,22 @@
+// =============================================
+// COTAS EM JANELA FIXA NOS BACKENDS DO PRÓPRIO PROCESSO
+// =============================================
+// Estado por chave: { requests, rejected }. Se `amount` cabe no `limit`, soma
+// em requests; senão, em rejected. Ler, decidir e gravar acontecem sem que
+// outra chamada do processo intercale. O backend Redis faz a mesma conta num
+// script Lua (ver redis.js).
+export function consumeQuotaLocally(backend, lock, key, amount, limit, ttl) {
+  return lock.run([key], async () => {
+    const usage = (await backend.get(key)) || { requests: 0, rejected: 0 };
+    const allowed = usage.requests + amount <= limit;
+
+    if (allowed) {
+      usage.requests += amount;
+    } else {
+      usage.rejected += amount;
+    }
+
+    await backend.set(key, usage, ttl);
+    return { allowed, ...usage };
+  });
+}
@@ -0,0 +1,335 @@
+import net from 'node:net';
+
+// =============================================
+// CLIENTE RESP MÍNIMO (PROTOCOLO DO REDIS)
+// =============================================
+class RedisClient {
+  constructor(url, timeoutMs) {
+    const parsed = new URL(url);
+
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+    this.discarded = new WeakSet();
+  }
+
+  // O socket só passa a ser usado pelos comandos depois do AUTH e do SELECT;
+  // se um deles falha, é destruído e a próxima chamada tenta de novo
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      socket.setTimeout(this.timeoutMs, () => {
+        socket.destroy(new Error('Timeout na conexão com o Redis'));
+      });
+
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+
+        try {
+          if (this.password) await this.send(socket, ['AUTH', this.password]);
+          if (this.db) await this.send(socket, ['SELECT', String(this.db)]);
+          this.socket = socket;
+          resolve();
+        } catch (error) {
+          this.discard(socket);
+          reject(error);
+        } finally {
+          this.connecting = null;
+        }
+      });
+
+      socket.on('data', chunk => this.onData(chunk));
+
+      socket.on('error', (error) => {
+        this.connecting = null;
+        this.failPending(error);
+        reject(error);
+      });
+
+      socket.on('close', () => {
+        if (this.discarded.has(socket)) return;
+
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+        this.failPending(new Error('Conexão com o Redis encerrada'));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(this.socket, args);
+  }
+
+  // Sem resposta em timeoutMs, não dá mais para saber a qual comando pertence
+  // cada resposta que chegar: todos os pendentes falham e o socket é destruído,
+  // para a próxima chamada reconectar
+  send(socket, args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.failPending(new Error(`Timeout no comando ${args[0]} do Redis`));
+        this.discard(socket);
+      }, this.timeoutMs);
+
+      this.pending.push({
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      });
+      socket.write(this.encode(args));
+    });
+  }
+
+  // O 'close' de um socket descartado aqui chega depois e não pode derrubar os
+  // comandos de uma conexão nova
+  discard(socket) {
+    this.discarded.add(socket);
+    if (this.socket === socket) this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    socket.destroy();
+  }
+
+  encode(args) {
+    const parts = args.map(arg => {
+      const value = String(arg);
+      return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+
+    return `*${args.length}\r\n${parts.join('')}`;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.pending.length > 0) {
+      const parsed = this.parse(this.buffer, 0);
+      if (!parsed) return;
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+
+      const { resolve, reject } = this.pending.shift();
+      if (parsed.value instanceof Error) {
+        reject(parsed.value);
+      } else {
+        resolve(parsed.value);
+      }
+    }
+  }
+
+  // Retorna { value, offset } ou null se a resposta ainda estiver incompleta
+  parse(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(`Redis: ${line}`), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(buffer, cursor);
+          if (!item) return null;
+          items.push(item.value);
+          cursor = item.offset;
+        }
+        return { value: items, offset: cursor };
+      }
+      default:
+        return { value: new Error(`Resposta RESP inválida: ${type}`), offset: buffer.length };
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(error));
+  }
+
+  async quit() {
+    if (!this.socket) return;
+    await this.command('QUIT').catch(() => {});
+    this.socket?.destroy();
+  }
+}
+
+// Balde de fichas (mesma conta de token-bucket.js) executado de uma vez no
+// servidor: todas as instâncias veem e gravam o mesmo estado, sem corrida.
+// ARGV: agora, depois limite, janela e custo de cada chave. Retorna [permitido,
+// fichas restantes de cada chave] (como texto, para não truncar frações).
+const CONSUME_TOKENS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+local costs = {}
+local allowed = 1
+
+for i = 1, #KEYS do
+  local limit = tonumber(ARGV[i * 3 - 1])
+  local window = tonumber(ARGV[i * 3])
+  local raw = redis.call('GET', KEYS[i])
+  local current = limit
+
+  if raw then
+    local state = cjson.decode(raw)
+    current = math.min(limit, state.tokens + (now - state.updatedAt) * limit / window)
+  end
+
+  tokens[i] = current
+  costs[i] = tonumber(ARGV[i * 3 + 1])
+  if current < costs[i] then allowed = 0 end
+end
+
+local reply = { allowed }
+
+for i = 1, #KEYS do
+  if allowed == 1 then
+    tokens[i] = tokens[i] - costs[i]
+    redis.call('SET', KEYS[i], cjson.encode({ tokens = tokens[i], updatedAt = now }), 'PX', ARGV[i * 3])
+  end
+  reply[i + 1] = string.format('%.6f', tokens[i])
+end
+
+return reply
+`;
+
+// Cota em janela fixa (mesma conta de quota.js). ARGV: quantidade, limite e
+// TTL em ms. Retorna [permitido, requests, rejected].
+const CONSUME_QUOTA_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+local usage = { requests = 0, rejected = 0 }
+if raw then usage = cjson.decode(raw) end
+
+local amount = tonumber(ARGV[1])
+local allowed = 0
+
+if usage.requests + amount <= tonumber(ARGV[2]) then
+  usage.requests = usage.requests + amount
+  allowed = 1
+else
+  usage.rejected = usage.rejected + amount
+end
+
+redis.call('SET', KEYS[1], cjson.encode(usage), 'PX', ARGV[3])
+return { allowed, usage.requests, usage.rejected }
+`;
+
+// Libera o lease só se ele ainda for de quem o tomou
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// =============================================
+// BACKEND DE CACHE NO REDIS
+// =============================================
+// A expiração fica a cargo do próprio Redis (PX) e a evicção LRU da
+// política do servidor (maxmemory-policy allkeys-lru)
+export class RedisCacheBackend {
+  constructor({ ttl, url, prefix, timeoutMs = 2000 }) {
+    this.name = 'redis';
+    this.ttl = ttl;
+    this.prefix = prefix;
+    this.client = new RedisClient(url, timeoutMs);
+  }
+
+  async get(key) {
+    const raw = await this.client.command('GET', this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    await this.client.command('SET', this.prefix + key, JSON.stringify(value), 'PX', String(ttl));
+  }
+
+  async consumeTokens(rules, now) {
+    const [allowed, ...tokens] = await this.client.command(
+      'EVAL', CONSUME_TOKENS_SCRIPT, String(rules.length),
+      ...rules.map(rule => this.prefix + rule.key),
+      String(now),
+      ...rules.flatMap(rule => [String(rule.limit), String(rule.windowMs), String(rule.cost ?? 1)])
+    );
+
+    return { allowed: allowed === 1, tokens: tokens.map(Number) };
+  }
+
+  async consumeQuota(key, amount, limit, ttl) {
+    const [allowed, requests, rejected] = await this.client.command(
+      'EVAL', CONSUME_QUOTA_SCRIPT, '1', this.prefix + key, String(amount), String(limit), String(ttl)
+    );
+
+    return { allowed: allowed === 1, requests, rejected };
+  }
+
+  // SET NX PX: tomar o lease é uma operação só no servidor, sem corrida
+  async acquireLease(key, token, ttl) {
+    const reply = await this.client.command('SET', this.prefix + key, JSON.stringify(token), 'PX', String(ttl), 'NX');
+    return reply === 'OK';
+  }
+
+  async releaseLease(key, token) {
+    await this.client.command('EVAL', RELEASE_LEASE_SCRIPT, '1', this.prefix + key, JSON.stringify(token));
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.prefix + key);
+  }
+
+  async scanKeys() {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', '100');
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async clear() {
+    const keys = await this.scanKeys();
+    if (keys.length > 0) {
+      await this.client.command('DEL', ...keys);
+    }
+  }
+
+  async size() {
+    return (await this.scanKeys()).length;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
@@ -0,0 +1,52 @@
+// =============================================
+// BALDE DE FICHAS NOS BACKENDS DO PRÓPRIO PROCESSO
+// =============================================
+// Estado por chave: { tokens, updatedAt }. O balde se recompõe linearmente,
+// `limit` fichas a cada `windowMs`, e cada regra gasta `cost` fichas (padrão 1).
+// O backend Redis faz a mesma conta num script Lua (ver redis.js), para que
+// instâncias diferentes não se atropelem.
+export function refillTokens(state, rule, now) {
+  const refillRate = rule.limit / rule.windowMs;
+  return state ? Math.min(rule.limit, state.tokens + (now - state.updatedAt) * refillRate) : rule.limit;
+}
+
+// Fila por chave: operações sobre as mesmas chaves rodam uma de cada vez.
+// As filas de todas as chaves são tomadas no mesmo passo síncrono, então
+// pedidos com chaves em comum nunca esperam um pelo outro em ciclo.
+export class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  run(keys, fn) {
+    const unique = [...new Set(keys)];
+    const previous = unique.map(key => this.tails.get(key));
+    const result = Promise.all(previous).then(() => fn());
+    const tail = result.then(() => {}, () => {});
+
+    unique.forEach(key => this.tails.set(key, tail));
+    tail.then(() => unique.forEach(key => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    }));
+
+    return result;
+  }
+}
+
+// Lê, recompõe e grava os baldes de todas as regras sem que outra chamada
+// do processo intercale. Consome de todas ou de nenhuma.
+export function consumeTokensLocally(backend, lock, rules, now) {
+  return lock.run(rules.map(rule => rule.key), async () => {
+    const tokens = await Promise.all(rules.map(async rule => refillTokens(await backend.get(rule.key), rule, now)));
+    const allowed = rules.every((rule, index) => tokens[index] >= (rule.cost ?? 1));
+
+    if (allowed) {
+      await Promise.all(rules.map((rule, index) => {
+        tokens[index] -= rule.cost ?? 1;
+        return backend.set(rule.key, { tokens: tokens[index], updatedAt: now }, rule.windowMs);
+      }));
+    }
+
+    return { allowed, tokens };
+  });
+}
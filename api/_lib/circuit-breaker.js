@@ -0,0 +1,131 @@
+import { SECURITY_CONFIG } from './config.js';
+import { Logger } from './logger.js';
+import { ApiError } from './errors.js';
+import { Metrics } from './metrics.js';
+
+// Falhas que indicam provedor fora do ar ou sobrecarregado. NOT_FOUND e
+// demais respostas contam como sucesso: a API externa respondeu.
+const TRIPPING_CODES = ['UPSTREAM_UNAVAILABLE', 'UPSTREAM_TIMEOUT', 'UPSTREAM_RATE_LIMITED'];
+const STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+const breakers = new Map();
+
+// =============================================
+// CIRCUIT BREAKER POR PROVEDOR
+// =============================================
+// closed: as chamadas passam e as falhas seguidas são contadas; ao atingir o
+// limite, ou num 429 da API externa, o circuito abre.
+// open: as chamadas falham na hora com UPSTREAM_CIRCUIT_OPEN por CIRCUIT_OPEN_MS.
+// half-open: uma única chamada de sondagem passa; sucesso fecha o circuito e
+// falha o reabre.
+export class CircuitBreaker {
+  constructor(name, { failureThreshold, openMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.openMs = openMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  static for(name) {
+    if (!breakers.has(name)) {
+      breakers.set(name, new CircuitBreaker(name, {
+        failureThreshold: SECURITY_CONFIG.CIRCUIT_FAILURE_THRESHOLD,
+        openMs: SECURITY_CONFIG.CIRCUIT_OPEN_MS,
+      }));
+    }
+
+    return breakers.get(name);
+  }
+
+  static reset() {
+    breakers.clear();
+  }
+
+  async execute(operation) {
+    this.beforeCall();
+
+    try {
+      const result = await operation();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (TRIPPING_CODES.includes(error.code)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+
+      throw error;
+    }
+  }
+
+  // Estado efetivo: um circuito aberto cujo prazo venceu já aceita sondagem
+  getState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.openMs) {
+      return 'half-open';
+    }
+
+    return this.state;
+  }
+
+  beforeCall() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.openMs) {
+        throw this.openError();
+      }
+
+      this.transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.probing) {
+        throw this.openError();
+      }
+
+      this.probing = true;
+    }
+  }
+
+  onSuccess() {
+    this.probing = false;
+    this.failures = 0;
+
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  onFailure(error) {
+    this.probing = false;
+    this.failures++;
+
+    if (this.state === 'half-open' ||
+        error.code === 'UPSTREAM_RATE_LIMITED' ||
+        this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open', { failures: this.failures, code: error.code });
+    }
+  }
+
+  transition(state, meta = {}) {
+    const previous = this.state;
+    this.state = state;
+
+    Metrics.set('cnpj_circuit_state', { provider: this.name }, STATE_VALUES[state]);
+
+    Logger[state === 'open' ? 'warn' : 'info']('Circuit breaker mudou de estado', {
+      provider: this.name,
+      from: previous,
+      to: state,
+      ...meta,
+    });
+  }
+
+  openError() {
+    const retryAt = new Date(this.openedAt + this.openMs).toISOString();
+    return new ApiError('UPSTREAM_CIRCUIT_OPEN', undefined, `Circuito do provedor ${this.name} aberto até ${retryAt}`);
+  }
+}
@@ -0,0 +1,155 @@
+import { SecurityMiddleware } from './security.js';
+import { CacheManager } from './cache/index.js';
+import { RateLimiter } from './rate-limiter.js';
+import { ApiKeyManager } from './api-keys.js';
+import { Logger } from './logger.js';
+import { CNPJValidatorServer } from './validator.js';
+import { CNPJLookupService } from './lookup.js';
+import { FieldProjection } from './projection.js';
+import { ContentNegotiator, ExportFormatter } from './export-format.js';
+import { ConditionalRequest } from './conditional.js';
+import { ResponseValidator } from './openapi.js';
+import { ErrorMapper } from './errors.js';
+import { Tracer } from './tracing.js';
+
+// =============================================
+// RESPOSTA NO FORMATO NEGOCIADO
+// =============================================
+// CSV e XML têm colunas fixas (as da exportação), então fields= vale só para JSON
+function sendResult(req, res, format, projection, { data, provider, cached, stale, age }) {
+  const projected = format === 'json' ? FieldProjection.apply(data, projection.tree) : data;
+  const validators = ConditionalRequest.getValidators(projected, format);
+
+  ConditionalRequest.applyHeaders(res, validators);
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  if (cached) {
+    res.setHeader('Age', String(age));
+  }
+
+  if (ConditionalRequest.isNotModified(req, validators)) {
+    return res.status(304).end();
+  }
+
+  if (format === 'json') {
+    return res.status(200).json({
+      error: false,
+      data: projected,
+      provider,
+      cached,
+      ...(stale ? { stale, age } : {}),
+    });
+  }
+
+  res.setHeader('Content-Type', ContentNegotiator.contentType(format));
+  res.setHeader('Content-Disposition', `inline; filename="cnpj-${data.taxId}.${format}"`);
+  return res.status(200).send(ExportFormatter.format(format, [data]));
+}
+
+// =============================================
+// HANDLER DE CONSULTA (COMPARTILHADO ENTRE VERSÕES)
+// =============================================
+// version escolhe o esquema dos dados em JSON (1: /api/cnpj, 2: /api/v2/cnpj).
+// CSV e XML saem sempre das colunas da exportação, montadas a partir do v1.
+export function createCNPJHandler({ version }) {
+  return async function handler(req, res) {
+    const startTime = Date.now();
+  
+    // Headers de segurança
+    SecurityMiddleware.applySecurityHeaders(req, res);
+    SecurityMiddleware.appendVary(res, 'Accept');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      Logger.warn('Método não permitido', { method: req.method });
+      return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    try {
+      const clientIP = SecurityMiddleware.getClientIP(req);
+      const { cnpj, fields } = req.query;
+
+      if (!cnpj) {
+        return ErrorMapper.send(res, 'MISSING_CNPJ');
+      }
+
+      const sanitizedCNPJ = SecurityMiddleware.sanitizeCNPJ(cnpj);
+    
+      const auth = ApiKeyManager.authenticate(req);
+
+      if (auth.error) {
+        Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return ErrorMapper.send(res, auth.code, auth.error);
+      }
+
+      const rateLimit = await SecurityMiddleware.checkRateLimit(clientIP, sanitizedCNPJ, auth.apiKey);
+      RateLimiter.applyHeaders(res, rateLimit);
+
+      if (!rateLimit.allowed) {
+        Logger.warn('Rate limit excedido', { ip: clientIP, apiKey: auth.apiKey?.id, cnpj: sanitizedCNPJ, retryAfter: rateLimit.retryAfter });
+        return ErrorMapper.send(
+          res,
+          rateLimit.scope === 'day' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+          `Limite de requisições excedido. Tente novamente em ${rateLimit.retryAfter} segundos.`,
+          { retryAfter: rateLimit.retryAfter }
+        );
+      }
+
+      const validation = Tracer.span('cnpj.validate', {}, () => CNPJValidatorServer.validate(sanitizedCNPJ));
+
+      if (!validation.isValid) {
+        return ErrorMapper.send(res, validation.code, validation.error);
+      }
+
+      const projection = FieldProjection.parse(fields);
+
+      if (!projection.isValid) {
+        return ErrorMapper.send(res, projection.code, projection.error);
+      }
+
+      const negotiation = ContentNegotiator.resolve(req);
+
+      if (!negotiation.isValid) {
+        return ErrorMapper.send(res, negotiation.code, negotiation.error);
+      }
+
+      Logger.info('Consultando CNPJ', { cnpj: validation.cleaned, version, ip: clientIP, apiKey: auth.apiKey?.id });
+
+      const result = await CNPJLookupService.lookup(validation.cleaned, {
+        version: negotiation.format === 'json' ? version : 1,
+      });
+
+      if (negotiation.format === 'json') {
+        ResponseValidator.check(`CompanyV${version}`, result.data);
+      }
+
+      if (result.cached) {
+        return sendResult(req, res, negotiation.format, projection, result);
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.info('Consulta finalizada com sucesso', { 
+        cnpj: validation.cleaned, 
+        provider: result.provider,
+        duration,
+        cacheSize: await CacheManager.getSize()
+      });
+
+      return sendResult(req, res, negotiation.format, projection, result);
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.error('Erro no handler', error, { duration });
+
+      const { code, message } = ErrorMapper.toResponse(error);
+
+      return ErrorMapper.send(res, code, message, {
+        details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+      });
+    }
+  };
+}
@@ -0,0 +1,16 @@
+// =============================================
+// EXECUÇÃO COM CONCORRÊNCIA LIMITADA
+// =============================================
+// No máximo `limit` chamadas de worker em andamento, na ordem dos itens
+export async function runWithConcurrency(items, limit, worker) {
+  let index = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (index < items.length) {
+      const current = index++;
+      await worker(items[current]);
+    }
+  });
+
+  await Promise.all(runners);
+}
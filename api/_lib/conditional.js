@@ -0,0 +1,58 @@
+import { createHash } from 'node:crypto';
+
+// =============================================
+// REQUISIÇÕES CONDICIONAIS (ETAG / LAST-MODIFIED)
+// =============================================
+// O ETag é forte e calculado sobre a representação dos dados (formato e
+// projeção inclusos), não sobre os metadados da resposta como cached e age:
+// dois corpos com os mesmos dados da empresa compartilham o mesmo ETag.
+export class ConditionalRequest {
+  static getValidators(data, variant = '') {
+    const hash = createHash('sha256')
+      .update(variant)
+      .update('\n')
+      .update(JSON.stringify(data))
+      .digest('base64url')
+      .substring(0, 32);
+
+    return {
+      etag: `"${hash}"`,
+      lastModified: this.toHttpDate(data?.updated),
+    };
+  }
+
+  static toHttpDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toUTCString();
+  }
+
+  static applyHeaders(res, { etag, lastModified }) {
+    res.setHeader('ETag', etag);
+
+    if (lastModified) {
+      res.setHeader('Last-Modified', lastModified);
+    }
+  }
+
+  // If-None-Match tem precedência; If-Modified-Since só vale sem ele (RFC 9110)
+  static isNotModified(req, { etag, lastModified }) {
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (ifNoneMatch) {
+      return ifNoneMatch.trim() === '*' || ifNoneMatch
+        .split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+
+    if (lastModified && !isNaN(ifModifiedSince)) {
+      return Date.parse(lastModified) <= ifModifiedSince;
+    }
+
+    return false;
+  }
+}
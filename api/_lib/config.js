@@ -0,0 +1,427 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+// =============================================
+// VALORES PADRÃO
+// =============================================
+// Ordem de precedência: padrão < arquivo JSON (CONFIG_FILE) < variáveis de ambiente
+const DEFAULTS = {
+  MAX_REQUESTS_PER_MINUTE: 10,
+  MAX_REQUESTS_PER_CNPJ_PER_MINUTE: 3,
+  TIMEOUT_MS: 10000,
+  // Origens liberadas no CORS: '*' libera todas; aceita curinga de subdomínio
+  // (https://*.exemplo.com.br)
+  ALLOWED_ORIGINS: ['*'],
+  // IP do cliente pelos headers X-Forwarded-For/X-Real-IP, que só um proxy
+  // confiável (um salto) à frente da API deve definir; desligado, vale o
+  // endereço da conexão. null: ligado só na Vercel (VERCEL=1), cuja borda
+  // reescreve esses headers
+  TRUST_PROXY: null,
+  // Chaves de API (opcionais): registro em arquivo JSON ou na variável API_KEYS,
+  // lido e conferido junto com o resto da configuração (entradas em API_KEYS)
+  API_KEYS_FILE: null,
+  API_KEYS_JSON: null,
+  API_KEYS_REQUIRED: false,
+  API_KEY_DEFAULT_QUOTAS: {
+    perMinute: 60,
+    perDay: 10000,
+  },
+  // Cache: backend ativo e opções de cada backend
+  CACHE_BACKEND: 'memory',
+  // Dados vencidos continuam servíveis por até CACHE_MAX_STALE_MS além do TTL:
+  // revalidados em segundo plano (stale-while-revalidate) ou só quando a API
+  // externa falha (stale-if-error), se CACHE_STALE_WHILE_REVALIDATE=false
+  CACHE_MAX_STALE_MS: 24 * 60 * 60 * 1000,
+  CACHE_STALE_WHILE_REVALIDATE: true,
+  // Rate limit: por padrão (null) usa o mesmo tipo de store do cache
+  RATE_LIMIT_BACKEND: null,
+  RATE_LIMIT_BACKEND_OPTIONS: {
+    maxSize: 10000,
+    dir: '.cache/ratelimit',
+    prefix: 'ratelimit:',
+  },
+  CACHE_BACKENDS: {
+    memory: {
+      ttl: 5 * 60 * 1000,
+      maxSize: 1000,
+    },
+    file: {
+      ttl: 60 * 60 * 1000,
+      maxSize: 10000,
+      dir: '.cache/cnpj',
+    },
+    redis: {
+      ttl: 60 * 60 * 1000,
+      url: 'redis://127.0.0.1:6379',
+      prefix: 'cnpj:',
+    },
+  },
+  // Consulta em lote. Nenhuma chamada à API externa começa com menos de
+  // TIMEOUT_MS restantes no orçamento do lote; o resto sai só do cache
+  BATCH_MAX_ITEMS: 500,
+  BATCH_CONCURRENCY: 2,
+  BATCH_TIME_BUDGET_MS: 25000,
+  // Limites da consulta GraphQL, checados antes da execução: tamanho do texto,
+  // profundidade e total de campos com os fragmentos expandidos. A consulta de
+  // introspecção das ferramentas (GraphiQL) desce 14 níveis
+  GRAPHQL_MAX_QUERY_LENGTH: 10000,
+  GRAPHQL_MAX_DEPTH: 15,
+  GRAPHQL_MAX_SELECTIONS: 1000,
+  // Jobs assíncronos (/api/jobs): listas grandes processadas aos poucos, com
+  // as chamadas à API externa espaçadas em JOBS_UPSTREAM_PER_MINUTE (a API
+  // pública da cnpj.ws aceita 3 consultas por minuto por IP), divididas em
+  // rodízio entre os clientes. O worker roda no cron (/api/jobs/tick) e, no
+  // servidor próprio, a cada JOBS_WORKER_INTERVAL_MS; a consulta de progresso
+  // só adianta, por até JOBS_POLL_BUDGET_MS, os itens que já estão no cache.
+  // Cada cliente (chave de API ou IP) tem até JOBS_MAX_ACTIVE_PER_CLIENT jobs
+  // em andamento. Os itens de cada job ficam no store em blocos de
+  // JOBS_CHUNK_SIZE, fora do registro do job.
+  JOBS_MAX_ITEMS: 10000,
+  JOBS_CHUNK_SIZE: 100,
+  JOBS_MAX_ACTIVE_PER_CLIENT: 3,
+  JOBS_UPSTREAM_PER_MINUTE: 3,
+  JOBS_MAX_ATTEMPTS: 3,
+  JOBS_SLICE_MS: 25000,
+  JOBS_POLL_BUDGET_MS: 3000,
+  JOBS_WORKER_INTERVAL_MS: 5000,
+  JOBS_CRON_SECRET: null,
+  // Store dos jobs: por padrão (null) o mesmo tipo do cache; a validade (ttl)
+  // conta da última atualização do job. Na Vercel só redis é aceito (memória e
+  // disco não são compartilhados entre instâncias). maxSize conta também os
+  // blocos de itens de cada job
+  JOBS_BACKEND: null,
+  JOBS_BACKEND_OPTIONS: {
+    ttl: 24 * 60 * 60 * 1000,
+    maxSize: 10000,
+    dir: '.cache/jobs',
+    prefix: 'job:',
+  },
+  // Busca de filiais por sondagem sequencial dos números de ordem
+  BRANCHES_MAX_PROBES: 20,
+  BRANCHES_MAX_CONSECUTIVE_MISSES: 2,
+  BRANCHES_TIME_BUDGET_MS: 20000,
+  // Por quanto tempo uma ordem inexistente não é sondada de novo; curto, já
+  // que uma filial pode ser aberta a qualquer momento
+  BRANCHES_MISS_TTL_MS: 10 * 60 * 1000,
+  // Provedores de dados, na ordem de tentativa
+  PROVIDERS: ['cnpjws', 'brasilapi', 'receitaws'],
+  FIXTURES_DIR: 'fixtures/cnpjws',
+  // Endereço base de cada API externa; aponte para o mock local
+  // (npm run mock-upstream) para testar sem rede
+  PROVIDER_BASE_URLS: {
+    cnpjws: 'https://publica.cnpj.ws',
+    brasilapi: 'https://brasilapi.com.br',
+    receitaws: 'https://receitaws.com.br',
+  },
+  // Circuit breaker por provedor: falhas seguidas até abrir e tempo aberto
+  CIRCUIT_FAILURE_THRESHOLD: 5,
+  CIRCUIT_OPEN_MS: 30000,
+  // Observabilidade: sondagens do /api/health e token opcional do /api/metrics
+  HEALTH_PROBE_TIMEOUT_MS: 3000,
+  HEALTH_CACHE_MS: 30000,
+  METRICS_TOKEN: null,
+  // Spans de validação, cache, API externa e mapeamento logados ao fim de cada requisição
+  TRACING_ENABLED: false,
+  // Valida os dados mapeados contra o documento OpenAPI antes de responder
+  // (null: ligado só com NODE_ENV=development)
+  RESPONSE_VALIDATION: null,
+  // Servidor Node próprio (server/index.js), fora da Vercel
+  SERVER_PORT: 3000,
+  SERVER_HOST: '0.0.0.0',
+  SERVER_SHUTDOWN_TIMEOUT_MS: 10000,
+};
+
+// =============================================
+// CAMPOS CONFIGURÁVEIS
+// =============================================
+// Caminho na configuração -> tipo, regras e variável de ambiente. Campos de
+// primeiro nível usam o próprio nome como variável, salvo indicação em `env`.
+const integer = (min, env) => ({ type: 'integer', min, env });
+const boolean = (env) => ({ type: 'boolean', env });
+const string = ({ env, nullable = false, values = null, pattern = null } = {}) => ({ type: 'string', env, nullable, values, pattern });
+const list = ({ env, pattern = null, values = null } = {}) => ({ type: 'list', env, pattern, values });
+
+const BACKENDS = ['memory', 'file', 'redis'];
+const ORIGIN_PATTERN = /^(\*|https?:\/\/(\*\.)?[^/*\s]+)$/;
+const BASE_URL_PATTERN = /^https?:\/\/\S+[^/\s]$/;
+
+const CONFIG_FIELDS = {
+  MAX_REQUESTS_PER_MINUTE: integer(1),
+  MAX_REQUESTS_PER_CNPJ_PER_MINUTE: integer(1),
+  TIMEOUT_MS: integer(1),
+  ALLOWED_ORIGINS: list({ pattern: ORIGIN_PATTERN }),
+  TRUST_PROXY: { ...boolean(), nullable: true },
+  API_KEYS_FILE: string({ nullable: true }),
+  API_KEYS_JSON: string({ env: 'API_KEYS', nullable: true }),
+  API_KEYS_REQUIRED: boolean(),
+  'API_KEY_DEFAULT_QUOTAS.perMinute': integer(1, 'API_KEY_DEFAULT_QUOTA_PER_MINUTE'),
+  'API_KEY_DEFAULT_QUOTAS.perDay': integer(1, 'API_KEY_DEFAULT_QUOTA_PER_DAY'),
+  CACHE_BACKEND: string({ values: BACKENDS }),
+  CACHE_MAX_STALE_MS: integer(0),
+  CACHE_STALE_WHILE_REVALIDATE: boolean(),
+  RATE_LIMIT_BACKEND: string({ nullable: true, values: BACKENDS }),
+  'RATE_LIMIT_BACKEND_OPTIONS.maxSize': integer(1, 'RATE_LIMIT_MAX_SIZE'),
+  'RATE_LIMIT_BACKEND_OPTIONS.dir': string({ env: 'RATE_LIMIT_DIR' }),
+  'RATE_LIMIT_BACKEND_OPTIONS.prefix': string({ env: 'RATE_LIMIT_PREFIX' }),
+  'CACHE_BACKENDS.memory.ttl': integer(1, 'CACHE_MEMORY_TTL_MS'),
+  'CACHE_BACKENDS.memory.maxSize': integer(1, 'CACHE_MEMORY_MAX_SIZE'),
+  'CACHE_BACKENDS.file.ttl': integer(1, 'CACHE_FILE_TTL_MS'),
+  'CACHE_BACKENDS.file.maxSize': integer(1, 'CACHE_FILE_MAX_SIZE'),
+  'CACHE_BACKENDS.file.dir': string({ env: 'CACHE_FILE_DIR' }),
+  'CACHE_BACKENDS.redis.ttl': integer(1, 'CACHE_REDIS_TTL_MS'),
+  'CACHE_BACKENDS.redis.url': string({ env: 'REDIS_URL' }),
+  'CACHE_BACKENDS.redis.prefix': string({ env: 'CACHE_REDIS_PREFIX' }),
+  BATCH_MAX_ITEMS: integer(1),
+  BATCH_CONCURRENCY: integer(1),
+  BATCH_TIME_BUDGET_MS: integer(1),
+  GRAPHQL_MAX_QUERY_LENGTH: integer(1),
+  GRAPHQL_MAX_DEPTH: integer(1),
+  GRAPHQL_MAX_SELECTIONS: integer(1),
+  JOBS_MAX_ITEMS: integer(1),
+  JOBS_CHUNK_SIZE: integer(1),
+  JOBS_MAX_ACTIVE_PER_CLIENT: integer(1),
+  JOBS_UPSTREAM_PER_MINUTE: integer(1),
+  JOBS_MAX_ATTEMPTS: integer(1),
+  JOBS_SLICE_MS: integer(1),
+  JOBS_POLL_BUDGET_MS: integer(0),
+  JOBS_WORKER_INTERVAL_MS: integer(1),
+  JOBS_CRON_SECRET: string({ env: 'CRON_SECRET', nullable: true }),
+  JOBS_BACKEND: string({ nullable: true, values: BACKENDS }),
+  'JOBS_BACKEND_OPTIONS.ttl': integer(1, 'JOBS_TTL_MS'),
+  'JOBS_BACKEND_OPTIONS.maxSize': integer(1, 'JOBS_MAX_SIZE'),
+  'JOBS_BACKEND_OPTIONS.dir': string({ env: 'JOBS_DIR' }),
+  'JOBS_BACKEND_OPTIONS.prefix': string({ env: 'JOBS_PREFIX' }),
+  BRANCHES_MAX_PROBES: integer(1),
+  BRANCHES_MAX_CONSECUTIVE_MISSES: integer(1),
+  BRANCHES_TIME_BUDGET_MS: integer(1),
+  BRANCHES_MISS_TTL_MS: integer(1),
+  PROVIDERS: list({ env: 'CNPJ_PROVIDERS', values: ['cnpjws', 'brasilapi', 'receitaws', 'fixture'] }),
+  FIXTURES_DIR: string({ env: 'CNPJ_FIXTURES_DIR' }),
+  'PROVIDER_BASE_URLS.cnpjws': string({ env: 'CNPJWS_BASE_URL', pattern: BASE_URL_PATTERN }),
+  'PROVIDER_BASE_URLS.brasilapi': string({ env: 'BRASILAPI_BASE_URL', pattern: BASE_URL_PATTERN }),
+  'PROVIDER_BASE_URLS.receitaws': string({ env: 'RECEITAWS_BASE_URL', pattern: BASE_URL_PATTERN }),
+  CIRCUIT_FAILURE_THRESHOLD: integer(1),
+  CIRCUIT_OPEN_MS: integer(1),
+  HEALTH_PROBE_TIMEOUT_MS: integer(1),
+  HEALTH_CACHE_MS: integer(0),
+  METRICS_TOKEN: string({ nullable: true }),
+  TRACING_ENABLED: boolean(),
+  RESPONSE_VALIDATION: { ...boolean(), nullable: true },
+  SERVER_PORT: integer(0, 'PORT'),
+  SERVER_HOST: string({ env: 'HOST' }),
+  SERVER_SHUTDOWN_TIMEOUT_MS: integer(0),
+};
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Configuração inválida:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// =============================================
+// CARREGAMENTO E VALIDAÇÃO
+// =============================================
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => node?.[key], object);
+}
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  keys.reduce((node, key) => node[key], object)[last] = value;
+}
+
+function parseEnvValue(raw, field) {
+  const value = raw.trim();
+
+  switch (field.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : raw;
+    case 'boolean':
+      if (['true', '1'].includes(value)) return true;
+      if (['false', '0'].includes(value)) return false;
+      return raw;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(item => item);
+    default:
+      return value;
+  }
+}
+
+// Funde o arquivo sobre os padrões; chaves fora do formato dos padrões são
+// provavelmente erro de digitação e viram erro de validação
+function mergeFile(target, source, errors, prefix = '') {
+  Object.entries(source).forEach(([key, value]) => {
+    const fullPath = prefix + key;
+
+    if (!(key in target)) {
+      errors.push(`${fullPath}: chave desconhecida no arquivo de configuração`);
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      mergeFile(target[key], value, errors, `${fullPath}.`);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+function validateField(value, field) {
+  if (value === null) {
+    return field.nullable ? null : 'valor obrigatório';
+  }
+
+  switch (field.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `esperado inteiro, recebido ${formatValue(value)}`;
+      if (value < field.min) return `deve ser >= ${field.min}, recebido ${value}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `esperado true ou false, recebido ${formatValue(value)}`;
+    case 'list': {
+      if (!Array.isArray(value) || value.length === 0) return `esperada lista não vazia, recebido ${formatValue(value)}`;
+      const invalid = value.filter(item => typeof item !== 'string' ||
+        (field.pattern && !field.pattern.test(item)) ||
+        (field.values && !field.values.includes(item)));
+      if (invalid.length > 0) {
+        return `valores inválidos ${formatValue(invalid)}${field.values ? ` (aceitos: ${field.values.join(', ')})` : ''}`;
+      }
+      return null;
+    }
+    default:
+      if (typeof value !== 'string' || value === '') return `esperado texto, recebido ${formatValue(value)}`;
+      if (field.values && !field.values.includes(value)) {
+        return `esperado um de ${field.values.join(', ')}, recebido ${formatValue(value)}`;
+      }
+      if (field.pattern && !field.pattern.test(value)) {
+        return `formato inválido, recebido ${formatValue(value)}`;
+      }
+      return null;
+  }
+}
+
+const KEY_HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Erros de cada entrada do registro de chaves de API
+function validateApiKey(entry, index) {
+  const label = `API_KEYS[${index}]`;
+
+  if (!entry || typeof entry !== 'object') {
+    return [`${label}: esperado um objeto`];
+  }
+
+  const errors = [];
+
+  if (entry.keyHash !== undefined) {
+    if (typeof entry.keyHash !== 'string' || !KEY_HASH_PATTERN.test(entry.keyHash)) {
+      errors.push(`${label}.keyHash: esperado o SHA-256 em hexadecimal (64 caracteres)`);
+    }
+  } else if (typeof entry.key !== 'string' || entry.key === '') {
+    errors.push(`${label}: informe "key" ou "keyHash"`);
+  }
+
+  for (const quota of ['perMinute', 'perDay']) {
+    const value = entry.quotas?.[quota];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1)) {
+      errors.push(`${label}.quotas.${quota}: esperado inteiro >= 1, recebido ${JSON.stringify(value)}`);
+    }
+  }
+
+  return errors;
+}
+
+// Arquivo ausente, JSON quebrado ou entrada malformada viram erro de
+// configuração na inicialização, não um 500 no meio de uma requisição
+function loadApiKeys(config, errors) {
+  let raw;
+  let source;
+
+  if (typeof config.API_KEYS_FILE === 'string') {
+    const filePath = path.resolve(process.cwd(), config.API_KEYS_FILE);
+    source = 'API_KEYS_FILE';
+
+    try {
+      raw = readFileSync(filePath, 'utf8');
+    } catch (error) {
+      errors.push(`API_KEYS_FILE: não foi possível ler ${filePath} (${error.message})`);
+      return [];
+    }
+  } else if (typeof config.API_KEYS_JSON === 'string') {
+    raw = config.API_KEYS_JSON;
+    source = 'API_KEYS_JSON (variável API_KEYS)';
+  } else {
+    return [];
+  }
+
+  let entries;
+
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    errors.push(`${source}: JSON inválido (${error.message})`);
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    errors.push(`${source}: esperada uma lista de chaves`);
+    return [];
+  }
+
+  errors.push(...entries.flatMap(validateApiKey));
+  return entries;
+}
+
+export function loadConfig(env = process.env) {
+  const config = structuredClone(DEFAULTS);
+  const errors = [];
+
+  if (env.CONFIG_FILE) {
+    const filePath = path.resolve(process.cwd(), env.CONFIG_FILE);
+
+    try {
+      mergeFile(config, JSON.parse(readFileSync(filePath, 'utf8')), errors);
+    } catch (error) {
+      throw new ConfigError([`CONFIG_FILE: não foi possível ler ${filePath} (${error.message})`]);
+    }
+  }
+
+  Object.entries(CONFIG_FIELDS).forEach(([fieldPath, field]) => {
+    const envName = field.env || fieldPath;
+    const fromEnv = env[envName] !== undefined && env[envName] !== '';
+
+    if (fromEnv) {
+      setPath(config, fieldPath, parseEnvValue(env[envName], field));
+    }
+
+    const problem = validateField(getPath(config, fieldPath), field);
+
+    if (problem) {
+      errors.push(`${fieldPath}${fromEnv ? ` (variável ${envName})` : ''}: ${problem}`);
+    }
+  });
+
+  config.API_KEYS = loadApiKeys(config, errors);
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  config.RATE_LIMIT_BACKEND ??= config.CACHE_BACKEND;
+  config.JOBS_BACKEND ??= config.CACHE_BACKEND;
+  config.RESPONSE_VALIDATION ??= env.NODE_ENV === 'development';
+  config.TRUST_PROXY ??= env.VERCEL === '1';
+
+  return config;
+}
+
+// =============================================
+// CONFIGURAÇÕES DE SEGURANÇA E RATE LIMITING
+// =============================================
+// Carregada uma vez, na importação: configuração inválida derruba a função já
+// na inicialização, com a lista completa de problemas
+export const SECURITY_CONFIG = loadConfig();
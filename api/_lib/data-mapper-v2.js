@@ -0,0 +1,172 @@
+import { DataMapper } from './data-mapper.js';
+
+// =============================================
+// ESQUEMA V2 DA EMPRESA (/api/v2/cnpj)
+// =============================================
+// Corrige as peculiaridades do v1, que segue inalterado para clientes antigos:
+//
+// {
+//   taxId, head, alias,
+//   founded: 'AAAA-MM-DD' | null,
+//   updated: data/hora ISO 8601 | null,
+//   status: { text, date: 'AAAA-MM-DD' | null, reason },
+//   company: {
+//     name, nature: { id, text } | null, size: { id, text } | null, equity,
+//     simples: { optant, since }, simei: { optant, since },
+//     members: [{ name, type, role: { id, text }, since, ageRange }],
+//   },
+//   address: {
+//     street, number, details, district, zip (só dígitos), state (UF),
+//     municipality: { ibge, name }, country: { id, name } | null,
+//   },
+//   phones: [{ area, number, type: 'LANDLINE' | 'MOBILE' | 'FAX' }],
+//   emails: [{ address }],
+//   mainActivity: { id, text } | null, sideActivities: [{ id, text }],
+//   registrations: [{ number, state, enabled }] | null,
+//   suframa: [{ number, enabled }] | null,
+// }
+//
+// Campos que o provedor não informa saem null (listas inclusive): lista vazia
+// significa "nenhum", null significa "desconhecido".
+const BRAZIL = { id: '1058', name: 'Brasil' };
+
+export class DataMapperV2 {
+  static mapToV2Structure(apiData) {
+    const estabelecimento = apiData.estabelecimento || {};
+    const simples = apiData.simples || {};
+
+    return {
+      taxId: estabelecimento.cnpj || apiData.cnpj_raiz,
+      head: estabelecimento.tipo?.toUpperCase() === 'MATRIZ',
+      alias: estabelecimento.nome_fantasia || null,
+      founded: this.isoDate(estabelecimento.data_inicio_atividade),
+      updated: this.isoDateTime(apiData.atualizado_em),
+      status: {
+        text: estabelecimento.situacao_cadastral || null,
+        date: this.isoDate(estabelecimento.data_situacao_cadastral),
+        reason: estabelecimento.motivo_situacao_cadastral?.descricao || null,
+      },
+
+      company: {
+        name: apiData.razao_social || null,
+        nature: apiData.natureza_juridica ? {
+          id: String(apiData.natureza_juridica.id),
+          text: apiData.natureza_juridica.descricao,
+        } : null,
+        size: apiData.porte ? {
+          id: String(apiData.porte.id),
+          text: apiData.porte.descricao,
+        } : null,
+        equity: DataMapper.parseCurrency(apiData.capital_social),
+        simples: {
+          optant: this.isYes(simples.simples),
+          since: this.isoDate(simples.data_opcao_simples),
+        },
+        simei: {
+          optant: this.isYes(simples.mei),
+          since: this.isoDate(simples.data_opcao_mei),
+        },
+        members: (apiData.socios || []).filter(socio => socio.nome).map(socio => ({
+          name: socio.nome,
+          type: socio.tipo || null,
+          role: {
+            id: socio.qualificacao_socio?.id != null ? String(socio.qualificacao_socio.id) : null,
+            text: socio.qualificacao_socio?.descricao || null,
+          },
+          since: this.isoDate(socio.data_entrada),
+          ageRange: socio.faixa_etaria || null,
+        })),
+      },
+
+      address: {
+        street: this.joinStreet(estabelecimento.tipo_logradouro, estabelecimento.logradouro),
+        number: estabelecimento.numero || null,
+        details: estabelecimento.complemento || null,
+        district: estabelecimento.bairro || null,
+        zip: this.digits(estabelecimento.cep),
+        state: estabelecimento.estado?.sigla || null,
+        municipality: {
+          ibge: estabelecimento.cidade?.ibge_id != null ? String(estabelecimento.cidade.ibge_id) : null,
+          name: estabelecimento.cidade?.nome || null,
+        },
+        country: this.country(estabelecimento.pais?.id, estabelecimento.pais?.nome, estabelecimento.estado?.sigla),
+      },
+      phones: [
+        this.phone(estabelecimento.ddd1, estabelecimento.telefone1),
+        this.phone(estabelecimento.ddd2, estabelecimento.telefone2),
+        this.phone(estabelecimento.ddd_fax, estabelecimento.fax, 'FAX'),
+      ].filter(phone => phone),
+      emails: estabelecimento.email ? [{ address: estabelecimento.email.toLowerCase() }] : [],
+      mainActivity: DataMapper.mapActivity(estabelecimento.atividade_principal),
+      sideActivities: DataMapper.mapActivities(estabelecimento.atividades_secundarias),
+      registrations: (estabelecimento.inscricoes_estaduais || []).map(ie => ({
+        number: ie.inscricao_estadual,
+        state: ie.estado?.sigla || null,
+        enabled: ie.ativo === true,
+      })),
+      suframa: (estabelecimento.inscricoes_suframa || []).map(inscricao => ({
+        number: inscricao.inscricao_suframa,
+        enabled: inscricao.ativo === true,
+      })),
+    };
+  }
+
+  // =============================================
+  // AUXILIARES COMPARTILHADOS PELOS PROVEDORES
+  // =============================================
+
+  // Aceita AAAA-MM-DD, dd/mm/aaaa e data/hora ISO; retorna AAAA-MM-DD
+  static isoDate(value) {
+    if (!value) return null;
+
+    const brazilian = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value);
+    if (brazilian) return `${brazilian[3]}-${brazilian[2]}-${brazilian[1]}`;
+
+    const iso = /^(\d{4}-\d{2}-\d{2})/.exec(value);
+    return iso ? iso[1] : null;
+  }
+
+  static isoDateTime(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+  }
+
+  static isYes(value) {
+    return value === true || String(value ?? '').toUpperCase() === 'SIM';
+  }
+
+  static digits(value) {
+    const cleaned = String(value ?? '').replace(/\D/g, '');
+    return cleaned || null;
+  }
+
+  static joinStreet(type, street) {
+    return `${type || ''} ${street || ''}`.trim() || null;
+  }
+
+  // Celulares têm 9 dígitos começando por 9; os demais são fixos
+  static phone(area, number, type = null) {
+    const cleanArea = this.digits(area);
+    const cleanNumber = this.digits(number);
+
+    if (!cleanNumber) return null;
+
+    return {
+      area: cleanArea,
+      number: cleanNumber,
+      type: type || (/^9\d{8}$/.test(cleanNumber) ? 'MOBILE' : 'LANDLINE'),
+    };
+  }
+
+  // Endereços com UF são nacionais mesmo quando o provedor omite o país;
+  // a Receita usa a UF "EX" para estabelecimentos no exterior
+  static country(id, name, state) {
+    if (id || name) {
+      return { id: id != null ? String(id) : null, name: name || null };
+    }
+
+    return state && state !== 'EX' ? { ...BRAZIL } : null;
+  }
+}
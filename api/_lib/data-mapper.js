@@ -0,0 +1,318 @@
+import { Logger } from './logger.js';
+import { Metrics } from './metrics.js';
+
+// =============================================
+// ESQUEMA ESPERADO DA RESPOSTA DA CNPJ.WS
+// =============================================
+// required: o mapeador depende do campo e a cnpj.ws sempre o envia (mesmo que
+// null); os opcionais são campos conhecidos que podem faltar. Objetos e listas
+// de objetos descrevem os próprios campos em `fields`.
+const field = (required, fields = null) => ({ required, fields });
+const REQUIRED = field(true);
+const OPTIONAL = field(false);
+
+const CODE_DESCRIPTION = { id: REQUIRED, descricao: REQUIRED };
+const STATE = { id: OPTIONAL, nome: OPTIONAL, sigla: REQUIRED, ibge_id: OPTIONAL };
+const ACTIVITY = {
+  id: REQUIRED, secao: OPTIONAL, divisao: OPTIONAL, grupo: OPTIONAL,
+  classe: OPTIONAL, subclasse: OPTIONAL, descricao: REQUIRED,
+};
+
+const CNPJ_WS_SCHEMA = {
+  cnpj_raiz: REQUIRED,
+  razao_social: REQUIRED,
+  capital_social: REQUIRED,
+  responsavel_federativo: OPTIONAL,
+  atualizado_em: REQUIRED,
+  porte: field(true, CODE_DESCRIPTION),
+  natureza_juridica: field(true, CODE_DESCRIPTION),
+  qualificacao_do_responsavel: field(false, CODE_DESCRIPTION),
+  socios: field(true, {
+    cpf_cnpj_socio: OPTIONAL,
+    nome: REQUIRED,
+    tipo: REQUIRED,
+    data_entrada: REQUIRED,
+    cpf_representante_legal: OPTIONAL,
+    nome_representante: OPTIONAL,
+    faixa_etaria: REQUIRED,
+    atualizado_em: OPTIONAL,
+    pais_id: OPTIONAL,
+    qualificacao_socio: field(true, CODE_DESCRIPTION),
+    qualificacao_representante: field(false, CODE_DESCRIPTION),
+    pais: OPTIONAL,
+  }),
+  simples: field(true, {
+    simples: REQUIRED,
+    data_opcao_simples: REQUIRED,
+    data_exclusao_simples: OPTIONAL,
+    mei: REQUIRED,
+    data_opcao_mei: REQUIRED,
+    data_exclusao_mei: OPTIONAL,
+    atualizado_em: OPTIONAL,
+  }),
+  estabelecimento: field(true, {
+    cnpj: REQUIRED,
+    cnpj_raiz: OPTIONAL,
+    cnpj_ordem: OPTIONAL,
+    cnpj_digito_verificador: OPTIONAL,
+    tipo: REQUIRED,
+    nome_fantasia: REQUIRED,
+    situacao_cadastral: REQUIRED,
+    data_situacao_cadastral: REQUIRED,
+    motivo_situacao_cadastral: field(false, CODE_DESCRIPTION),
+    data_inicio_atividade: REQUIRED,
+    nome_cidade_exterior: OPTIONAL,
+    tipo_logradouro: REQUIRED,
+    logradouro: REQUIRED,
+    numero: REQUIRED,
+    complemento: REQUIRED,
+    bairro: REQUIRED,
+    cep: REQUIRED,
+    ddd1: REQUIRED,
+    telefone1: REQUIRED,
+    ddd2: REQUIRED,
+    telefone2: REQUIRED,
+    ddd_fax: OPTIONAL,
+    fax: OPTIONAL,
+    email: REQUIRED,
+    situacao_especial: OPTIONAL,
+    data_situacao_especial: OPTIONAL,
+    atualizado_em: OPTIONAL,
+    atividade_principal: field(true, ACTIVITY),
+    atividades_secundarias: field(true, ACTIVITY),
+    pais: field(true, { id: REQUIRED, iso2: OPTIONAL, iso3: OPTIONAL, nome: REQUIRED, comex_id: OPTIONAL }),
+    estado: field(true, STATE),
+    cidade: field(true, { id: OPTIONAL, nome: REQUIRED, ibge_id: REQUIRED, siafi_id: OPTIONAL }),
+    inscricoes_estaduais: field(true, {
+      inscricao_estadual: REQUIRED,
+      ativo: REQUIRED,
+      atualizado_em: OPTIONAL,
+      estado: field(true, STATE),
+    }),
+    inscricoes_suframa: field(false, {
+      inscricao_suframa: REQUIRED,
+      ativo: REQUIRED,
+    }),
+  }),
+};
+
+// =============================================
+// MAPEADOR DE DADOS
+// =============================================
+export class DataMapper {
+  static mapToFrontendStructure(apiData) {
+    const estabelecimento = apiData.estabelecimento || {};
+    const simples = apiData.simples || {};
+
+    return {
+      taxId: estabelecimento.cnpj || apiData.cnpj_raiz,
+      alias: estabelecimento.nome_fantasia || null,
+      founded: estabelecimento.data_inicio_atividade,
+      updated: apiData.atualizado_em,
+      status: {
+        text: estabelecimento.situacao_cadastral || null,
+      },
+      statusDate: estabelecimento.data_situacao_cadastral,
+      head: estabelecimento.tipo?.toUpperCase() === 'MATRIZ',
+
+      company: {
+        name: apiData.razao_social || null,
+        nature: apiData.natureza_juridica ? {
+          id: apiData.natureza_juridica.id,
+          text: apiData.natureza_juridica.descricao,
+        } : null,
+        size: apiData.porte ? {
+          text: apiData.porte.descricao,
+          acronym: apiData.porte.id,
+        } : null,
+        equity: this.parseCurrency(apiData.capital_social),
+        simples: {
+          optant: simples.simples === 'SIM',
+          since: simples.data_opcao_simples,
+        },
+        simei: {
+          optant: simples.mei === 'SIM',
+          since: simples.data_opcao_mei,
+        },
+        members: this.mapMembers(apiData.socios),
+      },
+
+      address: this.mapAddress(estabelecimento),
+      phones: this.mapPhones(estabelecimento),
+      emails: this.mapEmails(estabelecimento),
+      mainActivity: this.mapActivity(estabelecimento.atividade_principal),
+      sideActivities: this.mapActivities(estabelecimento.atividades_secundarias),
+      registrations: this.mapRegistrations(estabelecimento.inscricoes_estaduais),
+      suframa: [],
+    };
+  }
+
+  // =============================================
+  // DETECÇÃO DE MUDANÇAS NO ESQUEMA DO PROVEDOR
+  // =============================================
+  // Compara a resposta bruta com o esquema esperado: campos obrigatórios que
+  // sumiram (missing) e campos que o mapeador não conhece (unknown). Caminhos
+  // de listas saem como "socios[].nome", sem repetir por item.
+  static detectDrift(apiData, schema = CNPJ_WS_SCHEMA) {
+    const missing = new Set();
+    const unknown = new Set();
+
+    const walk = (value, fields, path) => {
+      if (value === null || typeof value !== 'object') return;
+
+      if (Array.isArray(value)) {
+        value.forEach(item => walk(item, fields, `${path}[]`));
+        return;
+      }
+
+      const prefix = path ? `${path}.` : '';
+
+      Object.entries(fields).forEach(([key, expected]) => {
+        if (value[key] === undefined) {
+          if (expected.required) missing.add(prefix + key);
+        } else if (expected.fields) {
+          walk(value[key], expected.fields, prefix + key);
+        }
+      });
+
+      Object.keys(value)
+        .filter(key => !Object.hasOwn(fields, key))
+        .forEach(key => unknown.add(prefix + key));
+    };
+
+    walk(apiData, schema, '');
+
+    return { missing: [...missing], unknown: [...unknown] };
+  }
+
+  // Loga e conta a divergência; não interrompe a consulta, já que o mapeador
+  // continua tolerante a campos ausentes
+  static reportDrift(apiData, { cnpj, provider }) {
+    const drift = this.detectDrift(apiData);
+
+    if (drift.missing.length === 0 && drift.unknown.length === 0) {
+      return drift;
+    }
+
+    Logger.warn('Esquema da API externa divergente do esperado', { cnpj, provider, ...drift });
+
+    Object.entries(drift)
+      .filter(([, fields]) => fields.length > 0)
+      .forEach(([kind]) => Metrics.increment('cnpj_upstream_schema_drift_total', { provider, kind }));
+
+    return drift;
+  }
+
+  static parseCurrency(value) {
+    if (!value) return 0;
+    
+    try {
+      return parseFloat(
+        value
+          .replace('R$', '')
+          .replace(/\./g, '')
+          .replace(',', '.')
+          .trim()
+      ) || 0;
+    } catch (error) {
+      Logger.warn('Erro ao parsear valor monetário', { value, error: error.message });
+      return 0;
+    }
+  }
+
+  static mapMembers(socios) {
+    if (!socios || !Array.isArray(socios)) return [];
+
+    return socios.map(socio => ({
+      person: {
+        name: socio.nome || null,
+        age: socio.faixa_etaria || null,
+      },
+      role: {
+        text: socio.qualificacao_socio?.descricao || socio.tipo || 'Sócio',
+      },
+      since: socio.data_entrada,
+    })).filter(member => member.person.name);
+  }
+
+  static mapAddress(estabelecimento) {
+    if (!estabelecimento) return null;
+
+    return {
+      street: `${estabelecimento.tipo_logradouro || ''} ${
+        estabelecimento.logradouro || ''
+      }`.trim(),
+      number: estabelecimento.numero,
+      details: estabelecimento.complemento,
+      district: estabelecimento.bairro,
+      city: estabelecimento.cidade?.nome,
+      state: estabelecimento.estado?.sigla,
+      zip: estabelecimento.cep,
+      country: estabelecimento.pais?.nome,
+      municipality: estabelecimento.cidade?.nome,
+    };
+  }
+
+  static mapPhones(estabelecimento) {
+    const phones = [];
+
+    if (estabelecimento.ddd1 && estabelecimento.telefone1) {
+      phones.push({
+        area: estabelecimento.ddd1,
+        number: estabelecimento.telefone1,
+        type: 'LANDLINE',
+      });
+    }
+
+    if (estabelecimento.ddd2 && estabelecimento.telefone2) {
+      phones.push({
+        area: estabelecimento.ddd2,
+        number: estabelecimento.telefone2,
+        type: 'LANDLINE',
+      });
+    }
+
+    return phones;
+  }
+
+  static mapEmails(estabelecimento) {
+    if (!estabelecimento.email) return [];
+
+    return [
+      {
+        address: estabelecimento.email,
+        ownership: 'CORPORATE',
+      },
+    ];
+  }
+
+  static mapActivity(activity) {
+    if (!activity) return null;
+
+    return {
+      id: activity.id,
+      text: activity.descricao,
+    };
+  }
+
+  static mapActivities(activities) {
+    if (!activities || !Array.isArray(activities)) return [];
+
+    return activities.map(activity => ({
+      id: activity.id,
+      text: activity.descricao,
+    }));
+  }
+
+  static mapRegistrations(inscricoes) {
+    if (!inscricoes || !Array.isArray(inscricoes)) return [];
+
+    return inscricoes.map(ie => ({
+      type: { id: 1, text: 'Normal' },
+      number: ie.inscricao_estadual,
+      state: ie.estado?.sigla,
+      enabled: ie.ativo,
+      status: { text: ie.ativo ? 'Ativa' : 'Inativa' },
+    }));
+  }
+}
@@ -0,0 +1,103 @@
+import { SECURITY_CONFIG } from './config.js';
+import { RequestContext } from './tracing.js';
+
+// =============================================
+// TAXONOMIA DE ERROS DA API
+// =============================================
+// Cada código tem status HTTP e mensagem padrão estáveis; o cliente deve
+// decidir pelo `code`, nunca pelo texto da mensagem. retryable: repetir a
+// mesma requisição mais tarde pode dar certo.
+export const ERROR_CODES = {
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Método não permitido' },
+  MISSING_CNPJ: { status: 400, message: 'CNPJ não informado' },
+  INVALID_LENGTH: { status: 400, message: 'CNPJ deve conter 14 dígitos' },
+  INVALID_CNPJ: { status: 400, message: 'CNPJ inválido' },
+  INVALID_CHECK_DIGIT: { status: 400, message: 'CNPJ inválido' },
+  INVALID_REQUEST: { status: 400, message: 'Requisição inválida' },
+  INVALID_FIELDS: { status: 400, message: 'Parâmetro "fields" inválido' },
+  INVALID_FORMAT: { status: 400, message: 'Formato de resposta não suportado' },
+  INVALID_QUERY: { status: 400, message: 'Consulta GraphQL inválida' },
+  BATCH_TOO_LARGE: { status: 413, message: 'Lote excede o limite de CNPJs' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Corpo da requisição excede o limite' },
+  API_KEY_REQUIRED: { status: 401, message: 'Chave de API obrigatória' },
+  INVALID_API_KEY: { status: 401, message: 'Chave de API inválida' },
+  UNAUTHORIZED: { status: 401, message: 'Não autorizado' },
+  RATE_LIMITED: { status: 429, message: 'Limite de requisições excedido', retryable: true },
+  QUOTA_EXCEEDED: { status: 429, message: 'Cota diária da chave de API excedida', retryable: true },
+  NOT_FOUND: { status: 404, message: 'Empresa não encontrada' },
+  JOB_NOT_FOUND: { status: 404, message: 'Job não encontrado' },
+  JOB_NOT_FINISHED: { status: 409, message: 'Job ainda em processamento', retryable: true },
+  TOO_MANY_JOBS: { status: 429, message: 'Limite de jobs em andamento atingido', retryable: true },
+  JOBS_UNAVAILABLE: { status: 503, message: 'Jobs indisponíveis neste ambiente' },
+  UPSTREAM_TIMEOUT: { status: 408, message: 'Timeout na consulta externa', retryable: true },
+  BATCH_TIMEOUT: { status: 408, message: 'Tempo limite do lote excedido', retryable: true },
+  UPSTREAM_RATE_LIMITED: { status: 429, message: 'API externa com limite excedido', retryable: true, waitsForCircuit: true },
+  UPSTREAM_UNAVAILABLE: { status: 503, message: 'Serviço temporariamente indisponível', retryable: true },
+  UPSTREAM_CIRCUIT_OPEN: { status: 503, message: 'Serviço temporariamente indisponível', retryable: true, waitsForCircuit: true },
+  UPSTREAM_ERROR: { status: 502, message: 'Erro na API externa', retryable: true },
+  UPSTREAM_INVALID_RESPONSE: { status: 502, message: 'Dados inválidos retornados pela API', retryable: true },
+  RESPONSE_SCHEMA_MISMATCH: { status: 500, message: 'Resposta fora do contrato da API' },
+  INTERNAL_ERROR: { status: 500, message: 'Erro interno do servidor', retryable: true },
+};
+
+export class ApiError extends Error {
+  constructor(code, message = ERROR_CODES[code].message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.statusCode = ERROR_CODES[code].status;
+    this.details = details;
+  }
+}
+
+// =============================================
+// MAPEAMENTO DE ERROS PARA HTTP
+// =============================================
+export class ErrorMapper {
+  static toResponse(error) {
+    const code = error instanceof ApiError ? error.code : this.classify(error);
+    const message = error instanceof ApiError ? error.message : ERROR_CODES[code].message;
+
+    return { statusCode: ERROR_CODES[code].status, code, message };
+  }
+
+  // Erros que não nasceram como ApiError (falhas de rede do fetch, bugs)
+  static classify(error) {
+    if (error.name === 'AbortError') {
+      return 'UPSTREAM_TIMEOUT';
+    }
+
+    if (error.name === 'TypeError' && /fetch failed|Failed to fetch|Network/i.test(error.message)) {
+      return 'UPSTREAM_UNAVAILABLE';
+    }
+
+    return 'INTERNAL_ERROR';
+  }
+
+  // Espera sugerida antes de repetir, em segundos. Depois de um 429 ou de
+  // falhas seguidas da API externa, o circuito fica aberto por CIRCUIT_OPEN_MS
+  static retryAfter(code) {
+    return ERROR_CODES[code].waitsForCircuit ? Math.ceil(SECURITY_CONFIG.CIRCUIT_OPEN_MS / 1000) : undefined;
+  }
+
+  // requestId permite ao usuário informar o erro e ao suporte achar os logs.
+  // retryable e retryAfter (também no header Retry-After) dizem ao cliente se
+  // e quando repetir a requisição
+  static send(res, code, message = ERROR_CODES[code].message, extra = {}) {
+    const retryAfter = extra.retryAfter ?? this.retryAfter(code);
+
+    if (retryAfter !== undefined) {
+      res.setHeader('Retry-After', String(retryAfter));
+    }
+
+    return res.status(ERROR_CODES[code].status).json({
+      error: true,
+      code,
+      message,
+      retryable: Boolean(ERROR_CODES[code].retryable),
+      requestId: RequestContext.getRequestId() || undefined,
+      ...extra,
+      retryAfter,
+    });
+  }
+}
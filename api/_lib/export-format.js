@@ -0,0 +1,284 @@
+import { createZip } from './zip.js';
+
+// =============================================
+// FORMATOS DE SAÍDA (CSV, XML E XLSX)
+// =============================================
+// Espelha as colunas de ExportManager.getAllHeaders/formatRowData em
+// public/script.js: ao mudar uma coluna aqui, mude lá também, para que a
+// exportação do navegador e a da API continuem iguais.
+const EXPORT_HEADERS = [
+  'CNPJ', 'Razão Social', 'Nome Fantasia', 'Situação Cadastral',
+  'Data Abertura', 'Data Situação Cadastral', 'Data Última Atualização',
+  'Matriz/Filial', 'Natureza Jurídica', 'Porte Empresa', 'Capital Social',
+  'Optante Simples', 'Data Opção Simples', 'MEI', 'Data Opção MEI',
+  'Logradouro', 'Número', 'Complemento', 'Bairro', 'Cidade', 'Estado', 'CEP', 'País',
+  'Telefones', 'Emails', 'CNAE Principal', 'Código CNAE Principal',
+  'CNAEs Secundários', 'Inscrições Estaduais', 'Sócios'
+];
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+};
+
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+};
+
+// XLSX fica fora da negociação de conteúdo do /api/cnpj: só sai como download
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XLSX_NAMESPACES = {
+  main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  package: 'http://schemas.openxmlformats.org/package/2006/relationships',
+};
+
+// Datas puras (AAAA-MM-DD) são lidas como meia-noite UTC e formatadas em UTC
+// para não voltar um dia; data e hora saem no fuso do público do site
+const TIME_ZONE = 'America/Sao_Paulo';
+
+// =============================================
+// NEGOCIAÇÃO DE CONTEÚDO
+// =============================================
+export class ContentNegotiator {
+  // O parâmetro format= tem precedência sobre o header Accept. Um Accept sem
+  // nenhum tipo suportado cai no JSON, que é o que a API sempre devolveu.
+  static resolve(req) {
+    const { format } = req.query || {};
+
+    if (format !== undefined) {
+      const normalized = String(format).toLowerCase();
+      return CONTENT_TYPES[normalized]
+        ? { isValid: true, format: normalized }
+        : { isValid: false, code: 'INVALID_FORMAT', error: `Formato não suportado: ${format}. Use json, csv ou xml` };
+    }
+
+    return { isValid: true, format: this.fromAccept(req.headers?.accept) };
+  }
+
+  static fromAccept(accept) {
+    if (!accept) return 'json';
+
+    const ranges = String(accept).split(',')
+      .map((part, index) => {
+        const [type, ...params] = part.trim().toLowerCase().split(';');
+        const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return { type: type.trim(), q: quality ? Number(quality.slice(2)) : 1, index };
+      })
+      .filter(range => range.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const range of ranges) {
+      if (MEDIA_TYPES[range.type]) return MEDIA_TYPES[range.type];
+      if (range.type === '*/*' || range.type === 'application/*') return 'json';
+      if (range.type === 'text/*') return 'csv';
+    }
+
+    return 'json';
+  }
+
+  static contentType(format) {
+    return CONTENT_TYPES[format];
+  }
+}
+
+// =============================================
+// FORMATADOR DE EXPORTAÇÃO
+// =============================================
+export class ExportFormatter {
+  static getAllHeaders() {
+    return [...EXPORT_HEADERS];
+  }
+
+  static format(format, list) {
+    if (format === 'xlsx') return this.toXLSX(list);
+    return format === 'xml' ? this.toXML(list) : this.toCSV(list);
+  }
+
+  static toCSV(list) {
+    const rows = list.map(data => {
+      const row = this.formatRowData(data);
+      return EXPORT_HEADERS.map(header => this.escapeCSV(row[header])).join(',');
+    });
+
+    return [EXPORT_HEADERS.map(header => this.escapeCSV(header)).join(','), ...rows].join('\r\n');
+  }
+
+  static toXML(list) {
+    const companies = list.map(data => {
+      const row = this.formatRowData(data);
+      const fields = EXPORT_HEADERS.map(header =>
+        `    <campo nome="${this.escapeXML(header)}">${this.escapeXML(row[header])}</campo>`
+      );
+
+      return ['  <empresa>', ...fields, '  </empresa>'].join('\n');
+    });
+
+    return ['<?xml version="1.0" encoding="UTF-8"?>', '<empresas>', ...companies, '</empresas>'].join('\n');
+  }
+
+  // Planilha mínima (uma aba, textos inline, sem estilos) dentro de um ZIP
+  static toXLSX(list) {
+    const rows = [EXPORT_HEADERS, ...list.map(data => {
+      const row = this.formatRowData(data);
+      return EXPORT_HEADERS.map(header => row[header]);
+    })];
+
+    const sheetRows = rows.map((cells, rowIndex) => {
+      const xmlCells = cells.map((value, columnIndex) => {
+        const ref = `${this.columnName(columnIndex)}${rowIndex + 1}`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(value)}</t></is></c>`;
+      });
+
+      return `<row r="${rowIndex + 1}">${xmlCells.join('')}</row>`;
+    });
+
+    const xml = (body) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+
+    return createZip([
+      {
+        name: '[Content_Types].xml',
+        content: xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '</Types>'),
+      },
+      {
+        name: '_rels/.rels',
+        content: xml(`<Relationships xmlns="${XLSX_NAMESPACES.package}">` +
+          `<Relationship Id="rId1" Type="${XLSX_NAMESPACES.relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+          '</Relationships>'),
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: xml(`<workbook xmlns="${XLSX_NAMESPACES.main}" xmlns:r="${XLSX_NAMESPACES.relationships}">` +
+          '<sheets><sheet name="Empresas" sheetId="1" r:id="rId1"/></sheets></workbook>'),
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: xml(`<Relationships xmlns="${XLSX_NAMESPACES.package}">` +
+          `<Relationship Id="rId1" Type="${XLSX_NAMESPACES.relationships}/worksheet" Target="worksheets/sheet1.xml"/>` +
+          '</Relationships>'),
+      },
+      {
+        name: 'xl/worksheets/sheet1.xml',
+        content: xml(`<worksheet xmlns="${XLSX_NAMESPACES.main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`),
+      },
+    ]);
+  }
+
+  // 0 -> A, 25 -> Z, 26 -> AA
+  static columnName(index) {
+    let name = '';
+    for (let current = index + 1; current > 0; current = Math.floor((current - 1) / 26)) {
+      name = String.fromCharCode(65 + ((current - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  static escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Caracteres de controle não são permitidos em XML 1.0
+  static escapeXML(value) {
+    return String(value ?? '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  static formatRowData(data) {
+    const secondaryActivities = data.sideActivities && data.sideActivities.length > 0
+      ? data.sideActivities.map(act => `${act.id} - ${act.text}`).join('\n')
+      : '';
+
+    const registrations = data.registrations && data.registrations.length > 0
+      ? data.registrations.map(reg => `${reg.number} (${reg.state})`).join('\n')
+      : '';
+
+    const members = data.company?.members && data.company.members.length > 0
+      ? data.company.members.map(member => `${member.person?.name} - ${member.role?.text}`).join('\n')
+      : '';
+
+    return {
+      'CNPJ': data.taxId || '',
+      'Razão Social': data.company?.name || '',
+      'Nome Fantasia': data.alias || '',
+      'Situação Cadastral': data.status?.text || '',
+      'Data Abertura': this.formatDate(data.founded),
+      'Data Situação Cadastral': this.formatDate(data.statusDate),
+      'Data Última Atualização': this.formatDateTime(data.updated),
+      'Matriz/Filial': data.head ? 'Matriz' : 'Filial',
+      'Natureza Jurídica': data.company?.nature?.text || '',
+      'Porte Empresa': data.company?.size?.text || '',
+      'Capital Social': data.company?.equity ? `R$ ${this.formatCurrency(data.company.equity)}` : '',
+      'Optante Simples': data.company?.simples?.optant ? 'SIM' : 'NÃO',
+      'Data Opção Simples': this.formatDate(data.company?.simples?.since),
+      'MEI': data.company?.simei?.optant ? 'SIM' : 'NÃO',
+      'Data Opção MEI': this.formatDate(data.company?.simei?.since),
+      'Logradouro': data.address?.street || '',
+      'Número': data.address?.number || '',
+      'Complemento': data.address?.details || '',
+      'Bairro': data.address?.district || '',
+      'Cidade': data.address?.city || '',
+      'Estado': data.address?.state || '',
+      'CEP': this.formatCEP(data.address?.zip),
+      'País': data.address?.country?.name || '',
+      'Telefones': this.formatPhones(data.phones),
+      'Emails': this.getPrimaryEmail(data.emails),
+      'CNAE Principal': data.mainActivity?.text || '',
+      'Código CNAE Principal': data.mainActivity?.id || '',
+      'CNAEs Secundários': secondaryActivities,
+      'Inscrições Estaduais': registrations,
+      'Sócios': members
+    };
+  }
+
+  static formatDate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? String(value) : date.toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+  }
+
+  static formatDateTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? String(value) : date.toLocaleString('pt-BR', { timeZone: TIME_ZONE });
+  }
+
+  static formatCurrency(value) {
+    const number = parseFloat(value);
+    if (isNaN(number)) return '0,00';
+    return number.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  static formatCEP(cep) {
+    if (!cep) return '';
+    return String(cep).replace(/\D/g, '').replace(/(\d{5})(\d{3})/, '$1-$2');
+  }
+
+  static formatPhones(phones) {
+    if (!phones || !Array.isArray(phones)) return '';
+    return phones.map(phone =>
+      phone.area && phone.number ? `(${phone.area}) ${phone.number}` : phone.number
+    ).filter(phone => phone).join('; ');
+  }
+
+  static getPrimaryEmail(emails) {
+    if (!emails || !Array.isArray(emails) || emails.length === 0) return '';
+    const corporateEmail = emails.find(email => email.ownership === 'CORPORATE');
+    return (corporateEmail || emails[0])?.address || '';
+  }
+}
@@ -0,0 +1,101 @@
+import { SECURITY_CONFIG } from './config.js';
+import { Logger } from './logger.js';
+import { ApiError } from './errors.js';
+import { Metrics } from './metrics.js';
+
+// =============================================
+// CLIENTE DA API EXTERNA
+// =============================================
+export class ExternalAPIClient {
+  static async fetchJSON(apiUrl, meta = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SECURITY_CONFIG.TIMEOUT_MS);
+    const startTime = Date.now();
+
+    try {
+      Logger.info('Chamando API externa', { ...meta, apiUrl });
+      
+      const response = await fetch(apiUrl, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'CNPJ-Finder-App/1.0'
+        },
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new ApiError(
+          this.codeForStatus(response.status),
+          undefined,
+          `API externa retornou status ${response.status}: ${errorText}`
+        );
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new ApiError('UPSTREAM_INVALID_RESPONSE', undefined, `JSON inválido: ${error.message}`);
+      }
+
+      Logger.info('Dados recebidos da API externa', { ...meta, dataSize: JSON.stringify(data).length });
+      this.recordLatency(meta.provider, startTime, 'ok');
+      
+      return data;
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      let apiError = error;
+
+      if (error.name === 'AbortError') {
+        apiError = new ApiError('UPSTREAM_TIMEOUT', undefined, 'Timeout na consulta da API externa');
+      } else if (!(error instanceof ApiError)) {
+        apiError = new ApiError('UPSTREAM_UNAVAILABLE', undefined, error.message);
+      }
+
+      this.recordLatency(meta.provider, startTime, apiError.code);
+      throw apiError;
+    }
+  }
+
+  static recordLatency(provider = 'unknown', startTime, outcome) {
+    Metrics.observe('cnpj_upstream_request_duration_seconds', { provider, outcome }, (Date.now() - startTime) / 1000);
+  }
+
+  // Sondagem barata para o health check: qualquer resposta HTTP abaixo de 500
+  // (inclusive 404 e 429) indica que o serviço está de pé
+  static async probe(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SECURITY_CONFIG.HEALTH_PROBE_TIMEOUT_MS);
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(url, {
+        method: 'HEAD',
+        headers: { 'User-Agent': 'CNPJ-Finder-App/1.0' },
+        signal: controller.signal
+      });
+
+      return { ok: response.status < 500, status: response.status, latencyMs: Date.now() - startTime };
+    } catch (error) {
+      return {
+        ok: false,
+        error: error.name === 'AbortError' ? 'Timeout na sondagem' : error.message,
+        latencyMs: Date.now() - startTime,
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  static codeForStatus(status) {
+    if (status === 404) return 'NOT_FOUND';
+    if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+    if (status >= 500) return 'UPSTREAM_UNAVAILABLE';
+    return 'UPSTREAM_ERROR';
+  }
+}
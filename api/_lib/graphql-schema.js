@@ -0,0 +1,198 @@
+import { SECURITY_CONFIG } from './config.js';
+import { SecurityMiddleware } from './security.js';
+import { CNPJValidatorServer } from './validator.js';
+import { CNPJLookupService } from './lookup.js';
+import { ApiError } from './errors.js';
+import { ResponseValidator } from './openapi.js';
+import { GraphQL } from './graphql.js';
+import { runWithConcurrency } from './concurrency.js';
+
+// =============================================
+// CARREGADOR DE EMPRESAS (POR REQUISIÇÃO)
+// =============================================
+// O mesmo CNPJ pedido em vários campos (aliases, company e companies) é
+// consultado uma vez só, pelo mesmo cache e provedores do /api/cnpj, no esquema v2
+// (conferido contra o schema, como no /api/v2/cnpj). Como no lote, sem tempo
+// para uma consulta externa terminar antes do deadline, só o cache é
+// consultado e o que não estiver nele falha com BATCH_TIMEOUT.
+function toCompany({ data, provider, cached, stale, age }) {
+  ResponseValidator.check('CompanyV2', data);
+
+  return {
+    ...data,
+    ...data.company,
+    source: { provider, cached, stale, age: cached ? age : null },
+  };
+}
+
+async function loadCached(cnpj) {
+  const cached = await CNPJLookupService.lookupCached(cnpj, { version: 2 });
+  if (!cached) throw new ApiError('BATCH_TIMEOUT');
+  return cached;
+}
+
+export function createCompanyLoader({ deadline = Infinity } = {}) {
+  const companies = new Map();
+
+  return (input) => {
+    const validation = CNPJValidatorServer.validate(SecurityMiddleware.sanitizeCNPJ(input));
+
+    if (!validation.isValid) {
+      return Promise.reject(new ApiError(validation.code, validation.error));
+    }
+
+    if (!companies.has(validation.cleaned)) {
+      const result = Date.now() + SECURITY_CONFIG.TIMEOUT_MS > deadline
+        ? loadCached(validation.cleaned)
+        : CNPJLookupService.lookup(validation.cleaned, { version: 2 });
+
+      companies.set(validation.cleaned, result.then(toCompany));
+    }
+
+    return companies.get(validation.cleaned);
+  };
+}
+
+// =============================================
+// SCHEMA
+// =============================================
+// Mesmo modelo do /api/v2/cnpj, com os dados de `company` (nome, natureza,
+// sócios...) no próprio tipo Company
+const codeText = (description) => ({
+  kind: 'object',
+  description,
+  fields: { id: { type: 'String!' }, text: { type: 'String!' } },
+});
+
+export const COMPANY_SCHEMA = GraphQL.buildSchema({
+  Query: {
+    kind: 'object',
+    fields: {
+      company: {
+        type: 'Company',
+        description: 'Empresa pelo CNPJ (com ou sem máscara); null com o erro em errors',
+        args: { cnpj: { type: 'String!' } },
+        cost: () => 1,
+        resolve: (_, { cnpj }, { loadCompany }) => loadCompany(cnpj),
+      },
+      companies: {
+        type: '[Company]!',
+        description: 'Empresas na ordem pedida; itens com erro voltam null, com o erro em errors',
+        args: { cnpjs: { type: '[String!]!' } },
+        cost: ({ cnpjs }) => cnpjs.length,
+        resolve: async (_, { cnpjs }, { loadCompany }) => {
+          const results = new Array(cnpjs.length);
+
+          await runWithConcurrency([...cnpjs.keys()], SECURITY_CONFIG.BATCH_CONCURRENCY, async (index) => {
+            results[index] = await loadCompany(cnpjs[index]).catch(error => error);
+          });
+
+          return results;
+        },
+      },
+    },
+  },
+  Company: {
+    kind: 'object',
+    fields: {
+      taxId: { type: 'String!' },
+      head: { type: 'Boolean!', description: 'Matriz (true) ou filial' },
+      name: { type: 'String!', description: 'Razão social' },
+      alias: { type: 'String', description: 'Nome fantasia' },
+      founded: { type: 'String', description: 'Data de abertura (AAAA-MM-DD)' },
+      updated: { type: 'String', description: 'Última atualização na base da Receita (ISO 8601)' },
+      status: { type: 'Status!' },
+      nature: { type: 'Nature' },
+      size: { type: 'Size' },
+      equity: { type: 'Float!', description: 'Capital social' },
+      simples: { type: 'TaxOption!' },
+      simei: { type: 'TaxOption!' },
+      members: { type: '[Member!]!', description: 'Quadro de sócios e administradores' },
+      address: { type: 'Address!' },
+      phones: { type: '[Phone!]!' },
+      emails: { type: '[Email!]!' },
+      mainActivity: { type: 'Activity' },
+      sideActivities: { type: '[Activity!]!' },
+      registrations: { type: '[Registration!]', description: 'Inscrições estaduais (null se o provedor não informa)' },
+      suframa: { type: '[Suframa!]', description: 'Inscrições na Suframa (null se o provedor não informa)' },
+      source: { type: 'Source!', description: 'Origem do dado: provedor e cache' },
+    },
+  },
+  Status: {
+    kind: 'object',
+    fields: { text: { type: 'String' }, date: { type: 'String' }, reason: { type: 'String' } },
+  },
+  Nature: codeText('Natureza jurídica'),
+  Size: {
+    kind: 'object',
+    description: 'Porte da empresa',
+    fields: { id: { type: 'String' }, text: { type: 'String!' } },
+  },
+  TaxOption: {
+    kind: 'object',
+    description: 'Opção pelo Simples Nacional ou pelo MEI',
+    fields: { optant: { type: 'Boolean!' }, since: { type: 'String' } },
+  },
+  Member: {
+    kind: 'object',
+    fields: {
+      name: { type: 'String!' },
+      type: { type: 'String', description: 'Pessoa física, jurídica ou estrangeira' },
+      role: { type: 'MemberRole!' },
+      since: { type: 'String' },
+      ageRange: { type: 'String' },
+    },
+  },
+  MemberRole: {
+    kind: 'object',
+    fields: { id: { type: 'String' }, text: { type: 'String' } },
+  },
+  Address: {
+    kind: 'object',
+    fields: {
+      street: { type: 'String' },
+      number: { type: 'String' },
+      details: { type: 'String' },
+      district: { type: 'String' },
+      zip: { type: 'String' },
+      state: { type: 'String' },
+      municipality: { type: 'Municipality!' },
+      country: { type: 'Country' },
+    },
+  },
+  Municipality: {
+    kind: 'object',
+    fields: { ibge: { type: 'String' }, name: { type: 'String' } },
+  },
+  Country: {
+    kind: 'object',
+    fields: { id: { type: 'String' }, name: { type: 'String' } },
+  },
+  Phone: {
+    kind: 'object',
+    fields: { area: { type: 'String' }, number: { type: 'String!' }, type: { type: 'PhoneType!' } },
+  },
+  PhoneType: { kind: 'enum', values: ['LANDLINE', 'MOBILE', 'FAX'] },
+  Email: {
+    kind: 'object',
+    fields: { address: { type: 'String!' } },
+  },
+  Activity: codeText('Atividade econômica (CNAE)'),
+  Registration: {
+    kind: 'object',
+    fields: { number: { type: 'String!' }, state: { type: 'String' }, enabled: { type: 'Boolean!' } },
+  },
+  Suframa: {
+    kind: 'object',
+    fields: { number: { type: 'String!' }, enabled: { type: 'Boolean!' } },
+  },
+  Source: {
+    kind: 'object',
+    fields: {
+      provider: { type: 'String!' },
+      cached: { type: 'Boolean!' },
+      stale: { type: 'Boolean!', description: 'Dado vencido servido do cache' },
+      age: { type: 'Int', description: 'Idade do dado em segundos, quando veio do cache' },
+    },
+  },
+});
@@ -0,0 +1,957 @@
+import { ApiError, ErrorMapper } from './errors.js';
+import { Logger } from './logger.js';
+
+// =============================================
+// GRAPHQL (SUBCONJUNTO)
+// =============================================
+// Cobre o que o endpoint /api/graphql precisa: operações query com variáveis,
+// aliases, fragmentos (nomeados e inline), @skip/@include, __typename, enums,
+// introspecção (__schema e __type) e erros parciais com path. Não há mutations
+// nem subscriptions; o SDL sai de GraphQL.printSchema.
+const SCALARS = {
+  String: (value) => typeof value === 'string',
+  Int: (value) => Number.isInteger(value) && value >= -(2 ** 31) && value < 2 ** 31,
+  Float: (value) => typeof value === 'number' && Number.isFinite(value),
+  Boolean: (value) => typeof value === 'boolean',
+  ID: (value) => typeof value === 'string' || Number.isInteger(value),
+};
+
+const PUNCTUATORS = '!$()[]{}:=@|&';
+const NAME = /[_A-Za-z][_0-9A-Za-z]*/y;
+const NUMBER = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+const STRING = /"(?:[^"\\\n]|\\.)*"/y;
+
+// Erro de campo já registrado: o pai não nulo mais próximo vira null
+class NullPropagation extends Error {}
+
+const syntaxError = (message, loc) =>
+  new ApiError('INVALID_QUERY', `Erro de sintaxe: ${message}`, { locations: [loc] });
+const inputError = (message) => new ApiError('INVALID_QUERY', message);
+
+// =============================================
+// LÉXICO
+// =============================================
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const readWith = (pattern) => {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    return match && match[0];
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '\n') {
+      line++;
+      lineStart = ++index;
+      continue;
+    }
+
+    if (/[\s,\ufeff]/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '#') {
+      while (index < source.length && source[index] !== '\n') index++;
+      continue;
+    }
+
+    const loc = { line, column: index - lineStart + 1 };
+
+    if (source.startsWith('...', index)) {
+      tokens.push({ kind: '...', loc });
+      index += 3;
+    } else if (PUNCTUATORS.includes(char)) {
+      tokens.push({ kind: char, loc });
+      index++;
+    } else if (readWith(NAME)) {
+      const value = readWith(NAME);
+      tokens.push({ kind: 'Name', value, loc });
+      index += value.length;
+    } else if (readWith(NUMBER)) {
+      const raw = readWith(NUMBER);
+      tokens.push({ kind: /[.eE]/.test(raw) ? 'Float' : 'Int', value: Number(raw), loc });
+      index += raw.length;
+    } else if (char === '"') {
+      const raw = readWith(STRING);
+      if (!raw) throw syntaxError('texto sem aspas de fechamento', loc);
+
+      try {
+        tokens.push({ kind: 'String', value: JSON.parse(raw), loc });
+      } catch {
+        throw syntaxError('escape inválido no texto', loc);
+      }
+      index += raw.length;
+    } else {
+      throw syntaxError(`caractere inesperado "${char}"`, loc);
+    }
+  }
+
+  tokens.push({ kind: '<EOF>', loc: { line, column: index - lineStart + 1 } });
+  return tokens;
+}
+
+// =============================================
+// PARSER
+// =============================================
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek(kind, value) {
+    const token = this.tokens[this.position];
+    return token.kind === kind && (value === undefined || token.value === value);
+  }
+
+  expect(kind, value) {
+    const token = this.tokens[this.position];
+
+    if (!this.peek(kind, value)) {
+      const found = token.kind === 'Name' ? `"${token.value}"` : token.kind;
+      throw syntaxError(`esperado ${value ? `"${value}"` : kind}, encontrado ${found}`, token.loc);
+    }
+
+    this.position++;
+    return token;
+  }
+
+  skip(kind) {
+    if (!this.peek(kind)) return false;
+    this.position++;
+    return true;
+  }
+
+  parseDocument() {
+    const definitions = [];
+
+    do {
+      definitions.push(this.parseDefinition());
+    } while (!this.peek('<EOF>'));
+
+    return { definitions };
+  }
+
+  parseDefinition() {
+    const { loc } = this.tokens[this.position];
+
+    if (this.peek('{')) {
+      return { kind: 'Operation', operation: 'query', name: null, variables: [], selectionSet: this.parseSelectionSet(), loc };
+    }
+
+    if (this.peek('Name', 'fragment')) {
+      this.position++;
+      const name = this.expect('Name').value;
+      this.expect('Name', 'on');
+
+      return {
+        kind: 'Fragment',
+        name,
+        typeCondition: this.expect('Name').value,
+        directives: this.parseDirectives(),
+        selectionSet: this.parseSelectionSet(),
+        loc,
+      };
+    }
+
+    const operation = this.expect('Name').value;
+
+    if (!['query', 'mutation', 'subscription'].includes(operation)) {
+      throw syntaxError(`definição inesperada "${operation}"`, loc);
+    }
+
+    const name = this.peek('Name') ? this.expect('Name').value : null;
+    const variables = [];
+
+    if (this.skip('(')) {
+      do {
+        const variableLoc = this.expect('$').loc;
+        const variableName = this.expect('Name').value;
+        this.expect(':');
+        const type = this.parseType();
+        const defaultValue = this.skip('=') ? this.parseValue(true) : undefined;
+        variables.push({ name: variableName, type, defaultValue, loc: variableLoc });
+      } while (!this.skip(')'));
+    }
+
+    this.parseDirectives();
+
+    return { kind: 'Operation', operation, name, variables, selectionSet: this.parseSelectionSet(), loc };
+  }
+
+  parseType() {
+    let type;
+
+    if (this.skip('[')) {
+      type = { kind: 'List', ofType: this.parseType() };
+      this.expect(']');
+    } else {
+      type = { kind: 'Named', name: this.expect('Name').value };
+    }
+
+    return this.skip('!') ? { kind: 'NonNull', ofType: type } : type;
+  }
+
+  parseSelectionSet() {
+    const selections = [];
+    this.expect('{');
+
+    do {
+      selections.push(this.parseSelection());
+    } while (!this.skip('}'));
+
+    return { selections };
+  }
+
+  parseSelection() {
+    const { loc } = this.tokens[this.position];
+
+    if (this.skip('...')) {
+      if (this.peek('Name') && !this.peek('Name', 'on')) {
+        return { kind: 'FragmentSpread', name: this.expect('Name').value, directives: this.parseDirectives(), loc };
+      }
+
+      const typeCondition = this.skip('Name') ? this.expect('Name').value : null;
+
+      return {
+        kind: 'InlineFragment',
+        typeCondition,
+        directives: this.parseDirectives(),
+        selectionSet: this.parseSelectionSet(),
+        loc,
+      };
+    }
+
+    let name = this.expect('Name').value;
+    const alias = name;
+
+    if (this.skip(':')) {
+      name = this.expect('Name').value;
+    }
+
+    return {
+      kind: 'Field',
+      alias,
+      name,
+      arguments: this.parseArguments(),
+      directives: this.parseDirectives(),
+      selectionSet: this.peek('{') ? this.parseSelectionSet() : null,
+      loc,
+    };
+  }
+
+  parseArguments() {
+    const args = [];
+
+    if (this.skip('(')) {
+      do {
+        const { value: name, loc } = this.expect('Name');
+        this.expect(':');
+        args.push({ name, value: this.parseValue(false), loc });
+      } while (!this.skip(')'));
+    }
+
+    return args;
+  }
+
+  parseDirectives() {
+    const directives = [];
+
+    while (this.skip('@')) {
+      const { value: name, loc } = this.expect('Name');
+      directives.push({ name, arguments: this.parseArguments(), loc });
+    }
+
+    return directives;
+  }
+
+  parseValue(isConst) {
+    const token = this.tokens[this.position];
+
+    switch (token.kind) {
+      case '$':
+        if (isConst) throw syntaxError('variável não permitida em valor constante', token.loc);
+        this.position++;
+        return { kind: 'Variable', name: this.expect('Name').value };
+      case '[': {
+        this.position++;
+        const values = [];
+        while (!this.skip(']')) values.push(this.parseValue(isConst));
+        return { kind: 'List', values };
+      }
+      case '{': {
+        this.position++;
+        const fields = {};
+        while (!this.skip('}')) {
+          const name = this.expect('Name').value;
+          this.expect(':');
+          fields[name] = this.parseValue(isConst);
+        }
+        return { kind: 'Object', fields };
+      }
+      case 'Int':
+      case 'Float':
+      case 'String':
+        this.position++;
+        return { kind: token.kind, value: token.value };
+      case 'Name':
+        this.position++;
+        if (token.value === 'true' || token.value === 'false') return { kind: 'Boolean', value: token.value === 'true' };
+        if (token.value === 'null') return { kind: 'Null', value: null };
+        return { kind: 'Enum', value: token.value };
+      default:
+        throw syntaxError(`valor inesperado ${token.kind}`, token.loc);
+    }
+  }
+}
+
+// =============================================
+// TIPOS E COERÇÃO DE ENTRADAS
+// =============================================
+function printType(type) {
+  switch (type.kind) {
+    case 'NonNull': return `${printType(type.ofType)}!`;
+    case 'List': return `[${printType(type.ofType)}]`;
+    default: return type.name;
+  }
+}
+
+function namedType(type) {
+  return type.kind === 'Named' ? type.name : namedType(type.ofType);
+}
+
+// Valor vindo de variables (JSON) ou já convertido de um literal
+function coerceInput(schema, value, type, where) {
+  if (type.kind === 'NonNull') {
+    if (value === null || value === undefined) throw inputError(`${where}: valor obrigatório para ${printType(type)}`);
+    return coerceInput(schema, value, type.ofType, where);
+  }
+
+  if (value === null || value === undefined) return null;
+
+  if (type.kind === 'List') {
+    return [].concat(value).map((item, index) => coerceInput(schema, item, type.ofType, `${where}[${index}]`));
+  }
+
+  const definition = schema.types[type.name];
+  const valid = definition?.kind === 'enum' ? definition.values.includes(value) : SCALARS[type.name]?.(value);
+
+  if (!valid) throw inputError(`${where}: valor ${JSON.stringify(value)} inválido para ${type.name}`);
+  return type.name === 'ID' ? String(value) : value;
+}
+
+function valueFromNode(schema, node, type, variables, where) {
+  if (node.kind === 'Variable') {
+    return coerceInput(schema, variables[node.name], type, where);
+  }
+
+  if (type.kind === 'List' || (type.kind === 'NonNull' && type.ofType.kind === 'List')) {
+    const listType = type.kind === 'NonNull' ? type.ofType : type;
+    if (node.kind === 'Null') return coerceInput(schema, null, type, where);
+    if (node.kind !== 'List') return coerceInput(schema, [valueFromNode(schema, node, listType.ofType, variables, where)], type, where);
+
+    return coerceInput(schema, node.values.map((item, index) =>
+      valueFromNode(schema, item, listType.ofType, variables, `${where}[${index}]`)), type, where);
+  }
+
+  const name = namedType(type);
+  const isEnum = schema.types[name]?.kind === 'enum';
+
+  // Enums só como nome sem aspas, e textos só entre aspas
+  if ((node.kind === 'Enum') !== isEnum && node.kind !== 'Null') {
+    throw inputError(`${where}: valor inválido para ${name}`);
+  }
+
+  return coerceInput(schema, node.value, type, where);
+}
+
+function coerceArguments(schema, definition, node, variables) {
+  const args = {};
+
+  Object.entries(definition.args || {}).forEach(([name, argument]) => {
+    const provided = node.arguments.find(item => item.name === name);
+    const where = `Argumento "${name}" de "${node.name}"`;
+
+    if (provided) {
+      args[name] = valueFromNode(schema, provided.value, argument.type, variables, where);
+    } else if (argument.defaultValue !== undefined) {
+      args[name] = argument.defaultValue;
+    } else {
+      args[name] = coerceInput(schema, undefined, argument.type, where);
+    }
+  });
+
+  return args;
+}
+
+// =============================================
+// VALIDAÇÃO DO DOCUMENTO
+// =============================================
+function validateDocument(schema, document, operationName) {
+  const errors = [];
+  const report = (message, loc) => errors.push({ message, locations: loc ? [loc] : undefined });
+
+  const operations = document.definitions.filter(definition => definition.kind === 'Operation');
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === 'Fragment')
+    .map(fragment => [fragment.name, fragment]));
+
+  let operation;
+  if (operationName) {
+    operation = operations.find(item => item.name === operationName);
+    if (!operation) report(`Operação "${operationName}" não encontrada`);
+  } else if (operations.length !== 1) {
+    report(operations.length === 0 ? 'Nenhuma operação no documento' : 'Informe operationName: o documento tem mais de uma operação');
+  } else {
+    [operation] = operations;
+  }
+
+  if (!operation) return { errors };
+
+  if (operation.operation !== 'query') {
+    report(`Operação ${operation.operation} não suportada; use query`, operation.loc);
+    return { errors };
+  }
+
+  const declared = new Set(operation.variables.map(variable => variable.name));
+
+  operation.variables.forEach(variable => {
+    if (!schema.types[namedType(variable.type)] && !SCALARS[namedType(variable.type)]) {
+      report(`Tipo desconhecido ${printType(variable.type)} na variável $${variable.name}`, variable.loc);
+    }
+  });
+
+  const checkValue = (value, loc) => {
+    if (value.kind === 'Variable' && !declared.has(value.name)) report(`Variável $${value.name} não declarada`, loc);
+    if (value.kind === 'List') value.values.forEach(item => checkValue(item, loc));
+    if (value.kind === 'Object') Object.values(value.fields).forEach(item => checkValue(item, loc));
+  };
+
+  const checkDirectives = (directives) => directives.forEach(directive => {
+    if (!['skip', 'include'].includes(directive.name)) report(`Diretiva @${directive.name} não suportada`, directive.loc);
+    directive.arguments.forEach(argument => checkValue(argument.value, argument.loc));
+  });
+
+  // Cada fragmento nomeado é validado uma única vez (validated: o tipo dele é
+  // fixo, typeCondition); visiting guarda só o caminho de fragmentos atual,
+  // para achar ciclos
+  const validated = new Set();
+
+  const visit = (selectionSet, typeName, visiting) => {
+    const type = schema.types[typeName];
+
+    selectionSet.selections.forEach(selection => {
+      checkDirectives(selection.directives);
+
+      if (selection.kind !== 'Field') {
+        const fragment = selection.kind === 'FragmentSpread' ? fragments[selection.name] : selection;
+
+        if (!fragment) {
+          report(`Fragmento "${selection.name}" não definido`, selection.loc);
+        } else if (visiting.has(fragment)) {
+          report(`Fragmento "${selection.name}" referencia a si mesmo`, selection.loc);
+        } else if (fragment.typeCondition && fragment.typeCondition !== typeName) {
+          report(`Fragmento sobre ${fragment.typeCondition} não se aplica ao tipo ${typeName}`, selection.loc);
+        } else if (fragment === selection) {
+          visit(fragment.selectionSet, typeName, visiting);
+        } else if (!validated.has(fragment)) {
+          validated.add(fragment);
+          visit(fragment.selectionSet, typeName, new Set([...visiting, fragment]));
+        }
+        return;
+      }
+
+      if (selection.name === '__typename') return;
+
+      const field = type.fields[selection.name];
+
+      if (!field) {
+        report(`Campo "${selection.name}" não existe no tipo ${typeName}`, selection.loc);
+        return;
+      }
+
+      selection.arguments.forEach(argument => {
+        if (!field.args?.[argument.name]) report(`Argumento "${argument.name}" não existe em "${selection.name}"`, argument.loc);
+        checkValue(argument.value, argument.loc);
+      });
+
+      Object.entries(field.args || {}).forEach(([name, argument]) => {
+        if (argument.type.kind === 'NonNull' && argument.defaultValue === undefined &&
+            !selection.arguments.some(item => item.name === name)) {
+          report(`Argumento obrigatório "${name}" ausente em "${selection.name}"`, selection.loc);
+        }
+      });
+
+      const fieldType = schema.types[namedType(field.type)];
+
+      if (fieldType?.kind === 'object' && !selection.selectionSet) {
+        report(`Campo "${selection.name}" do tipo ${printType(field.type)} exige subcampos`, selection.loc);
+      } else if (fieldType?.kind !== 'object' && selection.selectionSet) {
+        report(`Campo "${selection.name}" do tipo ${printType(field.type)} não tem subcampos`, selection.loc);
+      } else if (selection.selectionSet) {
+        visit(selection.selectionSet, namedType(field.type), visiting);
+      }
+    });
+  };
+
+  visit(operation.selectionSet, 'Query', new Set());
+
+  return { errors, operation, fragments };
+}
+
+// Profundidade e total de campos da operação com os fragmentos expandidos,
+// como a execução os veria. Cada fragmento nomeado é medido uma vez, então
+// fragmentos que se espalham em leque não custam a expansão para serem medidos.
+// Supõe o documento já validado (sem ciclos).
+function measure(selectionSet, fragments, memo = new Map()) {
+  return selectionSet.selections.reduce((total, selection) => {
+    let inner;
+
+    if (selection.kind === 'FragmentSpread') {
+      if (!memo.has(selection.name)) memo.set(selection.name, measure(fragments[selection.name].selectionSet, fragments, memo));
+      inner = memo.get(selection.name);
+    } else if (selection.kind === 'InlineFragment') {
+      inner = measure(selection.selectionSet, fragments, memo);
+    } else {
+      const child = selection.selectionSet ? measure(selection.selectionSet, fragments, memo) : { depth: 0, selections: 0 };
+      inner = { depth: child.depth + 1, selections: child.selections + 1 };
+    }
+
+    return { depth: Math.max(total.depth, inner.depth), selections: total.selections + inner.selections };
+  }, { depth: 0, selections: 0 });
+}
+
+// =============================================
+// EXECUÇÃO
+// =============================================
+// Erros fora da taxonomia (bugs, dados inesperados) não expõem a mensagem original
+function formatError(error, loc, path) {
+  if (!(error instanceof ApiError)) {
+    Logger.error('Erro ao resolver campo GraphQL', error, { path: path.join('.') });
+  }
+
+  const { code, message } = ErrorMapper.toResponse(error);
+
+  return { message, locations: [loc], path, extensions: { code } };
+}
+
+function isIncluded(selection, variables, schema) {
+  return selection.directives.every(directive => {
+    const ifArgument = directive.arguments.find(argument => argument.name === 'if');
+    const value = ifArgument ? valueFromNode(schema, ifArgument.value, { kind: 'NonNull', ofType: { kind: 'Named', name: 'Boolean' } }, variables, `@${directive.name}(if)`) : true;
+
+    return directive.name === 'skip' ? !value : directive.name === 'include' ? value : true;
+  });
+}
+
+// Agrupa os campos pela chave da resposta (alias), abrindo os fragmentos
+function collectFields(request, selectionSets, fields = new Map()) {
+  selectionSets.forEach(selectionSet => selectionSet.selections.forEach(selection => {
+    if (!isIncluded(selection, request.variables, request.schema)) return;
+
+    if (selection.kind === 'Field') {
+      fields.set(selection.alias, [...(fields.get(selection.alias) || []), selection]);
+    } else {
+      const fragment = selection.kind === 'FragmentSpread' ? request.fragments[selection.name] : selection;
+      collectFields(request, [fragment.selectionSet], fields);
+    }
+  }));
+
+  return fields;
+}
+
+function handleFieldError(error, type, loc, path, request) {
+  if (!(error instanceof NullPropagation)) {
+    request.errors.push(formatError(error, loc, path));
+  }
+
+  if (type.kind === 'NonNull') throw new NullPropagation();
+  return null;
+}
+
+async function completeValue(request, type, nodes, value, path) {
+  if (value instanceof Error) throw value;
+
+  if (type.kind === 'NonNull') {
+    const completed = await completeValue(request, type.ofType, nodes, value, path);
+    if (completed === null) throw new Error(`Valor nulo no campo não nulo ${path.join('.')}`);
+    return completed;
+  }
+
+  if (value === null || value === undefined) return null;
+
+  if (type.kind === 'List') {
+    if (!Array.isArray(value)) throw new Error(`Esperada lista em ${path.join('.')}`);
+
+    return Promise.all(value.map(async (item, index) => {
+      const itemPath = [...path, index];
+      try {
+        return await completeValue(request, type.ofType, nodes, item, itemPath);
+      } catch (error) {
+        return handleFieldError(error, type.ofType, nodes[0].loc, itemPath, request);
+      }
+    }));
+  }
+
+  const definition = request.schema.types[type.name];
+
+  if (definition?.kind === 'object') {
+    return executeSelectionSet(request, type.name, nodes.map(node => node.selectionSet), value, path);
+  }
+
+  const valid = definition?.kind === 'enum' ? definition.values.includes(value) : SCALARS[type.name](value);
+  if (!valid) throw new Error(`Valor ${JSON.stringify(value)} inválido para ${type.name} em ${path.join('.')}`);
+
+  return type.name === 'ID' ? String(value) : value;
+}
+
+async function executeField(request, typeName, parent, nodes, path) {
+  const [node] = nodes;
+
+  if (node.name === '__typename') return typeName;
+
+  const field = request.schema.types[typeName].fields[node.name];
+
+  try {
+    const args = coerceArguments(request.schema, field, node, request.variables);
+    const value = field.resolve ? await field.resolve(parent, args, request.context) : parent[node.name];
+    return await completeValue(request, field.type, nodes, value, path);
+  } catch (error) {
+    return handleFieldError(error, field.type, node.loc, path, request);
+  }
+}
+
+async function executeSelectionSet(request, typeName, selectionSets, parent, path) {
+  const fields = [...collectFields(request, selectionSets)];
+
+  // Campos irmãos resolvem em paralelo; a ordem da resposta segue a da consulta
+  const values = await Promise.all(fields.map(([key, nodes]) =>
+    executeField(request, typeName, parent, nodes, [...path, key])));
+
+  return Object.fromEntries(fields.map(([key], index) => [key, values[index]]));
+}
+
+// =============================================
+// INTROSPECÇÃO
+// =============================================
+// __schema e __type na raiz e os tipos __Schema, __Type... do padrão, em
+// cima do schema já montado. Não entram no printSchema nem no custo.
+const TYPE_KINDS = { object: 'OBJECT', enum: 'ENUM' };
+
+const TYPE_KIND_VALUES = ['SCALAR', 'OBJECT', 'INTERFACE', 'UNION', 'ENUM', 'INPUT_OBJECT', 'LIST', 'NON_NULL'];
+
+const DIRECTIVE_LOCATIONS = [
+  'QUERY', 'MUTATION', 'SUBSCRIPTION', 'FIELD', 'FRAGMENT_DEFINITION', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT',
+  'VARIABLE_DEFINITION', 'SCHEMA', 'SCALAR', 'OBJECT', 'FIELD_DEFINITION', 'ARGUMENT_DEFINITION', 'INTERFACE',
+  'UNION', 'ENUM', 'ENUM_VALUE', 'INPUT_OBJECT', 'INPUT_FIELD_DEFINITION',
+];
+
+const isIntrospection = (name) => name.startsWith('__');
+
+function introspectionTypes(schema) {
+  const namedTypeOf = (name) => {
+    const definition = schema.types[name];
+
+    if (!definition) {
+      return SCALARS[name] ? { kind: 'SCALAR', name, ofType: null } : null;
+    }
+
+    return { kind: TYPE_KINDS[definition.kind], name, description: definition.description, definition, ofType: null };
+  };
+
+  const typeOf = (ref) => (ref.kind === 'Named'
+    ? namedTypeOf(ref.name)
+    : { kind: ref.kind === 'NonNull' ? 'NON_NULL' : 'LIST', name: null, ofType: typeOf(ref.ofType) });
+
+  const inputValues = (args = {}) => Object.entries(args).map(([name, argument]) => ({
+    name,
+    description: argument.description,
+    type: typeOf(argument.type),
+    defaultValue: argument.defaultValue === undefined ? null : JSON.stringify(argument.defaultValue),
+  }));
+
+  const notDeprecated = { isDeprecated: false, deprecationReason: null };
+  const includeDeprecated = { includeDeprecated: { type: 'Boolean', defaultValue: false } };
+
+  const directives = () => ['skip', 'include'].map(name => ({
+    name,
+    description: name === 'skip' ? 'Omite o campo quando if é verdadeiro' : 'Inclui o campo só quando if é verdadeiro',
+    locations: ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args: [{ name: 'if', description: null, type: typeOf({ kind: 'NonNull', ofType: { kind: 'Named', name: 'Boolean' } }), defaultValue: null }],
+    isRepeatable: false,
+  }));
+
+  return {
+    rootFields: {
+      __schema: { type: '__Schema!', resolve: () => ({}) },
+      __type: { type: '__Type', args: { name: { type: 'String!' } }, resolve: (_, { name }) => namedTypeOf(name) },
+    },
+    types: {
+      __Schema: {
+        kind: 'object',
+        fields: {
+          description: { type: 'String' },
+          types: {
+            type: '[__Type!]!',
+            resolve: () => [...Object.keys(SCALARS), ...Object.keys(schema.types)].map(namedTypeOf),
+          },
+          queryType: { type: '__Type!', resolve: () => namedTypeOf('Query') },
+          mutationType: { type: '__Type' },
+          subscriptionType: { type: '__Type' },
+          directives: { type: '[__Directive!]!', resolve: directives },
+        },
+      },
+      __Type: {
+        kind: 'object',
+        fields: {
+          kind: { type: '__TypeKind!' },
+          name: { type: 'String' },
+          description: { type: 'String' },
+          specifiedByURL: { type: 'String' },
+          fields: {
+            type: '[__Field!]',
+            args: includeDeprecated,
+            resolve: (type) => (type.kind !== 'OBJECT' ? null : Object.entries(type.definition.fields)
+              .filter(([name]) => !isIntrospection(name))
+              .map(([name, field]) => ({
+                name,
+                description: field.description,
+                args: inputValues(field.args),
+                type: typeOf(field.type),
+                ...notDeprecated,
+              }))),
+          },
+          interfaces: { type: '[__Type!]', resolve: (type) => (type.kind === 'OBJECT' ? [] : null) },
+          possibleTypes: { type: '[__Type!]' },
+          enumValues: {
+            type: '[__EnumValue!]',
+            args: includeDeprecated,
+            resolve: (type) => (type.kind !== 'ENUM' ? null
+              : type.definition.values.map(name => ({ name, description: null, ...notDeprecated }))),
+          },
+          inputFields: { type: '[__InputValue!]' },
+          ofType: { type: '__Type' },
+        },
+      },
+      __Field: {
+        kind: 'object',
+        fields: {
+          name: { type: 'String!' },
+          description: { type: 'String' },
+          args: { type: '[__InputValue!]!' },
+          type: { type: '__Type!' },
+          isDeprecated: { type: 'Boolean!' },
+          deprecationReason: { type: 'String' },
+        },
+      },
+      __InputValue: {
+        kind: 'object',
+        fields: {
+          name: { type: 'String!' },
+          description: { type: 'String' },
+          type: { type: '__Type!' },
+          defaultValue: { type: 'String' },
+        },
+      },
+      __EnumValue: {
+        kind: 'object',
+        fields: {
+          name: { type: 'String!' },
+          description: { type: 'String' },
+          isDeprecated: { type: 'Boolean!' },
+          deprecationReason: { type: 'String' },
+        },
+      },
+      __Directive: {
+        kind: 'object',
+        fields: {
+          name: { type: 'String!' },
+          description: { type: 'String' },
+          locations: { type: '[__DirectiveLocation!]!' },
+          args: { type: '[__InputValue!]!' },
+          isRepeatable: { type: 'Boolean!' },
+        },
+      },
+      __TypeKind: { kind: 'enum', values: TYPE_KIND_VALUES },
+      __DirectiveLocation: { kind: 'enum', values: DIRECTIVE_LOCATIONS },
+    },
+  };
+}
+
+// =============================================
+// API PÚBLICA
+// =============================================
+export class GraphQL {
+  // types: { Nome: { kind: 'object', fields: { campo: { type: 'String!', args, resolve } } } }
+  // ou { kind: 'enum', values: [...] }. Tipos são escritos em SDL ('[Tipo!]!').
+  // Os campos e tipos da introspecção são acrescentados aqui.
+  static buildSchema(types) {
+    const parseTypeRef = (ref) => new Parser(ref).parseType();
+    const built = { types: {} };
+
+    if (!types.Query) {
+      throw new Error('Schema GraphQL sem o tipo Query');
+    }
+
+    const introspection = introspectionTypes(built);
+    const allTypes = {
+      ...types,
+      Query: { ...types.Query, fields: { ...types.Query.fields, ...introspection.rootFields } },
+      ...introspection.types,
+    };
+
+    Object.entries(allTypes).forEach(([name, definition]) => {
+      if (definition.kind === 'enum') {
+        built.types[name] = { ...definition, name };
+        return;
+      }
+
+      built.types[name] = {
+        ...definition,
+        name,
+        fields: Object.fromEntries(Object.entries(definition.fields).map(([fieldName, field]) => [fieldName, {
+          ...field,
+          type: parseTypeRef(field.type),
+          args: field.args && Object.fromEntries(Object.entries(field.args).map(([argName, argument]) => [argName, {
+            ...argument,
+            type: parseTypeRef(argument.type),
+          }])),
+        }])),
+      };
+    });
+
+    Object.values(built.types).filter(type => type.kind === 'object').forEach(type => {
+      Object.entries(type.fields).forEach(([fieldName, field]) => {
+        const target = namedType(field.type);
+        if (!built.types[target] && !SCALARS[target]) {
+          throw new Error(`Tipo desconhecido ${target} em ${type.name}.${fieldName}`);
+        }
+      });
+    });
+
+    return built;
+  }
+
+  static printSchema(schema) {
+    const description = (text, indent = '') => (text ? `${indent}"${text.replace(/"/g, '\\"')}"\n` : '');
+
+    return Object.values(schema.types).filter(type => !isIntrospection(type.name)).map(type => {
+      if (type.kind === 'enum') {
+        return `${description(type.description)}enum ${type.name} {\n${type.values.map(value => `  ${value}`).join('\n')}\n}`;
+      }
+
+      const fields = Object.entries(type.fields).filter(([name]) => !isIntrospection(name)).map(([name, field]) => {
+        const args = field.args
+          ? `(${Object.entries(field.args).map(([argName, argument]) => `${argName}: ${printType(argument.type)}`).join(', ')})`
+          : '';
+        return `${description(field.description, '  ')}  ${name}${args}: ${printType(field.type)}`;
+      });
+
+      return `${description(type.description)}type ${type.name} {\n${fields.join('\n')}\n}`;
+    }).join('\n\n') + '\n';
+  }
+
+  // Analisa e valida a consulta e converte as variáveis. Retorna { errors }
+  // ou { request }, pronto para cost() e execute(). limits barra consultas
+  // longas demais (caracteres), profundas demais ou com campos demais depois
+  // de expandir os fragmentos.
+  static prepare(schema, { query, variables = {}, operationName = null }, limits = {}) {
+    const { maxLength = Infinity, maxDepth = Infinity, maxSelections = Infinity } = limits;
+    let document;
+
+    if (query.length > maxLength) {
+      return { errors: [{ message: `Consulta excede o limite de ${maxLength} caracteres` }] };
+    }
+
+    try {
+      document = new Parser(query).parseDocument();
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      return { errors: [{ message: error.message, locations: error.details.locations }] };
+    }
+
+    const { errors, operation, fragments } = validateDocument(schema, document, operationName);
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const { depth, selections } = measure(operation.selectionSet, fragments);
+
+    if (depth > maxDepth) {
+      return { errors: [{ message: `Consulta excede a profundidade máxima de ${maxDepth} níveis`, locations: [operation.loc] }] };
+    }
+
+    if (selections > maxSelections) {
+      return { errors: [{ message: `Consulta excede o limite de ${maxSelections} campos (com os fragmentos expandidos)`, locations: [operation.loc] }] };
+    }
+
+    const coerced = {};
+
+    operation.variables.forEach(variable => {
+      const provided = variables?.[variable.name];
+
+      try {
+        coerced[variable.name] = provided === undefined && variable.defaultValue !== undefined
+          ? valueFromNode(schema, variable.defaultValue, variable.type, {}, `Variável $${variable.name}`)
+          : coerceInput(schema, provided, variable.type, `Variável $${variable.name}`);
+      } catch (error) {
+        errors.push({ message: error.message, locations: [variable.loc] });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const request = { schema, operation, fragments, variables: coerced };
+
+    // @skip/@include da raiz com variável inválida: erro da consulta inteira
+    try {
+      collectFields(request, [operation.selectionSet]);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      return { errors: [{ message: error.message }] };
+    }
+
+    return { request };
+  }
+
+  // Custo da consulta antes da execução (para rate limit e limites de lote):
+  // soma o `cost(args)` dos campos raiz que serão executados, já com
+  // @skip/@include e fragmentos aplicados. Argumentos inválidos não contam e
+  // viram erro na execução.
+  static cost(request) {
+    return [...collectFields(request, [request.operation.selectionSet]).values()].reduce((total, [node]) => {
+      const field = request.schema.types.Query.fields[node.name];
+      if (!field?.cost) return total;
+
+      try {
+        return total + field.cost(coerceArguments(request.schema, field, node, request.variables));
+      } catch {
+        return total;
+      }
+    }, 0);
+  }
+
+  static async execute(request, context = {}) {
+    const state = { ...request, context, errors: [] };
+    let data;
+
+    try {
+      data = await executeSelectionSet(state, 'Query', [request.operation.selectionSet], null, []);
+    } catch (error) {
+      if (!(error instanceof NullPropagation)) throw error;
+      data = null;
+    }
+
+    return state.errors.length > 0 ? { errors: state.errors, data } : { data };
+  }
+}
@@ -0,0 +1,55 @@
+import { SECURITY_CONFIG } from './config.js';
+import { CacheManager } from './cache/index.js';
+import { ProviderChain } from './providers/index.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+
+let lastReport = null;
+let lastReportAt = 0;
+
+// =============================================
+// VERIFICAÇÃO DE SAÚDE (CACHE E PROVEDORES)
+// =============================================
+// O relatório é reaproveitado por HEALTH_CACHE_MS para que monitores
+// consultando a rota com frequência não martelem as APIs externas.
+export class HealthCheck {
+  static async run() {
+    if (lastReport && Date.now() - lastReportAt < SECURITY_CONFIG.HEALTH_CACHE_MS) {
+      return lastReport;
+    }
+
+    const [cache, providers] = await Promise.all([
+      CacheManager.health(),
+      Promise.all(ProviderChain.getProviders().map(async provider => ({
+        id: provider.id,
+        ...(await provider.probe()),
+        circuit: CircuitBreaker.for(provider.id).getState(),
+      }))),
+    ]);
+
+    lastReport = {
+      status: this.getStatus(cache, providers),
+      checkedAt: new Date().toISOString(),
+      uptime: Math.round(process.uptime()),
+      cache,
+      providers,
+    };
+    lastReportAt = Date.now();
+
+    return lastReport;
+  }
+
+  // ok: tudo de pé; degraded: algum provedor fora (ou com o circuito aberto), mas
+  // há fallback; down: sem cache ou sem provedores
+  static getStatus(cache, providers) {
+    const reachable = providers.filter(provider => provider.ok && provider.circuit !== 'open').length;
+
+    if (!cache.ok || reachable === 0) return 'down';
+    if (reachable < providers.length) return 'degraded';
+    return 'ok';
+  }
+
+  static reset() {
+    lastReport = null;
+    lastReportAt = 0;
+  }
+}
@@ -0,0 +1,644 @@
+import { randomUUID } from 'node:crypto';
+import { SECURITY_CONFIG } from './config.js';
+import { SecurityMiddleware } from './security.js';
+import { CNPJValidatorServer } from './validator.js';
+import { CNPJLookupService } from './lookup.js';
+import { RateLimiter } from './rate-limiter.js';
+import { createCacheBackend } from './cache/index.js';
+import { ApiError, ErrorMapper, ERROR_CODES } from './errors.js';
+import { Logger } from './logger.js';
+import { Metrics } from './metrics.js';
+
+let store = null;
+
+const ACTIVE_INDEX_KEY = 'index:active';
+
+// Erros passageiros voltam para a fila até JOBS_MAX_ATTEMPTS
+const RETRYABLE_CODES = ['UPSTREAM_TIMEOUT', 'UPSTREAM_UNAVAILABLE', 'UPSTREAM_CIRCUIT_OPEN', 'UPSTREAM_ERROR'];
+
+// Depois de um 429 da API externa, o job espera antes de voltar a consultá-la
+const UPSTREAM_BACKOFF_MS = 60000;
+
+// Progresso gravado no store no máximo uma vez por intervalo (e no fim da fatia)
+const SAVE_INTERVAL_MS = 1000;
+
+// Erros listados no resumo do job; a lista completa sai nos resultados
+const SUMMARY_ERRORS = 100;
+
+// Folga do lease além do prazo da fatia, para a última consulta em andamento
+const LEASE_MARGIN_MS = 15000;
+
+// Célula que, sem máscara, tem cara de CNPJ (numérico ou alfanumérico)
+const CNPJ_LIKE = /^[0-9A-Z]{12}\d{2}$/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// =============================================
+// STORE DOS JOBS
+// =============================================
+// Mesmo tipo de store do cache, com opções próprias. O registro do job tem só
+// os contadores de progresso; os itens, com os dados das empresas, ficam em
+// blocos de JOBS_CHUNK_SIZE, cada um na sua chave, gravados só quando mudam.
+//
+// O índice de jobs ativos
+// (usado pelo cron) guarda { id, client } na ordem de atendimento e é lido e
+// regravado sem trava: numa corrida rara um job pode sair do índice (a próxima
+// consulta de progresso o devolve) ou um cliente pode passar por um job do
+// limite de jobs em andamento.
+//
+// Na Vercel cada instância tem memória e disco próprios: um job gravado numa
+// não existiria para o cron nem para as consultas atendidas por outra. Lá os
+// jobs exigem JOBS_BACKEND=redis; sem ele, os endpoints respondem 503.
+export class JobStore {
+  static getStore() {
+    if (!store) {
+      const name = SECURITY_CONFIG.JOBS_BACKEND;
+
+      if (process.env.VERCEL === '1' && name !== 'redis') {
+        throw new ApiError('JOBS_UNAVAILABLE', undefined, `JOBS_BACKEND=${name} não é compartilhado entre as instâncias da Vercel; use redis`);
+      }
+
+      store = createCacheBackend(name, {
+        ...SECURITY_CONFIG.CACHE_BACKENDS[name],
+        ...SECURITY_CONFIG.JOBS_BACKEND_OPTIONS,
+      });
+    }
+
+    return store;
+  }
+
+  static setStore(newStore) {
+    store = newStore;
+  }
+
+  static async close() {
+    await store?.close?.();
+    store = null;
+  }
+
+  static get(id) {
+    return this.getStore().get(`job:${id}`);
+  }
+
+  static save(job) {
+    return this.getStore().set(`job:${job.id}`, job);
+  }
+
+  static getChunk(id, index) {
+    return this.getStore().get(`items:${id}:${index}`);
+  }
+
+  static saveChunk(id, index, items) {
+    return this.getStore().set(`items:${id}:${index}`, items);
+  }
+
+  static async getItems(job) {
+    const items = [];
+
+    for (let index = 0; index < job.chunks; index++) {
+      items.push(...((await this.getChunk(job.id, index)) || []));
+    }
+
+    return items;
+  }
+
+  // Regrava os blocos para renovar a validade deles no store
+  static async refreshChunks(job) {
+    for (let index = 0; index < job.chunks; index++) {
+      const items = await this.getChunk(job.id, index);
+      if (items) await this.saveChunk(job.id, index, items);
+    }
+  }
+
+  static async remove(job) {
+    await this.removeActive(job.id);
+
+    for (let index = 0; index < job.chunks; index++) {
+      await this.getStore().delete(`items:${job.id}:${index}`);
+    }
+
+    await this.getStore().delete(`job:${job.id}`);
+  }
+
+  static async listActive() {
+    return (await this.getStore().get(ACTIVE_INDEX_KEY)) || [];
+  }
+
+  static async countActive(client) {
+    return (await this.listActive()).filter(entry => entry.client === client).length;
+  }
+
+  // Inclui o job no fim do índice, ou o leva para o fim se já estiver nele
+  static async addActive(job) {
+    const active = await this.listActive();
+    await this.getStore().set(ACTIVE_INDEX_KEY, [
+      ...active.filter(entry => entry.id !== job.id),
+      { id: job.id, client: job.client },
+    ]);
+  }
+
+  // Passa os jobs do cliente para o fim do índice, com este por último: quem
+  // acabou de ser atendido espera os demais clientes e, entre os próprios
+  // jobs, o próximo da vez
+  static async rotateActive(job) {
+    const active = await this.listActive();
+    const own = active.filter(entry => entry.client === job.client);
+
+    await this.getStore().set(ACTIVE_INDEX_KEY, [
+      ...active.filter(entry => entry.client !== job.client),
+      ...own.filter(entry => entry.id !== job.id),
+      ...own.filter(entry => entry.id === job.id),
+    ]);
+  }
+
+  // Devolve ao índice um job que saiu dele numa corrida, sem mudar a vez dos outros
+  static async ensureActive(job) {
+    const active = await this.listActive();
+
+    if (!active.some(entry => entry.id === job.id)) {
+      await this.getStore().set(ACTIVE_INDEX_KEY, [...active, { id: job.id, client: job.client }]);
+    }
+  }
+
+  static acquireLease(id, token, ttl) {
+    return this.getStore().acquireLease(`lease:${id}`, token, ttl);
+  }
+
+  static releaseLease(id, token) {
+    return this.getStore().releaseLease(`lease:${id}`, token);
+  }
+
+  static async removeActive(id) {
+    const active = await this.listActive();
+    await this.getStore().set(ACTIVE_INDEX_KEY, active.filter(entry => entry.id !== id));
+  }
+}
+
+// =============================================
+// ENTRADA: LISTA DE CNPJS EM CSV OU TXT
+// =============================================
+export class JobInput {
+  // Corpo JSON ({ cnpjs: [...] }), texto (text/csv, text/plain) ou upload
+  // multipart/form-data com o arquivo no primeiro campo
+  static fromRequest(req) {
+    const contentType = String(req.headers['content-type'] || '').toLowerCase();
+    const { body } = req;
+
+    if (contentType.includes('application/json')) {
+      return Array.isArray(body?.cnpjs)
+        ? { cnpjs: body.cnpjs.map(String) }
+        : { error: 'Informe uma lista de CNPJs no campo "cnpjs"' };
+    }
+
+    if (contentType.startsWith('multipart/form-data')) {
+      const upload = this.extractUpload(body, contentType);
+      return upload === null ? { error: 'Nenhum arquivo encontrado no upload' } : { cnpjs: this.parseList(upload) };
+    }
+
+    if (contentType.startsWith('text/')) {
+      return { cnpjs: this.parseList(Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '')) };
+    }
+
+    return { error: 'Envie a lista como text/csv, text/plain, multipart/form-data ou JSON' };
+  }
+
+  static extractUpload(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+    if (!match || body === undefined) return null;
+
+    const boundary = `--${match[1] || match[2]}`;
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+
+    for (const part of text.split(boundary).slice(1)) {
+      const separator = part.indexOf('\r\n\r\n');
+      if (separator === -1) continue;
+
+      // O conteúdo termina no \r\n que antecede o próximo delimitador
+      return part.slice(separator + 4).replace(/\r\n$/, '');
+    }
+
+    return null;
+  }
+
+  // Uma linha por empresa; em CSV vale a primeira coluna com cara de CNPJ.
+  // A primeira linha sem nenhum CNPJ é tratada como cabeçalho; as demais
+  // entram como estão e viram itens inválidos.
+  static parseList(text) {
+    const cnpjs = [];
+    let headerSkipped = false;
+
+    text.replace(/^﻿/, '').split(/\r?\n/).forEach(line => {
+      const cells = line.split(/[,;\t]/)
+        .map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim())
+        .filter(cell => cell);
+
+      if (cells.length === 0) return;
+
+      const candidate = cells.find(cell => CNPJ_LIKE.test(SecurityMiddleware.sanitizeCNPJ(cell)));
+
+      if (candidate) {
+        cnpjs.push(candidate);
+      } else if (!headerSkipped && cnpjs.length === 0) {
+        headerSkipped = true;
+      } else {
+        cnpjs.push(cells[0]);
+      }
+    });
+
+    return cnpjs;
+  }
+}
+
+// =============================================
+// CRIAÇÃO E RESUMO DOS JOBS
+// =============================================
+export class JobManager {
+  // CNPJs repetidos entram uma vez só; inválidos já nascem com erro. owner
+  // (id da chave de API) decide quem vê o job; client (chave ou IP, como no
+  // rate limit) é quem o worker atende em rodízio.
+  static async create(inputs, { owner = null, client = null } = {}) {
+    const now = new Date().toISOString();
+    const seen = new Set();
+    const items = [];
+    let duplicates = 0;
+
+    inputs.forEach(input => {
+      const validation = CNPJValidatorServer.validate(SecurityMiddleware.sanitizeCNPJ(input));
+
+      if (!validation.isValid) {
+        items.push({ cnpj: input, status: 'error', code: validation.code, message: validation.error });
+        return;
+      }
+
+      if (seen.has(validation.cleaned)) {
+        duplicates++;
+        return;
+      }
+
+      seen.add(validation.cleaned);
+      items.push({ cnpj: input, cleaned: validation.cleaned, status: 'pending', attempts: 0 });
+    });
+
+    const size = SECURITY_CONFIG.JOBS_CHUNK_SIZE;
+    const job = {
+      id: randomUUID(),
+      owner,
+      client,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      pausedUntil: 0,
+      duplicates,
+      total: items.length,
+      counts: { succeeded: 0, failed: 0, pending: 0 },
+      errors: [],
+      chunks: Math.ceil(items.length / size),
+      // Primeiro bloco que ainda pode ter itens pendentes
+      cursor: 0,
+      refreshedAt: Date.now(),
+    };
+
+    items.forEach(item => (item.status === 'pending' ? job.counts.pending++ : this.record(job, item)));
+
+    if (job.counts.pending === 0) {
+      this.finish(job);
+    }
+
+    for (let index = 0; index < job.chunks; index++) {
+      await JobStore.saveChunk(job.id, index, items.slice(index * size, (index + 1) * size));
+    }
+
+    await JobStore.save(job);
+
+    if (job.status !== 'completed') {
+      await JobStore.addActive(job);
+    }
+
+    Metrics.increment('cnpj_jobs_created_total');
+    Logger.info('Job criado', { jobId: job.id, items: items.length, duplicates, owner });
+
+    return job;
+  }
+
+  // Jobs criados com chave de API só são visíveis para a mesma chave; para
+  // os demais, o job simplesmente não existe
+  static async getForClient(id, apiKey) {
+    const job = await JobStore.get(id);
+    return job && (!job.owner || job.owner === apiKey?.id) ? job : null;
+  }
+
+  static finish(job) {
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+  }
+
+  // Conta um item resolvido nos contadores do job
+  static record(job, item) {
+    if (item.status === 'ok') {
+      job.counts.succeeded++;
+      return;
+    }
+
+    job.counts.failed++;
+
+    if (job.errors.length < SUMMARY_ERRORS) {
+      job.errors.push({ cnpj: item.cnpj, code: item.code, message: item.message });
+    }
+  }
+
+  static summarize(job) {
+    const { total, counts: { succeeded, failed, pending } } = job;
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: {
+        total,
+        processed: total - pending,
+        succeeded,
+        failed,
+        pending,
+        duplicates: job.duplicates,
+        percent: total === 0 ? 100 : Math.floor(((total - pending) / total) * 100),
+      },
+      errors: job.errors,
+      links: {
+        self: `/api/jobs/${job.id}`,
+        results: `/api/jobs/${job.id}/results`,
+      },
+    };
+  }
+
+  // Mesmo formato dos itens do /api/cnpj/batch
+  static async results(job) {
+    return (await JobStore.getItems(job)).map(item => (item.status === 'ok'
+      ? { cnpj: item.cnpj, error: false, data: item.data, provider: item.provider, cached: item.cached }
+      : { cnpj: item.cnpj, error: true, status: ERROR_CODES[item.code].status, code: item.code, message: item.message }
+    ));
+  }
+}
+
+// =============================================
+// WORKER
+// =============================================
+// Processa os itens pendentes em fatias com prazo. Respostas do cache não
+// gastam nada; cada consulta à API externa consome uma ficha do balde
+// compartilhado `jobs:upstream` (JOBS_UPSTREAM_PER_MINUTE). Um lease por job
+// no store (SET NX PX no Redis) evita que cron, consultas de progresso e o
+// servidor processem o mesmo job ao mesmo tempo.
+export class JobWorker {
+  // O tick divide as fichas em rodízio: a cada rodada, um job por cliente (o
+  // primeiro dele no índice) faz no máximo uma consulta à API externa e, se
+  // avançou, o cliente vai para o fim do índice, então o próximo tick começa
+  // por quem esperou. Job que não avançou na vez (pausado, com lease de outro
+  // worker, sem ficha) sai das rodadas deste tick.
+  static async tick({ budgetMs = SECURITY_CONFIG.JOBS_SLICE_MS } = {}) {
+    const deadline = Date.now() + budgetMs;
+    const active = await JobStore.listActive();
+    const pendingById = new Map();
+    let candidates = active;
+
+    while (candidates.length > 0 && Date.now() < deadline) {
+      const clients = new Set();
+      const round = candidates.filter(entry => !clients.has(entry.client) && clients.add(entry.client));
+      const stalled = new Set();
+
+      for (const entry of round) {
+        if (Date.now() >= deadline) break;
+
+        const job = await this.advance(entry.id, { deadline, maxLookups: 1 });
+
+        // Job expirado no store
+        if (!job) {
+          await JobStore.removeActive(entry.id);
+          stalled.add(entry.id);
+          continue;
+        }
+
+        const pending = job.counts.pending;
+
+        if (job.status === 'completed' || pending >= (pendingById.get(entry.id) ?? Infinity)) {
+          stalled.add(entry.id);
+        }
+
+        pendingById.set(entry.id, pending);
+
+        if (!stalled.has(entry.id) || job.status === 'completed') {
+          await JobStore.rotateActive(job);
+        }
+      }
+
+      // Os atendidos na rodada passam para o fim da fila do tick
+      candidates = [
+        ...candidates.filter(entry => !round.includes(entry)),
+        ...round.filter(entry => !stalled.has(entry.id)),
+      ];
+    }
+
+    return { active: active.length, advanced: pendingById.size };
+  }
+
+  // maxLookups limita as consultas à API externa desta vez (0: só o cache)
+  static async advance(id, { deadline, maxLookups = Infinity }) {
+    const current = await JobStore.get(id);
+
+    if (!this.isWaiting(current)) return current;
+
+    const leaseId = randomUUID();
+
+    if (!(await JobStore.acquireLease(id, leaseId, deadline + LEASE_MARGIN_MS - Date.now()))) {
+      return current;
+    }
+
+    try {
+      // Relido já com o lease: outro worker pode ter gravado progresso depois
+      // da primeira leitura
+      const job = await JobStore.get(id);
+
+      if (!this.isWaiting(job)) return job;
+
+      let found;
+
+      try {
+        found = await this.process(job, deadline, maxLookups);
+      } finally {
+        if (found !== false) await this.settle(job);
+      }
+
+      // Um bloco de itens sumiu do store: o job não tem como terminar e é
+      // tratado como expirado
+      if (!found) {
+        Logger.warn('Itens do job não encontrados no store, descartando o job', { jobId: id });
+        await JobStore.remove(job);
+        return null;
+      }
+
+      return job;
+    } finally {
+      await JobStore.releaseLease(id, leaseId);
+    }
+  }
+
+  static isWaiting(job) {
+    return Boolean(job) && job.status !== 'completed' && job.pausedUntil <= Date.now();
+  }
+
+  // Grava o fim da vez e tira o job concluído do índice
+  static async settle(job) {
+    job.updatedAt = new Date().toISOString();
+
+    if (job.counts.pending === 0) {
+      JobManager.finish(job);
+      Logger.info('Job concluído', { jobId: job.id, items: job.total });
+    }
+
+    // Blocos sem pendências não são mais regravados pelo worker: renovados na
+    // conclusão e, em jobs que duram mais que a validade do store, a cada
+    // metade dela
+    if (job.status === 'completed' || Date.now() - job.refreshedAt >= JobStore.getStore().ttl / 2) {
+      await JobStore.refreshChunks(job);
+      job.refreshedAt = Date.now();
+    }
+
+    await JobStore.save(job);
+
+    if (job.status === 'completed') {
+      await JobStore.removeActive(job.id);
+    } else {
+      await JobStore.ensureActive(job);
+    }
+  }
+
+  // Percorre os blocos a partir do cursor. Retorna false se um bloco não
+  // existe mais no store
+  static async process(job, deadline, maxLookups = Infinity) {
+    job.status = 'running';
+    job.startedAt ??= new Date().toISOString();
+    const turn = { lookups: 0, maxLookups };
+    let lastSave = Date.now();
+    let stopped = false;
+
+    for (let index = job.cursor; index < job.chunks && !stopped; index++) {
+      const items = await JobStore.getChunk(job.id, index);
+      if (!items) return false;
+
+      let changed = false;
+
+      for (const item of items) {
+        if (item.status !== 'pending') continue;
+
+        if (Date.now() >= deadline) {
+          stopped = true;
+          break;
+        }
+
+        const outcome = await this.processItem(item, deadline, turn);
+
+        if (outcome === 'deferred' || outcome === 'yield') {
+          stopped = true;
+          break;
+        }
+
+        if (outcome === 'rate-limited') {
+          job.pausedUntil = Date.now() + UPSTREAM_BACKOFF_MS;
+          Logger.warn('API externa limitou o job, pausando', { jobId: job.id, pausedForMs: UPSTREAM_BACKOFF_MS });
+          stopped = true;
+          break;
+        }
+
+        changed = true;
+
+        if (item.status !== 'pending') {
+          job.counts.pending--;
+          JobManager.record(job, item);
+        }
+
+        // O bloco vai antes do registro: os contadores nunca passam à frente
+        // dos itens gravados
+        if (Date.now() - lastSave >= SAVE_INTERVAL_MS) {
+          job.updatedAt = new Date().toISOString();
+          await JobStore.saveChunk(job.id, index, items);
+          await JobStore.save(job);
+          lastSave = Date.now();
+          changed = false;
+        }
+      }
+
+      if (changed) {
+        await JobStore.saveChunk(job.id, index, items);
+      }
+
+      if (index === job.cursor && !items.some(item => item.status === 'pending')) {
+        job.cursor++;
+      }
+    }
+
+    return true;
+  }
+
+  // Retorna done, retry (fica pendente), yield (acabaram as consultas da vez),
+  // deferred (sem ficha até o prazo) ou rate-limited (429 da API externa)
+  static async processItem(item, deadline, turn) {
+    const cached = await CNPJLookupService.lookupCached(item.cleaned);
+
+    if (cached && !cached.stale) {
+      this.complete(item, cached);
+      return 'done';
+    }
+
+    if (turn.lookups >= turn.maxLookups) {
+      return 'yield';
+    }
+
+    if (!(await this.waitForUpstreamSlot(deadline))) {
+      return 'deferred';
+    }
+
+    turn.lookups++;
+    item.attempts++;
+
+    try {
+      this.complete(item, await CNPJLookupService.lookup(item.cleaned));
+      return 'done';
+    } catch (error) {
+      const { code, message } = ErrorMapper.toResponse(error);
+
+      if (code === 'UPSTREAM_RATE_LIMITED') {
+        item.attempts--;
+        return 'rate-limited';
+      }
+
+      if (RETRYABLE_CODES.includes(code) && item.attempts < SECURITY_CONFIG.JOBS_MAX_ATTEMPTS) {
+        Logger.warn('Falha passageira em item de job, nova tentativa depois', { cnpj: item.cleaned, code, attempts: item.attempts });
+        return 'retry';
+      }
+
+      Object.assign(item, { status: 'error', code, message });
+      return 'done';
+    }
+  }
+
+  static complete(item, { data, provider, cached }) {
+    Object.assign(item, { status: 'ok', data, provider, cached });
+  }
+
+  static async waitForUpstreamSlot(deadline) {
+    const rule = { key: 'jobs:upstream', limit: SECURITY_CONFIG.JOBS_UPSTREAM_PER_MINUTE, windowMs: 60000 };
+
+    for (;;) {
+      const result = await RateLimiter.consume([rule]);
+      if (result.allowed) return true;
+
+      const waitMs = result.retryAfter * 1000;
+      if (Date.now() + waitMs >= deadline) return false;
+
+      await sleep(waitMs);
+    }
+  }
+}
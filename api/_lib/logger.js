@@ -0,0 +1,44 @@
+import { RequestContext } from './tracing.js';
+
+// =============================================
+// LOGGER ESTRUTURADO
+// =============================================
+// Dentro de uma requisição, toda linha leva o requestId do RequestContext
+export class Logger {
+  static info(message, meta = {}) {
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'INFO',
+      message,
+      requestId: RequestContext.getRequestId() || undefined,
+      ...meta
+    }));
+  }
+  
+  static error(message, error = null, meta = {}) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      message,
+      requestId: RequestContext.getRequestId() || undefined,
+      error: error ? {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        details: error.details,
+        stack: error.stack
+      } : null,
+      ...meta
+    }));
+  }
+
+  static warn(message, meta = {}) {
+    console.warn(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'WARN',
+      message,
+      requestId: RequestContext.getRequestId() || undefined,
+      ...meta
+    }));
+  }
+}
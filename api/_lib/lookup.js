@@ -0,0 +1,112 @@
+import { SECURITY_CONFIG } from './config.js';
+import { CacheManager } from './cache/index.js';
+import { ProviderChain } from './providers/index.js';
+import { RequestContext, Tracer } from './tracing.js';
+import { Logger } from './logger.js';
+import { Metrics } from './metrics.js';
+
+const inFlight = new Map();
+
+// =============================================
+// SERVIÇO DE CONSULTA (CACHE + PROVEDORES)
+// =============================================
+// Retorna { data, provider, cached, stale, age }, com data no esquema da versão
+// pedida (o cache guarda a resposta bruta do provedor). Uma entrada vencida
+// (mas dentro de CACHE_MAX_STALE_MS) é servida com stale: true enquanto é
+// revalidada em segundo plano, ou apenas quando a API externa falha.
+// Quem já leu o cache (o lote em streaming) passa a entrada em cachedEntry
+// para não ler de novo.
+export class CNPJLookupService {
+  static async lookup(cnpj, { version = 1, cachedEntry: knownEntry } = {}) {
+    const cachedEntry = knownEntry === undefined ? await this.getCachedEntry(cnpj) : knownEntry;
+
+    if (cachedEntry && !cachedEntry.stale) {
+      Logger.info('Retornando dados do cache', { cnpj });
+      return this.toResult(cachedEntry, version, true);
+    }
+
+    if (cachedEntry && SECURITY_CONFIG.CACHE_STALE_WHILE_REVALIDATE) {
+      Logger.info('Retornando dados vencidos do cache e revalidando', { cnpj, age: cachedEntry.age });
+      this.revalidate(cnpj);
+      return this.toResult(cachedEntry, version, true);
+    }
+
+    try {
+      return this.toResult(await this.fetchAndStore(cnpj), version, false);
+    } catch (error) {
+      if (!cachedEntry) throw error;
+
+      // CNPJ que deixou de existir não deve continuar sendo servido
+      if (error.code === 'NOT_FOUND') {
+        await CacheManager.delete(cnpj);
+        throw error;
+      }
+
+      Logger.warn('API externa falhou, retornando dados vencidos do cache', {
+        cnpj,
+        age: cachedEntry.age,
+        code: error.code,
+      });
+      return this.toResult(cachedEntry, version, true);
+    }
+  }
+
+  // Só o cache, sem chamar os provedores (entradas vencidas inclusive)
+  static async lookupCached(cnpj, { version = 1 } = {}) {
+    const cachedEntry = await this.getCachedEntry(cnpj);
+    return cachedEntry ? this.toResult(cachedEntry, version, true) : null;
+  }
+
+  // Entradas gravadas antes de o cache guardar a resposta bruta contam como miss
+  static async getCachedEntry(cnpj) {
+    const cachedEntry = await Tracer.span('cache.get', { cnpj }, () => CacheManager.get(cnpj, { allowStale: true }));
+    return cachedEntry?.raw ? cachedEntry : null;
+  }
+
+  static toResult({ raw, provider, stale = false, age = 0 }, version, cached) {
+    return { data: ProviderChain.map(provider, raw, version), provider, cached, stale, age };
+  }
+
+  // Single-flight: consultas simultâneas ao mesmo CNPJ (inclusive revalidações)
+  // compartilham a mesma chamada aos provedores, e o resultado ou o erro dela.
+  // A deduplicação vale por instância. Os spans upstream.* ficam só no trace de
+  // quem fez a chamada; as demais requisições registram a espera num span
+  // upstream.wait que aponta para o requestId e o traceId dessa requisição.
+  static fetchAndStore(cnpj) {
+    if (inFlight.has(cnpj)) {
+      Metrics.increment('cnpj_lookup_coalesced_total');
+
+      const { request, leaderRequestId, leaderTraceId } = inFlight.get(cnpj);
+      return Tracer.span('upstream.wait', { cnpj, leaderRequestId, leaderTraceId }, () => request);
+    }
+
+    const request = (async () => {
+      const { raw, provider } = await ProviderChain.fetchCNPJData(cnpj);
+
+      await CacheManager.set(cnpj, { raw, provider });
+
+      return { raw, provider };
+    })().finally(() => inFlight.delete(cnpj));
+
+    inFlight.set(cnpj, {
+      request,
+      leaderRequestId: RequestContext.getRequestId(),
+      leaderTraceId: RequestContext.get()?.traceId ?? null,
+    });
+    return request;
+  }
+
+  // Em ambiente serverless a instância pode ser congelada logo após a resposta;
+  // a revalidação então só conclui numa próxima invocação da mesma instância
+  static revalidate(cnpj) {
+    return this.fetchAndStore(cnpj)
+      .then(() => Logger.info('Cache revalidado', { cnpj }))
+      .catch(async (error) => {
+        if (error.code === 'NOT_FOUND') {
+          await CacheManager.delete(cnpj);
+        }
+
+        Logger.warn('Falha ao revalidar o cache', { cnpj, code: error.code, error: error.details || error.message });
+      });
+  }
+}
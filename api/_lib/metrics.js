@@ -0,0 +1,151 @@
+// =============================================
+// MÉTRICAS NO FORMATO DO PROMETHEUS
+// =============================================
+// Registro em memória, por instância: em ambiente serverless cada instância
+// expõe os próprios contadores e a agregação fica a cargo do Prometheus.
+const METRIC_DEFINITIONS = {
+  cnpj_http_requests_total: {
+    type: 'counter',
+    help: 'Requisições HTTP atendidas, por rota, método e status',
+  },
+  cnpj_upstream_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Latência das chamadas às APIs externas, por provedor e resultado',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  },
+  cnpj_cache_lookups_total: {
+    type: 'counter',
+    help: 'Leituras do cache de CNPJs, por resultado (hit, stale ou miss)',
+  },
+  cnpj_lookup_coalesced_total: {
+    type: 'counter',
+    help: 'Consultas que aproveitaram uma chamada já em andamento para o mesmo CNPJ',
+  },
+  cnpj_circuit_state: {
+    type: 'gauge',
+    help: 'Estado do circuit breaker por provedor (0 fechado, 1 meio-aberto, 2 aberto)',
+  },
+  cnpj_upstream_schema_drift_total: {
+    type: 'counter',
+    help: 'Respostas de API externa fora do esquema esperado, por provedor e tipo (missing ou unknown)',
+  },
+  cnpj_rate_limit_rejections_total: {
+    type: 'counter',
+    help: 'Requisições recusadas pelo rate limit, por escopo (minute ou day)',
+  },
+  cnpj_jobs_created_total: {
+    type: 'counter',
+    help: 'Jobs de consulta em massa criados',
+  },
+};
+
+const series = new Map();
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function getSeries(name, labels, create) {
+  if (!METRIC_DEFINITIONS[name]) {
+    throw new Error(`Métrica desconhecida: ${name}`);
+  }
+
+  if (!series.has(name)) series.set(name, new Map());
+
+  const metricSeries = series.get(name);
+  const key = labelKey(labels);
+
+  if (!metricSeries.has(key)) metricSeries.set(key, { labels, ...create() });
+
+  return metricSeries.get(key);
+}
+
+export class Metrics {
+  static increment(name, labels = {}, value = 1) {
+    getSeries(name, labels, () => ({ value: 0 })).value += value;
+  }
+
+  static set(name, labels, value) {
+    getSeries(name, labels, () => ({ value: 0 })).value = value;
+  }
+
+  static observe(name, labels, value) {
+    const { buckets } = METRIC_DEFINITIONS[name];
+    const entry = getSeries(name, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+    buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  static getValue(name, labels = {}) {
+    return series.get(name)?.get(labelKey(labels))?.value || 0;
+  }
+
+  static reset() {
+    series.clear();
+  }
+
+  // Envolve um handler para contar as respostas pelo status final
+  static instrument(route, handler) {
+    return async function instrumentedHandler(req, res) {
+      try {
+        return await handler(req, res);
+      } finally {
+        Metrics.increment('cnpj_http_requests_total', {
+          route,
+          method: req.method,
+          status: String(res.statusCode),
+        });
+      }
+    };
+  }
+
+  static getCacheHitRatio() {
+    const hits = this.getValue('cnpj_cache_lookups_total', { result: 'hit' });
+    const total = hits +
+      this.getValue('cnpj_cache_lookups_total', { result: 'stale' }) +
+      this.getValue('cnpj_cache_lookups_total', { result: 'miss' });
+
+    return total > 0 ? hits / total : 0;
+  }
+
+  static render() {
+    const lines = [];
+
+    Object.entries(METRIC_DEFINITIONS).forEach(([name, definition]) => {
+      lines.push(`# HELP ${name} ${definition.help}`);
+      lines.push(`# TYPE ${name} ${definition.type}`);
+
+      for (const entry of series.get(name)?.values() || []) {
+        if (definition.type === 'histogram') {
+          definition.buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        } else {
+          lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        }
+      }
+    });
+
+    // Razão derivada dos contadores, para quem não quer montar a consulta no PromQL
+    lines.push('# HELP cnpj_cache_hit_ratio Proporção de leituras do cache com hit desde o início da instância');
+    lines.push('# TYPE cnpj_cache_hit_ratio gauge');
+    lines.push(`cnpj_cache_hit_ratio ${this.getCacheHitRatio()}`);
+
+    return `${lines.join('\n')}\n`;
+  }
+}
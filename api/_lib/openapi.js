@@ -0,0 +1,528 @@
+import { SECURITY_CONFIG } from './config.js';
+import { SchemaValidator } from './schema-validator.js';
+import { ApiError, ERROR_CODES } from './errors.js';
+
+// =============================================
+// SCHEMAS COMPARTILHADOS
+// =============================================
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const TEXT = { type: 'string' };
+const OPTIONAL_TEXT = { type: ['string', 'null'] };
+const ISO_DATE = { type: ['string', 'null'], format: 'date' };
+
+const object = (properties, extra = {}) => ({
+  type: 'object',
+  required: Object.keys(properties),
+  properties,
+  ...extra,
+});
+
+const listOf = (items) => ({ type: 'array', items });
+
+// Campos do v1 ficam como cada provedor entrega (datas sem formato garantido,
+// ids em string ou número), por isso o schema é propositalmente tolerante
+const ACTIVITY_V1 = object({ id: { type: ['string', 'integer'] }, text: OPTIONAL_TEXT });
+const OPTION_V1 = { type: 'object', required: ['optant'], properties: { optant: { type: 'boolean' }, since: OPTIONAL_TEXT } };
+
+const COMPANY_V1 = {
+  type: 'object',
+  required: ['taxId', 'alias', 'head', 'status', 'company', 'address', 'phones', 'emails',
+    'mainActivity', 'sideActivities', 'registrations', 'suframa'],
+  properties: {
+    taxId: { type: 'string', pattern: '^[0-9A-Z]{12}[0-9]{2}$' },
+    alias: OPTIONAL_TEXT,
+    founded: OPTIONAL_TEXT,
+    updated: OPTIONAL_TEXT,
+    status: object({ text: OPTIONAL_TEXT }),
+    statusDate: OPTIONAL_TEXT,
+    head: { type: 'boolean' },
+    company: {
+      type: 'object',
+      required: ['name', 'equity', 'simples', 'simei', 'members'],
+      properties: {
+        name: TEXT,
+        nature: nullable(object({ id: { type: ['string', 'integer'] }, text: OPTIONAL_TEXT })),
+        size: nullable({ type: 'object', required: ['text'], properties: { text: TEXT, acronym: OPTIONAL_TEXT } }),
+        equity: { type: 'number' },
+        simples: OPTION_V1,
+        simei: OPTION_V1,
+        members: listOf({
+          type: 'object',
+          required: ['person', 'role'],
+          properties: {
+            person: object({ name: TEXT, age: OPTIONAL_TEXT }),
+            role: object({ text: TEXT }),
+            since: OPTIONAL_TEXT,
+          },
+        }),
+      },
+    },
+    address: {
+      type: 'object',
+      required: ['street'],
+      properties: Object.fromEntries(
+        ['street', 'number', 'details', 'district', 'city', 'state', 'zip', 'country', 'municipality']
+          .map(key => [key, OPTIONAL_TEXT])
+      ),
+    },
+    phones: listOf(object({ area: TEXT, number: TEXT, type: { type: 'string', enum: ['LANDLINE'] } })),
+    emails: listOf(object({ address: TEXT, ownership: TEXT })),
+    mainActivity: nullable(ACTIVITY_V1),
+    sideActivities: listOf(ACTIVITY_V1),
+    registrations: listOf({
+      type: 'object',
+      required: ['number', 'enabled'],
+      properties: {
+        type: object({ id: { type: 'integer' }, text: TEXT }),
+        number: TEXT,
+        state: OPTIONAL_TEXT,
+        enabled: { type: 'boolean' },
+        status: object({ text: TEXT }),
+      },
+    }),
+    suframa: listOf({ type: 'object' }),
+  },
+};
+
+// O v2 é estrito: campos não documentados também contam como violação
+const strict = (properties) => object(properties, { additionalProperties: false });
+
+const CODE_TEXT = strict({ id: TEXT, text: TEXT });
+const OPTION_V2 = strict({ optant: { type: 'boolean' }, since: ISO_DATE });
+
+const COMPANY_V2 = strict({
+  taxId: { type: 'string', pattern: '^[0-9A-Z]{12}[0-9]{2}$' },
+  head: { type: 'boolean' },
+  alias: OPTIONAL_TEXT,
+  founded: ISO_DATE,
+  updated: { type: ['string', 'null'], format: 'date-time' },
+  status: strict({ text: OPTIONAL_TEXT, date: ISO_DATE, reason: OPTIONAL_TEXT }),
+  company: strict({
+    name: TEXT,
+    nature: nullable(CODE_TEXT),
+    size: nullable(strict({ id: OPTIONAL_TEXT, text: TEXT })),
+    equity: { type: 'number' },
+    simples: OPTION_V2,
+    simei: OPTION_V2,
+    members: listOf(strict({
+      name: TEXT,
+      type: OPTIONAL_TEXT,
+      role: strict({ id: OPTIONAL_TEXT, text: OPTIONAL_TEXT }),
+      since: ISO_DATE,
+      ageRange: OPTIONAL_TEXT,
+    })),
+  }),
+  address: strict({
+    street: OPTIONAL_TEXT,
+    number: OPTIONAL_TEXT,
+    details: OPTIONAL_TEXT,
+    district: OPTIONAL_TEXT,
+    zip: { type: ['string', 'null'], pattern: '^\\d{8}$' },
+    state: { type: ['string', 'null'], pattern: '^[A-Z]{2}$' },
+    municipality: strict({
+      ibge: { type: ['string', 'null'], pattern: '^\\d{7}$' },
+      name: OPTIONAL_TEXT,
+    }),
+    country: nullable(strict({ id: OPTIONAL_TEXT, name: OPTIONAL_TEXT })),
+  }),
+  phones: listOf(strict({
+    area: { type: ['string', 'null'], pattern: '^\\d{2}$' },
+    number: { type: 'string', pattern: '^\\d+$' },
+    type: { type: 'string', enum: ['LANDLINE', 'MOBILE', 'FAX'] },
+  })),
+  emails: listOf(strict({ address: TEXT })),
+  mainActivity: nullable(CODE_TEXT),
+  sideActivities: listOf(CODE_TEXT),
+  registrations: nullable(listOf(strict({ number: TEXT, state: OPTIONAL_TEXT, enabled: { type: 'boolean' } }))),
+  suframa: nullable(listOf(strict({ number: TEXT, enabled: { type: 'boolean' } }))),
+});
+
+const lookupResponse = (schemaName) => ({
+  type: 'object',
+  required: ['error', 'data', 'provider', 'cached'],
+  properties: {
+    error: { type: 'boolean', enum: [false] },
+    data: { $ref: `#/components/schemas/${schemaName}` },
+    provider: TEXT,
+    cached: { type: 'boolean' },
+    stale: { type: 'boolean', description: 'Presente quando o dado veio do cache já vencido' },
+    age: { type: 'integer', description: 'Idade do dado em segundos (só com stale)' },
+  },
+});
+
+// Resultado por item do /api/cnpj/batch, também usado pelos jobs em massa
+const BATCH_RESULTS = object({
+  error: { type: 'boolean' },
+  total: { type: 'integer' },
+  succeeded: { type: 'integer' },
+  failed: { type: 'integer' },
+  results: listOf({
+    type: 'object',
+    required: ['cnpj', 'error'],
+    properties: {
+      cnpj: TEXT,
+      error: { type: 'boolean' },
+      data: { $ref: '#/components/schemas/CompanyV1' },
+      provider: TEXT,
+      cached: { type: 'boolean' },
+      status: { type: 'integer' },
+      code: TEXT,
+      message: TEXT,
+    },
+  }),
+});
+
+// Estabelecimentos de uma raiz, do /api/cnpj/branches
+const BRANCHES = object({
+  root: TEXT,
+  stoppedBy: {
+    type: 'string',
+    enum: ['misses', 'max_probes', 'time_budget', 'rate_limit', 'upstream'],
+    description: 'Motivo do fim da sondagem. misses (ordens inexistentes seguidas) é uma heurística: filiais depois de uma lacuna maior podem faltar',
+  },
+  probed: { type: 'integer' },
+  branches: listOf(object({
+    cnpj: TEXT,
+    order: TEXT,
+    head: { type: 'boolean' },
+    name: OPTIONAL_TEXT,
+    status: OPTIONAL_TEXT,
+    city: OPTIONAL_TEXT,
+    state: OPTIONAL_TEXT,
+  })),
+});
+
+const JOB = object({
+  id: TEXT,
+  status: { type: 'string', enum: ['queued', 'running', 'completed'] },
+  createdAt: TEXT,
+  updatedAt: TEXT,
+  startedAt: OPTIONAL_TEXT,
+  finishedAt: OPTIONAL_TEXT,
+  progress: object({
+    total: { type: 'integer' },
+    processed: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    pending: { type: 'integer' },
+    duplicates: { type: 'integer', description: 'CNPJs repetidos na lista, consultados uma vez só' },
+    percent: { type: 'integer' },
+  }),
+  errors: {
+    ...listOf(object({ cnpj: TEXT, code: TEXT, message: TEXT })),
+    description: 'Os primeiros 100 itens com erro; a lista completa sai nos resultados',
+  },
+  links: object({ self: TEXT, results: TEXT }),
+});
+
+const jobResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: object({ error: { type: 'boolean' }, job: JOB }) } },
+});
+
+// =============================================
+// PARÂMETROS E RESPOSTAS
+// =============================================
+const PARAMETERS = {
+  cnpj: {
+    name: 'cnpj', in: 'query', required: true,
+    description: 'CNPJ numérico ou alfanumérico, com ou sem máscara',
+    schema: { type: 'string' },
+  },
+  fields: {
+    name: 'fields', in: 'query',
+    description: 'Projeção de campos separados por vírgula, com caminhos aninhados (ex.: company.name,address.city). Só vale para JSON.',
+    schema: { type: 'string' },
+  },
+  format: {
+    name: 'format', in: 'query',
+    description: 'Força o formato da resposta; tem precedência sobre o cabeçalho Accept',
+    schema: { type: 'string', enum: ['json', 'csv', 'xml'] },
+  },
+  jobId: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+  ifNoneMatch: { name: 'If-None-Match', in: 'header', schema: { type: 'string' } },
+  ifModifiedSince: { name: 'If-Modified-Since', in: 'header', schema: { type: 'string' } },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const ERRORS = {
+  400: errorResponse('CNPJ ou parâmetros inválidos'),
+  401: errorResponse('Chave de API ausente ou inválida'),
+  404: errorResponse('Empresa não encontrada'),
+  429: errorResponse('Limite de requisições ou cota excedidos (ver Retry-After)'),
+  503: errorResponse('Provedores de dados indisponíveis'),
+};
+
+const lookupOperation = (summary, schemaName) => ({
+  summary,
+  security: [{}, { bearerAuth: [] }],
+  parameters: ['cnpj', 'fields', 'format', 'ifNoneMatch', 'ifModifiedSince']
+    .map(name => ({ $ref: `#/components/parameters/${name}` })),
+  responses: {
+    200: {
+      description: 'Dados da empresa',
+      headers: {
+        ETag: { schema: { type: 'string' } },
+        'Last-Modified': { schema: { type: 'string' } },
+        Age: { schema: { type: 'integer' } },
+      },
+      content: {
+        'application/json': { schema: lookupResponse(schemaName) },
+        'text/csv': { schema: { type: 'string' } },
+        'application/xml': { schema: { type: 'string' } },
+      },
+    },
+    304: { description: 'Representação não mudou desde a última consulta' },
+    ...ERRORS,
+  },
+});
+
+// =============================================
+// DOCUMENTO OPENAPI
+// =============================================
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Consulta CNPJ',
+    version: '1.1.0',
+    description: 'Consulta de dados cadastrais de empresas brasileiras. O /api/cnpj mantém o esquema v1 '
+      + 'para compatibilidade; integrações novas devem usar o /api/v2/cnpj.',
+  },
+  paths: {
+    '/api/cnpj': { get: lookupOperation('Consulta um CNPJ (esquema v1)', 'CompanyV1') },
+    '/api/v2/cnpj': { get: lookupOperation('Consulta um CNPJ (esquema v2)', 'CompanyV2') },
+    '/api/cnpj/batch': {
+      post: {
+        summary: 'Consulta vários CNPJs em uma requisição',
+        description: 'Com Accept: application/x-ndjson (ou format=ndjson) a resposta sai em streaming: '
+          + 'uma linha por item assim que fica pronto (cache primeiro), com index da posição enviada, '
+          + 'e uma linha final de resumo (type: summary).',
+        security: [{}, { bearerAuth: [] }],
+        parameters: [{ name: 'format', in: 'query', schema: { type: 'string', enum: ['ndjson'] } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: object({ cnpjs: listOf(TEXT) }),
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Resultado por item, na ordem enviada (ou, em NDJSON, na ordem em que ficam prontos)',
+            content: {
+              'application/json': {
+                schema: BATCH_RESULTS,
+              },
+              'application/x-ndjson': {
+                schema: { type: 'string', description: 'Linhas JSON com type item (resultado e index) ou summary (total, succeeded, failed)' },
+              },
+            },
+          },
+          413: errorResponse('Lote excede o limite de CNPJs'),
+          ...ERRORS,
+        },
+      },
+    },
+    '/api/cnpj/branches': {
+      get: {
+        summary: 'Lista os estabelecimentos de uma mesma raiz de CNPJ',
+        description: 'Cada ordem sondada além do CNPJ informado é cobrada como uma requisição (ficha do IP ou item da cota diária da chave); sem saldo, a sondagem para e a lista volta parcial.',
+        security: [{}, { bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/cnpj' }],
+        responses: {
+          200: {
+            description: 'Estabelecimentos encontrados',
+            content: {
+              'application/json': {
+                schema: object({
+                  error: { type: 'boolean' },
+                  data: { $ref: '#/components/schemas/Branches' },
+                }),
+              },
+            },
+          },
+          ...ERRORS,
+        },
+      },
+    },
+    '/api/graphql': {
+      get: {
+        summary: 'Schema GraphQL (SDL) ou consulta via parâmetros query, variables e operationName',
+        security: [{}, { bearerAuth: [] }],
+        responses: {
+          200: { description: 'SDL, sem o parâmetro query', content: { 'text/plain': { schema: { type: 'string' } } } },
+          400: errorResponse('Parâmetros inválidos'),
+        },
+      },
+      post: {
+        summary: 'Consulta GraphQL sobre o modelo de empresa (company e companies)',
+        security: [{}, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['query'],
+                properties: { query: TEXT, variables: { type: ['object', 'null'] }, operationName: OPTIONAL_TEXT },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Resposta GraphQL: data e, se algum campo falhou, errors com path e extensions.code',
+            content: { 'application/json': { schema: { type: 'object', properties: { data: {}, errors: listOf({ type: 'object' }) } } } },
+          },
+          400: { description: 'Consulta inválida (errors com a posição no documento)' },
+          413: errorResponse('Consulta pede mais CNPJs que o limite do lote'),
+          401: errorResponse('Chave de API ausente ou inválida'),
+          429: errorResponse('Limite de requisições ou cota excedidos (ver Retry-After)'),
+        },
+      },
+    },
+    '/api/jobs': {
+      post: {
+        summary: 'Cria um job de consulta em massa a partir de uma lista de CNPJs (um por linha)',
+        description: 'O job é processado em segundo plano, no ritmo permitido pela API externa, em rodízio entre os clientes. '
+          + 'Em CSV vale a primeira coluna com um CNPJ; uma linha de cabeçalho é ignorada. '
+          + 'Sem chave de API, cada CNPJ conta no limite por minuto do IP.',
+        security: [{}, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'text/csv': { schema: TEXT },
+            'text/plain': { schema: TEXT },
+            'multipart/form-data': { schema: object({ file: { type: 'string', format: 'binary' } }) },
+            'application/json': { schema: object({ cnpjs: listOf(TEXT) }) },
+          },
+        },
+        responses: {
+          202: {
+            ...jobResponse('Job aceito; o progresso fica no endereço do header Location'),
+            headers: { Location: { schema: TEXT } },
+          },
+          413: errorResponse('Lista excede o limite de CNPJs'),
+          400: ERRORS[400],
+          401: ERRORS[401],
+          429: errorResponse('Limite de requisições ou cota excedidos (ver Retry-After), ou jobs demais em andamento'),
+          503: errorResponse('Jobs indisponíveis: na Vercel exigem JOBS_BACKEND=redis'),
+        },
+      },
+    },
+    '/api/jobs/{id}': {
+      get: {
+        summary: 'Progresso do job, com os erros por item',
+        security: [{}, { bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/jobId' }],
+        responses: {
+          200: jobResponse('Progresso do job'),
+          401: ERRORS[401],
+          404: errorResponse('Job não encontrado ou expirado'),
+        },
+      },
+    },
+    '/api/jobs/{id}/results': {
+      get: {
+        summary: 'Resultados do job concluído',
+        description: 'JSON traz todos os itens; CSV e XLSX trazem as colunas da exportação, só com as empresas encontradas.',
+        security: [{}, { bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/jobId' },
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv', 'xlsx'] } },
+        ],
+        responses: {
+          200: {
+            description: 'Resultados',
+            content: {
+              'application/json': { schema: BATCH_RESULTS },
+              'text/csv': { schema: TEXT },
+              'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+            },
+          },
+          400: errorResponse('Formato não suportado'),
+          401: ERRORS[401],
+          404: errorResponse('Job não encontrado ou expirado'),
+          409: errorResponse('Job ainda em processamento'),
+        },
+      },
+    },
+    '/api/health': {
+      get: {
+        summary: 'Estado do cache e dos provedores',
+        responses: {
+          200: { description: 'Serviço ok ou degradado' },
+          503: { description: 'Serviço fora do ar' },
+        },
+      },
+    },
+    '/api/metrics': {
+      get: {
+        summary: 'Métricas no formato de exposição do Prometheus',
+        responses: {
+          200: { description: 'Métricas', content: { 'text/plain': { schema: { type: 'string' } } } },
+          401: errorResponse('Token de métricas ausente ou inválido'),
+        },
+      },
+    },
+    '/api/openapi.json': {
+      get: {
+        summary: 'Este documento',
+        responses: { 200: { description: 'Documento OpenAPI' } },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Chave de API (opcional, salvo com API_KEYS_REQUIRED)' },
+    },
+    parameters: PARAMETERS,
+    schemas: {
+      CompanyV1: COMPANY_V1,
+      CompanyV2: COMPANY_V2,
+      Branches: BRANCHES,
+      Error: {
+        type: 'object',
+        required: ['error', 'code', 'message'],
+        properties: {
+          error: { type: 'boolean', enum: [true] },
+          code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+          message: TEXT,
+          retryable: { type: 'boolean', description: 'Repetir a mesma requisição mais tarde pode dar certo' },
+          requestId: { type: 'string', description: 'Mesmo valor do header X-Request-Id' },
+          retryAfter: { type: 'integer', description: 'Espera sugerida em segundos, como no header Retry-After' },
+          details: {},
+        },
+      },
+    },
+  },
+};
+
+// =============================================
+// VALIDAÇÃO DAS RESPOSTAS (DESENVOLVIMENTO)
+// =============================================
+// Um mapeador que passa a devolver null ou tipo errado quebra a requisição em
+// desenvolvimento, em vez de chegar silenciosamente aos integradores. Vale para
+// toda rota que entrega dados de empresa: /api/cnpj, /api/v2/cnpj, itens do
+// lote, filiais e o tipo Company do GraphQL.
+export class ResponseValidator {
+  static check(schemaName, value) {
+    if (!SECURITY_CONFIG.RESPONSE_VALIDATION) return;
+
+    const errors = SchemaValidator.validate(
+      value,
+      { $ref: `#/components/schemas/${schemaName}` },
+      OPENAPI_DOCUMENT
+    );
+
+    if (errors.length > 0) {
+      throw new ApiError('RESPONSE_SCHEMA_MISMATCH', `Resposta fora do schema ${schemaName}`, errors);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// =============================================
+// PROJEÇÃO DE CAMPOS (?fields=)
+// =============================================
+// Recorta a resposta aos caminhos pedidos, com notação de ponto para campos
+// aninhados (ex.: company.name,address.city,status). Em listas, como
+// company.members.name, o recorte vale para cada item. O cache continua
+// guardando o objeto completo: a projeção acontece só na saída.
+const FIELD_PATH = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const MAX_FIELDS = 50;
+// Nomes que alcançariam o protótipo dos objetos em vez de um campo da resposta
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export class FieldProjection {
+  // Retorna { isValid, tree } com os caminhos em árvore, ou { isValid: false, code, error }.
+  // Sem o parâmetro, tree é null e a resposta sai completa.
+  static parse(fields) {
+    if (fields === undefined) {
+      return { isValid: true, tree: null };
+    }
+
+    const paths = String(fields).split(',').map(path => path.trim()).filter(Boolean);
+
+    if (paths.length === 0 || paths.length > MAX_FIELDS) {
+      return { isValid: false, code: 'INVALID_FIELDS', error: `Informe entre 1 e ${MAX_FIELDS} campos em "fields"` };
+    }
+
+    const invalidPath = paths.find(path => !FIELD_PATH.test(path) || path.split('.').some(key => RESERVED_KEYS.has(key)));
+
+    if (invalidPath) {
+      return { isValid: false, code: 'INVALID_FIELDS', error: `Campo inválido em "fields": ${invalidPath}` };
+    }
+
+    return { isValid: true, tree: this.buildTree(paths) };
+  }
+
+  // Um caminho mais curto prevalece: "company,company.name" devolve company inteiro.
+  // Os nós não têm protótipo, então nenhuma chave cai em Object.prototype.
+  static buildTree(paths) {
+    const tree = Object.create(null);
+
+    paths.forEach(path => {
+      const keys = path.split('.');
+      let node = tree;
+
+      for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+
+        if (node[key] === true) return;
+
+        if (i === keys.length - 1) {
+          node[key] = true;
+        } else {
+          node[key] = node[key] || Object.create(null);
+          node = node[key];
+        }
+      }
+    });
+
+    return tree;
+  }
+
+  static apply(value, tree) {
+    if (!tree || tree === true || value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.apply(item, tree));
+    }
+
+    const projected = {};
+
+    Object.entries(tree).forEach(([key, subtree]) => {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        projected[key] = this.apply(value[key], subtree);
+      }
+    });
+
+    return projected;
+  }
+}
@@ -0,0 +1,196 @@
+import { SECURITY_CONFIG } from '../config.js';
+import { ExternalAPIClient } from '../external-api.js';
+import { DataMapperV2 } from '../data-mapper-v2.js';
+
+// identificador_de_socio da Receita
+const MEMBER_TYPES = { 1: 'Pessoa Jurídica', 2: 'Pessoa Física', 3: 'Estrangeiro' };
+
+// =============================================
+// PROVEDOR: BRASILAPI
+// =============================================
+export class BrasilApiProvider {
+  static id = 'brasilapi';
+
+  static fetch(cnpj) {
+    return ExternalAPIClient.fetchJSON(`${SECURITY_CONFIG.PROVIDER_BASE_URLS.brasilapi}/api/cnpj/v1/${cnpj}`, { cnpj, provider: this.id });
+  }
+
+  static probe() {
+    return ExternalAPIClient.probe(`${SECURITY_CONFIG.PROVIDER_BASE_URLS.brasilapi}/api/cnpj/v1/`);
+  }
+
+  static map(apiData) {
+    return {
+      taxId: apiData.cnpj,
+      alias: apiData.nome_fantasia || null,
+      founded: apiData.data_inicio_atividade,
+      updated: null,
+      status: {
+        text: apiData.descricao_situacao_cadastral || null,
+      },
+      statusDate: apiData.data_situacao_cadastral,
+      head: apiData.identificador_matriz_filial === 1,
+
+      company: {
+        name: apiData.razao_social || null,
+        nature: apiData.codigo_natureza_juridica ? {
+          id: String(apiData.codigo_natureza_juridica),
+          text: apiData.natureza_juridica,
+        } : null,
+        size: apiData.porte ? {
+          text: apiData.porte,
+          acronym: String(apiData.codigo_porte).padStart(2, '0'),
+        } : null,
+        equity: Number(apiData.capital_social) || 0,
+        simples: {
+          optant: apiData.opcao_pelo_simples === true,
+          since: apiData.data_opcao_pelo_simples,
+        },
+        simei: {
+          optant: apiData.opcao_pelo_mei === true,
+          since: apiData.data_opcao_pelo_mei,
+        },
+        members: this.mapMembers(apiData.qsa),
+      },
+
+      address: {
+        street: `${apiData.descricao_tipo_de_logradouro || ''} ${apiData.logradouro || ''}`.trim(),
+        number: apiData.numero,
+        details: apiData.complemento,
+        district: apiData.bairro,
+        city: apiData.municipio,
+        state: apiData.uf,
+        zip: apiData.cep,
+        country: apiData.pais || null,
+        municipality: apiData.municipio,
+      },
+      phones: this.mapPhones([apiData.ddd_telefone_1, apiData.ddd_telefone_2]),
+      emails: apiData.email ? [{ address: apiData.email, ownership: 'CORPORATE' }] : [],
+      mainActivity: apiData.cnae_fiscal ? {
+        id: String(apiData.cnae_fiscal),
+        text: apiData.cnae_fiscal_descricao,
+      } : null,
+      sideActivities: (apiData.cnaes_secundarios || [])
+        .filter(activity => activity.codigo)
+        .map(activity => ({
+          id: String(activity.codigo),
+          text: activity.descricao,
+        })),
+      // A BrasilAPI não informa inscrições estaduais
+      registrations: [],
+      suframa: [],
+    };
+  }
+
+  static mapV2(apiData) {
+    return {
+      taxId: apiData.cnpj,
+      head: apiData.identificador_matriz_filial === 1,
+      alias: apiData.nome_fantasia || null,
+      founded: DataMapperV2.isoDate(apiData.data_inicio_atividade),
+      updated: null,
+      status: {
+        text: apiData.descricao_situacao_cadastral || null,
+        date: DataMapperV2.isoDate(apiData.data_situacao_cadastral),
+        reason: apiData.descricao_motivo_situacao_cadastral || null,
+      },
+
+      company: {
+        name: apiData.razao_social || null,
+        nature: apiData.codigo_natureza_juridica ? {
+          id: String(apiData.codigo_natureza_juridica),
+          text: apiData.natureza_juridica,
+        } : null,
+        size: apiData.porte ? {
+          id: apiData.codigo_porte != null ? String(apiData.codigo_porte).padStart(2, '0') : null,
+          text: apiData.porte,
+        } : null,
+        equity: Number(apiData.capital_social) || 0,
+        simples: {
+          optant: apiData.opcao_pelo_simples === true,
+          since: DataMapperV2.isoDate(apiData.data_opcao_pelo_simples),
+        },
+        simei: {
+          optant: apiData.opcao_pelo_mei === true,
+          since: DataMapperV2.isoDate(apiData.data_opcao_pelo_mei),
+        },
+        members: (apiData.qsa || []).filter(socio => socio.nome_socio).map(socio => ({
+          name: socio.nome_socio,
+          type: MEMBER_TYPES[socio.identificador_de_socio] || null,
+          role: {
+            id: socio.codigo_qualificacao_socio != null ? String(socio.codigo_qualificacao_socio) : null,
+            text: socio.qualificacao_socio || null,
+          },
+          since: DataMapperV2.isoDate(socio.data_entrada_sociedade),
+          ageRange: socio.faixa_etaria || null,
+        })),
+      },
+
+      address: {
+        street: DataMapperV2.joinStreet(apiData.descricao_tipo_de_logradouro, apiData.logradouro),
+        number: apiData.numero || null,
+        details: apiData.complemento || null,
+        district: apiData.bairro || null,
+        zip: DataMapperV2.digits(apiData.cep),
+        state: apiData.uf || null,
+        municipality: {
+          ibge: apiData.codigo_municipio_ibge != null ? String(apiData.codigo_municipio_ibge) : null,
+          name: apiData.municipio || null,
+        },
+        country: DataMapperV2.country(apiData.codigo_pais, apiData.pais, apiData.uf),
+      },
+      phones: [
+        this.splitPhone(apiData.ddd_telefone_1),
+        this.splitPhone(apiData.ddd_telefone_2),
+        this.splitPhone(apiData.ddd_fax, 'FAX'),
+      ].filter(phone => phone),
+      emails: apiData.email ? [{ address: apiData.email.toLowerCase() }] : [],
+      mainActivity: apiData.cnae_fiscal ? {
+        id: String(apiData.cnae_fiscal),
+        text: apiData.cnae_fiscal_descricao,
+      } : null,
+      sideActivities: (apiData.cnaes_secundarios || [])
+        .filter(activity => activity.codigo)
+        .map(activity => ({
+          id: String(activity.codigo),
+          text: activity.descricao,
+        })),
+      registrations: null,
+      suframa: null,
+    };
+  }
+
+  // "1133334444" -> DDD + número
+  static splitPhone(value, type = null) {
+    const cleaned = (value || '').replace(/\D/g, '');
+    if (cleaned.length <= 2) return null;
+    return DataMapperV2.phone(cleaned.substring(0, 2), cleaned.substring(2), type);
+  }
+
+  static mapMembers(qsa) {
+    if (!qsa || !Array.isArray(qsa)) return [];
+
+    return qsa.map(socio => ({
+      person: {
+        name: socio.nome_socio || null,
+        age: socio.faixa_etaria || null,
+      },
+      role: {
+        text: socio.qualificacao_socio || 'Sócio',
+      },
+      since: socio.data_entrada_sociedade,
+    })).filter(member => member.person.name);
+  }
+
+  // Telefones chegam como "1133334444" (DDD + número)
+  static mapPhones(values) {
+    return values
+      .map(value => (value || '').replace(/\D/g, ''))
+      .filter(value => value.length > 2)
+      .map(value => ({
+        area: value.substring(0, 2),
+        number: value.substring(2),
+        type: 'LANDLINE',
+      }));
+  }
+}
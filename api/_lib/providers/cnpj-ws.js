@@ -0,0 +1,31 @@
+import { SECURITY_CONFIG } from '../config.js';
+import { ExternalAPIClient } from '../external-api.js';
+import { DataMapper } from '../data-mapper.js';
+import { DataMapperV2 } from '../data-mapper-v2.js';
+
+// =============================================
+// PROVEDOR: PUBLICA.CNPJ.WS
+// =============================================
+export class CnpjWsProvider {
+  static id = 'cnpjws';
+
+  static fetch(cnpj) {
+    return ExternalAPIClient.fetchJSON(`${SECURITY_CONFIG.PROVIDER_BASE_URLS.cnpjws}/cnpj/${cnpj}`, { cnpj, provider: this.id });
+  }
+
+  static probe() {
+    return ExternalAPIClient.probe(`${SECURITY_CONFIG.PROVIDER_BASE_URLS.cnpjws}/`);
+  }
+
+  static detectDrift(apiData, cnpj) {
+    return DataMapper.reportDrift(apiData, { cnpj, provider: this.id });
+  }
+
+  static map(apiData) {
+    return DataMapper.mapToFrontendStructure(apiData);
+  }
+
+  static mapV2(apiData) {
+    return DataMapperV2.mapToV2Structure(apiData);
+  }
+}
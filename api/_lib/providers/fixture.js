@@ -0,0 +1,53 @@
+import { access, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { SECURITY_CONFIG } from '../config.js';
+import { DataMapper } from '../data-mapper.js';
+import { DataMapperV2 } from '../data-mapper-v2.js';
+import { Logger } from '../logger.js';
+import { ApiError } from '../errors.js';
+
+// =============================================
+// PROVEDOR: FIXTURES LOCAIS (FORMATO CNPJ.WS)
+// =============================================
+export class FixtureProvider {
+  static id = 'fixture';
+
+  static async fetch(cnpj) {
+    const filePath = path.resolve(process.cwd(), SECURITY_CONFIG.FIXTURES_DIR, `${cnpj}.json`);
+
+    Logger.info('Lendo fixture local', { cnpj, filePath });
+
+    try {
+      return JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ApiError('NOT_FOUND', undefined, `Fixture inexistente: ${filePath}`);
+      }
+
+      throw error;
+    }
+  }
+
+  static async probe() {
+    const startTime = Date.now();
+
+    try {
+      await access(path.resolve(process.cwd(), SECURITY_CONFIG.FIXTURES_DIR));
+      return { ok: true, latencyMs: Date.now() - startTime };
+    } catch (error) {
+      return { ok: false, error: error.message, latencyMs: Date.now() - startTime };
+    }
+  }
+
+  static detectDrift(apiData, cnpj) {
+    return DataMapper.reportDrift(apiData, { cnpj, provider: this.id });
+  }
+
+  static map(apiData) {
+    return DataMapper.mapToFrontendStructure(apiData);
+  }
+
+  static mapV2(apiData) {
+    return DataMapperV2.mapToV2Structure(apiData);
+  }
+}
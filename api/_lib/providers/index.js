@@ -0,0 +1,87 @@
+import { SECURITY_CONFIG } from '../config.js';
+import { Logger } from '../logger.js';
+import { ApiError } from '../errors.js';
+import { CircuitBreaker } from '../circuit-breaker.js';
+import { Tracer } from '../tracing.js';
+import { CnpjWsProvider } from './cnpj-ws.js';
+import { BrasilApiProvider } from './brasil-api.js';
+import { ReceitaWsProvider } from './receita-ws.js';
+import { FixtureProvider } from './fixture.js';
+
+const PROVIDER_REGISTRY = {
+  [CnpjWsProvider.id]: CnpjWsProvider,
+  [BrasilApiProvider.id]: BrasilApiProvider,
+  [ReceitaWsProvider.id]: ReceitaWsProvider,
+  [FixtureProvider.id]: FixtureProvider,
+};
+
+// =============================================
+// CADEIA DE PROVEDORES COM FALLBACK
+// =============================================
+export class ProviderChain {
+  static getProviders() {
+    return SECURITY_CONFIG.PROVIDERS.map(id => {
+      const provider = PROVIDER_REGISTRY[id];
+
+      if (!provider) {
+        throw new Error(`Provedor de dados desconhecido: ${id}`);
+      }
+
+      return provider;
+    });
+  }
+
+  // Versão 1: estrutura usada pelo frontend; versão 2: esquema de /api/v2/cnpj
+  static map(providerId, raw, version = 1) {
+    const provider = PROVIDER_REGISTRY[providerId];
+
+    if (!provider) {
+      throw new Error(`Provedor de dados desconhecido: ${providerId}`);
+    }
+
+    return Tracer.span('mapping', { provider: providerId, version }, () => (
+      version === 2 ? provider.mapV2(raw) : provider.map(raw)
+    ));
+  }
+
+  // Retorna a resposta bruta do provedor junto com os dados mapeados (v1),
+  // para que o cache guarde o bruto e cada versão da API mapeie na leitura
+  static async fetchCNPJData(cnpj) {
+    let lastError = null;
+
+    for (const provider of this.getProviders()) {
+      try {
+        const apiData = await Tracer.span('upstream.fetch', { provider: provider.id, cnpj }, () => (
+          CircuitBreaker.for(provider.id).execute(() => provider.fetch(cnpj))
+        ));
+
+        // Só na busca: leituras do cache remapeiam o mesmo bruto sem repetir o aviso
+        provider.detectDrift?.(apiData, cnpj);
+
+        const data = this.map(provider.id, apiData);
+
+        if (!data.taxId) {
+          throw new ApiError('UPSTREAM_INVALID_RESPONSE', undefined, `Provedor ${provider.id} não retornou CNPJ`);
+        }
+
+        return { raw: apiData, data, provider: provider.id };
+      } catch (error) {
+        // CNPJ inexistente não muda de um provedor para outro
+        if (error.code === 'NOT_FOUND') {
+          throw error;
+        }
+
+        Logger.warn('Falha no provedor, tentando o próximo', {
+          cnpj,
+          provider: provider.id,
+          code: error.code,
+          error: error.details || error.message,
+        });
+        lastError = error;
+      }
+    }
+
+    // Sem provedores na lista não houve nenhuma falha para repassar
+    throw lastError ?? new ApiError('UPSTREAM_UNAVAILABLE', undefined, 'Nenhum provedor de dados configurado');
+  }
+}
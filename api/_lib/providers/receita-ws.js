@@ -0,0 +1,203 @@
+import { SECURITY_CONFIG } from '../config.js';
+import { ExternalAPIClient } from '../external-api.js';
+import { ApiError } from '../errors.js';
+import { DataMapperV2 } from '../data-mapper-v2.js';
+
+// =============================================
+// PROVEDOR: RECEITAWS
+// =============================================
+export class ReceitaWsProvider {
+  static id = 'receitaws';
+
+  static async fetch(cnpj) {
+    const apiData = await ExternalAPIClient.fetchJSON(`${SECURITY_CONFIG.PROVIDER_BASE_URLS.receitaws}/v1/cnpj/${cnpj}`, { cnpj, provider: this.id });
+
+    // A ReceitaWS responde 200 com status ERROR quando não encontra o CNPJ
+    if (apiData.status === 'ERROR') {
+      throw new ApiError('NOT_FOUND', undefined, `ReceitaWS: ${apiData.message}`);
+    }
+
+    return apiData;
+  }
+
+  static probe() {
+    return ExternalAPIClient.probe(`${SECURITY_CONFIG.PROVIDER_BASE_URLS.receitaws}/`);
+  }
+
+  static map(apiData) {
+    const [natureId, ...natureText] = (apiData.natureza_juridica || '').split(' - ');
+
+    return {
+      taxId: (apiData.cnpj || '').toUpperCase().replace(/[^0-9A-Z]/g, ''),
+      alias: apiData.fantasia || null,
+      founded: this.parseDate(apiData.abertura),
+      updated: apiData.ultima_atualizacao,
+      status: {
+        text: apiData.situacao || null,
+      },
+      statusDate: this.parseDate(apiData.data_situacao),
+      head: apiData.tipo === 'MATRIZ',
+
+      company: {
+        name: apiData.nome || null,
+        nature: apiData.natureza_juridica ? {
+          id: natureId.replace(/\D/g, ''),
+          text: natureText.join(' - '),
+        } : null,
+        size: apiData.porte ? {
+          text: apiData.porte,
+          acronym: null,
+        } : null,
+        equity: parseFloat(apiData.capital_social) || 0,
+        simples: {
+          optant: apiData.simples?.optante === true,
+          since: this.parseDate(apiData.simples?.data_opcao),
+        },
+        simei: {
+          optant: apiData.simei?.optante === true,
+          since: this.parseDate(apiData.simei?.data_opcao),
+        },
+        members: this.mapMembers(apiData.qsa),
+      },
+
+      address: {
+        street: apiData.logradouro || '',
+        number: apiData.numero,
+        details: apiData.complemento,
+        district: apiData.bairro,
+        city: apiData.municipio,
+        state: apiData.uf,
+        zip: (apiData.cep || '').replace(/\D/g, ''),
+        country: null,
+        municipality: apiData.municipio,
+      },
+      phones: this.mapPhones(apiData.telefone),
+      emails: apiData.email ? [{ address: apiData.email, ownership: 'CORPORATE' }] : [],
+      mainActivity: this.mapActivities(apiData.atividade_principal)[0] || null,
+      sideActivities: this.mapActivities(apiData.atividades_secundarias),
+      // A ReceitaWS não informa inscrições estaduais
+      registrations: [],
+      suframa: [],
+    };
+  }
+
+  static mapV2(apiData) {
+    const [natureId, ...natureText] = (apiData.natureza_juridica || '').split(' - ');
+
+    return {
+      taxId: (apiData.cnpj || '').toUpperCase().replace(/[^0-9A-Z]/g, ''),
+      head: apiData.tipo === 'MATRIZ',
+      alias: apiData.fantasia || null,
+      founded: DataMapperV2.isoDate(apiData.abertura),
+      updated: DataMapperV2.isoDateTime(apiData.ultima_atualizacao),
+      status: {
+        text: apiData.situacao || null,
+        date: DataMapperV2.isoDate(apiData.data_situacao),
+        reason: apiData.motivo_situacao || null,
+      },
+
+      company: {
+        name: apiData.nome || null,
+        nature: apiData.natureza_juridica ? {
+          id: natureId.replace(/\D/g, ''),
+          text: natureText.join(' - '),
+        } : null,
+        size: apiData.porte ? {
+          id: null,
+          text: apiData.porte,
+        } : null,
+        equity: parseFloat(apiData.capital_social) || 0,
+        simples: {
+          optant: apiData.simples?.optante === true,
+          since: DataMapperV2.isoDate(apiData.simples?.data_opcao),
+        },
+        simei: {
+          optant: apiData.simei?.optante === true,
+          since: DataMapperV2.isoDate(apiData.simei?.data_opcao),
+        },
+        members: (apiData.qsa || []).filter(socio => socio.nome).map(socio => {
+          const [roleId, ...roleText] = (socio.qual || '').split('-');
+
+          return {
+            name: socio.nome,
+            type: null,
+            role: {
+              id: /^\d+$/.test(roleId) ? roleId : null,
+              text: (/^\d+$/.test(roleId) ? roleText.join('-') : socio.qual) || null,
+            },
+            since: null,
+            ageRange: null,
+          };
+        }),
+      },
+
+      address: {
+        street: apiData.logradouro || null,
+        number: apiData.numero || null,
+        details: apiData.complemento || null,
+        district: apiData.bairro || null,
+        zip: DataMapperV2.digits(apiData.cep),
+        state: apiData.uf || null,
+        // A ReceitaWS não informa o código IBGE do município
+        municipality: {
+          ibge: null,
+          name: apiData.municipio || null,
+        },
+        country: DataMapperV2.country(null, null, apiData.uf),
+      },
+      phones: this.mapPhones(apiData.telefone)
+        .map(phone => DataMapperV2.phone(phone.area, phone.number)),
+      emails: apiData.email ? [{ address: apiData.email.toLowerCase() }] : [],
+      mainActivity: this.mapActivities(apiData.atividade_principal)[0] || null,
+      sideActivities: this.mapActivities(apiData.atividades_secundarias),
+      registrations: null,
+      suframa: null,
+    };
+  }
+
+  // Datas chegam no formato dd/mm/aaaa
+  static parseDate(value) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+    return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+  }
+
+  static mapMembers(qsa) {
+    if (!qsa || !Array.isArray(qsa)) return [];
+
+    return qsa.map(socio => ({
+      person: {
+        name: socio.nome || null,
+        age: null,
+      },
+      role: {
+        text: (socio.qual || 'Sócio').replace(/^\d+-/, ''),
+      },
+      since: null,
+    })).filter(member => member.person.name);
+  }
+
+  // Telefones chegam como "(11) 3333-4444 / (11) 5555-6666"
+  static mapPhones(value) {
+    if (!value) return [];
+
+    return value.split('/')
+      .map(phone => /\((\d{2})\)\s*([\d-]+)/.exec(phone))
+      .filter(match => match)
+      .map(match => ({
+        area: match[1],
+        number: match[2].replace(/\D/g, ''),
+        type: 'LANDLINE',
+      }));
+  }
+
+  static mapActivities(activities) {
+    if (!activities || !Array.isArray(activities)) return [];
+
+    return activities
+      .filter(activity => /[1-9]/.test(activity.code || ''))
+      .map(activity => ({
+        id: activity.code.replace(/\D/g, ''),
+        text: activity.text,
+      }));
+  }
+}
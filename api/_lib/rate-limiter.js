@@ -0,0 +1,80 @@
+import { SECURITY_CONFIG } from './config.js';
+import { Logger } from './logger.js';
+import { createCacheBackend } from './cache/index.js';
+
+let store = null;
+
+// =============================================
+// RATE LIMITER (TOKEN BUCKET)
+// =============================================
+// Cada chave tem um balde com `limit` fichas que se recompõe linearmente
+// ao longo de `windowMs`. Ler, recompor e gravar os baldes é uma operação
+// atômica do store (consumeTokens): script Lua no Redis, fila por chave nos
+// backends do processo. Assim requisições concorrentes não gastam a mesma ficha.
+export class RateLimiter {
+  static getStore() {
+    if (!store) {
+      const name = SECURITY_CONFIG.RATE_LIMIT_BACKEND;
+      store = createCacheBackend(name, {
+        ...SECURITY_CONFIG.CACHE_BACKENDS[name],
+        ...SECURITY_CONFIG.RATE_LIMIT_BACKEND_OPTIONS,
+      });
+    }
+
+    return store;
+  }
+
+  static setStore(newStore) {
+    store = newStore;
+  }
+
+  static async close() {
+    await store?.close?.();
+    store = null;
+  }
+
+  // Consome `cost` fichas (padrão 1) de cada regra, ou de nenhuma se alguma
+  // não tiver o suficiente
+  static async consume(rules) {
+    const now = Date.now();
+
+    try {
+      const { allowed, tokens } = await this.getStore().consumeTokens(rules, now);
+
+      const buckets = rules.map((rule, index) => ({
+        ...rule,
+        cost: rule.cost ?? 1,
+        tokens: tokens[index],
+        refillRate: rule.limit / rule.windowMs,
+      }));
+      const blocked = buckets.filter(bucket => bucket.tokens < bucket.cost);
+
+      // Reportar o balde que mais restringe o cliente
+      const decisive = (allowed ? buckets : blocked).reduce((worst, bucket) =>
+        bucket.tokens < worst.tokens ? bucket : worst
+      );
+
+      return {
+        allowed,
+        limit: decisive.limit,
+        remaining: Math.max(0, Math.floor(decisive.tokens)),
+        reset: Math.ceil((decisive.limit - decisive.tokens) / decisive.refillRate / 1000),
+        retryAfter: allowed ? 0 : Math.ceil((decisive.cost - decisive.tokens) / decisive.refillRate / 1000),
+      };
+    } catch (error) {
+      // Store indisponível: liberar a requisição em vez de derrubar a API
+      Logger.warn('Falha no rate limiter, requisição liberada', { error: error.message });
+      return { allowed: true, limit: rules[0].limit, remaining: rules[0].limit, reset: 0, retryAfter: 0 };
+    }
+  }
+
+  static applyHeaders(res, result) {
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.reset));
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(result.retryAfter));
+    }
+  }
+}
@@ -0,0 +1,94 @@
+// =============================================
+// VALIDADOR DE JSON SCHEMA (SUBCONJUNTO)
+// =============================================
+// Cobre só o que o documento OpenAPI usa: $ref local, type (inclusive listas
+// com 'null'), enum, pattern, format date/date-time, properties, required,
+// additionalProperties e items. Retorna a lista de violações com o caminho.
+const FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+};
+
+export class SchemaValidator {
+  static validate(value, schema, root = schema, path = '$') {
+    if (schema.$ref) {
+      return this.validate(value, this.resolve(schema.$ref, root), root, path);
+    }
+
+    const errors = [];
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+      errors.push(`${path}: esperado ${[].concat(schema.type).join(' | ')}, recebido ${actual}`);
+      return errors;
+    }
+
+    if (value === null) return errors;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: valor ${JSON.stringify(value)} fora de [${schema.enum.join(', ')}]`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: "${value}" não casa com ${schema.pattern}`);
+      }
+
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+        errors.push(`${path}: "${value}" não está no formato ${schema.format}`);
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, root, `${path}[${index}]`));
+      });
+    }
+
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key}: campo obrigatório ausente`);
+        }
+      });
+
+      Object.entries(value).forEach(([key, item]) => {
+        if (item === undefined) return;
+
+        if (properties[key]) {
+          errors.push(...this.validate(item, properties[key], root, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: campo não documentado`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  static matchesType(value, type) {
+    return [].concat(type).some(expected => {
+      switch (expected) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === expected;
+      }
+    });
+  }
+
+  // Só referências locais: "#/components/schemas/Nome"
+  static resolve(ref, root) {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+
+    if (!target) {
+      throw new Error(`Referência de schema não encontrada: ${ref}`);
+    }
+
+    return target;
+  }
+}
@@ -0,0 +1,173 @@
+import { SECURITY_CONFIG } from './config.js';
+import { RateLimiter } from './rate-limiter.js';
+import { ApiKeyManager } from './api-keys.js';
+import { Metrics } from './metrics.js';
+
+// =============================================
+// MIDDLEWARES DE SEGURANÇA APRIMORADOS
+// =============================================
+export class SecurityMiddleware {
+  static applySecurityHeaders(req, res, methods = 'GET, OPTIONS') {
+    this.applyCorsOrigin(req, res);
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Request-Id, If-None-Match, If-Modified-Since');
+    res.setHeader('Access-Control-Expose-Headers', 'Age, ETag, X-Request-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+  }
+
+  // Com lista de origens, o header devolve a própria origem quando liberada e
+  // fica ausente quando não (o navegador então bloqueia a leitura da resposta)
+  static applyCorsOrigin(req, res) {
+    if (SECURITY_CONFIG.ALLOWED_ORIGINS.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return;
+    }
+
+    this.appendVary(res, 'Origin');
+
+    const origin = req.headers?.origin;
+
+    if (origin && this.isOriginAllowed(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+
+  static isOriginAllowed(origin) {
+    return SECURITY_CONFIG.ALLOWED_ORIGINS.some(allowed => {
+      if (allowed === '*' || allowed === origin) return true;
+
+      // https://*.exemplo.com.br libera um nível de subdomínio
+      const pattern = allowed.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace('*\\.', '[^./]+\\.');
+      return allowed.includes('*.') && new RegExp(`^${pattern}$`).test(origin);
+    });
+  }
+
+  static validateOrigin(req, res) {
+    const origin = req.headers.origin;
+    return !origin || this.isOriginAllowed(origin);
+  }
+
+  static appendVary(res, field) {
+    const current = res.getHeader?.('Vary');
+    const fields = current ? String(current).split(',').map(value => value.trim()) : [];
+
+    if (!fields.includes(field)) {
+      res.setHeader('Vary', [...fields, field].join(', '));
+    }
+  }
+
+  static async checkRateLimit(ip, cnpj, apiKey = null) {
+    // Rate limit por cliente (chave de API ou IP) e por CNPJ (prevenir abuso de consultas repetidas)
+    const result = await RateLimiter.consume([
+      this.getClientRule(ip, apiKey),
+      { key: `cnpj:${cnpj}`, limit: SECURITY_CONFIG.MAX_REQUESTS_PER_CNPJ_PER_MINUTE, windowMs: 60000 },
+    ]);
+
+    return this.trackRejection(await this.applyDailyQuota(result, apiKey));
+  }
+
+  // Com chave de API, o lote conta como uma única requisição do cliente e cada
+  // item é debitado da cota diária da chave. Sem chave não há cota diária:
+  // cada item gasta uma ficha do limite por minuto do IP (ver getItemCost)
+  static async checkBatchRateLimit(ip, apiKey = null, size = 1) {
+    const rule = this.getClientRule(ip, apiKey);
+    const result = await RateLimiter.consume([apiKey ? rule : { ...rule, cost: this.getItemCost(rule, size) }]);
+
+    return this.trackRejection(await this.applyDailyQuota(result, apiKey, size));
+  }
+
+  // Uma ficha do limite do cliente, sem cota diária: admite a requisição antes
+  // de qualquer trabalho cujo custo só se conhece depois (ver chargeBatchItems)
+  static async checkClientRateLimit(ip, apiKey = null) {
+    const result = await RateLimiter.consume([this.getClientRule(ip, apiKey)]);
+
+    if (!result.allowed && apiKey) {
+      await ApiKeyManager.recordRejection(apiKey);
+    }
+
+    return this.trackRejection(result);
+  }
+
+  // Cobra os itens de uma requisição já admitida por checkClientRateLimit, com
+  // a mesma conta do checkBatchRateLimit: com chave, na cota diária; sem chave,
+  // as fichas que faltam além da já gasta
+  static async chargeBatchItems(ip, apiKey, size, admitted) {
+    if (apiKey) {
+      return this.trackRejection(await this.applyDailyQuota(admitted, apiKey, size));
+    }
+
+    const cost = this.getItemCost(this.getClientRule(ip, null), size);
+    return cost <= 1 ? admitted : this.chargeExtraItems(ip, null, cost - 1);
+  }
+
+  // Cobra `amount` itens além dos que a requisição já pagou: com chave, na cota
+  // diária; sem chave, em fichas do limite por minuto do IP
+  static async chargeExtraItems(ip, apiKey, amount) {
+    if (apiKey) {
+      return this.trackRejection(await ApiKeyManager.consumeDailyQuota(apiKey, amount));
+    }
+
+    return this.trackRejection(await RateLimiter.consume([{ ...this.getClientRule(ip, null), cost: amount }]));
+  }
+
+  // Fichas de um lote sem chave: uma por item, até o balde inteiro. O tamanho
+  // do lote fica limitado só por BATCH_MAX_ITEMS; um lote maior que o limite
+  // por minuto esvazia o balde, e o que não couber no orçamento de tempo do
+  // lote sai só do cache
+  static getItemCost(rule, size) {
+    return Math.min(Math.max(1, size), rule.limit);
+  }
+
+  // Com chave de API o limite é da chave, não do IP (clientes atrás de NAT)
+  static getClientRule(ip, apiKey) {
+    return apiKey
+      ? { key: `apikey:${apiKey.id}`, limit: apiKey.quotas.perMinute, windowMs: 60000 }
+      : { key: `ip:${ip}`, limit: SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE, windowMs: 60000 };
+  }
+
+  static async applyDailyQuota(result, apiKey, amount = 1) {
+    if (!apiKey) return result;
+
+    if (!result.allowed) {
+      await ApiKeyManager.recordRejection(apiKey);
+      return result;
+    }
+
+    const daily = await ApiKeyManager.consumeDailyQuota(apiKey, amount);
+    return daily.allowed ? result : daily;
+  }
+
+  static trackRejection(result) {
+    if (!result.allowed) {
+      Metrics.increment('cnpj_rate_limit_rejections_total', { scope: result.scope || 'minute' });
+    }
+
+    return result;
+  }
+
+  // Sem TRUST_PROXY os headers de encaminhamento são ignorados: qualquer
+  // cliente poderia trocá-los a cada requisição e zerar o próprio limite.
+  // Com proxy, vale a última entrada do X-Forwarded-For, a que ele acrescentou
+  static getClientIP(req) {
+    const remoteAddress = req.socket?.remoteAddress || req.connection?.remoteAddress;
+
+    if (!SECURITY_CONFIG.TRUST_PROXY) {
+      return remoteAddress || 'unknown';
+    }
+
+    return req.headers['x-forwarded-for']?.split(',').pop().trim() ||
+           req.headers['x-real-ip'] ||
+           remoteAddress ||
+           'unknown';
+  }
+
+  static sanitizeCNPJ(cnpj) {
+    if (typeof cnpj !== 'string') return '';
+    return cnpj.toUpperCase().replace(/[^0-9A-Z]/g, '').substring(0, 14);
+  }
+}
+
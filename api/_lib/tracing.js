@@ -0,0 +1,119 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomBytes, randomUUID } from 'node:crypto';
+import { SECURITY_CONFIG } from './config.js';
+import { Logger } from './logger.js';
+
+const storage = new AsyncLocalStorage();
+
+// IDs vindos do cliente são aceitos só se forem curtos e sem caracteres que
+// quebrem logs ou headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// =============================================
+// CONTEXTO DA REQUISIÇÃO (X-Request-Id)
+// =============================================
+export class RequestContext {
+  static resolveId(req) {
+    const incoming = req.headers?.['x-request-id'];
+    return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  }
+
+  // Envolve um handler: todo código chamado por ele (inclusive o Logger)
+  // enxerga o mesmo requestId, e a resposta devolve o ID no header
+  static wrap(handler) {
+    return async function contextHandler(req, res) {
+      const context = {
+        requestId: RequestContext.resolveId(req),
+        traceId: randomBytes(16).toString('hex'),
+        spans: [],
+        currentSpan: null,
+      };
+
+      res.setHeader('X-Request-Id', context.requestId);
+
+      return storage.run(context, async () => {
+        try {
+          return await handler(req, res);
+        } finally {
+          Tracer.flush(context);
+        }
+      });
+    };
+  }
+
+  static get() {
+    return storage.getStore() || null;
+  }
+
+  static getRequestId() {
+    return storage.getStore()?.requestId || null;
+  }
+}
+
+// =============================================
+// SPANS NO ESTILO OPENTELEMETRY (OPCIONAIS)
+// =============================================
+// Com TRACING_ENABLED, cada etapa medida vira um span com traceId/spanId/parentSpanId
+// e, ao fim da requisição, todos saem numa única linha de log. Desligado, span()
+// apenas executa a função.
+export class Tracer {
+  static span(name, attributes, fn) {
+    const context = storage.getStore();
+
+    if (!SECURITY_CONFIG.TRACING_ENABLED || !context) {
+      return fn();
+    }
+
+    const parent = context.currentSpan;
+    const span = {
+      traceId: context.traceId,
+      spanId: randomBytes(8).toString('hex'),
+      parentSpanId: parent?.spanId || null,
+      name,
+      attributes,
+      startTime: new Date().toISOString(),
+      durationMs: null,
+      status: 'OK',
+    };
+    const startedAt = performance.now();
+
+    const finish = (error) => {
+      span.durationMs = Math.round((performance.now() - startedAt) * 100) / 100;
+
+      if (error) {
+        span.status = 'ERROR';
+        span.error = error.code || error.name;
+      }
+
+      context.spans.push(span);
+    };
+
+    // O span filho herda o contexto só dentro da função medida
+    return storage.run({ ...context, currentSpan: span, spans: context.spans }, () => {
+      let result;
+
+      try {
+        result = fn();
+      } catch (error) {
+        finish(error);
+        throw error;
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(
+          (value) => { finish(); return value; },
+          (error) => { finish(error); throw error; }
+        );
+      }
+
+      finish();
+      return result;
+    });
+  }
+
+  static flush(context) {
+    if (context.spans.length === 0) return;
+
+    Logger.info('Spans da requisição', { traceId: context.traceId, spans: context.spans });
+  }
+}
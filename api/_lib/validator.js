@@ -0,0 +1,47 @@
+// =============================================
+// VALIDADOR DE CNPJ (SERVER-SIDE)
+// =============================================
+// Aceita o CNPJ numérico e o alfanumérico: raiz e ordem com [0-9A-Z] e
+// dígitos verificadores numéricos. Cada caractere vale seu código ASCII
+// menos 48, o que mantém o cálculo idêntico para CNPJs só com números.
+export class CNPJValidatorServer {
+  static validate(cnpj) {
+    const cleaned = cnpj.toUpperCase().replace(/[^0-9A-Z]/g, '');
+    
+    if (cleaned.length !== 14) {
+      return { isValid: false, code: 'INVALID_LENGTH', error: 'CNPJ deve conter 14 dígitos' };
+    }
+
+    if (!/^[0-9A-Z]{12}\d{2}$/.test(cleaned) || /^(.)\1+$/.test(cleaned)) {
+      return { isValid: false, code: 'INVALID_CNPJ', error: 'CNPJ inválido' };
+    }
+
+    const base = cleaned.substring(0, 12);
+    const firstDigit = this.calculateDigit(base);
+    const secondDigit = this.calculateDigit(base + firstDigit);
+
+    if (cleaned.substring(12) !== `${firstDigit}${secondDigit}`) {
+      return { isValid: false, code: 'INVALID_CHECK_DIGIT', error: 'CNPJ inválido' };
+    }
+
+    return { isValid: true, cleaned };
+  }
+
+  // Monta o CNPJ completo (com dígitos verificadores) a partir dos 12 primeiros caracteres
+  static fromBase(base) {
+    const firstDigit = this.calculateDigit(base);
+    return `${base}${firstDigit}${this.calculateDigit(base + firstDigit)}`;
+  }
+
+  static calculateDigit(value) {
+    let soma = 0;
+    let pos = value.length - 7;
+
+    for (let i = 0; i < value.length; i++) {
+      soma += (value.charCodeAt(i) - 48) * pos--;
+      if (pos < 2) pos = 9;
+    }
+
+    return soma % 11 < 2 ? 0 : 11 - (soma % 11);
+  }
+}
@@ -0,0 +1,283 @@
+import { SECURITY_CONFIG } from '../_lib/config.js';
+import { SecurityMiddleware } from '../_lib/security.js';
+import { CacheManager } from '../_lib/cache/index.js';
+import { RateLimiter } from '../_lib/rate-limiter.js';
+import { ApiKeyManager } from '../_lib/api-keys.js';
+import { Logger } from '../_lib/logger.js';
+import { CNPJValidatorServer } from '../_lib/validator.js';
+import { CNPJLookupService } from '../_lib/lookup.js';
+import { ErrorMapper, ERROR_CODES } from '../_lib/errors.js';
+import { ResponseValidator } from '../_lib/openapi.js';
+import { Metrics } from '../_lib/metrics.js';
+import { RequestContext } from '../_lib/tracing.js';
+import { runWithConcurrency } from '../_lib/concurrency.js';
+
+// Orçamento do lote (BATCH_TIME_BUDGET_MS) mais as tentativas da última
+// consulta externa em cada provedor. Sem supportsResponseStreaming a Vercel
+// só entrega o NDJSON quando o lote termina.
+export const config = { maxDuration: 60, supportsResponseStreaming: true };
+
+// =============================================
+// PROCESSAMENTO DO LOTE
+// =============================================
+// Um item fora do schema (só com RESPONSE_VALIDATION) falha sozinho, sem
+// derrubar o lote
+function itemResult({ data, provider, cached, stale, age }) {
+  try {
+    ResponseValidator.check('CompanyV1', data);
+  } catch (error) {
+    Logger.warn('Item do lote fora do schema', { cnpj: data?.taxId, errors: error.details });
+    return itemError(error.code, error.message);
+  }
+
+  return { error: false, data, provider, cached, ...(stale ? { stale, age } : {}) };
+}
+
+function itemError(code, message = ERROR_CODES[code].message) {
+  return { error: true, status: ERROR_CODES[code].status, code, message };
+}
+
+// Validar cada item e deduplicar os CNPJs válidos
+function prepareBatch(cnpjs) {
+  const entries = cnpjs.map(input => ({
+    input,
+    validation: CNPJValidatorServer.validate(SecurityMiddleware.sanitizeCNPJ(input)),
+  }));
+
+  const pending = [...new Set(
+    entries
+      .filter(entry => entry.validation.isValid)
+      .map(entry => entry.validation.cleaned)
+  )];
+
+  return { entries, pending };
+}
+
+// Resolve os CNPJs únicos e entrega cada resultado a onOutcome assim que fica
+// pronto. Com cacheFirst, o que está no cache (e não venceu) sai antes de
+// qualquer chamada à API externa. Quando isCancelled() fica verdadeiro, os
+// itens que faltam são abandonados sem resultado.
+async function resolveBatch(pending, deadline, onOutcome, { cacheFirst = false, isCancelled = () => false } = {}) {
+  let upstreamLimited = false;
+  let queue = pending.map(cnpj => ({ cnpj, cachedEntry: undefined }));
+
+  if (cacheFirst) {
+    const misses = [];
+
+    await runWithConcurrency(queue, SECURITY_CONFIG.BATCH_CONCURRENCY, async ({ cnpj }) => {
+      const cachedEntry = await CNPJLookupService.getCachedEntry(cnpj);
+
+      if (cachedEntry && !cachedEntry.stale) {
+        onOutcome(cnpj, itemResult(CNPJLookupService.toResult(cachedEntry, 1, true)));
+      } else {
+        misses.push({ cnpj, cachedEntry });
+      }
+    });
+
+    queue = misses;
+  }
+
+  await runWithConcurrency(queue, SECURITY_CONFIG.BATCH_CONCURRENCY, async ({ cnpj, cachedEntry }) => {
+    if (isCancelled()) return;
+
+    // Após um 429 da API externa, ou sem tempo para uma consulta externa
+    // terminar dentro do orçamento, apenas o cache é consultado
+    if (upstreamLimited || Date.now() + SECURITY_CONFIG.TIMEOUT_MS > deadline) {
+      const cachedResult = cachedEntry === undefined
+        ? await CNPJLookupService.lookupCached(cnpj)
+        : cachedEntry && CNPJLookupService.toResult(cachedEntry, 1, true);
+
+      onOutcome(cnpj, cachedResult
+        ? itemResult(cachedResult)
+        : itemError(upstreamLimited ? 'UPSTREAM_RATE_LIMITED' : 'BATCH_TIMEOUT'));
+      return;
+    }
+
+    try {
+      onOutcome(cnpj, itemResult(await CNPJLookupService.lookup(cnpj, { cachedEntry })));
+    } catch (error) {
+      const { code, message } = ErrorMapper.toResponse(error);
+
+      if (code === 'UPSTREAM_RATE_LIMITED') {
+        upstreamLimited = true;
+      }
+
+      Logger.warn('Falha em item do lote', { cnpj, code, error: error.details || error.message });
+      onOutcome(cnpj, itemError(code, message));
+    }
+  });
+}
+
+async function processBatch(cnpjs, deadline) {
+  const { entries, pending } = prepareBatch(cnpjs);
+  const outcomes = new Map();
+
+  await resolveBatch(pending, deadline, (cnpj, outcome) => outcomes.set(cnpj, outcome));
+
+  return entries.map(({ input, validation }) => (
+    validation.isValid
+      ? { cnpj: input, ...outcomes.get(validation.cleaned) }
+      : { cnpj: input, ...itemError(validation.code, validation.error) }
+  ));
+}
+
+// =============================================
+// LOTE EM STREAMING (NDJSON)
+// =============================================
+// Uma linha JSON por item, na ordem em que ficam prontos (inválidos e cache
+// primeiro), com index apontando a posição na lista enviada; a última linha
+// é o resumo do lote.
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+function wantsStream(req) {
+  return req.query?.format === 'ndjson' || String(req.headers.accept || '').toLowerCase().includes(NDJSON_CONTENT_TYPE);
+}
+
+async function streamBatch(res, cnpjs, deadline) {
+  const { entries, pending } = prepareBatch(cnpjs);
+  const indexesByCNPJ = new Map(pending.map(cnpj => [cnpj, []]));
+  let failed = 0;
+  let disconnected = false;
+
+  // Cliente desconectado antes do fim: ninguém vai ler os itens que faltam,
+  // então a API externa não é mais chamada por eles
+  res.on('close', () => {
+    disconnected = !res.writableEnded;
+  });
+
+  const write = (record) => res.write(`${JSON.stringify(record)}\n`);
+
+  const emit = (index, outcome) => {
+    if (outcome.error) failed++;
+    write({ type: 'item', index, cnpj: entries[index].input, ...outcome });
+  };
+
+  res.setHeader('Content-Type', `${NDJSON_CONTENT_TYPE}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-store');
+  // Proxies como o nginx não devem segurar as linhas até o fim da resposta
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+
+  entries.forEach(({ validation }, index) => {
+    if (validation.isValid) {
+      indexesByCNPJ.get(validation.cleaned).push(index);
+    } else {
+      emit(index, itemError(validation.code, validation.error));
+    }
+  });
+
+  await resolveBatch(pending, deadline, (cnpj, outcome) => {
+    if (disconnected) return;
+    indexesByCNPJ.get(cnpj).forEach(index => emit(index, outcome));
+  }, { cacheFirst: true, isCancelled: () => disconnected });
+
+  if (disconnected) {
+    return { failed, disconnected };
+  }
+
+  write({ type: 'summary', error: false, total: entries.length, succeeded: entries.length - failed, failed });
+  res.end();
+
+  return { failed, disconnected };
+}
+
+// =============================================
+// HANDLER DE CONSULTA EM LOTE
+// =============================================
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res, 'POST, OPTIONS');
+  SecurityMiddleware.appendVary(res, 'Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const clientIP = SecurityMiddleware.getClientIP(req);
+    const cnpjs = req.body?.cnpjs;
+
+    if (!Array.isArray(cnpjs) || cnpjs.length === 0) {
+      return ErrorMapper.send(res, 'INVALID_REQUEST', 'Informe uma lista de CNPJs no campo "cnpjs"');
+    }
+
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error) {
+      Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code, auth.error);
+    }
+
+    if (cnpjs.length > SECURITY_CONFIG.BATCH_MAX_ITEMS) {
+      return ErrorMapper.send(res, 'BATCH_TOO_LARGE', `Lote excede o limite de ${SECURITY_CONFIG.BATCH_MAX_ITEMS} CNPJs`);
+    }
+
+    const rateLimit = await SecurityMiddleware.checkBatchRateLimit(clientIP, auth.apiKey, cnpjs.length);
+    RateLimiter.applyHeaders(res, rateLimit);
+
+    if (!rateLimit.allowed) {
+      Logger.warn('Rate limit excedido', { ip: clientIP, apiKey: auth.apiKey?.id, batchSize: cnpjs.length, retryAfter: rateLimit.retryAfter });
+      return ErrorMapper.send(
+        res,
+        rateLimit.scope === 'day' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+        `Limite de requisições excedido. Tente novamente em ${rateLimit.retryAfter} segundos.`,
+        { retryAfter: rateLimit.retryAfter }
+      );
+    }
+
+    const stream = wantsStream(req);
+    Logger.info('Consultando lote de CNPJs', { ip: clientIP, apiKey: auth.apiKey?.id, batchSize: cnpjs.length, stream });
+
+    if (stream) {
+      const { failed, disconnected } = await streamBatch(res, cnpjs, startTime + SECURITY_CONFIG.BATCH_TIME_BUDGET_MS);
+
+      Logger.info('Lote finalizado', { batchSize: cnpjs.length, failed, stream, disconnected, duration: Date.now() - startTime });
+      return;
+    }
+
+    const results = await processBatch(cnpjs, startTime + SECURITY_CONFIG.BATCH_TIME_BUDGET_MS);
+    const failed = results.filter(result => result.error).length;
+
+    const duration = Date.now() - startTime;
+    Logger.info('Lote finalizado', {
+      batchSize: cnpjs.length,
+      failed,
+      duration,
+      cacheSize: await CacheManager.getSize()
+    });
+
+    return res.status(200).json({
+      error: false,
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results,
+    });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler de lote', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    // No streaming o status já foi enviado: o erro vira a última linha
+    if (res.headersSent) {
+      res.end(`${JSON.stringify({ type: 'error', error: true, code, message, retryable: Boolean(ERROR_CODES[code].retryable) })}\n`);
+      return;
+    }
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/cnpj/batch', RequestContext.wrap(handler));
@@ -0,0 +1,104 @@
+import { SecurityMiddleware } from '../_lib/security.js';
+import { RateLimiter } from '../_lib/rate-limiter.js';
+import { ApiKeyManager } from '../_lib/api-keys.js';
+import { Logger } from '../_lib/logger.js';
+import { CNPJValidatorServer } from '../_lib/validator.js';
+import { BranchFinder } from '../_lib/branches.js';
+import { ErrorMapper } from '../_lib/errors.js';
+import { ResponseValidator } from '../_lib/openapi.js';
+import { Metrics } from '../_lib/metrics.js';
+import { RequestContext } from '../_lib/tracing.js';
+
+// =============================================
+// HANDLER DE LISTAGEM DE FILIAIS
+// =============================================
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const clientIP = SecurityMiddleware.getClientIP(req);
+    const { cnpj } = req.query;
+
+    if (!cnpj) {
+      return ErrorMapper.send(res, 'MISSING_CNPJ');
+    }
+
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error) {
+      Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code, auth.error);
+    }
+
+    // A requisição paga a consulta do CNPJ informado; cada sondagem de outra
+    // ordem é cobrada à parte, antes de ser feita
+    const rateLimit = await SecurityMiddleware.checkBatchRateLimit(clientIP, auth.apiKey);
+    RateLimiter.applyHeaders(res, rateLimit);
+
+    if (!rateLimit.allowed) {
+      Logger.warn('Rate limit excedido', { ip: clientIP, apiKey: auth.apiKey?.id, retryAfter: rateLimit.retryAfter });
+      return ErrorMapper.send(
+        res,
+        rateLimit.scope === 'day' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+        `Limite de requisições excedido. Tente novamente em ${rateLimit.retryAfter} segundos.`,
+        { retryAfter: rateLimit.retryAfter }
+      );
+    }
+
+    const validation = CNPJValidatorServer.validate(SecurityMiddleware.sanitizeCNPJ(cnpj));
+
+    if (!validation.isValid) {
+      return ErrorMapper.send(res, validation.code, validation.error);
+    }
+
+    Logger.info('Buscando filiais', { cnpj: validation.cleaned, ip: clientIP, apiKey: auth.apiKey?.id });
+
+    const result = await BranchFinder.find(validation.cleaned, {
+      beforeProbe: async () => (await SecurityMiddleware.chargeExtraItems(clientIP, auth.apiKey, 1)).allowed,
+    });
+
+    ResponseValidator.check('Branches', result);
+
+    const duration = Date.now() - startTime;
+    Logger.info('Busca de filiais finalizada', {
+      root: result.root,
+      found: result.branches.length,
+      probed: result.probed,
+      stoppedBy: result.stoppedBy,
+      duration,
+    });
+
+    return res.status(200).json({
+      error: false,
+      data: result,
+    });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler de filiais', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+// A busca pode usar todo o BRANCHES_TIME_BUDGET_MS mais uma última consulta
+export const config = { maxDuration: 60 };
+
+export default Metrics.instrument('/api/cnpj/branches', RequestContext.wrap(handler));
@@ -0,0 +1,168 @@
+import { SECURITY_CONFIG } from './_lib/config.js';
+import { SecurityMiddleware } from './_lib/security.js';
+import { RateLimiter } from './_lib/rate-limiter.js';
+import { ApiKeyManager } from './_lib/api-keys.js';
+import { Logger } from './_lib/logger.js';
+import { GraphQL } from './_lib/graphql.js';
+import { COMPANY_SCHEMA, createCompanyLoader } from './_lib/graphql-schema.js';
+import { ErrorMapper } from './_lib/errors.js';
+import { Metrics } from './_lib/metrics.js';
+import { RequestContext } from './_lib/tracing.js';
+
+// Orçamento da consulta (BATCH_TIME_BUDGET_MS, como no lote) mais as
+// tentativas da última consulta externa em cada provedor
+export const config = { maxDuration: 60 };
+
+const SDL = GraphQL.printSchema(COMPANY_SCHEMA);
+
+// =============================================
+// PARÂMETROS DA CONSULTA
+// =============================================
+// POST com corpo JSON ou GET com query, variables (JSON) e operationName na URL
+function readParams(req) {
+  const source = req.method === 'POST' ? req.body || {} : req.query;
+  let { variables = null } = source;
+
+  if (typeof variables === 'string' && req.method === 'GET') {
+    try {
+      variables = JSON.parse(variables);
+    } catch {
+      return { error: 'Parâmetro "variables" não é um JSON válido' };
+    }
+  }
+
+  if (typeof source.query !== 'string' || source.query.trim() === '') {
+    return { error: 'Informe a consulta GraphQL no campo "query"' };
+  }
+
+  if (variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return { error: 'O campo "variables" deve ser um objeto' };
+  }
+
+  if (source.operationName != null && typeof source.operationName !== 'string') {
+    return { error: 'O campo "operationName" deve ser texto' };
+  }
+
+  return { query: source.query, variables: variables || {}, operationName: source.operationName || null };
+}
+
+function sendRateLimited(res, rateLimit, meta) {
+  Logger.warn('Rate limit excedido', { ...meta, retryAfter: rateLimit.retryAfter });
+  return ErrorMapper.send(
+    res,
+    rateLimit.scope === 'day' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+    `Limite de requisições excedido. Tente novamente em ${rateLimit.retryAfter} segundos.`,
+    { retryAfter: rateLimit.retryAfter }
+  );
+}
+
+// =============================================
+// HANDLER GRAPHQL
+// =============================================
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  // GET sem consulta devolve o schema, para ferramentas e documentação
+  if (req.method === 'GET' && req.query.query === undefined) {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).send(SDL);
+  }
+
+  try {
+    const clientIP = SecurityMiddleware.getClientIP(req);
+    const params = readParams(req);
+
+    if (params.error) {
+      return ErrorMapper.send(res, 'INVALID_REQUEST', params.error);
+    }
+
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error) {
+      Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code, auth.error);
+    }
+
+    // Analisar a consulta já custa uma ficha; os CNPJs pedidos são cobrados
+    // depois, quando o custo é conhecido
+    const admitted = await SecurityMiddleware.checkClientRateLimit(clientIP, auth.apiKey);
+    RateLimiter.applyHeaders(res, admitted);
+
+    if (!admitted.allowed) {
+      return sendRateLimited(res, admitted, { ip: clientIP, apiKey: auth.apiKey?.id });
+    }
+
+    const prepared = GraphQL.prepare(COMPANY_SCHEMA, params, {
+      maxLength: SECURITY_CONFIG.GRAPHQL_MAX_QUERY_LENGTH,
+      maxDepth: SECURITY_CONFIG.GRAPHQL_MAX_DEPTH,
+      maxSelections: SECURITY_CONFIG.GRAPHQL_MAX_SELECTIONS,
+    });
+
+    if (prepared.errors) {
+      Logger.warn('Consulta GraphQL inválida', { ip: clientIP, errors: prepared.errors.map(error => error.message) });
+      return res.status(400).json({
+        errors: prepared.errors.map(error => ({ ...error, extensions: { code: 'INVALID_QUERY' } })),
+      });
+    }
+
+    // Cada CNPJ pedido conta como um item de lote
+    const cost = GraphQL.cost(prepared.request);
+
+    if (cost > SECURITY_CONFIG.BATCH_MAX_ITEMS) {
+      return ErrorMapper.send(res, 'BATCH_TOO_LARGE', `Consulta excede o limite de ${SECURITY_CONFIG.BATCH_MAX_ITEMS} CNPJs`);
+    }
+
+    const rateLimit = await SecurityMiddleware.chargeBatchItems(clientIP, auth.apiKey, cost, admitted);
+    RateLimiter.applyHeaders(res, rateLimit);
+
+    if (!rateLimit.allowed) {
+      return sendRateLimited(res, rateLimit, { ip: clientIP, apiKey: auth.apiKey?.id, cost });
+    }
+
+    Logger.info('Executando consulta GraphQL', {
+      ip: clientIP,
+      apiKey: auth.apiKey?.id,
+      operationName: params.operationName,
+      cost,
+    });
+
+    const result = await GraphQL.execute(prepared.request, {
+      loadCompany: createCompanyLoader({ deadline: startTime + SECURITY_CONFIG.BATCH_TIME_BUDGET_MS }),
+    });
+
+    Logger.info('Consulta GraphQL finalizada', {
+      cost,
+      errors: result.errors?.length || 0,
+      duration: Date.now() - startTime,
+    });
+
+    res.setHeader('Cache-Control', 'private, no-cache');
+    return res.status(200).json(result);
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler GraphQL', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/graphql', RequestContext.wrap(handler));
@@ -0,0 +1,43 @@
+import { SecurityMiddleware } from './_lib/security.js';
+import { Logger } from './_lib/logger.js';
+import { HealthCheck } from './_lib/health.js';
+import { Metrics } from './_lib/metrics.js';
+import { RequestContext } from './_lib/tracing.js';
+import { ErrorMapper } from './_lib/errors.js';
+
+// =============================================
+// HANDLER DE HEALTH CHECK
+// =============================================
+async function handler(req, res) {
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const report = await HealthCheck.run();
+
+    if (report.status !== 'ok') {
+      Logger.warn('Health check com falhas', { status: report.status });
+    }
+
+    return res.status(report.status === 'down' ? 503 : 200).json(report);
+
+  } catch (error) {
+    Logger.error('Erro no health check', error);
+
+    return ErrorMapper.send(res, 'INTERNAL_ERROR', undefined, {
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/health', RequestContext.wrap(handler));
@@ -0,0 +1,105 @@
+import { SECURITY_CONFIG } from './_lib/config.js';
+import { SecurityMiddleware } from './_lib/security.js';
+import { RateLimiter } from './_lib/rate-limiter.js';
+import { ApiKeyManager } from './_lib/api-keys.js';
+import { Logger } from './_lib/logger.js';
+import { JobInput, JobManager, JobStore } from './_lib/jobs.js';
+import { ErrorMapper } from './_lib/errors.js';
+import { Metrics } from './_lib/metrics.js';
+import { RequestContext } from './_lib/tracing.js';
+
+// =============================================
+// HANDLER DE CRIAÇÃO DE JOBS EM MASSA
+// =============================================
+// Recebe a lista (CSV, TXT ou JSON) e responde 202 na hora; o processamento
+// segue em segundo plano, no ritmo permitido pela API externa
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res, 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const clientIP = SecurityMiddleware.getClientIP(req);
+    const input = JobInput.fromRequest(req);
+
+    if (input.error) {
+      return ErrorMapper.send(res, 'INVALID_REQUEST', input.error);
+    }
+
+    if (input.cnpjs.length === 0) {
+      return ErrorMapper.send(res, 'INVALID_REQUEST', 'Nenhum CNPJ encontrado na lista');
+    }
+
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error) {
+      Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code, auth.error);
+    }
+
+    if (input.cnpjs.length > SECURITY_CONFIG.JOBS_MAX_ITEMS) {
+      return ErrorMapper.send(res, 'BATCH_TOO_LARGE', `Lista excede o limite de ${SECURITY_CONFIG.JOBS_MAX_ITEMS} CNPJs`);
+    }
+
+    // O mesmo cliente do rate limit: a chave de API ou, sem ela, o IP
+    const client = SecurityMiddleware.getClientRule(clientIP, auth.apiKey).key;
+
+    if (await JobStore.countActive(client) >= SECURITY_CONFIG.JOBS_MAX_ACTIVE_PER_CLIENT) {
+      Logger.warn('Limite de jobs em andamento atingido', { ip: clientIP, apiKey: auth.apiKey?.id });
+      return ErrorMapper.send(res, 'TOO_MANY_JOBS', `Aguarde um dos seus ${SECURITY_CONFIG.JOBS_MAX_ACTIVE_PER_CLIENT} jobs em andamento terminar`);
+    }
+
+    // Como no lote: com chave, cada item debitado da cota diária; sem chave,
+    // uma ficha do limite por IP por item, até o balde inteiro
+    const rateLimit = await SecurityMiddleware.checkBatchRateLimit(clientIP, auth.apiKey, input.cnpjs.length);
+    RateLimiter.applyHeaders(res, rateLimit);
+
+    if (!rateLimit.allowed) {
+      Logger.warn('Rate limit excedido', { ip: clientIP, apiKey: auth.apiKey?.id, jobSize: input.cnpjs.length, retryAfter: rateLimit.retryAfter });
+      return ErrorMapper.send(
+        res,
+        rateLimit.scope === 'day' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+        `Limite de requisições excedido. Tente novamente em ${rateLimit.retryAfter} segundos.`,
+        { retryAfter: rateLimit.retryAfter }
+      );
+    }
+
+    const job = await JobManager.create(input.cnpjs, { owner: auth.apiKey?.id ?? null, client });
+    const summary = JobManager.summarize(job);
+
+    Logger.info('Job de consulta em massa aceito', {
+      jobId: job.id,
+      ip: clientIP,
+      apiKey: auth.apiKey?.id,
+      jobSize: input.cnpjs.length,
+      duration: Date.now() - startTime,
+    });
+
+    res.setHeader('Location', summary.links.self);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(202).json({ error: false, job: summary });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler de criação de job', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/jobs', RequestContext.wrap(handler));
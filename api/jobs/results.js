@@ -0,0 +1,100 @@
+import { SecurityMiddleware } from '../_lib/security.js';
+import { ApiKeyManager } from '../_lib/api-keys.js';
+import { Logger } from '../_lib/logger.js';
+import { JobManager } from '../_lib/jobs.js';
+import { ContentNegotiator, ExportFormatter, XLSX_CONTENT_TYPE } from '../_lib/export-format.js';
+import { ErrorMapper } from '../_lib/errors.js';
+import { Metrics } from '../_lib/metrics.js';
+import { RequestContext } from '../_lib/tracing.js';
+
+const RESULT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// =============================================
+// HANDLER DE RESULTADOS DO JOB
+// =============================================
+// JSON traz todos os itens, no formato do /api/cnpj/batch. CSV e XLSX têm as
+// colunas da exportação e só as empresas encontradas; os erros ficam no JSON
+// e no progresso do job.
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const clientIP = SecurityMiddleware.getClientIP(req);
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!RESULT_FORMATS.includes(format)) {
+      return ErrorMapper.send(res, 'INVALID_FORMAT', `Formato não suportado: ${req.query.format}. Use json, csv ou xlsx`);
+    }
+
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error) {
+      Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code, auth.error);
+    }
+
+    const job = await JobManager.getForClient(String(req.query.id || ''), auth.apiKey);
+
+    if (!job) {
+      return ErrorMapper.send(res, 'JOB_NOT_FOUND');
+    }
+
+    if (job.status !== 'completed') {
+      res.setHeader('Location', `/api/jobs/${job.id}`);
+      return ErrorMapper.send(res, 'JOB_NOT_FINISHED', undefined, { job: JobManager.summarize(job) });
+    }
+
+    const results = await JobManager.results(job);
+
+    Logger.info('Resultados do job entregues', {
+      jobId: job.id,
+      format,
+      items: results.length,
+      duration: Date.now() - startTime,
+    });
+
+    if (format === 'json') {
+      const failed = results.filter(result => result.error).length;
+
+      return res.status(200).json({
+        error: false,
+        total: results.length,
+        succeeded: results.length - failed,
+        failed,
+        results,
+      });
+    }
+
+    const companies = results.filter(result => !result.error).map(result => result.data);
+
+    res.setHeader('Content-Type', format === 'xlsx' ? XLSX_CONTENT_TYPE : ContentNegotiator.contentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="job-${job.id}.${format}"`);
+    return res.status(200).send(ExportFormatter.format(format, companies));
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler de resultados do job', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/jobs/:id/results', RequestContext.wrap(handler));
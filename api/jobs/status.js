@@ -0,0 +1,68 @@
+import { SECURITY_CONFIG } from '../_lib/config.js';
+import { SecurityMiddleware } from '../_lib/security.js';
+import { ApiKeyManager } from '../_lib/api-keys.js';
+import { Logger } from '../_lib/logger.js';
+import { JobManager, JobWorker } from '../_lib/jobs.js';
+import { ErrorMapper } from '../_lib/errors.js';
+import { Metrics } from '../_lib/metrics.js';
+import { RequestContext } from '../_lib/tracing.js';
+
+// =============================================
+// HANDLER DE PROGRESSO DO JOB
+// =============================================
+// Cada consulta também avança o job por até JOBS_POLL_BUDGET_MS, para que ele
+// ande mesmo sem o cron. Não passa pelo rate limit do cliente: o trabalho já é
+// limitado pelo ritmo das chamadas à API externa.
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const clientIP = SecurityMiddleware.getClientIP(req);
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error) {
+      Logger.warn('Falha na autenticação', { ip: clientIP, reason: auth.error });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code, auth.error);
+    }
+
+    let job = await JobManager.getForClient(String(req.query.id || ''), auth.apiKey);
+
+    if (!job) {
+      return ErrorMapper.send(res, 'JOB_NOT_FOUND');
+    }
+
+    // Só o cache: as consultas à API externa ficam com o rodízio do worker,
+    // senão quem consulta o progresso mais vezes tomaria as fichas dos outros
+    if (job.status !== 'completed' && SECURITY_CONFIG.JOBS_POLL_BUDGET_MS > 0) {
+      job = (await JobWorker.advance(job.id, { deadline: startTime + SECURITY_CONFIG.JOBS_POLL_BUDGET_MS, maxLookups: 0 })) || job;
+    }
+
+    return res.status(200).json({ error: false, job: JobManager.summarize(job) });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler de progresso do job', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/jobs/:id', RequestContext.wrap(handler));
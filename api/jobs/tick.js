@@ -0,0 +1,58 @@
+import { SECURITY_CONFIG } from '../_lib/config.js';
+import { SecurityMiddleware } from '../_lib/security.js';
+import { Logger } from '../_lib/logger.js';
+import { JobWorker } from '../_lib/jobs.js';
+import { ErrorMapper } from '../_lib/errors.js';
+import { Metrics } from '../_lib/metrics.js';
+import { RequestContext } from '../_lib/tracing.js';
+
+// Fatia do worker (JOBS_SLICE_MS) mais a folga do lease para a última consulta
+export const config = { maxDuration: 60 };
+
+// =============================================
+// HANDLER DO CRON DOS JOBS
+// =============================================
+// Chamado a cada minuto pelo cron da Vercel. Com CRON_SECRET definido, a
+// Vercel envia Authorization: Bearer <segredo> e chamadas sem ele são recusadas.
+async function handler(req, res) {
+  const startTime = Date.now();
+
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  if (SECURITY_CONFIG.JOBS_CRON_SECRET &&
+      req.headers.authorization !== `Bearer ${SECURITY_CONFIG.JOBS_CRON_SECRET}`) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return ErrorMapper.send(res, 'UNAUTHORIZED');
+  }
+
+  try {
+    const result = await JobWorker.tick({ budgetMs: SECURITY_CONFIG.JOBS_SLICE_MS });
+
+    Logger.info('Rodada do worker de jobs finalizada', { ...result, duration: Date.now() - startTime });
+
+    return res.status(200).json({ error: false, ...result });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    Logger.error('Erro no handler do cron de jobs', error, { duration });
+
+    const { code, message } = ErrorMapper.toResponse(error);
+
+    return ErrorMapper.send(res, code, message, {
+      details: process.env.NODE_ENV === 'development' ? error.details || error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/jobs/tick', RequestContext.wrap(handler));
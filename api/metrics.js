@@ -0,0 +1,36 @@
+import { SECURITY_CONFIG } from './_lib/config.js';
+import { SecurityMiddleware } from './_lib/security.js';
+import { Logger } from './_lib/logger.js';
+import { Metrics } from './_lib/metrics.js';
+import { RequestContext } from './_lib/tracing.js';
+import { ErrorMapper } from './_lib/errors.js';
+
+// =============================================
+// HANDLER DE MÉTRICAS (PROMETHEUS)
+// =============================================
+// Com METRICS_TOKEN definido, o scraper precisa enviar Authorization: Bearer <token>
+async function handler(req, res) {
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  if (SECURITY_CONFIG.METRICS_TOKEN &&
+      req.headers.authorization !== `Bearer ${SECURITY_CONFIG.METRICS_TOKEN}`) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return ErrorMapper.send(res, 'UNAUTHORIZED');
+  }
+
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.status(200).send(Metrics.render());
+}
+
+export default Metrics.instrument('/api/metrics', RequestContext.wrap(handler));
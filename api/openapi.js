@@ -0,0 +1,28 @@
+import { SecurityMiddleware } from './_lib/security.js';
+import { Logger } from './_lib/logger.js';
+import { OPENAPI_DOCUMENT } from './_lib/openapi.js';
+import { Metrics } from './_lib/metrics.js';
+import { RequestContext } from './_lib/tracing.js';
+import { ErrorMapper } from './_lib/errors.js';
+
+// =============================================
+// HANDLER DO DOCUMENTO OPENAPI
+// =============================================
+async function handler(req, res) {
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  return res.status(200).json(OPENAPI_DOCUMENT);
+}
+
+export default Metrics.instrument('/api/openapi.json', RequestContext.wrap(handler));
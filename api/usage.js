@@ -0,0 +1,49 @@
+import { SecurityMiddleware } from './_lib/security.js';
+import { ApiKeyManager } from './_lib/api-keys.js';
+import { Logger } from './_lib/logger.js';
+import { ErrorMapper } from './_lib/errors.js';
+import { Metrics } from './_lib/metrics.js';
+import { RequestContext } from './_lib/tracing.js';
+
+// =============================================
+// HANDLER DE USO DA CHAVE DE API
+// =============================================
+async function handler(req, res) {
+  // Headers de segurança
+  SecurityMiddleware.applySecurityHeaders(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    Logger.warn('Método não permitido', { method: req.method });
+    return ErrorMapper.send(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  try {
+    const auth = ApiKeyManager.authenticate(req);
+
+    if (auth.error || !auth.apiKey) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return ErrorMapper.send(res, auth.code || 'API_KEY_REQUIRED');
+    }
+
+    const usage = await ApiKeyManager.getUsage(auth.apiKey);
+
+    return res.status(200).json({
+      error: false,
+      data: usage,
+    });
+
+  } catch (error) {
+    Logger.error('Erro no handler de uso', error);
+
+    return ErrorMapper.send(res, 'INTERNAL_ERROR', undefined, {
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default Metrics.instrument('/api/usage', RequestContext.wrap(handler));
@@ -0,0 +1,9 @@
+import { createCNPJHandler } from '../_lib/cnpj-handler.js';
+import { Metrics } from '../_lib/metrics.js';
+import { RequestContext } from '../_lib/tracing.js';
+
+// =============================================
+// HANDLER DE CONSULTA (ESQUEMA V2)
+// =============================================
+// Esquema documentado em api/_lib/data-mapper-v2.js
+export default Metrics.instrument('/api/v2/cnpj', RequestContext.wrap(createCNPJHandler({ version: 2 })));
@@ -8,8 +8,8 @@ const CONFIG = {
   MAX_RETRIES: 2,
   RETRY_DELAY: 1000,
   MAX_SEARCH_HISTORY: 50,
-  // Nova configuração para ambiente
-  ENV: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' ? 'development' : 'production',
+  // Nova configuração para ambiente (fora do navegador, nos testes, não há location)
+  ENV: ['localhost', '127.0.0.1'].includes(globalThis.location?.hostname) ? 'development' : 'production',
   // Configurações de rate limit
   RATE_LIMIT_DELAY: 60000, // 60 segundos padrão
   AUTO_RETRY_ENABLED: true, // Se deve retornar automaticamente
@@ -17,6 +17,43 @@ const CONFIG = {
   APP_VERSION: '1.1.1'
 };
 
+// Mensagens exibidas para cada código de erro retornado pela API (um para
+// cada código de ERROR_CODES no servidor) e para as falhas locais do cliente
+const ERROR_MESSAGES = {
+  METHOD_NOT_ALLOWED: "Operação não permitida.",
+  MISSING_CNPJ: "Informe um CNPJ para consultar.",
+  INVALID_LENGTH: "O CNPJ deve conter 14 caracteres.",
+  INVALID_CNPJ: "CNPJ inválido. Verifique o número informado.",
+  INVALID_CHECK_DIGIT: "Dígito verificador inválido. Verifique o CNPJ informado.",
+  INVALID_REQUEST: "Requisição inválida. Verifique os dados enviados.",
+  INVALID_FIELDS: "Campos solicitados inválidos.",
+  INVALID_FORMAT: "Formato de exportação não suportado.",
+  INVALID_QUERY: "Consulta inválida. Verifique os campos solicitados.",
+  BATCH_TOO_LARGE: "A lista excede o limite de CNPJs por consulta.",
+  PAYLOAD_TOO_LARGE: "Os dados enviados são grandes demais para uma consulta.",
+  BATCH_TIMEOUT: "A consulta em lote demorou muito tempo. Tente novamente com menos CNPJs.",
+  API_KEY_REQUIRED: "Esta API exige uma chave de acesso.",
+  INVALID_API_KEY: "Chave de acesso inválida.",
+  UNAUTHORIZED: "Acesso não autorizado.",
+  RATE_LIMITED: "Muitas consultas em pouco tempo. Aguarde e tente novamente.",
+  QUOTA_EXCEEDED: "A cota diária de consultas foi atingida.",
+  NOT_FOUND: "Empresa não encontrada para o CNPJ informado.",
+  JOB_NOT_FOUND: "Consulta em lote não encontrada ou expirada.",
+  JOB_NOT_FINISHED: "A consulta em lote ainda está em processamento.",
+  TOO_MANY_JOBS: "Há consultas em lote demais em andamento. Aguarde e tente novamente.",
+  JOBS_UNAVAILABLE: "Consultas em lote em segundo plano não estão disponíveis.",
+  UPSTREAM_TIMEOUT: "A consulta demorou muito tempo. Tente novamente.",
+  UPSTREAM_RATE_LIMITED: "O serviço de consulta está sobrecarregado. Tente novamente em instantes.",
+  UPSTREAM_UNAVAILABLE: "O serviço de consulta está temporariamente indisponível. Tente novamente mais tarde.",
+  UPSTREAM_CIRCUIT_OPEN: "O serviço de consulta está temporariamente indisponível. Tente novamente em alguns instantes.",
+  UPSTREAM_ERROR: "O serviço de consulta retornou um erro. Tente novamente mais tarde.",
+  UPSTREAM_INVALID_RESPONSE: "O serviço de consulta retornou dados inválidos. Tente novamente mais tarde.",
+  RESPONSE_SCHEMA_MISMATCH: "O servidor retornou dados fora do formato esperado.",
+  INTERNAL_ERROR: "Erro interno do servidor. Tente novamente mais tarde.",
+  CLIENT_TIMEOUT: "A consulta demorou muito tempo. Tente novamente.",
+  NETWORK_ERROR: "Erro de conexão. Verifique sua internet e tente novamente.",
+};
+
 // =============================================
 // VERIFICADOR DE ATUALIZAÇÕES
 // =============================================
@@ -80,15 +117,22 @@ class UpdateManager {
 // =============================================
 class RateLimitManager {
   static STORAGE_KEY = 'cnpj_rate_limit';
+  static CODE_STORAGE_KEY = 'cnpj_rate_limit_code';
   static timerInterval = null;
   static currentTimer = null;
 
-  static setRateLimit(seconds) {
+  // code é o erro que impôs a espera, para o timer mostrar o motivo certo
+  static setRateLimit(seconds, code = 'RATE_LIMITED') {
     const resetTime = Date.now() + (seconds * 1000);
     localStorage.setItem(this.STORAGE_KEY, resetTime.toString());
+    localStorage.setItem(this.CODE_STORAGE_KEY, code);
     this.startTimer(seconds);
   }
 
+  static getCode() {
+    return localStorage.getItem(this.CODE_STORAGE_KEY) || 'RATE_LIMITED';
+  }
+
   static isRateLimited() {
     const resetTime = localStorage.getItem(this.STORAGE_KEY);
     if (!resetTime) return false;
@@ -106,6 +150,7 @@ class RateLimitManager {
 
   static clearRateLimit() {
     localStorage.removeItem(this.STORAGE_KEY);
+    localStorage.removeItem(this.CODE_STORAGE_KEY);
     this.stopTimer();
   }
 
@@ -157,15 +202,17 @@ class RateLimitManager {
 // VALIDAÇÃO DE CNPJ (ALGORITMO OFICIAL)
 // =============================================
 class CNPJValidator {
+  // Raiz e ordem podem ser alfanuméricas ([0-9A-Z]); os dígitos verificadores
+  // são sempre numéricos. Cada caractere vale seu código ASCII menos 48.
   static clean(cnpj) {
-    return cnpj.replace(/\D/g, "");
+    return cnpj.toUpperCase().replace(/[^0-9A-Z]/g, "");
   }
 
   static format(cnpj) {
     const cleaned = this.clean(cnpj);
     if (cleaned.length !== 14) return cnpj;
     
-    return cleaned.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, "$1.$2.$3/$4-$5");
+    return cleaned.replace(/([0-9A-Z]{2})([0-9A-Z]{3})([0-9A-Z]{3})([0-9A-Z]{4})(\d{2})/, "$1.$2.$3/$4-$5");
   }
 
   static validate(cnpj) {
@@ -175,42 +222,35 @@ class CNPJValidator {
       return { isValid: false, error: "CNPJ deve conter 14 dígitos" };
     }
 
-    if (/^(\d)\1+$/.test(cleaned)) {
+    if (/^(.)\1+$/.test(cleaned)) {
       return { isValid: false, error: "CNPJ com dígitos repetidos é inválido" };
     }
 
-    let tamanho = cleaned.length - 2;
-    let numeros = cleaned.substring(0, tamanho);
-    let digitos = cleaned.substring(tamanho);
-    let soma = 0;
-    let pos = tamanho - 7;
-
-    for (let i = tamanho; i >= 1; i--) {
-      soma += numeros.charAt(tamanho - i) * pos--;
-      if (pos < 2) pos = 9;
+    if (!/^[0-9A-Z]{12}\d{2}$/.test(cleaned)) {
+      return { isValid: false, error: "Dígito verificador inválido" };
     }
 
-    let resultado = soma % 11 < 2 ? 0 : 11 - (soma % 11);
-    if (resultado !== parseInt(digitos.charAt(0))) {
+    const base = cleaned.substring(0, 12);
+    const firstDigit = this.calculateDigit(base);
+    const secondDigit = this.calculateDigit(base + firstDigit);
+
+    if (cleaned.substring(12) !== `${firstDigit}${secondDigit}`) {
       return { isValid: false, error: "Dígito verificador inválido" };
     }
 
-    tamanho = tamanho + 1;
-    numeros = cleaned.substring(0, tamanho);
-    soma = 0;
-    pos = tamanho - 7;
+    return { isValid: true, cleaned };
+  }
 
-    for (let i = tamanho; i >= 1; i--) {
-      soma += numeros.charAt(tamanho - i) * pos--;
-      if (pos < 2) pos = 9;
-    }
+  static calculateDigit(value) {
+    let soma = 0;
+    let pos = value.length - 7;
 
-    resultado = soma % 11 < 2 ? 0 : 11 - (soma % 11);
-    if (resultado !== parseInt(digitos.charAt(1))) {
-      return { isValid: false, error: "Dígito verificador inválido" };
+    for (let i = 0; i < value.length; i++) {
+      soma += (value.charCodeAt(i) - 48) * pos--;
+      if (pos < 2) pos = 9;
     }
 
-    return { isValid: true, cleaned };
+    return soma % 11 < 2 ? 0 : 11 - (soma % 11);
   }
 }
 
@@ -231,16 +271,18 @@ class SearchHistoryManager {
     }
   }
 
-  static saveToHistory(cnpj, data) {
+  static saveToHistory(cnpj, data, validators = {}) {
     try {
       const history = this.getHistory();
       const timestamp = new Date().toISOString();
       
-      // Adicionar nova pesquisa
+      // Adicionar nova pesquisa (com ETag/Last-Modified para consultas condicionais)
       history[cnpj] = {
         data: data,
         timestamp: timestamp,
-        companyName: data.company?.name || 'Nome não disponível'
+        companyName: data.company?.name || 'Nome não disponível',
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null
       };
 
       // Manter apenas os MAX_ITEMS mais recentes
@@ -295,11 +337,20 @@ class ExportManager {
     if (!selections || selections.length === 0) return null;
 
     const headers = this.getAllHeaders();
-    const rows = selections.map(item => this.formatRowData(item));
-    const csvContent = [headers.join(','), ...rows].join('\n');
+    const rows = selections.map(item => {
+      const row = this.formatRowData(item);
+      return headers.map(header => this.escapeCSV(row[header])).join(',');
+    });
+    const csvContent = [headers.map(header => this.escapeCSV(header)).join(','), ...rows].join('\r\n');
     return csvContent;
   }
 
+  // Mesmo escape de ExportFormatter.escapeCSV na API
+  static escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
   static exportToJSON(selections) {
     const exportData = {
       exported_at: new Date().toISOString(),
@@ -339,6 +390,7 @@ class ExportManager {
     }
   }
 
+  // Colunas espelhadas em api/_lib/export-format.js (CSV/XML da API)
   static getAllHeaders() {
     return [
       'CNPJ', 'Razão Social', 'Nome Fantasia', 'Situação Cadastral', 
@@ -468,6 +520,7 @@ class AppState {
     this.retryCount = 0;
     this.exportSelections = new Set();
     this.pendingSearch = null;
+    this.isRefreshingHistory = false;
   }
 
   setTheme(theme) {
@@ -516,47 +569,208 @@ class AppState {
 // GERENCIADOR DE API
 // =============================================
 class ApiManager {
+  // Reaproveita os dados do histórico quando a API responde 304 Not Modified.
+  // Retorna { data, etag, lastModified }.
   static async fetchCNPJ(cnpj) {
+    const historyItem = SearchHistoryManager.getHistory()[cnpj];
+    const headers = {};
+
+    if (historyItem?.etag) headers['If-None-Match'] = historyItem.etag;
+    if (historyItem?.lastModified) headers['If-Modified-Since'] = historyItem.lastModified;
+
+    const { data, response } = await this.request(`${CONFIG.API_BASE_URL}?cnpj=${cnpj}`, headers);
+
+    if (response.status === 304) {
+      console.log("♻️ Dados não modificados, usando histórico local");
+      return { data: historyItem.data, etag: historyItem.etag, lastModified: historyItem.lastModified };
+    }
+
+    return {
+      data,
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified')
+    };
+  }
+
+  static async fetchBranches(cnpj) {
+    const { data } = await this.request(`${CONFIG.API_BASE_URL}/branches?cnpj=${cnpj}`);
+    return data;
+  }
+
+  // Lote em streaming (NDJSON): onItem recebe cada CNPJ assim que o servidor o
+  // resolve ({ index, cnpj, error, data... }, cache primeiro), fora da ordem
+  // enviada. Retorna a linha final de resumo { total, succeeded, failed }.
+  static async streamBatch(cnpjs, onItem) {
+    const controller = new AbortController();
+    let requestId = this.generateRequestId();
+    // O prazo vale para o silêncio entre linhas, não para o lote inteiro
+    let timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    };
+
+    try {
+      const response = await fetch(`${CONFIG.API_BASE_URL}/batch`, {
+        method: 'POST',
+        signal: controller.signal,
+        cache: 'no-store',
+        headers: {
+          'Accept': 'application/x-ndjson',
+          'Content-Type': 'application/json',
+          'X-Request-Id': requestId
+        },
+        body: JSON.stringify({ cnpjs })
+      });
+
+      requestId = response.headers.get('X-Request-Id') || requestId;
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw this.errorFromResponse(response, data, requestId);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let summary = null;
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+
+        const record = JSON.parse(line);
+
+        if (record.type === 'item') {
+          onItem(record);
+        } else if (record.type === 'summary') {
+          summary = record;
+        } else if (record.type === 'error') {
+          throw this.createError(record.message, record.code, requestId, { retryable: Boolean(record.retryable) });
+        }
+      };
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        resetTimeout();
+        buffer += decoder.decode(value, { stream: true });
+
+        // A última parte pode ser uma linha ainda incompleta
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+
+      handleLine(buffer + decoder.decode());
+      clearTimeout(timeoutId);
+
+      if (!summary) {
+        throw this.createError("Lote interrompido antes do fim", 'NETWORK_ERROR', requestId, { retryable: true });
+      }
+
+      return summary;
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (error.name === 'AbortError') {
+        throw this.createError("Tempo limite excedido na consulta", 'CLIENT_TIMEOUT', requestId, { retryable: true });
+      }
+
+      if (error.name === 'TypeError') {
+        throw this.createError(error.message, 'NETWORK_ERROR', requestId, { retryable: true });
+      }
+
+      throw error;
+    }
+  }
+
+  // Cada chamada leva um X-Request-Id; o servidor o repete nos logs e na
+  // resposta, e os erros carregam o ID para a telemetria
+  static async request(url, headers = {}) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    let requestId = this.generateRequestId();
 
     try {
-      const response = await fetch(`${CONFIG.API_BASE_URL}?cnpj=${cnpj}`, {
+      // Sem o cache HTTP do navegador: a revalidação é feita pelos headers condicionais
+      const response = await fetch(url, {
         signal: controller.signal,
+        cache: 'no-store',
         headers: {
           'Accept': 'application/json',
-          'Cache-Control': 'no-cache'
+          'X-Request-Id': requestId,
+          ...headers
         }
       });
 
       clearTimeout(timeoutId);
+      requestId = response.headers.get('X-Request-Id') || requestId;
 
-      if (!response.ok) {
-        if (response.status === 429) {
-          const retryAfter = response.headers.get('Retry-After');
-          const waitTime = retryAfter ? parseInt(retryAfter) : 60;
-          throw new Error(`RATE_LIMIT:${waitTime}`);
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (response.status === 304) {
+        return { data: null, response };
       }
 
-      const data = await response.json();
+      const data = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        throw this.errorFromResponse(response, data, requestId);
+      }
       
-      if (data.error) {
-        throw new Error(data.message || "Erro na consulta");
+      if (!data || data.error) {
+        throw this.createError(data?.message || "Erro na consulta", data?.code || 'INTERNAL_ERROR', requestId, { retryable: Boolean(data?.retryable) });
       }
 
-      return data.data;
+      return { data: data.data, response };
     } catch (error) {
       clearTimeout(timeoutId);
       
       if (error.name === 'AbortError') {
-        throw new Error("Tempo limite excedido na consulta");
+        throw this.createError("Tempo limite excedido na consulta", 'CLIENT_TIMEOUT', requestId, { retryable: true });
+      }
+
+      if (error.name === 'TypeError') {
+        throw this.createError(error.message, 'NETWORK_ERROR', requestId, { retryable: true });
       }
       
       throw error;
     }
   }
+
+  static generateRequestId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // Erro de uma resposta HTTP de falha, com o código enviado pela API. A API
+  // diz se vale repetir (retryable) e, quando há espera conhecida, quanto
+  // esperar (retryAfter, em segundos, também no header Retry-After). Um 429
+  // sem corpo é rate limit com a espera padrão
+  static errorFromResponse(response, data, requestId) {
+    const code = data?.code || (response.status === 429 ? 'RATE_LIMITED' : 'INTERNAL_ERROR');
+    let retryAfter = parseInt(data?.retryAfter ?? response.headers.get('Retry-After'), 10);
+
+    if (Number.isNaN(retryAfter) && !data?.code && response.status === 429) {
+      retryAfter = CONFIG.RATE_LIMIT_DELAY / 1000;
+    }
+
+    return this.createError(data?.message || `HTTP ${response.status}: ${response.statusText}`, code, requestId, {
+      retryable: data ? Boolean(data.retryable) : response.status === 429 || response.status >= 500,
+      retryAfter: Number.isNaN(retryAfter) ? undefined : retryAfter
+    });
+  }
+
+  static createError(message, code, requestId = null, { retryable = false, retryAfter } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.requestId = requestId;
+    error.retryable = retryable;
+    error.retryAfter = retryAfter;
+    return error;
+  }
 }
 
 // =============================================
@@ -627,10 +841,13 @@ class Formatters {
     }
   }
 
+  // MM:SS, ou HH:MM:SS nas esperas longas, como a da cota diária
   static time(seconds) {
-    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
     const remainingSeconds = seconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    const parts = hours > 0 ? [hours, minutes, remainingSeconds] : [minutes, remainingSeconds];
+    return parts.map(part => part.toString().padStart(2, '0')).join(':');
   }
 }
 
@@ -655,11 +872,15 @@ class UIManager {
       partnersList: document.getElementById("partnersList"),
       themeToggle: document.getElementById("themeToggle"),
       completeData: document.getElementById("completeData"),
+      branchesCard: document.getElementById("branchesCard"),
+      branchesList: document.getElementById("branchesList"),
+      loadBranchesBtn: document.getElementById("loadBranchesBtn"),
       
       // Elementos de exportação
       exportList: document.getElementById("exportList"),
       selectAllBtn: document.getElementById("selectAllBtn"),
       deselectAllBtn: document.getElementById("deselectAllBtn"),
+      refreshSelectedBtn: document.getElementById("refreshSelectedBtn"),
       clearAllBtn: document.getElementById("clearAllBtn"),
       exportExcelBtn: document.getElementById("exportExcelBtn"),
       exportCSVBtn: document.getElementById("exportCSVBtn"),
@@ -699,6 +920,9 @@ class UIManager {
     // Toggle de tema
     this.elements.themeToggle.addEventListener("click", () => this.toggleTheme());
 
+    // Matriz e filiais
+    this.elements.loadBranchesBtn.addEventListener("click", () => this.handleLoadBranches());
+
     // Tabs
     document.querySelectorAll(".tab-button").forEach((button) => {
       button.addEventListener("click", (e) => {
@@ -709,11 +933,20 @@ class UIManager {
     // Eventos de exportação
     this.elements.selectAllBtn.addEventListener("click", () => this.handleSelectAll());
     this.elements.deselectAllBtn.addEventListener("click", () => this.handleDeselectAll());
+    this.elements.refreshSelectedBtn.addEventListener("click", () => this.handleRefreshSelected());
     this.elements.clearAllBtn.addEventListener("click", () => this.handleClearAll());
     this.elements.exportExcelBtn.addEventListener("click", () => this.handleExport('excel'));
     this.elements.exportCSVBtn.addEventListener("click", () => this.handleExport('csv'));
     this.elements.exportJSONBtn.addEventListener("click", () => this.handleExport('json'));
 
+    // Seleção de pesquisas: a lista é recriada a cada atualização, então o
+    // evento é tratado no contêiner (o script é um módulo, sem globais para
+    // handlers inline)
+    this.elements.exportList.addEventListener("change", (e) => {
+      const item = e.target.closest(".export-item");
+      if (item) this.handleExportSelection(item.dataset.cnpj);
+    });
+
     // Focar no input ao carregar
     this.elements.cnpjInput.focus();
   }
@@ -755,13 +988,13 @@ class UIManager {
   // SISTEMA DE RATE LIMIT E TIMER
   // =============================================
 
-  showRateLimitError(waitTime) {
+  showRateLimitError(waitTime, code = RateLimitManager.getCode()) {
     const currentSearch = this.elements.cnpjInput.value;
     if (currentSearch && CNPJValidator.validate(currentSearch).isValid) {
       appState.setPendingSearch(CNPJValidator.validate(currentSearch).cleaned);
     }
 
-    RateLimitManager.setRateLimit(waitTime);
+    RateLimitManager.setRateLimit(waitTime, code);
     
     this.disableSearchButton(true);
     this.elements.cnpjInput.disabled = true;
@@ -785,7 +1018,7 @@ class UIManager {
       <div class="rate-limit-message">
         <div class="rate-limit-icon">⏰</div>
         <div class="rate-limit-content">
-          <strong>Limite de consultas excedido</strong>
+          <strong>${ERROR_MESSAGES[RateLimitManager.getCode()] || ERROR_MESSAGES.RATE_LIMITED}</strong>
           <p>Nova consulta automática em: <span class="timer">${timeString}</span></p>
           <small>Você pode continuar navegando, a pesquisa será realizada automaticamente</small>
         </div>
@@ -834,6 +1067,7 @@ class UIManager {
     this.elements.exportExcelBtn.disabled = !hasSelections;
     this.elements.exportCSVBtn.disabled = !hasSelections;
     this.elements.exportJSONBtn.disabled = !hasSelections;
+    this.elements.refreshSelectedBtn.disabled = !hasSelections || appState.isRefreshingHistory;
     this.elements.clearAllBtn.disabled = !hasHistory;
 
     if (!hasHistory) {
@@ -858,7 +1092,6 @@ class UIManager {
             <input 
               type="checkbox" 
               ${isSelected ? 'checked' : ''}
-              onchange="uiManager.handleExportSelection('${item.cnpj}')"
             />
             <span class="checkmark"></span>
           </label>
@@ -892,6 +1125,41 @@ class UIManager {
     Telemetry.trackEvent('export_deselect_all');
   }
 
+  // Reconsulta as pesquisas selecionadas num lote em streaming: cada empresa é
+  // atualizada no histórico assim que o servidor a resolve
+  async handleRefreshSelected() {
+    const history = SearchHistoryManager.getHistoryList();
+    const cnpjs = appState.getSelectedExports(history).map(item => item.cnpj);
+    if (cnpjs.length === 0 || appState.isRefreshingHistory) return;
+
+    appState.isRefreshingHistory = true;
+    this.loadExportHistory();
+    let updated = 0;
+
+    try {
+      const summary = await ApiManager.streamBatch(cnpjs, (item) => {
+        if (item.error) return;
+
+        SearchHistoryManager.saveToHistory(item.cnpj, item.data);
+        updated++;
+        this.loadExportHistory();
+      });
+
+      this.showNotification(
+        `${updated} de ${summary.total} pesquisa(s) atualizada(s)`,
+        summary.failed > 0 ? 'warning' : 'success'
+      );
+      Telemetry.trackEvent('history_refreshed', { total: summary.total, failed: summary.failed });
+    } catch (error) {
+      console.error("💥 Erro ao atualizar pesquisas:", error);
+      this.showNotification(this.getErrorMessage(error), 'error');
+      Telemetry.trackError(error, { action: 'refresh_history', updated });
+    } finally {
+      appState.isRefreshingHistory = false;
+      this.loadExportHistory();
+    }
+  }
+
   handleClearAll() {
     if (confirm('Tem certeza que deseja limpar todas as pesquisas salvas?')) {
       SearchHistoryManager.clearHistory();
@@ -1030,21 +1298,21 @@ class UIManager {
     const cursorPosition = input.selectionStart;
     const originalLength = input.value.length;
     
-    let value = input.value.replace(/\D/g, "");
+    let value = CNPJValidator.clean(input.value);
     
     if (value.length <= 14) {
       if (value.length > 12) {
-        value = value.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, "$1.$2.$3/$4-$5");
+        value = value.replace(/(\w{2})(\w{3})(\w{3})(\w{4})(\w{0,2})/, "$1.$2.$3/$4-$5");
       } else if (value.length > 8) {
-        value = value.replace(/(\d{2})(\d{3})(\d{3})(\d{0,4})/, "$1.$2.$3/$4");
+        value = value.replace(/(\w{2})(\w{3})(\w{3})(\w{0,4})/, "$1.$2.$3/$4");
       } else if (value.length > 5) {
-        value = value.replace(/(\d{2})(\d{3})(\d{0,3})/, "$1.$2.$3");
+        value = value.replace(/(\w{2})(\w{3})(\w{0,3})/, "$1.$2.$3");
       } else if (value.length > 2) {
-        value = value.replace(/(\d{2})(\d{0,3})/, "$1.$2");
+        value = value.replace(/(\w{2})(\w{0,3})/, "$1.$2");
       }
     } else {
       value = value.substring(0, 14);
-      value = value.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, "$1.$2.$3/$4-$5");
+      value = value.replace(/(\w{2})(\w{3})(\w{3})(\w{4})(\w{2})/, "$1.$2.$3/$4-$5");
     }
     
     input.value = value;
@@ -1088,10 +1356,10 @@ class UIManager {
     try {
       console.log("🔍 Iniciando consulta para CNPJ:", cnpj);
       
-      const data = await ApiManager.fetchCNPJ(cnpj);
+      const { data, etag, lastModified } = await ApiManager.fetchCNPJ(cnpj);
       console.log("✅ Dados recebidos com sucesso");
 
-      SearchHistoryManager.saveToHistory(cnpj, data);
+      SearchHistoryManager.saveToHistory(cnpj, data, { etag, lastModified });
       
       this.displayData(data);
       appState.setLastSearch(cnpj);
@@ -1108,10 +1376,10 @@ class UIManager {
       const duration = Date.now() - startTime;
       Telemetry.trackSearch(cnpj, false, duration, error);
       
-      if (error.message.startsWith('RATE_LIMIT:')) {
-        const waitTime = parseInt(error.message.split(':')[1]);
-        this.showRateLimitError(waitTime);
-      } else if (appState.retryCount < CONFIG.MAX_RETRIES) {
+      // Com espera indicada pela API, a nova tentativa fica com o timer
+      if (error.retryable && error.retryAfter > 0) {
+        this.showRateLimitError(error.retryAfter, error.code);
+      } else if (error.retryable && appState.retryCount < CONFIG.MAX_RETRIES) {
         appState.retryCount++;
         console.log(`🔄 Tentativa ${appState.retryCount} de ${CONFIG.MAX_RETRIES}`);
         
@@ -1131,17 +1399,11 @@ class UIManager {
   }
 
   getErrorMessage(error) {
-    const message = error.message || "Erro desconhecido";
-    
-    if (message.includes("Tempo limite")) {
-      return "A consulta demorou muito tempo. Tente novamente.";
-    } else if (message.includes("404") || message.includes("não encontrada")) {
-      return "Empresa não encontrada para o CNPJ informado.";
-    } else if (message.includes("Failed to fetch")) {
-      return "Erro de conexão. Verifique sua internet e tente novamente.";
+    if (error.code && ERROR_MESSAGES[error.code]) {
+      return ERROR_MESSAGES[error.code];
     }
     
-    return `Erro: ${message}`;
+    return `Erro: ${error.message || "Erro desconhecido"}`;
   }
 
   displayData(data) {
@@ -1154,6 +1416,7 @@ class UIManager {
 
     this.displayCompleteData(data);
     this.displayPartners(data.company?.members);
+    this.resetBranches();
 
     this.showResult();
 
@@ -1229,6 +1492,92 @@ class UIManager {
     return partnerItem;
   }
 
+  // =============================================
+  // MATRIZ E FILIAIS
+  // =============================================
+
+  resetBranches() {
+    this.elements.branchesList.innerHTML = "";
+    this.elements.loadBranchesBtn.disabled = false;
+    this.elements.loadBranchesBtn.classList.remove("hidden");
+    this.elements.branchesCard.classList.remove("hidden");
+  }
+
+  async handleLoadBranches() {
+    const cnpj = appState.lastSearch;
+    if (!cnpj) return;
+
+    this.elements.loadBranchesBtn.disabled = true;
+    this.elements.branchesList.innerHTML = "";
+    this.showEmptyState(this.elements.branchesList, "Buscando estabelecimentos...");
+
+    try {
+      const result = await ApiManager.fetchBranches(cnpj);
+      this.displayBranches(result, cnpj);
+      this.elements.loadBranchesBtn.classList.add("hidden");
+
+      Telemetry.trackEvent('branches_loaded', {
+        count: result.branches.length,
+        stoppedBy: result.stoppedBy
+      });
+    } catch (error) {
+      console.error("💥 Erro ao buscar filiais:", error);
+      this.elements.branchesList.innerHTML = "";
+      this.elements.loadBranchesBtn.disabled = false;
+      this.showNotification(this.getErrorMessage(error), 'error');
+      Telemetry.trackError(error, { action: 'load_branches' });
+    }
+  }
+
+  displayBranches(result, currentCNPJ) {
+    this.elements.branchesList.innerHTML = "";
+
+    result.branches.forEach(branch => {
+      this.elements.branchesList.appendChild(this.createBranchElement(branch, branch.cnpj === currentCNPJ));
+    });
+
+    if (result.stoppedBy !== "misses") {
+      const moreBranches = document.createElement("div");
+      moreBranches.className = "partner-more";
+      moreBranches.textContent = "A lista pode estar incompleta: tente novamente em alguns instantes.";
+      this.elements.branchesList.appendChild(moreBranches);
+    }
+  }
+
+  createBranchElement(branch, isCurrent) {
+    const branchItem = document.createElement("button");
+    branchItem.type = "button";
+    branchItem.className = `partner-item branch-item${isCurrent ? " current" : ""}`;
+    branchItem.setAttribute("role", "listitem");
+    branchItem.disabled = isCurrent;
+
+    const branchName = document.createElement("div");
+    branchName.className = "partner-name";
+    branchName.textContent = `${branch.head ? "Matriz" : "Filial"} ${branch.order} - ${Formatters.CNPJ(branch.cnpj)}`;
+
+    const branchStatus = document.createElement("div");
+    branchStatus.className = "partner-document";
+    branchStatus.textContent = `Situação: ${branch.status || "Não informada"}`;
+
+    const branchLocation = document.createElement("div");
+    branchLocation.className = "partner-qualification";
+    branchLocation.textContent = `Local: ${[branch.city, branch.state].filter(Boolean).join("/") || "Não informado"}`;
+
+    branchItem.appendChild(branchName);
+    branchItem.appendChild(branchStatus);
+    branchItem.appendChild(branchLocation);
+
+    if (!isCurrent) {
+      branchItem.addEventListener("click", () => {
+        this.elements.cnpjInput.value = Formatters.CNPJ(branch.cnpj);
+        this.handleSearch();
+        Telemetry.trackEvent('branch_selected', { head: branch.head });
+      });
+    }
+
+    return branchItem;
+  }
+
   displayCompleteData(data) {
     this.elements.completeData.innerHTML = "";
 
@@ -1644,7 +1993,8 @@ class Telemetry {
       cnpj_length: cnpj.length,
       success: success,
       duration: duration,
-      error_type: error?.name || null,
+      error_type: error?.code || error?.name || null,
+      request_id: error?.requestId || null,
       environment: CONFIG.ENV
     });
   }
@@ -1661,12 +2011,13 @@ class Telemetry {
     this.trackEvent('error_occurred', {
       error_name: error.name,
       error_message: error.message,
+      request_id: error.requestId || null,
       environment: CONFIG.ENV,
       ...context
     });
     
     if (typeof window.Sentry !== 'undefined') {
-      window.Sentry.captureException(error, { extra: context });
+      window.Sentry.captureException(error, { extra: { ...context, requestId: error.requestId } });
     }
 
     if (this.isDevelopment()) {
@@ -1758,14 +2109,14 @@ function setupServiceWorker() {
   }
 }
 
-// Inicializar quando o DOM estiver pronto
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-  initializeApp();
+// Inicializar quando o DOM estiver pronto. Importado pelos testes (Node),
+// o módulo só expõe as classes.
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeApp);
+  } else {
+    initializeApp();
+  }
 }
 
-// Exportar para testes
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CNPJValidator, Formatters, ApiManager, SearchHistoryManager, ExportManager };
-}
\ No newline at end of file
+export { CNPJValidator, Formatters, ApiManager, SearchHistoryManager, ExportManager, ERROR_MESSAGES };
\ No newline at end of file
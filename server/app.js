@@ -0,0 +1,220 @@
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Logger } from '../api/_lib/logger.js';
+import { ApiError, ErrorMapper } from '../api/_lib/errors.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Limite de corpo das funções da Vercel
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+// =============================================
+// ROTAS DO VERCEL.JSON
+// =============================================
+// Mesmas regras da Vercel: a primeira rota cujo src (regex ancorada) e
+// methods casam define os headers extras e o destino, com $1, $2... trocados
+// pelos grupos capturados. Parâmetros na query do destino (?id=$1) chegam ao
+// handler em req.query, por cima dos da URL original.
+export function loadRoutes(rootDir = ROOT_DIR) {
+  const { routes } = JSON.parse(readFileSync(path.join(rootDir, 'vercel.json'), 'utf8'));
+
+  return routes.map(route => ({
+    ...route,
+    pattern: new RegExp(`^${route.src}$`),
+  }));
+}
+
+export function matchRoute(routes, method, pathname) {
+  for (const route of routes) {
+    if (route.methods && !route.methods.includes(method)) continue;
+
+    const match = route.pattern.exec(pathname);
+    if (!match) continue;
+
+    const target = route.dest.replace(/\$(\d+)/g, (_, index) => match[Number(index)] ?? '');
+    const [dest, search = ''] = target.split('?');
+    return { route, dest, params: new URLSearchParams(search) };
+  }
+
+  return null;
+}
+
+// =============================================
+// COMPATIBILIDADE COM O RUNTIME @vercel/node
+// =============================================
+// Os handlers usam req.query, req.body, res.status(), res.json() e res.send()
+function parseQuery(searchParams) {
+  const query = {};
+
+  for (const [key, value] of searchParams) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+
+  return query;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError('PAYLOAD_TOO_LARGE');
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks);
+  if (raw.length === 0) return undefined;
+
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch {
+      throw new ApiError('INVALID_REQUEST', 'JSON inválido no corpo da requisição');
+    }
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return parseQuery(new URLSearchParams(raw.toString('utf8')));
+  }
+
+  return contentType.startsWith('text/') ? raw.toString('utf8') : raw;
+}
+
+function extendResponse(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return res.json(body);
+    }
+
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(body);
+    return res;
+  };
+
+  return res;
+}
+
+// =============================================
+// ARQUIVOS ESTÁTICOS
+// =============================================
+async function serveStatic(res, rootDir, dest) {
+  const publicDir = path.join(rootDir, 'public');
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+
+  try {
+    const relativePath = decodeURIComponent(dest.replace(/^\/public\/?/, '')) || 'index.html';
+    let filePath = path.resolve(publicDir, relativePath);
+
+    // Nada fora de public/, nem com ../ codificado
+    if (filePath !== publicDir && !filePath.startsWith(publicDir + path.sep)) {
+      return res.status(404).send('Not Found');
+    }
+
+    if ((await stat(filePath)).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    const content = await readFile(filePath);
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    return res.status(200).send(content);
+  } catch {
+    return res.status(404).send('Not Found');
+  }
+}
+
+// =============================================
+// SERVIDOR HTTP
+// =============================================
+export function createApp({ rootDir = ROOT_DIR, routes = loadRoutes(rootDir) } = {}) {
+  const handlers = new Map();
+
+  // Handlers são importados na primeira requisição, como no cold start da Vercel
+  const loadHandler = async (dest) => {
+    if (!handlers.has(dest)) {
+      const modulePath = pathToFileURL(path.join(rootDir, dest)).href;
+      handlers.set(dest, import(modulePath).then(module => module.default));
+    }
+
+    return handlers.get(dest);
+  };
+
+  const server = createServer(async (req, res) => {
+    extendResponse(res);
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const matched = matchRoute(routes, req.method, url.pathname);
+
+      if (!matched) {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.status(404).send('Not Found');
+      }
+
+      Object.entries(matched.route.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+
+      if (!matched.dest.startsWith('/api/')) {
+        return await serveStatic(res, rootDir, matched.dest);
+      }
+
+      req.query = { ...parseQuery(url.searchParams), ...parseQuery(matched.params) };
+      req.body = await readBody(req);
+
+      const handler = await loadHandler(matched.dest);
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Logger.warn('Requisição recusada pelo servidor HTTP', { method: req.method, url: req.url, code: error.code });
+      } else {
+        Logger.error('Erro no servidor HTTP', error, { method: req.method, url: req.url });
+      }
+
+      if (!res.headersSent) {
+        const { code, message } = ErrorMapper.toResponse(error);
+        ErrorMapper.send(res, code, message);
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  return server;
+}
@@ -0,0 +1,73 @@
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { Logger } from '../api/_lib/logger.js';
+import { CacheManager } from '../api/_lib/cache/index.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { JobStore, JobWorker } from '../api/_lib/jobs.js';
+import { createApp } from './app.js';
+
+// =============================================
+// SERVIDOR NODE AUTÔNOMO (SEM A VERCEL)
+// =============================================
+// Mesmas rotas e headers do vercel.json. Para rodar sem rede, use
+// CNPJ_PROVIDERS=fixture (npm run server:offline).
+const server = createApp();
+
+server.listen(SECURITY_CONFIG.SERVER_PORT, SECURITY_CONFIG.SERVER_HOST, () => {
+  const { address, port } = server.address();
+  Logger.info('Servidor iniciado', { address, port, providers: SECURITY_CONFIG.PROVIDERS });
+});
+
+// =============================================
+// WORKER DOS JOBS EM MASSA
+// =============================================
+// Faz o papel do cron da Vercel: a cada JOBS_WORKER_INTERVAL_MS avança os
+// jobs ativos, sem sobrepor uma rodada à anterior
+let runningTick = null;
+
+const workerTimer = setInterval(() => {
+  if (runningTick) return;
+
+  runningTick = JobWorker.tick({ budgetMs: SECURITY_CONFIG.JOBS_WORKER_INTERVAL_MS })
+    .catch(error => Logger.error('Erro no worker de jobs', error))
+    .finally(() => {
+      runningTick = null;
+    });
+}, SECURITY_CONFIG.JOBS_WORKER_INTERVAL_MS);
+
+// =============================================
+// DESLIGAMENTO GRACIOSO
+// =============================================
+// Para de aceitar conexões, espera as requisições em andamento por até
+// SERVER_SHUTDOWN_TIMEOUT_MS, deixa a rodada do worker terminar e fecha as
+// conexões com os stores do cache
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  Logger.info('Desligando servidor', { signal });
+  clearInterval(workerTimer);
+
+  const forceTimer = setTimeout(() => {
+    Logger.warn('Requisições ainda em andamento no fim do prazo, encerrando conexões', {
+      timeoutMs: SECURITY_CONFIG.SERVER_SHUTDOWN_TIMEOUT_MS,
+    });
+    server.closeAllConnections();
+  }, SECURITY_CONFIG.SERVER_SHUTDOWN_TIMEOUT_MS);
+  forceTimer.unref();
+
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  await closed;
+  clearTimeout(forceTimer);
+
+  await runningTick;
+  await Promise.allSettled([CacheManager.close(), RateLimiter.close(), JobStore.close()]);
+
+  Logger.info('Servidor encerrado');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
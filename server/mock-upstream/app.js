@@ -0,0 +1,281 @@
+import { createServer } from 'node:http';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Logger } from '../../api/_lib/logger.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// APIs reais, usadas só no modo de gravação
+export const UPSTREAM_ORIGINS = {
+  cnpjws: 'https://publica.cnpj.ws',
+  brasilapi: 'https://brasilapi.com.br',
+  receitaws: 'https://receitaws.com.br',
+};
+
+// Mesmos caminhos montados pelos provedores em api/_lib/providers
+const PROVIDER_PATHS = [
+  { provider: 'cnpjws', pattern: /^\/cnpj\/([0-9A-Za-z]{14})$/ },
+  { provider: 'brasilapi', pattern: /^\/api\/cnpj\/v1\/([0-9A-Za-z]{14})$/ },
+  { provider: 'receitaws', pattern: /^\/v1\/cnpj\/([0-9A-Za-z]{14})$/ },
+];
+
+// Resposta de "não encontrado" de cada API
+const NOT_FOUND = {
+  cnpjws: () => ({ status: 404, body: { status: 404, titulo: 'Não Encontrado', detalhes: 'CNPJ não encontrado na base de dados' } }),
+  brasilapi: (cnpj) => ({ status: 404, body: { message: `CNPJ ${cnpj} não encontrado.`, type: 'not_found', name: 'NotFoundError' } }),
+  // A ReceitaWS responde 200 com status ERROR
+  receitaws: () => ({ status: 200, body: { status: 'ERROR', message: 'CNPJ rejeitado pela Receita Federal' } }),
+};
+
+export const SCENARIO_MODES = ['not-found', 'rate-limited', 'slow', 'malformed', 'server-error'];
+
+// Acima do TIMEOUT_MS padrão (10s), para o cliente desistir antes
+const DEFAULT_SLOW_MS = 15000;
+const DEFAULT_RETRY_AFTER_S = 60;
+const RECORD_TIMEOUT_MS = 15000;
+
+// =============================================
+// CENÁRIOS DE FALHA
+// =============================================
+// Cada cenário vale para um provedor e/ou CNPJ (ou para todos, se omitidos)
+// e, com `times`, só para as próximas N consultas. O primeiro que casar vence.
+export function validateScenario(scenario) {
+  const errors = [];
+  const isCount = (value, min) => value === undefined || (Number.isInteger(value) && value >= min);
+
+  if (!scenario || typeof scenario !== 'object') {
+    return ['cenário deve ser um objeto'];
+  }
+
+  if (!SCENARIO_MODES.includes(scenario.mode)) {
+    errors.push(`mode deve ser um de ${SCENARIO_MODES.join(', ')}`);
+  }
+
+  if (scenario.provider !== undefined && !(scenario.provider in UPSTREAM_ORIGINS)) {
+    errors.push(`provider deve ser um de ${Object.keys(UPSTREAM_ORIGINS).join(', ')}`);
+  }
+
+  if (scenario.cnpj !== undefined && typeof scenario.cnpj !== 'string') {
+    errors.push('cnpj deve ser texto');
+  }
+
+  if (!isCount(scenario.times, 1)) errors.push('times deve ser inteiro >= 1');
+  if (!isCount(scenario.delayMs, 0)) errors.push('delayMs deve ser inteiro >= 0');
+  if (!isCount(scenario.retryAfter, 0)) errors.push('retryAfter deve ser inteiro >= 0');
+
+  return errors;
+}
+
+function normalizeCNPJ(cnpj) {
+  return cnpj.toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// =============================================
+// RESPOSTAS
+// =============================================
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function wait(ms, res) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    // Cliente desistiu (timeout) ou servidor encerrando: não segura o timer
+    res.once('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+async function readJSONBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+// =============================================
+// SERVIDOR MOCK DAS APIS EXTERNAS
+// =============================================
+// Responde nos mesmos caminhos da cnpj.ws, BrasilAPI e ReceitaWS a partir de
+// fixtures/<provedor>/<cnpj>.json. Com `record`, CNPJs sem fixture são buscados
+// na API real e gravados. Cenários de falha são controlados por código
+// (addScenario) ou por HTTP em /__mock/scenarios.
+export function createMockUpstream({
+  fixturesDir = path.join(ROOT_DIR, 'fixtures'),
+  record = false,
+  upstreams = UPSTREAM_ORIGINS,
+  scenarios: initialScenarios = [],
+} = {}) {
+  let scenarios = [];
+
+  const addScenario = (scenario) => {
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+      throw new TypeError(`Cenário inválido: ${errors.join('; ')}`);
+    }
+
+    scenarios.push({ ...scenario, cnpj: scenario.cnpj && normalizeCNPJ(scenario.cnpj) });
+  };
+
+  const takeScenario = (provider, cnpj) => {
+    const scenario = scenarios.find(item =>
+      (!item.provider || item.provider === provider) && (!item.cnpj || item.cnpj === cnpj));
+
+    if (scenario?.times !== undefined && --scenario.times === 0) {
+      scenarios = scenarios.filter(item => item !== scenario);
+    }
+
+    return scenario || null;
+  };
+
+  const recordFromUpstream = async (provider, pathname, filePath) => {
+    const response = await fetch(`${upstreams[provider]}${pathname}`, {
+      headers: { 'Accept': 'application/json', 'User-Agent': 'CNPJ-Finder-App/1.0' },
+      signal: AbortSignal.timeout(RECORD_TIMEOUT_MS),
+    });
+    const body = await response.text();
+    const headers = response.headers.has('retry-after') ? { 'Retry-After': response.headers.get('retry-after') } : {};
+
+    if (response.status === 200) {
+      let data = null;
+      try {
+        data = JSON.parse(body);
+      } catch {
+        Logger.warn('Mock upstream: resposta não gravada (JSON inválido)', { provider, pathname });
+      }
+
+      // "Não encontrado" da ReceitaWS não vira fixture
+      if (data && !(provider === 'receitaws' && data.status === 'ERROR')) {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+        Logger.info('Mock upstream: resposta gravada', { provider, filePath });
+      }
+    }
+
+    return { status: response.status, body, headers };
+  };
+
+  const loadResponse = async (provider, cnpj, pathname) => {
+    const filePath = path.join(fixturesDir, provider, `${cnpj}.json`);
+
+    try {
+      return { status: 200, body: await readFile(filePath, 'utf8'), headers: {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (record) {
+      return recordFromUpstream(provider, pathname, filePath);
+    }
+
+    const notFound = NOT_FOUND[provider](cnpj);
+    return { status: notFound.status, body: JSON.stringify(notFound.body), headers: {} };
+  };
+
+  const handleLookup = async (req, res, provider, cnpj, pathname) => {
+    const scenario = takeScenario(provider, cnpj);
+
+    if (scenario) {
+      Logger.info('Mock upstream: cenário aplicado', { provider, cnpj, mode: scenario.mode });
+    }
+
+    switch (scenario?.mode) {
+      case 'not-found': {
+        const notFound = NOT_FOUND[provider](cnpj);
+        return send(res, notFound.status, notFound.body);
+      }
+      case 'rate-limited':
+        return send(res, 429, { status: 429, titulo: 'Muitas requisições', detalhes: 'Limite de consultas excedido' }, {
+          'Retry-After': String(scenario.retryAfter ?? DEFAULT_RETRY_AFTER_S),
+        });
+      case 'server-error':
+        return send(res, 503, { status: 503, titulo: 'Serviço indisponível' });
+      case 'slow':
+        await wait(scenario.delayMs ?? DEFAULT_SLOW_MS, res);
+        if (res.destroyed) return;
+        break;
+    }
+
+    const response = await loadResponse(provider, cnpj, pathname);
+
+    if (scenario?.mode === 'malformed') {
+      // Corta o JSON pela metade: status 200 com corpo que não faz parse
+      return send(res, 200, response.body.slice(0, Math.floor(response.body.length / 2)) || '{');
+    }
+
+    return send(res, response.status, response.body, response.headers);
+  };
+
+  const handleControl = async (req, res) => {
+    switch (req.method) {
+      case 'GET':
+        return send(res, 200, { scenarios });
+      case 'DELETE':
+        scenarios = [];
+        return send(res, 200, { scenarios });
+      case 'POST': {
+        let scenario;
+        try {
+          scenario = await readJSONBody(req);
+        } catch {
+          return send(res, 400, { error: 'JSON inválido no corpo da requisição' });
+        }
+
+        const errors = validateScenario(scenario);
+        if (errors.length > 0) {
+          return send(res, 400, { error: 'Cenário inválido', details: errors });
+        }
+
+        addScenario(scenario);
+        return send(res, 201, { scenarios });
+      }
+      default:
+        return send(res, 405, { error: 'Método não permitido' }, { 'Allow': 'GET, POST, DELETE' });
+    }
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === '/__mock/scenarios') {
+        return await handleControl(req, res);
+      }
+
+      // Sondagens do /api/health usam HEAD em qualquer caminho
+      if (req.method === 'HEAD') {
+        res.writeHead(200);
+        return res.end();
+      }
+
+      const route = req.method === 'GET' && PROVIDER_PATHS.find(({ pattern }) => pattern.test(pathname));
+
+      if (!route) {
+        return send(res, 404, { error: 'Caminho não simulado pelo mock' });
+      }
+
+      const cnpj = normalizeCNPJ(route.pattern.exec(pathname)[1]);
+      await handleLookup(req, res, route.provider, cnpj, pathname);
+    } catch (error) {
+      Logger.error('Erro no mock upstream', error, { method: req.method, url: req.url });
+
+      if (!res.headersSent) {
+        send(res, 502, { error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  initialScenarios.forEach(addScenario);
+
+  server.addScenario = addScenario;
+  server.clearScenarios = () => { scenarios = []; };
+
+  return server;
+}
@@ -0,0 +1,39 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { Logger } from '../../api/_lib/logger.js';
+import { createMockUpstream } from './app.js';
+
+// =============================================
+// MOCK LOCAL DAS APIS EXTERNAS
+// =============================================
+// Ferramenta de desenvolvimento, fora da configuração da API:
+//   MOCK_UPSTREAM_PORT / MOCK_UPSTREAM_HOST  endereço (padrão 127.0.0.1:4010)
+//   MOCK_UPSTREAM_FIXTURES                   pasta com <provedor>/<cnpj>.json
+//   MOCK_UPSTREAM_RECORD=true                grava respostas reais ausentes
+//   MOCK_UPSTREAM_SCENARIOS                  arquivo JSON com a lista de cenários
+// Para apontar a API para o mock: CNPJWS_BASE_URL=http://127.0.0.1:4010
+// (npm run server:mock).
+const env = process.env;
+const record = ['true', '1'].includes(env.MOCK_UPSTREAM_RECORD);
+
+const server = createMockUpstream({
+  fixturesDir: env.MOCK_UPSTREAM_FIXTURES ? path.resolve(process.cwd(), env.MOCK_UPSTREAM_FIXTURES) : undefined,
+  record,
+  scenarios: env.MOCK_UPSTREAM_SCENARIOS
+    ? JSON.parse(readFileSync(path.resolve(process.cwd(), env.MOCK_UPSTREAM_SCENARIOS), 'utf8'))
+    : [],
+});
+
+server.listen(Number(env.MOCK_UPSTREAM_PORT || 4010), env.MOCK_UPSTREAM_HOST || '127.0.0.1', () => {
+  const { address, port } = server.address();
+  Logger.info('Mock upstream iniciado', { address, port, record });
+});
+
+function shutdown(signal) {
+  Logger.info('Desligando mock upstream', { signal });
+  server.close(() => process.exit(0));
+  server.closeAllConnections();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
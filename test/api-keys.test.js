@@ -0,0 +1,139 @@
+import { createHash } from 'node:crypto';
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { ApiKeyManager } from '../api/_lib/api-keys.js';
+import { createApp } from '../server/app.js';
+
+const KEY = 'chave-compras';
+const HASHED_KEY = 'chave-erp';
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+const request = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+const useRegistry = (entries) => {
+  SECURITY_CONFIG.API_KEYS = entries;
+  ApiKeyManager.setRegistry(null);
+};
+
+describe('ApiKeyManager', () => {
+  const defaults = { keys: SECURITY_CONFIG.API_KEYS, required: SECURITY_CONFIG.API_KEYS_REQUIRED };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    RateLimiter.setStore(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+    useRegistry([
+      { owner: 'Compras', key: KEY, quotas: { perMinute: 5, perDay: 3 } },
+      { owner: 'ERP', keyHash: sha256(HASHED_KEY).toUpperCase() },
+    ]);
+  });
+
+  afterAll(() => {
+    SECURITY_CONFIG.API_KEYS = defaults.keys;
+    SECURITY_CONFIG.API_KEYS_REQUIRED = defaults.required;
+    ApiKeyManager.setRegistry(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('authenticate', () => {
+    test('should find keys registered in plain text or by hash', () => {
+      expect(ApiKeyManager.authenticate(request(`Bearer ${KEY}`)).apiKey).toMatchObject({
+        owner: 'Compras',
+        quotas: { perMinute: 5, perDay: 3 },
+      });
+      expect(ApiKeyManager.authenticate(request(`bearer ${HASHED_KEY}`)).apiKey).toMatchObject({
+        owner: 'ERP',
+        id: sha256(HASHED_KEY).slice(0, 16),
+        quotas: SECURITY_CONFIG.API_KEY_DEFAULT_QUOTAS,
+      });
+    });
+
+    test('should reject unknown keys and allow anonymous access unless keys are required', () => {
+      expect(ApiKeyManager.authenticate(request('Bearer outra-chave'))).toEqual({
+        code: 'INVALID_API_KEY',
+        error: 'Chave de API inválida',
+      });
+      expect(ApiKeyManager.authenticate(request())).toEqual({ apiKey: null });
+
+      SECURITY_CONFIG.API_KEYS_REQUIRED = true;
+      expect(ApiKeyManager.authenticate(request()).code).toBe('API_KEY_REQUIRED');
+      SECURITY_CONFIG.API_KEYS_REQUIRED = defaults.required;
+    });
+  });
+
+  describe('consumeDailyQuota', () => {
+    test('should not let concurrent requests exceed the daily quota', async () => {
+      const { apiKey } = ApiKeyManager.authenticate(request(`Bearer ${KEY}`));
+
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => ApiKeyManager.consumeDailyQuota(apiKey))
+      );
+
+      expect(results.filter(result => result.allowed)).toHaveLength(3);
+      expect(results.find(result => !result.allowed)).toMatchObject({ scope: 'day', limit: 3, remaining: 0 });
+
+      const usage = await ApiKeyManager.getUsage(apiKey);
+      expect(usage.today).toMatchObject({ requests: 3, rejected: 2, remaining: 0 });
+    });
+
+    test('should count rejections without spending the quota', async () => {
+      const { apiKey } = ApiKeyManager.authenticate(request(`Bearer ${KEY}`));
+
+      await Promise.all([ApiKeyManager.recordRejection(apiKey), ApiKeyManager.recordRejection(apiKey)]);
+      const result = await ApiKeyManager.consumeDailyQuota(apiKey, 2);
+
+      expect(result).toMatchObject({ allowed: true, remaining: 1 });
+      expect((await ApiKeyManager.getUsage(apiKey)).today).toMatchObject({ requests: 2, rejected: 2 });
+    });
+  });
+
+  describe('/api/usage', () => {
+    let server;
+    let baseUrl;
+    const defaultProviders = SECURITY_CONFIG.PROVIDERS;
+
+    beforeAll(async () => {
+      SECURITY_CONFIG.PROVIDERS = ['fixture'];
+      server = createApp();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      SECURITY_CONFIG.PROVIDERS = defaultProviders;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should require a key', async () => {
+      const response = await fetch(`${baseUrl}/api/usage`);
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toBe('Bearer');
+      expect((await response.json()).code).toBe('API_KEY_REQUIRED');
+    });
+
+    test('should report the usage of the presented key', async () => {
+      const headers = { Authorization: `Bearer ${KEY}` };
+      const lookup = await fetch(`${baseUrl}/api/cnpj?cnpj=12345678000195`, { headers });
+      expect(lookup.status).toBe(200);
+
+      const response = await fetch(`${baseUrl}/api/usage`, { headers });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('cache-control')).toBe('no-store');
+      expect(body.data).toMatchObject({
+        owner: 'Compras',
+        quotas: { perMinute: 5, perDay: 3 },
+        today: { requests: 1, rejected: 0, remaining: 2 },
+        minute: { limit: 5, remaining: 4 },
+      });
+      expect(body.data.history).toHaveLength(7);
+    });
+  });
+});
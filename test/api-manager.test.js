@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { ApiManager } from '../public/script.js';
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+});
+
+// Resposta NDJSON entregue nos pedaços informados, como chegam pela rede
+const streamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+
+  return new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  }), { status: 200, headers: { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'X-Request-Id': 'lote-1' } });
+};
+
+describe('ApiManager', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('request', () => {
+    test('should carry the wait time of a rate limit on the error', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(
+        jsonResponse(429, { error: true, code: 'RATE_LIMITED', message: 'Limite de requisições excedido', retryable: true }, { 'Retry-After': '17' })
+      );
+
+      await expect(ApiManager.request('/api/cnpj?cnpj=12345678000195')).rejects.toMatchObject({
+        code: 'RATE_LIMITED',
+        message: 'Limite de requisições excedido',
+        retryable: true,
+        retryAfter: 17,
+      });
+    });
+
+    test('should treat a 429 without code as a rate limit with the default wait', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('', { status: 429, statusText: 'Too Many Requests' }));
+
+      const error = await ApiManager.request('/api/cnpj').catch(caught => caught);
+
+      expect(error).toMatchObject({ code: 'RATE_LIMITED', retryable: true, retryAfter: 60 });
+    });
+
+    test('should carry the wait time of any code', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(
+        jsonResponse(429, { error: true, code: 'QUOTA_EXCEEDED', message: 'Cota diária da chave de API excedida', retryable: true }, { 'Retry-After': '3600' })
+      );
+
+      const error = await ApiManager.request('/api/cnpj').catch(caught => caught);
+
+      expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', retryable: true, retryAfter: 3600 });
+    });
+
+    test('should prefer the wait time of the body over the default', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(
+        jsonResponse(429, { error: true, code: 'UPSTREAM_RATE_LIMITED', message: 'API externa com limite excedido', retryable: true, retryAfter: 30 })
+      );
+
+      const error = await ApiManager.request('/api/cnpj').catch(caught => caught);
+
+      expect(error).toMatchObject({ code: 'UPSTREAM_RATE_LIMITED', retryable: true, retryAfter: 30 });
+    });
+
+    test('should not repeat errors the API marks as final', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(
+        jsonResponse(404, { error: true, code: 'NOT_FOUND', message: 'Empresa não encontrada', retryable: false })
+      );
+
+      const error = await ApiManager.request('/api/cnpj').catch(caught => caught);
+
+      expect(error).toMatchObject({ code: 'NOT_FOUND', retryable: false, retryAfter: undefined });
+    });
+  });
+
+  describe('streamBatch', () => {
+    test('should rebuild lines split across chunks', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(streamResponse([
+        '{"type":"item","index":1,"cnpj":"123","error":true,"code":"INVALID_LENGTH"}\n{"type":"it',
+        'em","index":0,"cnpj":"12345678000195","error":false,"data":{"taxId":"12345678000195"}}\n',
+        '{"type":"summary","error":false,"total":2,"succeeded":1,"failed":1}',
+      ]));
+      const items = [];
+
+      const summary = await ApiManager.streamBatch(['12345678000195', '123'], item => items.push(item));
+
+      expect(items.map(item => [item.index, item.error])).toEqual([[1, true], [0, false]]);
+      expect(items[1].data.taxId).toBe('12345678000195');
+      expect(summary).toEqual({ type: 'summary', error: false, total: 2, succeeded: 1, failed: 1 });
+
+      const [, options] = fetch.mock.calls[0];
+      expect(options.headers.Accept).toBe('application/x-ndjson');
+      expect(JSON.parse(options.body)).toEqual({ cnpjs: ['12345678000195', '123'] });
+    });
+
+    test('should reject with the code of an error trailer', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(streamResponse([
+        '{"type":"item","index":0,"cnpj":"12345678000195","error":false,"data":{}}\n',
+        '{"type":"error","error":true,"code":"INTERNAL_ERROR","message":"Erro interno do servidor"}\n',
+      ]));
+      const onItem = jest.fn();
+
+      await expect(ApiManager.streamBatch(['12345678000195'], onItem)).rejects.toMatchObject({
+        code: 'INTERNAL_ERROR',
+        message: 'Erro interno do servidor',
+        requestId: 'lote-1',
+      });
+      expect(onItem).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a stream that ends without the summary', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(streamResponse([
+        '{"type":"item","index":0,"cnpj":"12345678000195","error":false,"data":{}}\n',
+      ]));
+
+      await expect(ApiManager.streamBatch(['12345678000195'], () => {})).rejects.toMatchObject({
+        code: 'NETWORK_ERROR',
+        message: 'Lote interrompido antes do fim',
+      });
+    });
+
+    test('should carry the wait time when the batch is rate limited', async () => {
+      jest.spyOn(globalThis, 'fetch').mockResolvedValue(
+        jsonResponse(429, { error: true, code: 'RATE_LIMITED', message: 'Limite de requisições excedido', retryable: true }, { 'Retry-After': '30' })
+      );
+
+      await expect(ApiManager.streamBatch(['12345678000195'], () => {})).rejects.toMatchObject({
+        code: 'RATE_LIMITED',
+        retryAfter: 30,
+      });
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { CacheManager } from '../api/_lib/cache/index.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { CNPJLookupService } from '../api/_lib/lookup.js';
+import { Logger } from '../api/_lib/logger.js';
+import { createApp } from '../server/app.js';
+
+const FOUND = '12345678000195';
+const MISSING = '11222333000181';
+const OTHER = '11444777000161';
+
+describe('/api/cnpj/batch', () => {
+  let server;
+  let baseUrl;
+  const defaultProviders = SECURITY_CONFIG.PROVIDERS;
+
+  const post = (cnpjs, headers = {}, query = '') => fetch(`${baseUrl}/api/cnpj/batch${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ cnpjs }),
+  });
+
+  const readLines = async (response) => (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    SECURITY_CONFIG.PROVIDERS = ['fixture'];
+    CacheManager.setBackend(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+
+    server = createApp();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    RateLimiter.setStore(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+  });
+
+  afterAll(async () => {
+    SECURITY_CONFIG.PROVIDERS = defaultProviders;
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should emit invalid items and cache hits first, then the summary', async () => {
+    await CNPJLookupService.lookup(FOUND);
+
+    const response = await post([MISSING, '123', FOUND, FOUND], { Accept: 'application/x-ndjson' });
+    const lines = await readLines(response);
+
+    expect(response.headers.get('content-type')).toBe('application/x-ndjson; charset=utf-8');
+    expect(lines.map(line => [line.type, line.index])).toEqual([
+      ['item', 1], ['item', 2], ['item', 3], ['item', 0], ['summary', undefined],
+    ]);
+    expect(lines[1]).toMatchObject({ cnpj: FOUND, error: false, cached: true, data: { taxId: FOUND } });
+    expect(lines[3]).toMatchObject({ cnpj: MISSING, error: true, status: 404, code: 'NOT_FOUND' });
+    expect(lines[4]).toEqual({ type: 'summary', error: false, total: 4, succeeded: 2, failed: 2 });
+  });
+
+  test('should stop calling upstream once a streaming client disconnects', async () => {
+    const defaultConcurrency = SECURITY_CONFIG.BATCH_CONCURRENCY;
+    SECURITY_CONFIG.BATCH_CONCURRENCY = 1;
+    await CacheManager.delete(MISSING);
+    await CacheManager.delete(OTHER);
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockImplementation(async () => {
+      await gate;
+      throw new ApiError('NOT_FOUND');
+    });
+    const finished = new Promise(resolve => {
+      jest.spyOn(Logger, 'info').mockImplementation((message, meta) => {
+        if (message === 'Lote finalizado') resolve(meta);
+      });
+    });
+
+    try {
+      const controller = new AbortController();
+      const request = fetch(`${baseUrl}/api/cnpj/batch?format=ndjson`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cnpjs: [MISSING, OTHER] }),
+        signal: controller.signal,
+      }).catch(error => error);
+
+      while (lookup.mock.calls.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      controller.abort();
+      expect((await request).name).toBe('AbortError');
+      // Dar tempo ao servidor de ver a conexão fechada
+      await new Promise(resolve => setTimeout(resolve, 50));
+      release();
+
+      expect(await finished).toMatchObject({ disconnected: true });
+      expect(lookup.mock.calls.map(([cnpj]) => cnpj)).toEqual([MISSING]);
+    } finally {
+      SECURITY_CONFIG.BATCH_CONCURRENCY = defaultConcurrency;
+      lookup.mockRestore();
+      Logger.info.mockRestore();
+    }
+  });
+
+  test('should fail only the items whose data is out of schema', async () => {
+    const valid = await CNPJLookupService.lookup(FOUND);
+    SECURITY_CONFIG.RESPONSE_VALIDATION = true;
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockImplementation(async (cnpj) => (
+      cnpj === FOUND ? valid : { ...valid, data: { ...valid.data, taxId: cnpj, head: null } }
+    ));
+
+    try {
+      await CacheManager.delete(MISSING);
+      const body = await (await post([FOUND, MISSING])).json();
+
+      expect(body).toMatchObject({ total: 2, succeeded: 1, failed: 1 });
+      expect(body.results[0]).toMatchObject({ error: false, data: { taxId: FOUND } });
+      expect(body.results[1]).toMatchObject({ error: true, status: 500, code: 'RESPONSE_SCHEMA_MISMATCH' });
+    } finally {
+      SECURITY_CONFIG.RESPONSE_VALIDATION = false;
+      lookup.mockRestore();
+    }
+  });
+
+  test('should stream with format=ndjson and keep JSON as the default', async () => {
+    const streamed = await readLines(await post([FOUND], {}, '?format=ndjson'));
+    expect(streamed.map(line => line.type)).toEqual(['item', 'summary']);
+
+    const buffered = await post([FOUND]);
+    expect(buffered.headers.get('content-type')).toContain('application/json');
+    expect((await buffered.json()).results).toHaveLength(1);
+  });
+
+  test('should keep the input order and reuse one lookup for repeated CNPJs', async () => {
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup');
+    const response = await post([FOUND, 'abc', '12.345.678/0001-95']);
+    const body = await response.json();
+    const lookups = lookup.mock.calls.length;
+    lookup.mockRestore();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({ error: false, total: 3, succeeded: 2, failed: 1 });
+    expect(body.results.map(result => [result.cnpj, result.error])).toEqual([
+      [FOUND, false], ['abc', true], ['12.345.678/0001-95', false],
+    ]);
+    expect(body.results[1].code).toBe('INVALID_LENGTH');
+    expect(lookups).toBe(1);
+  });
+
+  test('should charge anonymous callers one token per item', async () => {
+    const first = await post(Array(6).fill(FOUND));
+    expect(first.status).toBe(200);
+    expect(first.headers.get('ratelimit-remaining')).toBe('4');
+
+    const second = await post(Array(5).fill(FOUND));
+    expect(second.status).toBe(429);
+    expect((await second.json()).code).toBe('RATE_LIMITED');
+
+    const third = await post(Array(4).fill(FOUND));
+    expect(third.status).toBe(200);
+  });
+
+  test('should accept anonymous batches larger than the per-minute limit', async () => {
+    const response = await post(Array(50).fill(FOUND));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.results).toHaveLength(50);
+    expect(body.results.every(result => !result.error)).toBe(true);
+    expect(response.headers.get('ratelimit-remaining')).toBe('0');
+
+    const next = await post([FOUND]);
+    expect(next.status).toBe(429);
+  });
+
+  test('should not start upstream calls that cannot finish within the budget', async () => {
+    const defaultBudget = SECURITY_CONFIG.BATCH_TIME_BUDGET_MS;
+    SECURITY_CONFIG.BATCH_TIME_BUDGET_MS = SECURITY_CONFIG.TIMEOUT_MS - 1;
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup');
+
+    try {
+      await CacheManager.delete(MISSING);
+      const body = await (await post([FOUND, MISSING])).json();
+
+      expect(lookup).not.toHaveBeenCalled();
+      expect(body.results[0]).toMatchObject({ error: false, cached: true });
+      expect(body.results[1]).toMatchObject({ error: true, status: 408, code: 'BATCH_TIMEOUT' });
+    } finally {
+      SECURITY_CONFIG.BATCH_TIME_BUDGET_MS = defaultBudget;
+      lookup.mockRestore();
+    }
+  });
+});
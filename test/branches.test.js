@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { CacheManager } from '../api/_lib/cache/index.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { BranchFinder } from '../api/_lib/branches.js';
+import { CNPJLookupService } from '../api/_lib/lookup.js';
+import { CNPJValidatorServer } from '../api/_lib/validator.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { createApp } from '../server/app.js';
+
+function mockEstablishments(orders, failOn = null) {
+  const existing = new Set(orders.map(order => CNPJValidatorServer.fromBase(`11222333${order}`)));
+
+  return jest.spyOn(CNPJLookupService, 'lookup').mockImplementation(async (cnpj) => {
+    if (cnpj.substring(8, 12) === failOn) throw new ApiError('UPSTREAM_RATE_LIMITED');
+    if (!existing.has(cnpj)) throw new ApiError('NOT_FOUND');
+
+    return {
+      data: { taxId: cnpj, head: cnpj.substring(8, 12) === '0001', alias: null, company: { name: 'EMPRESA' } },
+      provider: 'cnpjws',
+      cached: false,
+    };
+  });
+}
+
+describe('BranchFinder', () => {
+  beforeEach(() => {
+    CacheManager.setBackend(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('find', () => {
+    test('should list establishments until consecutive misses', async () => {
+      const lookup = mockEstablishments(['0001', '0002', '0004']);
+
+      const result = await BranchFinder.find(CNPJValidatorServer.fromBase('112223330002'));
+
+      expect(result.root).toBe('11222333');
+      expect(result.stoppedBy).toBe('misses');
+      expect(result.branches.map(branch => branch.order)).toEqual(['0001', '0002', '0004']);
+      expect(result.branches[0].head).toBe(true);
+      // 0001, 0003, 0004, 0005 e 0006 sondados além do CNPJ consultado
+      expect(lookup).toHaveBeenCalledTimes(6);
+    });
+
+    test('should keep probing up to the queried order', async () => {
+      mockEstablishments(['0001', '0007']);
+
+      const result = await BranchFinder.find(CNPJValidatorServer.fromBase('112223330007'));
+
+      expect(result.branches.map(branch => branch.order)).toEqual(['0001', '0007']);
+    });
+
+    test('should flag partial results when upstream refuses calls', async () => {
+      mockEstablishments(['0001', '0002', '0003'], '0003');
+
+      const result = await BranchFinder.find(CNPJValidatorServer.fromBase('112223330001'));
+
+      expect(result.stoppedBy).toBe('upstream');
+      expect(result.branches.map(branch => branch.order)).toEqual(['0001', '0002']);
+    });
+
+    test('should ask before each probe and stop when refused', async () => {
+      const lookup = mockEstablishments(['0001', '0002', '0003']);
+      const beforeProbe = jest.fn()
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+
+      const result = await BranchFinder.find(CNPJValidatorServer.fromBase('112223330001'), { beforeProbe });
+
+      expect(result).toMatchObject({ stoppedBy: 'rate_limit', probed: 1 });
+      expect(result.branches.map(branch => branch.order)).toEqual(['0001', '0002']);
+      expect(beforeProbe).toHaveBeenCalledTimes(2);
+      expect(lookup).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not probe orders recently found missing', async () => {
+      const lookup = mockEstablishments(['0001', '0002', '0004']);
+      const beforeProbe = jest.fn().mockResolvedValue(true);
+
+      await BranchFinder.find(CNPJValidatorServer.fromBase('112223330002'));
+      lookup.mockClear();
+      const result = await BranchFinder.find(CNPJValidatorServer.fromBase('112223330002'), { beforeProbe });
+
+      // 0003, 0005 e 0006 vêm das marcas; só 0001 e 0004 são sondados de novo
+      expect(result).toMatchObject({ stoppedBy: 'misses', probed: 2 });
+      expect(result.branches.map(branch => branch.order)).toEqual(['0001', '0002', '0004']);
+      expect(lookup).toHaveBeenCalledTimes(3);
+      expect(beforeProbe).toHaveBeenCalledTimes(2);
+    });
+
+    test('should probe missing orders again after the TTL', async () => {
+      const lookup = mockEstablishments(['0001']);
+      const now = Date.now();
+
+      await BranchFinder.find(CNPJValidatorServer.fromBase('112223330001'));
+      jest.spyOn(Date, 'now').mockReturnValue(now + SECURITY_CONFIG.BRANCHES_MISS_TTL_MS + 1);
+      lookup.mockClear();
+      const result = await BranchFinder.find(CNPJValidatorServer.fromBase('112223330001'));
+
+      expect(result.probed).toBe(2);
+      expect(lookup).toHaveBeenCalledTimes(3);
+    });
+
+    test('should propagate errors for the queried CNPJ', async () => {
+      mockEstablishments([]);
+
+      await expect(BranchFinder.find(CNPJValidatorServer.fromBase('112223330001')))
+        .rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+});
+
+describe('/api/cnpj/branches', () => {
+  let server;
+  let baseUrl;
+  const defaults = { providers: SECURITY_CONFIG.PROVIDERS, limit: SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    SECURITY_CONFIG.PROVIDERS = ['fixture'];
+
+    server = createApp();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    CacheManager.setBackend(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+    RateLimiter.setStore(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+  });
+
+  afterAll(async () => {
+    SECURITY_CONFIG.PROVIDERS = defaults.providers;
+    SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE = defaults.limit;
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should charge each probe to the caller', async () => {
+    const response = await fetch(`${baseUrl}/api/cnpj/branches?cnpj=12345678000195`);
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data).toMatchObject({ root: '12345678', stoppedBy: 'misses', probed: 2 });
+
+    // Consulta, 2 sondagens e a ficha gasta nesta leitura
+    const { remaining } = await RateLimiter.consume([
+      { key: 'ip:127.0.0.1', limit: SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE, windowMs: 60000 },
+    ]);
+    expect(remaining).toBe(SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE - 4);
+  });
+
+  test('should check the listing against the schema', async () => {
+    SECURITY_CONFIG.RESPONSE_VALIDATION = true;
+
+    try {
+      const ok = await fetch(`${baseUrl}/api/cnpj/branches?cnpj=12345678000195`);
+      expect(ok.status).toBe(200);
+
+      const find = jest.spyOn(BranchFinder, 'find').mockResolvedValue({
+        root: '12345678', stoppedBy: 'misses', probed: 0, branches: [{ cnpj: '12345678000195', order: '0001', head: 'sim' }],
+      });
+      const response = await fetch(`${baseUrl}/api/cnpj/branches?cnpj=12345678000195`);
+      find.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect((await response.json()).code).toBe('RESPONSE_SCHEMA_MISMATCH');
+    } finally {
+      SECURITY_CONFIG.RESPONSE_VALIDATION = false;
+    }
+  });
+
+  test('should stop probing when the caller runs out of tokens', async () => {
+    SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE = 2;
+
+    const response = await fetch(`${baseUrl}/api/cnpj/branches?cnpj=12345678000195`);
+    const { data } = await response.json();
+    SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE = defaults.limit;
+
+    expect(response.status).toBe(200);
+    expect(data).toMatchObject({ stoppedBy: 'rate_limit', probed: 1 });
+    expect(data.branches.map(branch => branch.order)).toEqual(['0001']);
+  });
+});
@@ -0,0 +1,252 @@
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { FileCacheBackend } from '../api/_lib/cache/file.js';
+import { RedisCacheBackend } from '../api/_lib/cache/redis.js';
+
+// Servidor local que entende o subconjunto de comandos RESP usado pelo backend
+function startRedisStandIn() {
+  const store = new Map();
+  const scripts = [];
+  // password: senha exigida no AUTH; stalled: não responde mais nada
+  const options = { password: null, stalled: false };
+  let connections = 0;
+
+  const reply = (value) => {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(reply).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  };
+
+  const execute = ([command, ...args]) => {
+    switch (command.toUpperCase()) {
+      case 'GET':
+        return reply(store.get(args[0]) ?? null);
+      case 'SET':
+        if (args.includes('NX') && store.has(args[0])) return reply(null);
+        store.set(args[0], args[1]);
+        return '+OK\r\n';
+      case 'DEL':
+        return reply(args.filter(key => store.delete(key)).length);
+      case 'SCAN': {
+        const prefix = args[2].replace('*', '');
+        return reply(['0', [...store.keys()].filter(key => key.startsWith(prefix))]);
+      }
+      // Sem Lua: registra a chamada e responde como o script de fichas, o de
+      // cota ou o de liberar lease
+      case 'EVAL':
+        scripts.push(args);
+        if (args[0].includes("'DEL'")) {
+          return reply(store.get(args[2]) === args[3] && store.delete(args[2]) ? 1 : 0);
+        }
+        if (args[0].includes('rejected')) {
+          const usage = JSON.parse(store.get(args[2]) ?? '{"requests":0,"rejected":0}');
+          const allowed = usage.requests + Number(args[3]) <= Number(args[4]);
+          usage[allowed ? 'requests' : 'rejected'] += Number(args[3]);
+          store.set(args[2], JSON.stringify(usage));
+          return reply([allowed ? 1 : 0, usage.requests, usage.rejected]);
+        }
+        return reply([1, ...args.slice(2, 2 + Number(args[1])).map(() => '4.500000')]);
+      case 'AUTH':
+        return args[0] === options.password ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      case 'QUIT':
+        return '+OK\r\n';
+      default:
+        return `-ERR unknown command '${command}'\r\n`;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    connections++;
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      // Cada comando é um array de bulk strings: *N\r\n($len\r\nvalor\r\n)*N
+      let match;
+      while ((match = /^\*(\d+)\r\n/.exec(buffer))) {
+        const lines = buffer.split('\r\n');
+        const count = Number(match[1]);
+        if (lines.length < 1 + count * 2 + 1) return;
+
+        const args = [];
+        for (let i = 0; i < count; i++) args.push(lines[2 + i * 2]);
+        buffer = lines.slice(1 + count * 2).join('\r\n');
+
+        if (!options.stalled) socket.write(execute(args));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      server, store, scripts, options, port: server.address().port, connections: () => connections,
+    }));
+  });
+}
+
+describe('MemoryCacheBackend', () => {
+  test('should evict the least recently used entry', async () => {
+    const cache = new MemoryCacheBackend({ ttl: 60000, maxSize: 2 });
+
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBe(null);
+    expect(await cache.get('c')).toBe(3);
+  });
+
+  test('should expire entries after ttl', async () => {
+    const cache = new MemoryCacheBackend({ ttl: 60000, maxSize: 10 });
+
+    await cache.set('a', 1, -1);
+
+    expect(await cache.get('a')).toBe(null);
+    expect(await cache.size()).toBe(0);
+  });
+
+  test('should grant a lease to one caller at a time until its owner releases it', async () => {
+    const cache = new MemoryCacheBackend({ ttl: 60000, maxSize: 10 });
+
+    const granted = await Promise.all([
+      cache.acquireLease('lease:job', 'a', 60000),
+      cache.acquireLease('lease:job', 'b', 60000),
+    ]);
+    expect(granted).toEqual([true, false]);
+
+    await cache.releaseLease('lease:job', 'b');
+    expect(await cache.acquireLease('lease:job', 'c', 60000)).toBe(false);
+
+    await cache.releaseLease('lease:job', 'a');
+    expect(await cache.acquireLease('lease:job', 'c', 60000)).toBe(true);
+  });
+});
+
+describe('FileCacheBackend', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'cnpj-cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should persist entries across instances', async () => {
+    await new FileCacheBackend({ ttl: 60000, maxSize: 10, dir }).set('12345678000195', { name: 'Empresa' });
+
+    const cache = new FileCacheBackend({ ttl: 60000, maxSize: 10, dir });
+    expect(await cache.get('12345678000195')).toEqual({ name: 'Empresa' });
+    expect(await cache.size()).toBe(1);
+  });
+
+  test('should evict the least recently used entry', async () => {
+    const cache = new FileCacheBackend({ ttl: 60000, maxSize: 2, dir });
+
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('b')).toBe(null);
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.size()).toBe(2);
+  });
+});
+
+describe('RedisCacheBackend', () => {
+  let standIn;
+  let cache;
+
+  beforeEach(async () => {
+    standIn = await startRedisStandIn();
+    cache = new RedisCacheBackend({ ttl: 60000, url: `redis://127.0.0.1:${standIn.port}`, prefix: 'cnpj:' });
+  });
+
+  afterEach(async () => {
+    await cache.close();
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  test('should store JSON values under the prefix', async () => {
+    await cache.set('12345678000195', { name: 'Empresa' });
+
+    expect(standIn.store.has('cnpj:12345678000195')).toBe(true);
+    expect(await cache.get('12345678000195')).toEqual({ name: 'Empresa' });
+    expect(await cache.get('00000000000000')).toBe(null);
+  });
+
+  test('should count and clear only prefixed keys', async () => {
+    standIn.store.set('other', 'x');
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+
+    expect(await cache.size()).toBe(2);
+    await cache.clear();
+    expect(await cache.size()).toBe(0);
+    expect(standIn.store.has('other')).toBe(true);
+  });
+
+  test('should take leases with SET NX PX and release only its own', async () => {
+    expect(await cache.acquireLease('lease:job', 'a', 60000)).toBe(true);
+    expect(await cache.acquireLease('lease:job', 'b', 60000)).toBe(false);
+
+    await cache.releaseLease('lease:job', 'b');
+    expect(standIn.store.get('cnpj:lease:job')).toBe('"a"');
+
+    await cache.releaseLease('lease:job', 'a');
+    expect(standIn.store.has('cnpj:lease:job')).toBe(false);
+  });
+
+  test('should count quota usage in a single script call', async () => {
+    expect(await cache.consumeQuota('usage:abc', 2, 3, 60000)).toEqual({ allowed: true, requests: 2, rejected: 0 });
+    expect(await cache.consumeQuota('usage:abc', 2, 3, 60000)).toEqual({ allowed: false, requests: 2, rejected: 2 });
+    expect(standIn.scripts[0].slice(1)).toEqual(['1', 'cnpj:usage:abc', '2', '3', '60000']);
+  });
+
+  test('should fail pending commands on timeout and reconnect on the next call', async () => {
+    await cache.close();
+    cache = new RedisCacheBackend({ ttl: 60000, url: `redis://127.0.0.1:${standIn.port}`, prefix: 'cnpj:', timeoutMs: 50 });
+    await cache.set('a', 1);
+
+    standIn.options.stalled = true;
+    await expect(Promise.all([cache.get('a'), cache.get('b')])).rejects.toThrow('Timeout no comando GET do Redis');
+
+    standIn.options.stalled = false;
+    expect(await cache.get('a')).toBe(1);
+    expect(standIn.connections()).toBe(2);
+  });
+
+  test('should retry AUTH on the next call after it fails', async () => {
+    await cache.close();
+    cache = new RedisCacheBackend({ ttl: 60000, url: `redis://:segredo@127.0.0.1:${standIn.port}`, prefix: 'cnpj:' });
+
+    await expect(cache.get('a')).rejects.toThrow('WRONGPASS');
+
+    standIn.options.password = 'segredo';
+    await cache.set('a', 1);
+    expect(await cache.get('a')).toBe(1);
+    expect(standIn.connections()).toBe(2);
+  });
+
+  test('should consume tokens of every rule in a single script call', async () => {
+    const result = await cache.consumeTokens([
+      { key: 'ip:1.2.3.4', limit: 10, windowMs: 60000 },
+      { key: 'cnpj:12345678000195', limit: 5, windowMs: 30000, cost: 2 },
+    ], 1700000000000);
+
+    expect(result).toEqual({ allowed: true, tokens: [4.5, 4.5] });
+    expect(standIn.scripts).toHaveLength(1);
+    expect(standIn.scripts[0].slice(1)).toEqual([
+      '2', 'cnpj:ip:1.2.3.4', 'cnpj:cnpj:12345678000195', '1700000000000', '10', '60000', '1', '5', '30000', '2',
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import { CircuitBreaker } from '../api/_lib/circuit-breaker.js';
+import { ApiError } from '../api/_lib/errors.js';
+
+const fail = code => () => Promise.reject(new ApiError(code));
+const succeed = () => Promise.resolve('ok');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    breaker = new CircuitBreaker('cnpjws', { failureThreshold: 2, openMs: 30000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('execute', () => {
+    test('should open after consecutive failures and fail fast', async () => {
+      await expect(breaker.execute(fail('UPSTREAM_TIMEOUT'))).rejects.toMatchObject({ code: 'UPSTREAM_TIMEOUT' });
+      await expect(breaker.execute(fail('UPSTREAM_UNAVAILABLE'))).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+
+      const operation = jest.fn(succeed);
+      await expect(breaker.execute(operation)).rejects.toMatchObject({ code: 'UPSTREAM_CIRCUIT_OPEN' });
+      expect(operation).not.toHaveBeenCalled();
+      expect(breaker.getState()).toBe('open');
+    });
+
+    test('should open immediately on upstream rate limit', async () => {
+      await expect(breaker.execute(fail('UPSTREAM_RATE_LIMITED'))).rejects.toBeDefined();
+      expect(breaker.getState()).toBe('open');
+    });
+
+    test('should not count NOT_FOUND as a failure', async () => {
+      await expect(breaker.execute(fail('NOT_FOUND'))).rejects.toBeDefined();
+      await expect(breaker.execute(fail('NOT_FOUND'))).rejects.toBeDefined();
+      expect(breaker.getState()).toBe('closed');
+    });
+
+    test('should close after a successful probe when half-open', async () => {
+      await breaker.execute(fail('UPSTREAM_RATE_LIMITED')).catch(() => {});
+      now += 30000;
+
+      expect(breaker.getState()).toBe('half-open');
+      await expect(breaker.execute(succeed)).resolves.toBe('ok');
+      expect(breaker.getState()).toBe('closed');
+    });
+
+    test('should reopen when the probe fails', async () => {
+      await breaker.execute(fail('UPSTREAM_RATE_LIMITED')).catch(() => {});
+      now += 30000;
+
+      await expect(breaker.execute(fail('UPSTREAM_TIMEOUT'))).rejects.toMatchObject({ code: 'UPSTREAM_TIMEOUT' });
+      expect(breaker.getState()).toBe('open');
+    });
+
+    test('should let a single probe through while half-open', async () => {
+      await breaker.execute(fail('UPSTREAM_RATE_LIMITED')).catch(() => {});
+      now += 30000;
+
+      let finishProbe;
+      const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+
+      await expect(breaker.execute(succeed)).rejects.toMatchObject({ code: 'UPSTREAM_CIRCUIT_OPEN' });
+      finishProbe('ok');
+      await expect(probe).resolves.toBe('ok');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { CNPJValidatorServer } from '../api/_lib/validator.js';
+import { SecurityMiddleware } from '../api/_lib/security.js';
+
+describe('CNPJValidatorServer', () => {
+  describe('validate', () => {
+    test('should validate numeric CNPJ', () => {
+      const result = CNPJValidatorServer.validate('12.345.678/0001-95');
+      expect(result.isValid).toBe(true);
+      expect(result.cleaned).toBe('12345678000195');
+    });
+
+    test('should validate alphanumeric CNPJ', () => {
+      const result = CNPJValidatorServer.validate('12.abc.345/01de-35');
+      expect(result.isValid).toBe(true);
+      expect(result.cleaned).toBe('12ABC34501DE35');
+    });
+
+    test('should reject invalid check digits', () => {
+      expect(CNPJValidatorServer.validate('12ABC34501DE36').isValid).toBe(false);
+      expect(CNPJValidatorServer.validate('12ABC34501DE3A').isValid).toBe(false);
+      expect(CNPJValidatorServer.validate('12345678000100').isValid).toBe(false);
+    });
+
+    test('should reject repeated characters', () => {
+      expect(CNPJValidatorServer.validate('AAAAAAAAAAAAAA').isValid).toBe(false);
+    });
+  });
+});
+
+describe('SecurityMiddleware', () => {
+  describe('sanitizeCNPJ', () => {
+    test('should keep letters and uppercase them', () => {
+      expect(SecurityMiddleware.sanitizeCNPJ('12.abc.345/01de-35')).toBe('12ABC34501DE35');
+      expect(SecurityMiddleware.sanitizeCNPJ(123)).toBe('');
+    });
+  });
+});
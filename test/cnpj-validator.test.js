@@ -2,10 +2,13 @@ import { CNPJValidator } from '../public/script.js';
 
 describe('CNPJValidator', () => {
   describe('clean', () => {
-    test('should remove non-digit characters', () => {
+    test('should remove punctuation and keep alphanumerics', () => {
       expect(CNPJValidator.clean('12.345.678/0001-95')).toBe('12345678000195');
-      expect(CNPJValidator.clean('12.345.678/0001-95')).toBe('12345678000195');
-      expect(CNPJValidator.clean('abc123')).toBe('123');
+      expect(CNPJValidator.clean('abc123')).toBe('ABC123');
+    });
+
+    test('should keep letters of alphanumeric CNPJ', () => {
+      expect(CNPJValidator.clean('12.abc.345/01de-35')).toBe('12ABC34501DE35');
     });
   });
 
@@ -15,6 +18,10 @@ describe('CNPJValidator', () => {
       expect(CNPJValidator.format('12345678000195')).toBe('12.345.678/0001-95');
     });
 
+    test('should format alphanumeric CNPJ', () => {
+      expect(CNPJValidator.format('12ABC34501DE35')).toBe('12.ABC.345/01DE-35');
+    });
+
     test('should return original if invalid length', () => {
       expect(CNPJValidator.format('123')).toBe('123');
     });
@@ -44,5 +51,22 @@ describe('CNPJValidator', () => {
       expect(result.isValid).toBe(false);
       expect(result.error).toBe('Dígito verificador inválido');
     });
+
+    test('should validate alphanumeric CNPJ', () => {
+      const result = CNPJValidator.validate('12.ABC.345/01DE-35');
+      expect(result.isValid).toBe(true);
+      expect(result.cleaned).toBe('12ABC34501DE35');
+    });
+
+    test('should reject alphanumeric CNPJ with invalid digit', () => {
+      const result = CNPJValidator.validate('12.ABC.345/01DE-36');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe('Dígito verificador inválido');
+    });
+
+    test('should reject letters in check digits', () => {
+      const result = CNPJValidator.validate('12.ABC.345/01DE-3A');
+      expect(result.isValid).toBe(false);
+    });
   });
 });
\ No newline at end of file
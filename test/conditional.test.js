@@ -0,0 +1,43 @@
+import { ConditionalRequest } from '../api/_lib/conditional.js';
+
+const data = { taxId: '12345678000195', updated: '2024-01-01T12:00:00.000Z' };
+
+describe('ConditionalRequest', () => {
+  describe('getValidators', () => {
+    test('should derive a strong ETag and Last-Modified from the data', () => {
+      const validators = ConditionalRequest.getValidators(data, 'json');
+
+      expect(validators.etag).toMatch(/^"[\w-]{32}"$/);
+      expect(validators.lastModified).toBe('Mon, 01 Jan 2024 12:00:00 GMT');
+      expect(ConditionalRequest.getValidators({ ...data }, 'json').etag).toBe(validators.etag);
+    });
+
+    test('should change the ETag with the data or the representation', () => {
+      const { etag } = ConditionalRequest.getValidators(data, 'json');
+
+      expect(ConditionalRequest.getValidators({ ...data, alias: 'NOVO' }, 'json').etag).not.toBe(etag);
+      expect(ConditionalRequest.getValidators(data, 'csv').etag).not.toBe(etag);
+    });
+  });
+
+  describe('isNotModified', () => {
+    const validators = ConditionalRequest.getValidators(data, 'json');
+    const request = headers => ({ headers });
+
+    test('should match If-None-Match lists and wildcards', () => {
+      expect(ConditionalRequest.isNotModified(request({ 'if-none-match': `"outro", ${validators.etag}` }), validators)).toBe(true);
+      expect(ConditionalRequest.isNotModified(request({ 'if-none-match': `W/${validators.etag}` }), validators)).toBe(true);
+      expect(ConditionalRequest.isNotModified(request({ 'if-none-match': '*' }), validators)).toBe(true);
+      expect(ConditionalRequest.isNotModified(request({ 'if-none-match': '"outro"' }), validators)).toBe(false);
+    });
+
+    test('should compare If-Modified-Since only without If-None-Match', () => {
+      expect(ConditionalRequest.isNotModified(request({ 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' }), validators)).toBe(true);
+      expect(ConditionalRequest.isNotModified(request({ 'if-modified-since': 'Sun, 31 Dec 2023 00:00:00 GMT' }), validators)).toBe(false);
+      expect(ConditionalRequest.isNotModified(request({
+        'if-none-match': '"outro"',
+        'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT',
+      }), validators)).toBe(false);
+    });
+  });
+});
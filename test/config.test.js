@@ -0,0 +1,129 @@
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { loadConfig, ConfigError } from '../api/_lib/config.js';
+
+function writeConfigFile(content) {
+  const filePath = path.join(mkdtempSync(path.join(tmpdir(), 'cnpj-config-')), 'config.json');
+  writeFileSync(filePath, JSON.stringify(content));
+  return filePath;
+}
+
+describe('loadConfig', () => {
+  test('should use defaults without environment', () => {
+    const config = loadConfig({});
+
+    expect(config.MAX_REQUESTS_PER_MINUTE).toBe(10);
+    expect(config.ALLOWED_ORIGINS).toEqual(['*']);
+    expect(config.RATE_LIMIT_BACKEND).toBe('memory');
+    expect(config.RESPONSE_VALIDATION).toBe(false);
+  });
+
+  test('should parse environment variables by type', () => {
+    const config = loadConfig({
+      MAX_REQUESTS_PER_MINUTE: '25',
+      ALLOWED_ORIGINS: 'https://a.com.br, https://*.b.com.br',
+      API_KEYS_REQUIRED: 'true',
+      CACHE_BACKEND: 'file',
+      CACHE_FILE_DIR: '/tmp/cnpj',
+      CNPJ_PROVIDERS: 'fixture',
+      CNPJWS_BASE_URL: 'http://127.0.0.1:4010',
+      NODE_ENV: 'development',
+    });
+
+    expect(config.MAX_REQUESTS_PER_MINUTE).toBe(25);
+    expect(config.ALLOWED_ORIGINS).toEqual(['https://a.com.br', 'https://*.b.com.br']);
+    expect(config.API_KEYS_REQUIRED).toBe(true);
+    expect(config.CACHE_BACKENDS.file.dir).toBe('/tmp/cnpj');
+    expect(config.RATE_LIMIT_BACKEND).toBe('file');
+    expect(config.PROVIDERS).toEqual(['fixture']);
+    expect(config.PROVIDER_BASE_URLS.cnpjws).toBe('http://127.0.0.1:4010');
+    expect(config.RESPONSE_VALIDATION).toBe(true);
+  });
+
+  test('should merge the config file below the environment', () => {
+    const CONFIG_FILE = writeConfigFile({
+      TIMEOUT_MS: 5000,
+      MAX_REQUESTS_PER_MINUTE: 50,
+      CACHE_BACKENDS: { redis: { ttl: 1000 } },
+    });
+
+    const config = loadConfig({ CONFIG_FILE, MAX_REQUESTS_PER_MINUTE: '20' });
+
+    expect(config.TIMEOUT_MS).toBe(5000);
+    expect(config.MAX_REQUESTS_PER_MINUTE).toBe(20);
+    expect(config.CACHE_BACKENDS.redis).toEqual({ ttl: 1000, url: 'redis://127.0.0.1:6379', prefix: 'cnpj:' });
+  });
+
+  test('should report every invalid value at once', () => {
+    const CONFIG_FILE = writeConfigFile({ TIMEOUT: 5000 });
+
+    let error;
+    try {
+      loadConfig({
+        CONFIG_FILE,
+        MAX_REQUESTS_PER_MINUTE: 'dez',
+        BATCH_CONCURRENCY: '0',
+        CACHE_BACKEND: 'mongo',
+        ALLOWED_ORIGINS: 'exemplo.com.br',
+        BRASILAPI_BASE_URL: 'brasilapi.com.br/',
+        TRACING_ENABLED: 'sim',
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors).toEqual([
+      'TIMEOUT: chave desconhecida no arquivo de configuração',
+      'MAX_REQUESTS_PER_MINUTE (variável MAX_REQUESTS_PER_MINUTE): esperado inteiro, recebido "dez"',
+      'ALLOWED_ORIGINS (variável ALLOWED_ORIGINS): valores inválidos ["exemplo.com.br"]',
+      'CACHE_BACKEND (variável CACHE_BACKEND): esperado um de memory, file, redis, recebido "mongo"',
+      'BATCH_CONCURRENCY (variável BATCH_CONCURRENCY): deve ser >= 1, recebido 0',
+      'PROVIDER_BASE_URLS.brasilapi (variável BRASILAPI_BASE_URL): formato inválido, recebido "brasilapi.com.br/"',
+      'TRACING_ENABLED (variável TRACING_ENABLED): esperado true ou false, recebido "sim"',
+    ]);
+    expect(error.message).toContain('Configuração inválida');
+  });
+
+  test('should fail clearly on an unreadable config file', () => {
+    expect(() => loadConfig({ CONFIG_FILE: '/nao/existe.json' })).toThrow(/CONFIG_FILE: não foi possível ler/);
+  });
+
+  test('should load the API key registry from the file or the environment', () => {
+    const API_KEYS_FILE = writeConfigFile([{ owner: 'Compras', key: 'chave' }]);
+
+    expect(loadConfig({ API_KEYS_FILE }).API_KEYS).toEqual([{ owner: 'Compras', key: 'chave' }]);
+    expect(loadConfig({ API_KEYS: '[{"key":"outra"}]' }).API_KEYS).toEqual([{ key: 'outra' }]);
+    expect(loadConfig({}).API_KEYS).toEqual([]);
+  });
+
+  test('should refuse a missing, broken or malformed API key registry', () => {
+    const errorsOf = (env) => {
+      try {
+        loadConfig(env);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.errors;
+      }
+      return [];
+    };
+
+    expect(errorsOf({ API_KEYS_FILE: '/nao/existe.json' })).toEqual([
+      expect.stringMatching(/^API_KEYS_FILE: não foi possível ler \/nao\/existe\.json \(ENOENT/),
+    ]);
+    expect(errorsOf({ API_KEYS: '[{"key":' })).toEqual([expect.stringMatching(/^API_KEYS_JSON \(variável API_KEYS\): JSON inválido/)]);
+    expect(errorsOf({ API_KEYS: '{}' })).toEqual(['API_KEYS_JSON (variável API_KEYS): esperada uma lista de chaves']);
+    expect(errorsOf({
+      API_KEYS: JSON.stringify([
+        { owner: 'Truncada', keyHash: 'abc123' },
+        { owner: 'Sem chave' },
+        { owner: 'Cota', key: 'x', quotas: { perDay: 0 } },
+      ]),
+    })).toEqual([
+      'API_KEYS[0].keyHash: esperado o SHA-256 em hexadecimal (64 caracteres)',
+      'API_KEYS[1]: informe "key" ou "keyHash"',
+      'API_KEYS[2].quotas.perDay: esperado inteiro >= 1, recebido 0',
+    ]);
+  });
+});
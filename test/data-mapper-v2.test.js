@@ -0,0 +1,61 @@
+import { readFileSync } from 'node:fs';
+import { DataMapperV2 } from '../api/_lib/data-mapper-v2.js';
+import { BrasilApiProvider } from '../api/_lib/providers/brasil-api.js';
+
+const sample = JSON.parse(readFileSync(new URL('../fixtures/cnpjws/12345678000195.json', import.meta.url), 'utf8'));
+
+describe('DataMapperV2', () => {
+  describe('mapToV2Structure', () => {
+    const data = DataMapperV2.mapToV2Structure(sample);
+
+    test('should use ISO dates', () => {
+      expect(data.founded).toBe('2015-03-02');
+      expect(data.updated).toBe('2024-05-10T03:00:00.000Z');
+      expect(data.status).toEqual({ text: 'Ativa', date: '2015-03-02', reason: null });
+    });
+
+    test('should expose municipality IBGE code and country object', () => {
+      expect(data.address.municipality).toEqual({ ibge: '3550308', name: 'São Paulo' });
+      expect(data.address.country).toEqual({ id: '1058', name: 'Brasil' });
+      expect(data.address.zip).toBe('01310100');
+    });
+
+    test('should map simples as booleans and phones with type', () => {
+      expect(data.company.simples).toEqual({ optant: true, since: '2015-03-02' });
+      expect(data.company.simei).toEqual({ optant: false, since: null });
+      expect(data.phones).toEqual([{ area: '11', number: '33334444', type: 'LANDLINE' }]);
+    });
+
+    test('should map registrations without redundant fields', () => {
+      expect(data.registrations).toEqual([{ number: '123456789110', state: 'SP', enabled: true }]);
+      expect(data.suframa).toEqual([]);
+    });
+  });
+
+  describe('phone', () => {
+    test('should detect mobile numbers', () => {
+      expect(DataMapperV2.phone('11', '987654321').type).toBe('MOBILE');
+      expect(DataMapperV2.phone('11', '33334444').type).toBe('LANDLINE');
+      expect(DataMapperV2.phone('11', '33334444', 'FAX').type).toBe('FAX');
+    });
+  });
+
+  describe('BrasilAPI', () => {
+    test('should map to the same schema with unknown registrations', () => {
+      const data = BrasilApiProvider.mapV2({
+        cnpj: '12345678000195',
+        identificador_matriz_filial: 1,
+        razao_social: 'EMPRESA EXEMPLO LTDA',
+        data_inicio_atividade: '2015-03-02',
+        ddd_telefone_1: '11987654321',
+        codigo_municipio_ibge: 3550308,
+        municipio: 'SAO PAULO',
+        uf: 'SP',
+      });
+
+      expect(data).toMatchObject({ taxId: '12345678000195', head: true, founded: '2015-03-02', registrations: null });
+      expect(data.phones).toEqual([{ area: '11', number: '987654321', type: 'MOBILE' }]);
+      expect(data.address.municipality).toEqual({ ibge: '3550308', name: 'SAO PAULO' });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { DataMapper } from '../api/_lib/data-mapper.js';
+import { Logger } from '../api/_lib/logger.js';
+import { Metrics } from '../api/_lib/metrics.js';
+
+const sample = JSON.parse(readFileSync(new URL('../fixtures/cnpjws/12345678000195.json', import.meta.url), 'utf8'));
+
+describe('DataMapper', () => {
+  describe('detectDrift', () => {
+    test('should accept the recorded cnpj.ws payload', () => {
+      expect(DataMapper.detectDrift(sample)).toEqual({ missing: [], unknown: [] });
+    });
+
+    test('should report renamed fields as missing and unknown', () => {
+      const { razao_social, ...payload } = sample;
+      const { nome_fantasia, ...estabelecimento } = sample.estabelecimento;
+
+      const drift = DataMapper.detectDrift({
+        ...payload,
+        nome_empresarial: razao_social,
+        estabelecimento: { ...estabelecimento, fantasia: nome_fantasia },
+      });
+
+      expect(drift).toEqual({
+        missing: ['razao_social', 'estabelecimento.nome_fantasia'],
+        unknown: ['estabelecimento.fantasia', 'nome_empresarial'],
+      });
+    });
+
+    test('should report list item paths once', () => {
+      const socios = [sample.socios[0], sample.socios[0]].map(({ faixa_etaria, ...socio }) => ({ ...socio, idade: 40 }));
+
+      expect(DataMapper.detectDrift({ ...sample, socios })).toEqual({
+        missing: ['socios[].faixa_etaria'],
+        unknown: ['socios[].idade'],
+      });
+    });
+
+    test('should accept null objects', () => {
+      expect(DataMapper.detectDrift({ ...sample, simples: null }).missing).toEqual([]);
+    });
+
+    test('should report fields named after Object.prototype members', () => {
+      const drift = DataMapper.detectDrift({
+        ...sample,
+        constructor: 'x',
+        estabelecimento: { ...sample.estabelecimento, toString: 'y' },
+      });
+
+      expect(drift.unknown).toEqual(['estabelecimento.toString', 'constructor']);
+    });
+  });
+
+  describe('reportDrift', () => {
+    beforeEach(() => {
+      Metrics.reset();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should log and count drift events', () => {
+      const warn = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+      const { capital_social, ...payload } = sample;
+
+      DataMapper.reportDrift(payload, { cnpj: '12345678000195', provider: 'cnpjws' });
+
+      expect(warn).toHaveBeenCalledWith(expect.any(String), {
+        cnpj: '12345678000195',
+        provider: 'cnpjws',
+        missing: ['capital_social'],
+        unknown: [],
+      });
+      expect(Metrics.getValue('cnpj_upstream_schema_drift_total', { provider: 'cnpjws', kind: 'missing' })).toBe(1);
+      expect(Metrics.getValue('cnpj_upstream_schema_drift_total', { provider: 'cnpjws', kind: 'unknown' })).toBe(0);
+    });
+
+    test('should stay quiet without drift', () => {
+      const warn = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+
+      DataMapper.reportDrift(sample, { cnpj: '12345678000195', provider: 'cnpjws' });
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+  });
+});
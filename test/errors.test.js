@@ -0,0 +1,92 @@
+import { ApiError, ErrorMapper, ERROR_CODES } from '../api/_lib/errors.js';
+import { ExternalAPIClient } from '../api/_lib/external-api.js';
+import { ERROR_MESSAGES } from '../public/script.js';
+
+// Resposta mínima que guarda status, headers e corpo enviados
+const response = () => {
+  const res = { headers: {} };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (status) => { res.statusCode = status; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('ErrorMapper', () => {
+  describe('classify', () => {
+    test('should map aborted fetches to an upstream timeout', () => {
+      const error = new Error('This operation was aborted');
+      error.name = 'AbortError';
+
+      expect(ErrorMapper.classify(error)).toBe('UPSTREAM_TIMEOUT');
+    });
+
+    test('should map network failures to an unavailable upstream', () => {
+      expect(ErrorMapper.classify(new TypeError('fetch failed'))).toBe('UPSTREAM_UNAVAILABLE');
+      expect(ErrorMapper.classify(new TypeError('NetworkError when attempting to fetch resource'))).toBe('UPSTREAM_UNAVAILABLE');
+    });
+
+    test('should treat anything else as an internal error', () => {
+      expect(ErrorMapper.classify(new TypeError("Cannot read properties of undefined (reading 'name')"))).toBe('INTERNAL_ERROR');
+      expect(ErrorMapper.classify(new Error('boom'))).toBe('INTERNAL_ERROR');
+    });
+  });
+
+  describe('toResponse', () => {
+    test('should keep the code and message of an ApiError', () => {
+      expect(ErrorMapper.toResponse(new ApiError('NOT_FOUND'))).toEqual({
+        statusCode: 404,
+        code: 'NOT_FOUND',
+        message: 'Empresa não encontrada',
+      });
+    });
+
+    test('should hide the message of unexpected errors', () => {
+      expect(ErrorMapper.toResponse(new Error('segredo interno'))).toEqual({
+        statusCode: 500,
+        code: 'INTERNAL_ERROR',
+        message: 'Erro interno do servidor',
+      });
+    });
+  });
+
+  describe('send', () => {
+    test('should tell the client whether the request can be repeated', () => {
+      expect(ErrorMapper.send(response(), 'INVALID_CNPJ').body).toMatchObject({ code: 'INVALID_CNPJ', retryable: false });
+      expect(ErrorMapper.send(response(), 'UPSTREAM_TIMEOUT').body).toMatchObject({ code: 'UPSTREAM_TIMEOUT', retryable: true });
+    });
+
+    test('should keep the wait time given by the caller', () => {
+      const res = ErrorMapper.send(response(), 'QUOTA_EXCEEDED', undefined, { retryAfter: 3600 });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toMatchObject({ retryable: true, retryAfter: 3600 });
+      expect(res.headers['Retry-After']).toBe('3600');
+    });
+
+    test('should suggest waiting for the circuit after an upstream rate limit', () => {
+      const res = ErrorMapper.send(response(), 'UPSTREAM_RATE_LIMITED');
+
+      expect(res.body).toMatchObject({ retryable: true, retryAfter: 30 });
+      expect(res.headers['Retry-After']).toBe('30');
+    });
+  });
+});
+
+describe('ERROR_MESSAGES', () => {
+  test('should have a message for every API error code', () => {
+    expect(Object.keys(ERROR_CODES).filter(code => !ERROR_MESSAGES[code])).toEqual([]);
+  });
+});
+
+describe('ExternalAPIClient', () => {
+  describe('codeForStatus', () => {
+    test('should map upstream statuses to stable codes', () => {
+      expect(ExternalAPIClient.codeForStatus(404)).toBe('NOT_FOUND');
+      expect(ExternalAPIClient.codeForStatus(429)).toBe('UPSTREAM_RATE_LIMITED');
+      expect(ExternalAPIClient.codeForStatus(500)).toBe('UPSTREAM_UNAVAILABLE');
+      expect(ExternalAPIClient.codeForStatus(503)).toBe('UPSTREAM_UNAVAILABLE');
+      expect(ExternalAPIClient.codeForStatus(400)).toBe('UPSTREAM_ERROR');
+      expect(ExternalAPIClient.codeForStatus(403)).toBe('UPSTREAM_ERROR');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { ContentNegotiator, ExportFormatter } from '../api/_lib/export-format.js';
+
+const data = {
+  taxId: '12345678000195',
+  alias: 'EXEMPLO, "O MELHOR"',
+  head: true,
+  founded: '2015-03-02',
+  company: {
+    name: 'EMPRESA <EXEMPLO> & CIA',
+    equity: 1500.5,
+    members: [
+      { person: { name: 'FULANO' }, role: { text: 'Sócio' } },
+      { person: { name: 'BELTRANO' }, role: { text: 'Sócio' } },
+    ],
+  },
+  address: { city: 'São Paulo', state: 'SP', zip: '01310100' },
+};
+
+describe('ContentNegotiator', () => {
+  describe('resolve', () => {
+    test('should prefer the format parameter over Accept', () => {
+      const req = { query: { format: 'XML' }, headers: { accept: 'text/csv' } };
+      expect(ContentNegotiator.resolve(req)).toEqual({ isValid: true, format: 'xml' });
+    });
+
+    test('should reject unknown formats', () => {
+      const result = ContentNegotiator.resolve({ query: { format: 'pdf' }, headers: {} });
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe('INVALID_FORMAT');
+    });
+  });
+
+  describe('fromAccept', () => {
+    test('should honor media types and quality values', () => {
+      expect(ContentNegotiator.fromAccept('text/csv')).toBe('csv');
+      expect(ContentNegotiator.fromAccept('application/xml;q=0.5, text/csv;q=0.9')).toBe('csv');
+      expect(ContentNegotiator.fromAccept('text/xml')).toBe('xml');
+    });
+
+    test('should fall back to JSON', () => {
+      expect(ContentNegotiator.fromAccept(undefined)).toBe('json');
+      expect(ContentNegotiator.fromAccept('*/*')).toBe('json');
+      expect(ContentNegotiator.fromAccept('image/png')).toBe('json');
+    });
+  });
+});
+
+describe('ExportFormatter', () => {
+  describe('toCSV', () => {
+    test('should use export headers and escape values', () => {
+      const [headerLine, ...rest] = ExportFormatter.toCSV([data]).split('\r\n');
+      const row = rest.join('\r\n');
+
+      expect(headerLine.split(',')).toEqual(ExportFormatter.getAllHeaders());
+      expect(row.startsWith('12345678000195,EMPRESA <EXEMPLO> & CIA,"EXEMPLO, ""O MELHOR""",')).toBe(true);
+      expect(row).toContain('02/03/2015');
+      expect(row).toContain('R$ 1.500,50');
+      expect(row).toContain('01310-100');
+      expect(row).toContain('"FULANO - Sócio\nBELTRANO - Sócio"');
+    });
+  });
+
+  describe('toXML', () => {
+    test('should emit one field per export column', () => {
+      const xml = ExportFormatter.toXML([data]);
+
+      expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<empresas>')).toBe(true);
+      expect(xml.match(/<campo /g)).toHaveLength(ExportFormatter.getAllHeaders().length);
+      expect(xml).toContain('<campo nome="Razão Social">EMPRESA &lt;EXEMPLO&gt; &amp; CIA</campo>');
+      expect(xml).toContain('<campo nome="Matriz/Filial">Matriz</campo>');
+    });
+  });
+});
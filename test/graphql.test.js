@@ -0,0 +1,374 @@
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { GraphQL } from '../api/_lib/graphql.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { CNPJLookupService } from '../api/_lib/lookup.js';
+import { CacheManager } from '../api/_lib/cache/index.js';
+import { createApp } from '../server/app.js';
+
+const schema = GraphQL.buildSchema({
+  Query: {
+    kind: 'object',
+    fields: {
+      book: {
+        type: 'Book',
+        args: { id: { type: 'ID!' } },
+        cost: () => 1,
+        resolve: (_, { id }) => (id === '404' ? Promise.reject(new ApiError('NOT_FOUND')) : { id, title: `Livro ${id}`, tags: ['a'], kind: 'PAPER' }),
+      },
+      books: {
+        type: '[Book]!',
+        args: { ids: { type: '[ID!]!' } },
+        cost: ({ ids }) => ids.length,
+        resolve: (_, { ids }) => ids.map(id => (id === '404' ? new ApiError('NOT_FOUND') : { id, title: null, tags: [], kind: 'EBOOK' })),
+      },
+    },
+  },
+  Book: {
+    kind: 'object',
+    fields: {
+      id: { type: 'ID!' },
+      title: { type: 'String!' },
+      tags: { type: '[String!]!' },
+      kind: { type: 'Kind!' },
+    },
+  },
+  Kind: { kind: 'enum', values: ['PAPER', 'EBOOK'] },
+});
+
+// Cada fragmento espalha o seguinte duas vezes: 2^levels campos se expandidos
+const fanOut = (levels) => {
+  const fragments = Array.from({ length: levels }, (_, index) => (index === levels - 1
+    ? `fragment F${index} on Book { id title }`
+    : `fragment F${index} on Book { ...F${index + 1} ...F${index + 1} }`));
+
+  return `{ book(id: 1) { ...F0 } } ${fragments.join(' ')}`;
+};
+
+// Mesma forma da consulta de introspecção do GraphiQL
+const INTROSPECTION_QUERY = `
+  query IntrospectionQuery {
+    __schema {
+      queryType { name }
+      mutationType { name }
+      subscriptionType { name }
+      types { ...FullType }
+      directives { name description locations args { ...InputValue } }
+    }
+  }
+  fragment FullType on __Type {
+    kind name description
+    fields(includeDeprecated: true) { name description args { ...InputValue } type { ...TypeRef } isDeprecated deprecationReason }
+    inputFields { ...InputValue }
+    interfaces { ...TypeRef }
+    enumValues(includeDeprecated: true) { name description isDeprecated deprecationReason }
+    possibleTypes { ...TypeRef }
+  }
+  fragment InputValue on __InputValue { name description type { ...TypeRef } defaultValue }
+  fragment TypeRef on __Type {
+    kind name
+    ofType { kind name ofType { kind name ofType { kind name ofType { kind name
+      ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } } } } } }
+  }
+`;
+
+const run = async (query, variables, operationName) => {
+  const prepared = GraphQL.prepare(schema, { query, variables, operationName });
+  return prepared.errors ? prepared : GraphQL.execute(prepared.request);
+};
+
+describe('GraphQL', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should resolve aliases, fragments, variables and directives', async () => {
+    const result = await run(`
+      query Livros($id: ID!, $semTags: Boolean = true) {
+        primeiro: book(id: $id) { ...Campos }
+        segundo: book(id: 2) { __typename ... on Book { title } tags @skip(if: $semTags) }
+      }
+      fragment Campos on Book { id kind }
+    `, { id: '1' });
+
+    expect(result).toEqual({
+      data: {
+        primeiro: { id: '1', kind: 'PAPER' },
+        segundo: { __typename: 'Book', title: 'Livro 2' },
+      },
+    });
+  });
+
+  test('should return partial data with the error path and code', async () => {
+    const result = await run('{ ok: book(id: "1") { id } missing: book(id: "404") { id } }');
+
+    expect(result.data).toEqual({ ok: { id: '1' }, missing: null });
+    expect(result.errors).toEqual([{
+      message: 'Empresa não encontrada',
+      locations: [{ line: 1, column: 28 }],
+      path: ['missing'],
+      extensions: { code: 'NOT_FOUND' },
+    }]);
+  });
+
+  test('should null list items that fail and propagate nulls from non-null fields', async () => {
+    const result = await run('{ books(ids: ["1", "404"]) { id title } }');
+
+    expect(result.data).toEqual({ books: [null, null] });
+    expect(result.errors).toHaveLength(2);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: ['books', 0, 'title'], extensions: { code: 'INTERNAL_ERROR' } }),
+      expect.objectContaining({ path: ['books', 1], extensions: { code: 'NOT_FOUND' } }),
+    ]));
+  });
+
+  test('should report every validation problem with its location', () => {
+    const { errors } = GraphQL.prepare(schema, { query: '{ book { nope } books(ids: $x) { id } }' });
+
+    expect(errors.map(error => error.message)).toEqual([
+      'Argumento obrigatório "id" ausente em "book"',
+      'Campo "nope" não existe no tipo Book',
+      'Variável $x não declarada',
+    ]);
+    expect(errors[1].locations).toEqual([{ line: 1, column: 10 }]);
+  });
+
+  test('should reject syntax errors, mutations and invalid variables', () => {
+    expect(GraphQL.prepare(schema, { query: '{ book(id: "1" { id } }' }).errors[0].message).toMatch(/^Erro de sintaxe/);
+    expect(GraphQL.prepare(schema, { query: 'mutation { book(id: 1) { id } }' }).errors[0].message).toMatch(/não suportada/);
+    expect(GraphQL.prepare(schema, { query: 'query($id: ID!) { book(id: $id) { id } }', variables: {} }).errors[0].message)
+      .toBe('Variável $id: valor obrigatório para ID!');
+  });
+
+  test('should validate fan-out fragments once and reject their expansion', () => {
+    const startTime = Date.now();
+    const { errors } = GraphQL.prepare(schema, { query: fanOut(30) }, { maxSelections: 1000 });
+
+    expect(Date.now() - startTime).toBeLessThan(1000);
+    expect(errors).toEqual([{
+      message: 'Consulta excede o limite de 1000 campos (com os fragmentos expandidos)',
+      locations: [{ line: 1, column: 1 }],
+    }]);
+    expect(GraphQL.prepare(schema, { query: fanOut(4) }, { maxSelections: 1000 }).request).toBeDefined();
+  });
+
+  test('should still find fragment cycles and enforce length and depth limits', () => {
+    const cyclic = '{ book(id: 1) { ...A } } fragment A on Book { ...B } fragment B on Book { id ...A }';
+    expect(GraphQL.prepare(schema, { query: cyclic }).errors[0].message).toBe('Fragmento "A" referencia a si mesmo');
+
+    expect(GraphQL.prepare(schema, { query: '{ book(id: 1) { id } }' }, { maxLength: 10 }).errors[0].message)
+      .toBe('Consulta excede o limite de 10 caracteres');
+    expect(GraphQL.prepare(schema, { query: '{ book(id: 1) { id } }' }, { maxDepth: 1 }).errors[0].message)
+      .toBe('Consulta excede a profundidade máxima de 1 níveis');
+    expect(GraphQL.prepare(schema, { query: '{ book(id: 1) { id } }' }, { maxDepth: 2 }).request).toBeDefined();
+  });
+
+  test('should compute the cost of the fields that will run', () => {
+    const { request } = GraphQL.prepare(schema, {
+      query: 'query($skip: Boolean!) { a: book(id: 1) { id } books(ids: [1, 2, 3]) { id } c: book(id: 2) @skip(if: $skip) { id } }',
+      variables: { skip: true },
+    });
+
+    expect(GraphQL.cost(request)).toBe(4);
+  });
+
+  test('should print the schema as SDL', () => {
+    expect(GraphQL.printSchema(schema)).toContain('  books(ids: [ID!]!): [Book]!\n');
+    expect(GraphQL.printSchema(schema)).toContain('enum Kind {\n  PAPER\n  EBOOK\n}');
+    expect(GraphQL.printSchema(schema)).not.toContain('__');
+  });
+
+  test('should describe the schema through __type and __schema', async () => {
+    const { data, errors } = await run(`{
+      book: __type(name: "Book") { kind name fields { name args { name } type { kind name ofType { kind name } } } }
+      kind: __type(name: "Kind") { kind enumValues { name } }
+      missing: __type(name: "Nope") { name }
+      __schema { queryType { name fields { name } } types { name } directives { name locations args { name type { kind } } } }
+    }`);
+
+    expect(errors).toBeUndefined();
+    expect(data.book).toEqual({
+      kind: 'OBJECT',
+      name: 'Book',
+      fields: [
+        { name: 'id', args: [], type: { kind: 'NON_NULL', name: null, ofType: { kind: 'SCALAR', name: 'ID' } } },
+        { name: 'title', args: [], type: { kind: 'NON_NULL', name: null, ofType: { kind: 'SCALAR', name: 'String' } } },
+        { name: 'tags', args: [], type: { kind: 'NON_NULL', name: null, ofType: { kind: 'LIST', name: null } } },
+        { name: 'kind', args: [], type: { kind: 'NON_NULL', name: null, ofType: { kind: 'ENUM', name: 'Kind' } } },
+      ],
+    });
+    expect(data.kind).toEqual({ kind: 'ENUM', enumValues: [{ name: 'PAPER' }, { name: 'EBOOK' }] });
+    expect(data.missing).toBeNull();
+    expect(data.__schema.queryType.fields.map(field => field.name)).toEqual(['book', 'books']);
+    expect(data.__schema.types.map(type => type.name)).toEqual(expect.arrayContaining(['String', 'Book', 'Kind', '__Type']));
+    expect(data.__schema.directives.map(directive => directive.name)).toEqual(['skip', 'include']);
+    expect(data.__schema.directives[0].args).toEqual([{ name: 'if', type: { kind: 'NON_NULL' } }]);
+  });
+
+  test('should not charge introspection fields', () => {
+    const { request } = GraphQL.prepare(schema, { query: '{ __schema { types { name } } a: book(id: 1) { id } }' });
+
+    expect(GraphQL.cost(request)).toBe(1);
+  });
+});
+
+describe('/api/graphql', () => {
+  let server;
+  let baseUrl;
+  const defaultProviders = SECURITY_CONFIG.PROVIDERS;
+
+  const post = (body) => fetch(`${baseUrl}/api/graphql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    SECURITY_CONFIG.PROVIDERS = ['fixture'];
+
+    server = createApp();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    RateLimiter.setStore(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+  });
+
+  afterAll(async () => {
+    SECURITY_CONFIG.PROVIDERS = defaultProviders;
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should resolve company slices through the lookup service', async () => {
+    const response = await post({
+      query: 'query($cnpj: String!) { company(cnpj: $cnpj) { name members { name role { text } } address { state } } }',
+      variables: { cnpj: '12.345.678/0001-95' },
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      data: {
+        company: {
+          name: 'EMPRESA EXEMPLO LTDA',
+          members: [{ name: 'FULANO DE TAL', role: { text: 'Sócio-Administrador' } }],
+          address: { state: 'SP' },
+        },
+      },
+    });
+  });
+
+  test('should keep the order of companies and report failed items', async () => {
+    const response = await post({
+      query: '{ companies(cnpjs: ["12345678000195", "123", "11222333000181"]) { taxId source { provider } } }',
+    });
+    const body = await response.json();
+
+    expect(body.data.companies).toEqual([{ taxId: '12345678000195', source: { provider: 'fixture' } }, null, null]);
+    expect(body.errors.map(error => error.extensions.code)).toEqual(['INVALID_LENGTH', 'NOT_FOUND']);
+  });
+
+  test('should check company data against the v2 schema', async () => {
+    const query = '{ company(cnpj: "12345678000195") { taxId head } }';
+    const valid = await CNPJLookupService.lookup('12345678000195', { version: 2 });
+    SECURITY_CONFIG.RESPONSE_VALIDATION = true;
+
+    try {
+      expect((await (await post({ query })).json()).data.company).toEqual({ taxId: '12345678000195', head: true });
+
+      jest.spyOn(CNPJLookupService, 'lookup').mockResolvedValue({ ...valid, data: { ...valid.data, head: null } });
+      const body = await (await post({ query })).json();
+
+      expect(body.data.company).toBeNull();
+      expect(body.errors[0]).toMatchObject({ path: ['company'], extensions: { code: 'RESPONSE_SCHEMA_MISMATCH' } });
+    } finally {
+      SECURITY_CONFIG.RESPONSE_VALIDATION = false;
+      CNPJLookupService.lookup.mockRestore?.();
+    }
+  });
+
+  test('should answer invalid queries with 400', async () => {
+    const response = await post({ query: '{ company(cnpj: "12345678000195") { unknown } }' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors[0].extensions.code).toBe('INVALID_QUERY');
+  });
+
+  test('should answer the standard introspection query within the default limits', async () => {
+    const response = await post({ query: INTROSPECTION_QUERY, operationName: 'IntrospectionQuery' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.errors).toBeUndefined();
+    expect(body.data.__schema.queryType).toEqual({ name: 'Query' });
+    expect(body.data.__schema.types.find(type => type.name === 'Company').fields.map(field => field.name)).toContain('taxId');
+  });
+
+  test('should fail fields that cannot be looked up within the time budget', async () => {
+    const defaultBudget = SECURITY_CONFIG.BATCH_TIME_BUDGET_MS;
+    await CNPJLookupService.lookup('12345678000195', { version: 2 });
+    await CacheManager.delete('11444777000161');
+    SECURITY_CONFIG.BATCH_TIME_BUDGET_MS = SECURITY_CONFIG.TIMEOUT_MS - 1;
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup');
+
+    try {
+      const body = await (await post({
+        query: '{ a: company(cnpj: "12345678000195") { taxId } b: company(cnpj: "11444777000161") { taxId } }',
+      })).json();
+
+      expect(lookup).not.toHaveBeenCalled();
+      expect(body.data).toEqual({ a: { taxId: '12345678000195' }, b: null });
+      expect(body.errors).toEqual([expect.objectContaining({ path: ['b'], extensions: { code: 'BATCH_TIMEOUT' } })]);
+    } finally {
+      SECURITY_CONFIG.BATCH_TIME_BUDGET_MS = defaultBudget;
+      lookup.mockRestore();
+    }
+  });
+
+  test('should serve the SDL on GET without a query', async () => {
+    const response = await fetch(`${baseUrl}/api/graphql`);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('company(cnpj: String!): Company');
+  });
+
+  test('should charge a token before parsing and reject fan-out queries', async () => {
+    const fragments = Array.from({ length: 22 }, (_, index) => (index === 21
+      ? `fragment F${index} on Company { taxId name }`
+      : `fragment F${index} on Company { ...F${index + 1} ...F${index + 1} }`));
+    const startTime = Date.now();
+    const response = await post({ query: `{ company(cnpj: "12345678000195") { ...F0 } } ${fragments.join(' ')}` });
+    const body = await response.json();
+
+    expect(Date.now() - startTime).toBeLessThan(1000);
+    expect(response.status).toBe(400);
+    expect(response.headers.get('ratelimit-remaining')).toBe(String(SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE - 1));
+    expect(body.errors[0].message).toMatch(/^Consulta excede o limite de \d+ campos/);
+  });
+
+  test('should not parse queries once the client is rate limited', async () => {
+    const prepare = jest.spyOn(GraphQL, 'prepare');
+    const query = '{ company(cnpj: "12345678000195") { taxId } }';
+
+    try {
+      for (let i = 0; i < SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE; i++) {
+        expect((await post({ query: '{ nope }' })).status).toBe(400);
+      }
+
+      const limited = await post({ query });
+      expect(limited.status).toBe(429);
+      expect(prepare).toHaveBeenCalledTimes(SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE);
+    } finally {
+      prepare.mockRestore();
+    }
+  });
+});
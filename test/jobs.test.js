@@ -0,0 +1,334 @@
+import { inflateRawSync } from 'node:zlib';
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { CacheManager } from '../api/_lib/cache/index.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { CNPJLookupService } from '../api/_lib/lookup.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { CNPJValidatorServer } from '../api/_lib/validator.js';
+import { JobInput, JobManager, JobStore, JobWorker } from '../api/_lib/jobs.js';
+import { createApp } from '../server/app.js';
+
+const FOUND = '12345678000195';
+const MISSING = '11222333000181';
+const OTHER = '11444777000161';
+
+const memory = () => new MemoryCacheBackend({ ttl: 60000, maxSize: 100 });
+
+// Arquivos de um ZIP pelos cabeçalhos locais (sem data descriptor, como o createZip grava)
+function unzip(buffer) {
+  const files = {};
+
+  for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034B50;) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+
+    files[name] = inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+
+  return files;
+}
+
+describe('JobInput.parseList', () => {
+  test('should skip the header and take the first CNPJ column of each line', () => {
+    const csv = 'razao;cnpj\r\n"EMPRESA";"12.345.678/0001-95"\r\n\r\nOUTRA;11222333000181\r\nsem cnpj\n';
+
+    expect(JobInput.parseList(csv)).toEqual(['12.345.678/0001-95', '11222333000181', 'sem cnpj']);
+  });
+
+  test('should read one CNPJ per line in plain text', () => {
+    expect(JobInput.parseList('12345678000195\n11.222.333/0001-81\n')).toEqual(['12345678000195', '11.222.333/0001-81']);
+  });
+
+  test('should read the first file of a multipart upload', () => {
+    const body = '--abc\r\nContent-Disposition: form-data; name="file"; filename="lista.csv"\r\n'
+      + 'Content-Type: text/csv\r\n\r\ncnpj\r\n12345678000195\r\n--abc--\r\n';
+
+    expect(JobInput.fromRequest({ headers: { 'content-type': 'multipart/form-data; boundary=abc' }, body: Buffer.from(body) }))
+      .toEqual({ cnpjs: ['12345678000195'] });
+  });
+});
+
+describe('JobManager and JobWorker', () => {
+  const defaults = { ...SECURITY_CONFIG };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    SECURITY_CONFIG.PROVIDERS = ['fixture'];
+    CacheManager.setBackend(memory());
+    RateLimiter.setStore(memory());
+    JobStore.setStore(memory());
+  });
+
+  afterEach(() => {
+    Object.assign(SECURITY_CONFIG, defaults);
+    jest.restoreAllMocks();
+  });
+
+  test('should dedupe CNPJs and fail invalid items right away', async () => {
+    const job = await JobManager.create([FOUND, '12.345.678/0001-95', '123', MISSING]);
+    const summary = JobManager.summarize(job);
+
+    expect(summary.status).toBe('queued');
+    expect(summary.progress).toMatchObject({ total: 3, processed: 1, failed: 1, pending: 2, duplicates: 1, percent: 33 });
+    expect(summary.errors).toEqual([{ cnpj: '123', code: 'INVALID_LENGTH', message: expect.any(String) }]);
+    expect(await JobStore.listActive()).toEqual([{ id: job.id, client: null }]);
+  });
+
+  test('should process pending items and leave results in the batch format', async () => {
+    const { id } = await JobManager.create([FOUND, MISSING]);
+    const job = await JobWorker.advance(id, { deadline: Date.now() + 5000 });
+
+    expect(job.status).toBe('completed');
+    expect(await JobManager.results(job)).toEqual([
+      { cnpj: FOUND, error: false, data: expect.objectContaining({ taxId: FOUND }), provider: 'fixture', cached: false },
+      { cnpj: MISSING, error: true, status: 404, code: 'NOT_FOUND', message: 'Empresa não encontrada' },
+    ]);
+    expect(await JobStore.listActive()).toEqual([]);
+  });
+
+  test('should pace upstream calls and serve cache hits without spending tokens', async () => {
+    SECURITY_CONFIG.JOBS_UPSTREAM_PER_MINUTE = 1;
+    await CNPJLookupService.lookup(FOUND);
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockRejectedValue(new ApiError('NOT_FOUND'));
+
+    const { id } = await JobManager.create([MISSING, FOUND, OTHER]);
+    const job = await JobWorker.advance(id, { deadline: Date.now() + 200 });
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect((await JobStore.getItems(job)).map(item => item.status)).toEqual(['error', 'ok', 'pending']);
+    expect(job.status).toBe('running');
+  });
+
+  test('should pause the job when the upstream API rate limits it', async () => {
+    jest.spyOn(CNPJLookupService, 'lookup').mockRejectedValue(new ApiError('UPSTREAM_RATE_LIMITED'));
+
+    const { id } = await JobManager.create([MISSING, OTHER]);
+    const job = await JobWorker.advance(id, { deadline: Date.now() + 5000 });
+
+    expect(job.pausedUntil).toBeGreaterThan(Date.now());
+    expect((await JobStore.getItems(job)).every(item => item.status === 'pending' && item.attempts === 0)).toBe(true);
+  });
+
+  test('should share upstream calls between clients in turns', async () => {
+    SECURITY_CONFIG.JOBS_UPSTREAM_PER_MINUTE = 3;
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockRejectedValue(new ApiError('NOT_FOUND'));
+
+    const first = await JobManager.create([MISSING, OTHER], { client: 'ip:1.1.1.1' });
+    await JobManager.create([FOUND], { client: 'ip:1.1.1.1' });
+    const other = await JobManager.create([OTHER, MISSING], { client: 'apikey:outro' });
+
+    await JobWorker.tick({ budgetMs: 500 });
+
+    // Uma consulta por cliente a cada rodada, alternando também entre os jobs
+    // do mesmo cliente; sem fichas, o próximo tick começa pelo outro cliente
+    expect(lookup.mock.calls.map(([cnpj]) => cnpj)).toEqual([MISSING, OTHER, FOUND]);
+    expect((await JobStore.getItems(await JobStore.get(first.id))).map(item => item.status)).toEqual(['error', 'pending']);
+    expect((await JobStore.listActive()).map(entry => entry.id)).toEqual([other.id, first.id]);
+  });
+
+  test('should only serve cached items when advancing without lookups', async () => {
+    await CNPJLookupService.lookup(FOUND);
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup');
+
+    const { id } = await JobManager.create([FOUND, MISSING]);
+    const job = await JobWorker.advance(id, { deadline: Date.now() + 5000, maxLookups: 0 });
+
+    expect(lookup).not.toHaveBeenCalled();
+    expect((await JobStore.getItems(job)).map(item => item.status)).toEqual(['ok', 'pending']);
+    expect(await JobStore.listActive()).toEqual([{ id, client: null }]);
+  });
+
+  test('should let a single worker process a job at a time', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockImplementation(async () => {
+      await gate;
+      throw new ApiError('NOT_FOUND');
+    });
+
+    const { id } = await JobManager.create([MISSING]);
+    const running = JobWorker.advance(id, { deadline: Date.now() + 5000 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const concurrent = await JobWorker.advance(id, { deadline: Date.now() + 5000 });
+    expect(concurrent.counts.pending).toBe(1);
+
+    release();
+    expect((await running).status).toBe('completed');
+    expect(lookup).toHaveBeenCalledTimes(1);
+
+    // O lease foi liberado ao fim da vez
+    expect(await JobStore.acquireLease(id, 'outro', 1000)).toBe(true);
+  });
+
+  test('should refuse stores that are not shared between instances on Vercel', () => {
+    const vercel = process.env.VERCEL;
+    process.env.VERCEL = '1';
+    JobStore.setStore(null);
+
+    try {
+      expect(() => JobStore.getStore()).toThrow(expect.objectContaining({ code: 'JOBS_UNAVAILABLE' }));
+    } finally {
+      if (vercel === undefined) delete process.env.VERCEL;
+      else process.env.VERCEL = vercel;
+    }
+  });
+
+  test('should keep the items in chunks and only the counters in the job record', async () => {
+    SECURITY_CONFIG.JOBS_CHUNK_SIZE = 2;
+    await CNPJLookupService.lookup(FOUND);
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockRejectedValue(new ApiError('NOT_FOUND'));
+
+    const { id } = await JobManager.create([MISSING, OTHER, FOUND, '123']);
+    const job = await JobWorker.advance(id, { deadline: Date.now() + 5000 });
+    const stored = await JobStore.get(id);
+
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect(stored).not.toHaveProperty('items');
+    expect(stored).toMatchObject({ status: 'completed', total: 4, chunks: 2, cursor: 2, counts: { succeeded: 1, failed: 3, pending: 0 } });
+    expect(await JobStore.getChunk(id, 1)).toEqual([
+      expect.objectContaining({ cnpj: FOUND, status: 'ok', data: expect.objectContaining({ taxId: FOUND }) }),
+      expect.objectContaining({ cnpj: '123', status: 'error' }),
+    ]);
+    expect((await JobManager.results(job)).map(result => result.error)).toEqual([true, true, false, true]);
+  });
+
+  test('should discard jobs whose items are gone from the store', async () => {
+    const { id } = await JobManager.create([MISSING]);
+    await JobStore.getStore().delete(`items:${id}:0`);
+
+    expect(await JobWorker.advance(id, { deadline: Date.now() + 5000 })).toBeNull();
+    expect(await JobStore.get(id)).toBeNull();
+    expect(await JobStore.listActive()).toEqual([]);
+  });
+
+  test('should retry transient failures up to the attempt limit', async () => {
+    SECURITY_CONFIG.JOBS_MAX_ATTEMPTS = 2;
+    const lookup = jest.spyOn(CNPJLookupService, 'lookup').mockRejectedValue(new ApiError('UPSTREAM_TIMEOUT'));
+
+    const { id } = await JobManager.create([MISSING]);
+    expect((await JobWorker.advance(id, { deadline: Date.now() + 5000 })).status).toBe('running');
+
+    const job = await JobWorker.advance(id, { deadline: Date.now() + 5000 });
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect((await JobStore.getItems(job))[0]).toMatchObject({ status: 'error', code: 'UPSTREAM_TIMEOUT', attempts: 2 });
+  });
+});
+
+describe('/api/jobs', () => {
+  let server;
+  let baseUrl;
+  const defaults = { ...SECURITY_CONFIG };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    SECURITY_CONFIG.PROVIDERS = ['fixture'];
+    CacheManager.setBackend(memory());
+    RateLimiter.setStore(memory());
+    JobStore.setStore(memory());
+
+    server = createApp();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    Object.assign(SECURITY_CONFIG, defaults);
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should accept a CSV upload, report progress and serve the results', async () => {
+    SECURITY_CONFIG.JOBS_POLL_BUDGET_MS = 0;
+
+    const created = await fetch(`${baseUrl}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: `cnpj\n${FOUND}\n${MISSING}\n`,
+    });
+    const { job } = await created.json();
+
+    expect(created.status).toBe(202);
+    expect(created.headers.get('location')).toBe(`/api/jobs/${job.id}`);
+
+    const early = await fetch(`${baseUrl}/api/jobs/${job.id}/results`);
+    expect(early.status).toBe(409);
+    expect((await early.json()).code).toBe('JOB_NOT_FINISHED');
+
+    // A consulta de progresso não chama a API externa: isso fica com o worker
+    SECURITY_CONFIG.JOBS_POLL_BUDGET_MS = 5000;
+    const polled = await (await fetch(`${baseUrl}/api/jobs/${job.id}`)).json();
+    expect(polled.job.progress.pending).toBe(2);
+
+    await JobWorker.tick({ budgetMs: 5000 });
+    const status = await (await fetch(`${baseUrl}/api/jobs/${job.id}`)).json();
+
+    expect(status.job.status).toBe('completed');
+    expect(status.job.progress).toMatchObject({ total: 2, succeeded: 1, failed: 1, percent: 100 });
+    expect(status.job.errors).toEqual([{ cnpj: MISSING, code: 'NOT_FOUND', message: 'Empresa não encontrada' }]);
+
+    const csv = await fetch(`${baseUrl}/api/jobs/${job.id}/results?format=csv`);
+    expect(csv.headers.get('content-disposition')).toBe(`attachment; filename="job-${job.id}.csv"`);
+    expect((await csv.text()).split('\r\n')).toHaveLength(2);
+
+    const xlsx = await fetch(`${baseUrl}/api/jobs/${job.id}/results?format=xlsx`);
+    expect(xlsx.headers.get('content-type')).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const files = unzip(Buffer.from(await xlsx.arrayBuffer()));
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    const cell = (ref) => new RegExp(`<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">([^<]*)</t>`).exec(sheet)?.[1];
+
+    expect(Object.keys(files)).toContain('[Content_Types].xml');
+    expect(sheet.match(/<row /g)).toHaveLength(2);
+    expect([cell('A1'), cell('B1')]).toEqual(['CNPJ', 'Razão Social']);
+    expect([cell('A2'), cell('B2')]).toEqual([FOUND, 'EMPRESA EXEMPLO LTDA']);
+  });
+
+  test('should cap the jobs in progress of each client', async () => {
+    SECURITY_CONFIG.JOBS_MAX_ACTIVE_PER_CLIENT = 1;
+    RateLimiter.setStore(memory());
+    JobStore.setStore(memory());
+
+    const create = () => fetch(`${baseUrl}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: `${MISSING}\n`,
+    });
+
+    expect((await create()).status).toBe(202);
+
+    const refused = await create();
+    expect(refused.status).toBe(429);
+    expect((await refused.json()).code).toBe('TOO_MANY_JOBS');
+  });
+
+  test('should accept anonymous lists larger than the per-minute limit', async () => {
+    RateLimiter.setStore(memory());
+    JobStore.setStore(memory());
+    const cnpjs = Array.from({ length: 250 }, (_, index) => CNPJValidatorServer.fromBase(String(index + 1).padStart(12, '0')));
+
+    const response = await fetch(`${baseUrl}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: cnpjs.join('\n'),
+    });
+    const { job } = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(job.progress).toMatchObject({ total: 250, pending: 250 });
+  });
+
+  test('should answer unknown jobs with 404', async () => {
+    const response = await fetch(`${baseUrl}/api/jobs/nao-existe`);
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).code).toBe('JOB_NOT_FOUND');
+  });
+});
@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { CNPJLookupService } from '../api/_lib/lookup.js';
+import { CacheManager } from '../api/_lib/cache/index.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { ProviderChain } from '../api/_lib/providers/index.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { Metrics } from '../api/_lib/metrics.js';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { RequestContext } from '../api/_lib/tracing.js';
+
+const CNPJ = '12345678000195';
+const TTL = 60000;
+
+// Resposta bruta no formato da cnpj.ws, como fica guardada no cache
+const raw = (cnpj, alias) => ({ cnpj_raiz: cnpj.substring(0, 8), estabelecimento: { cnpj, nome_fantasia: alias } });
+
+describe('CNPJLookupService', () => {
+  let now;
+
+  beforeEach(async () => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    CacheManager.setBackend(new MemoryCacheBackend({ ttl: TTL, maxSize: 100 }));
+    await CacheManager.set(CNPJ, { raw: raw(CNPJ, 'ANTIGO'), provider: 'cnpjws' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('lookup', () => {
+    test('should serve fresh entries from cache', async () => {
+      const fetch = jest.spyOn(ProviderChain, 'fetchCNPJData');
+      now += 30000;
+
+      const result = await CNPJLookupService.lookup(CNPJ);
+
+      expect(result).toMatchObject({ cached: true, stale: false, age: 30 });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should serve stale entries while revalidating', async () => {
+      jest.spyOn(ProviderChain, 'fetchCNPJData')
+        .mockResolvedValue({ raw: raw(CNPJ, 'NOVO'), provider: 'fixture' });
+      now += TTL + 5000;
+
+      const result = await CNPJLookupService.lookup(CNPJ);
+      expect(result).toMatchObject({ cached: true, stale: true, age: 65, data: { alias: 'ANTIGO' } });
+
+      await CNPJLookupService.revalidate(CNPJ);
+      const refreshed = await CNPJLookupService.lookup(CNPJ);
+      expect(refreshed).toMatchObject({ stale: false, provider: 'fixture', data: { alias: 'NOVO' } });
+    });
+
+    test('should drop stale entries when the CNPJ no longer exists', async () => {
+      jest.spyOn(ProviderChain, 'fetchCNPJData').mockRejectedValue(new ApiError('NOT_FOUND'));
+      now += TTL + 5000;
+
+      await CNPJLookupService.lookup(CNPJ);
+      await CNPJLookupService.revalidate(CNPJ);
+
+      expect(await CacheManager.get(CNPJ, { allowStale: true })).toBe(null);
+    });
+
+    test('should map cached data to the requested schema version', async () => {
+      const result = await CNPJLookupService.lookup(CNPJ, { version: 2 });
+
+      expect(result.data).toMatchObject({ taxId: CNPJ, alias: 'ANTIGO', registrations: [], suframa: [] });
+    });
+
+    test('should not return stale entries without allowStale', async () => {
+      now += TTL + 5000;
+
+      expect(await CacheManager.get(CNPJ)).toBe(null);
+      expect(await CacheManager.get(CNPJ, { allowStale: true })).toMatchObject({ stale: true });
+    });
+
+    test('should coalesce concurrent lookups into one upstream call', async () => {
+      const OTHER = '11222333000181';
+      Metrics.reset();
+      const fetch = jest.spyOn(ProviderChain, 'fetchCNPJData')
+        .mockImplementation(async () => ({ raw: raw(OTHER, null), provider: 'cnpjws' }));
+
+      const results = await Promise.all([1, 2, 3].map(() => CNPJLookupService.lookup(OTHER)));
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(results.every(result => result.data.taxId === OTHER && !result.cached)).toBe(true);
+      expect(Metrics.getValue('cnpj_lookup_coalesced_total')).toBe(2);
+    });
+
+    test('should share upstream errors with coalesced callers', async () => {
+      const fetch = jest.spyOn(ProviderChain, 'fetchCNPJData').mockRejectedValue(new ApiError('UPSTREAM_TIMEOUT'));
+
+      const results = await Promise.allSettled([1, 2].map(() => CNPJLookupService.lookup('11222333000181')));
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.reason?.code)).toEqual(['UPSTREAM_TIMEOUT', 'UPSTREAM_TIMEOUT']);
+    });
+
+    test('should trace the wait of coalesced callers back to the leading request', async () => {
+      const OTHER = '11222333000181';
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      SECURITY_CONFIG.TRACING_ENABLED = true;
+
+      let release;
+      jest.spyOn(ProviderChain, 'fetchCNPJData').mockImplementation(() => new Promise(resolve => {
+        release = () => resolve({ raw: raw(OTHER, null), provider: 'cnpjws' });
+      }));
+      const handler = RequestContext.wrap(async () => CNPJLookupService.lookup(OTHER));
+      const request = id => handler({ headers: { 'x-request-id': id } }, { setHeader() {} });
+
+      try {
+        const leader = request('lider');
+        await new Promise(resolve => setImmediate(resolve));
+        const follower = request('seguidor');
+        await new Promise(resolve => setImmediate(resolve));
+        release();
+        await Promise.all([leader, follower]);
+      } finally {
+        SECURITY_CONFIG.TRACING_ENABLED = false;
+      }
+
+      const traces = log.mock.calls.map(([line]) => JSON.parse(line)).filter(line => line.spans);
+      const leaderTrace = traces.find(line => line.requestId === 'lider');
+      const followerTrace = traces.find(line => line.requestId === 'seguidor');
+
+      expect(followerTrace.spans.map(span => span.name)).toEqual(['cache.get', 'upstream.wait', 'mapping']);
+      expect(followerTrace.spans[1].attributes).toEqual({
+        cnpj: OTHER,
+        leaderRequestId: 'lider',
+        leaderTraceId: leaderTrace.traceId,
+      });
+      expect(leaderTrace.spans.map(span => span.name)).not.toContain('upstream.wait');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { Metrics } from '../api/_lib/metrics.js';
+import { HealthCheck } from '../api/_lib/health.js';
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    Metrics.reset();
+  });
+
+  describe('render', () => {
+    test('should render counters with labels', () => {
+      Metrics.increment('cnpj_rate_limit_rejections_total', { scope: 'minute' });
+      Metrics.increment('cnpj_rate_limit_rejections_total', { scope: 'minute' });
+
+      expect(Metrics.render()).toContain('cnpj_rate_limit_rejections_total{scope="minute"} 2\n');
+    });
+
+    test('should render cumulative histogram buckets', () => {
+      Metrics.observe('cnpj_upstream_request_duration_seconds', { provider: 'cnpjws', outcome: 'ok' }, 0.3);
+      Metrics.observe('cnpj_upstream_request_duration_seconds', { provider: 'cnpjws', outcome: 'ok' }, 3);
+
+      const output = Metrics.render();
+
+      expect(output).toContain('# TYPE cnpj_upstream_request_duration_seconds histogram');
+      expect(output).toContain('cnpj_upstream_request_duration_seconds_bucket{provider="cnpjws",outcome="ok",le="0.25"} 0');
+      expect(output).toContain('cnpj_upstream_request_duration_seconds_bucket{provider="cnpjws",outcome="ok",le="0.5"} 1');
+      expect(output).toContain('cnpj_upstream_request_duration_seconds_bucket{provider="cnpjws",outcome="ok",le="+Inf"} 2');
+      expect(output).toContain('cnpj_upstream_request_duration_seconds_count{provider="cnpjws",outcome="ok"} 2');
+    });
+
+    test('should derive the cache hit ratio', () => {
+      Metrics.increment('cnpj_cache_lookups_total', { result: 'hit' }, 3);
+      Metrics.increment('cnpj_cache_lookups_total', { result: 'miss' });
+
+      expect(Metrics.render()).toContain('cnpj_cache_hit_ratio 0.75\n');
+    });
+  });
+
+  describe('instrument', () => {
+    test('should count responses by final status', async () => {
+      const handler = Metrics.instrument('/api/test', async (req, res) => {
+        res.statusCode = 404;
+      });
+
+      await handler({ method: 'GET' }, {});
+
+      expect(Metrics.getValue('cnpj_http_requests_total', { route: '/api/test', method: 'GET', status: '404' })).toBe(1);
+    });
+  });
+});
+
+describe('HealthCheck', () => {
+  describe('getStatus', () => {
+    test('should degrade when only some providers are reachable', () => {
+      const cache = { ok: true };
+
+      expect(HealthCheck.getStatus(cache, [{ ok: true }, { ok: true }])).toBe('ok');
+      expect(HealthCheck.getStatus(cache, [{ ok: true }, { ok: false }])).toBe('degraded');
+      expect(HealthCheck.getStatus(cache, [{ ok: false }])).toBe('down');
+      expect(HealthCheck.getStatus({ ok: false }, [{ ok: true }])).toBe('down');
+    });
+  });
+});
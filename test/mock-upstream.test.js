@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { CnpjWsProvider } from '../api/_lib/providers/cnpj-ws.js';
+import { ReceitaWsProvider } from '../api/_lib/providers/receita-ws.js';
+import { createMockUpstream, validateScenario } from '../server/mock-upstream/app.js';
+import { createApp } from '../server/app.js';
+
+const CNPJ = '12345678000195';
+
+const listen = async (server) => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+const close = (server) => new Promise(resolve => {
+  server.close(resolve);
+  server.closeAllConnections();
+});
+
+describe('createMockUpstream', () => {
+  let mock;
+  const defaults = {
+    baseUrls: { ...SECURITY_CONFIG.PROVIDER_BASE_URLS },
+    timeoutMs: SECURITY_CONFIG.TIMEOUT_MS,
+    providers: SECURITY_CONFIG.PROVIDERS,
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    mock = createMockUpstream();
+    const baseUrl = await listen(mock);
+    SECURITY_CONFIG.PROVIDER_BASE_URLS.cnpjws = baseUrl;
+    SECURITY_CONFIG.PROVIDER_BASE_URLS.receitaws = baseUrl;
+  });
+
+  afterEach(() => {
+    mock.clearScenarios();
+    SECURITY_CONFIG.TIMEOUT_MS = defaults.timeoutMs;
+  });
+
+  afterAll(async () => {
+    Object.assign(SECURITY_CONFIG.PROVIDER_BASE_URLS, defaults.baseUrls);
+    SECURITY_CONFIG.PROVIDERS = defaults.providers;
+    jest.restoreAllMocks();
+    await close(mock);
+  });
+
+  test('should replay recorded fixtures on the provider paths', async () => {
+    const apiData = await CnpjWsProvider.fetch(CNPJ);
+
+    expect(CnpjWsProvider.map(apiData).taxId).toBe(CNPJ);
+  });
+
+  test('should answer unknown CNPJs the way each API does', async () => {
+    await expect(CnpjWsProvider.fetch('11222333000181')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(ReceitaWsProvider.fetch('11222333000181')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('should apply scripted failures only to the matching CNPJ and number of calls', async () => {
+    mock.addScenario({ mode: 'rate-limited', cnpj: '12.345.678/0001-95', times: 1 });
+
+    await expect(CnpjWsProvider.fetch(CNPJ)).rejects.toMatchObject({ code: 'UPSTREAM_RATE_LIMITED' });
+    await expect(CnpjWsProvider.fetch(CNPJ)).resolves.toMatchObject({ estabelecimento: expect.any(Object) });
+  });
+
+  test('should simulate malformed JSON, server errors and slow responses', async () => {
+    mock.addScenario({ mode: 'malformed', times: 1 });
+    await expect(CnpjWsProvider.fetch(CNPJ)).rejects.toMatchObject({ code: 'UPSTREAM_INVALID_RESPONSE' });
+
+    mock.addScenario({ mode: 'server-error', times: 1 });
+    await expect(CnpjWsProvider.fetch(CNPJ)).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+
+    SECURITY_CONFIG.TIMEOUT_MS = 50;
+    mock.addScenario({ mode: 'slow', delayMs: 1000, times: 1 });
+    await expect(CnpjWsProvider.fetch(CNPJ)).rejects.toMatchObject({ code: 'UPSTREAM_TIMEOUT' });
+  });
+
+  test('should manage scenarios over HTTP', async () => {
+    const url = `${SECURITY_CONFIG.PROVIDER_BASE_URLS.cnpjws}/__mock/scenarios`;
+    const post = (body) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+    expect((await post(JSON.stringify({ mode: 'explode' }))).status).toBe(400);
+    expect((await post(JSON.stringify({ mode: 'not-found', provider: 'cnpjws' }))).status).toBe(201);
+    await expect(CnpjWsProvider.fetch(CNPJ)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+
+    await fetch(url, { method: 'DELETE' });
+    expect((await (await fetch(url)).json()).scenarios).toEqual([]);
+  });
+
+  test('should serve the API handler when pointed at through configuration', async () => {
+    SECURITY_CONFIG.PROVIDERS = ['cnpjws'];
+    const app = createApp();
+    const baseUrl = await listen(app);
+
+    try {
+      const response = await fetch(`${baseUrl}/api/cnpj?cnpj=${CNPJ}`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ provider: 'cnpjws', data: { taxId: CNPJ } });
+    } finally {
+      await close(app);
+    }
+  });
+
+  test('should record missing fixtures from the real upstream', async () => {
+    const fixturesDir = await mkdtemp(path.join(os.tmpdir(), 'mock-upstream-'));
+    const recorder = createMockUpstream({ fixturesDir, record: true, upstreams: { cnpjws: SECURITY_CONFIG.PROVIDER_BASE_URLS.cnpjws } });
+    const recorderUrl = await listen(recorder);
+
+    try {
+      const response = await fetch(`${recorderUrl}/cnpj/${CNPJ}`);
+      expect(response.status).toBe(200);
+
+      const saved = JSON.parse(await readFile(path.join(fixturesDir, 'cnpjws', `${CNPJ}.json`), 'utf8'));
+      expect(saved).toEqual(await response.json());
+
+      const missing = await fetch(`${recorderUrl}/cnpj/11222333000181`);
+      expect(missing.status).toBe(404);
+    } finally {
+      await close(recorder);
+      await rm(fixturesDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('validateScenario', () => {
+  test('should list every problem', () => {
+    expect(validateScenario({ mode: 'slow', delayMs: 10 })).toEqual([]);
+    expect(validateScenario({ mode: 'x', provider: 'y', times: 0 })).toHaveLength(3);
+  });
+});
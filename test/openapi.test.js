@@ -0,0 +1,101 @@
+import { readFileSync } from 'node:fs';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { OPENAPI_DOCUMENT, ResponseValidator } from '../api/_lib/openapi.js';
+import { SchemaValidator } from '../api/_lib/schema-validator.js';
+import { DataMapper } from '../api/_lib/data-mapper.js';
+import { DataMapperV2 } from '../api/_lib/data-mapper-v2.js';
+import { BrasilApiProvider } from '../api/_lib/providers/brasil-api.js';
+import { ReceitaWsProvider } from '../api/_lib/providers/receita-ws.js';
+
+const sample = JSON.parse(readFileSync(new URL('../fixtures/cnpjws/12345678000195.json', import.meta.url), 'utf8'));
+
+const brasilApiSample = {
+  cnpj: '12345678000195',
+  razao_social: 'EMPRESA EXEMPLO LTDA',
+  identificador_matriz_filial: 1,
+  codigo_natureza_juridica: 2062,
+  natureza_juridica: 'Sociedade Empresária Limitada',
+  ddd_telefone_1: '1133334444',
+  cnae_fiscal: 6201501,
+  cnae_fiscal_descricao: 'Desenvolvimento de programas de computador sob encomenda',
+  qsa: [{ nome_socio: 'FULANO DE TAL', qualificacao_socio: 'Sócio-Administrador', codigo_qualificacao_socio: 49 }],
+};
+
+const receitaWsSample = {
+  cnpj: '12.345.678/0001-95',
+  nome: 'EMPRESA EXEMPLO LTDA',
+  tipo: 'MATRIZ',
+  abertura: '02/03/2015',
+  cep: '01.310-100',
+  uf: 'SP',
+  telefone: '(11) 3333-4444',
+  atividade_principal: [{ code: '62.01-5-01', text: 'Desenvolvimento de programas' }],
+  qsa: [{ nome: 'FULANO DE TAL', qual: '49-Sócio-Administrador' }],
+};
+
+const validate = (schemaName, value) => SchemaValidator.validate(
+  value,
+  { $ref: `#/components/schemas/${schemaName}` },
+  OPENAPI_DOCUMENT
+);
+
+describe('OpenAPI document', () => {
+  test('should describe every endpoint', () => {
+    expect(Object.keys(OPENAPI_DOCUMENT.paths)).toEqual(expect.arrayContaining([
+      '/api/cnpj', '/api/v2/cnpj', '/api/cnpj/batch', '/api/cnpj/branches', '/api/graphql', '/api/jobs', '/api/jobs/{id}', '/api/openapi.json',
+    ]));
+  });
+
+  test('should accept the output of every v1 mapper', () => {
+    expect(validate('CompanyV1', DataMapper.mapToFrontendStructure(sample))).toEqual([]);
+    expect(validate('CompanyV1', BrasilApiProvider.map(brasilApiSample))).toEqual([]);
+    expect(validate('CompanyV1', ReceitaWsProvider.map(receitaWsSample))).toEqual([]);
+  });
+
+  test('should accept the output of every v2 mapper', () => {
+    expect(validate('CompanyV2', DataMapperV2.mapToV2Structure(sample))).toEqual([]);
+    expect(validate('CompanyV2', BrasilApiProvider.mapV2(brasilApiSample))).toEqual([]);
+    expect(validate('CompanyV2', ReceitaWsProvider.mapV2(receitaWsSample))).toEqual([]);
+  });
+});
+
+describe('SchemaValidator', () => {
+  test('should report nulls, wrong formats and undocumented fields with their path', () => {
+    const data = DataMapperV2.mapToV2Structure(sample);
+    data.company.name = null;
+    data.founded = '02/03/2015';
+    data.statusDate = '2015-03-02';
+
+    expect(validate('CompanyV2', data)).toEqual([
+      '$.founded: "02/03/2015" não está no formato date',
+      '$.company.name: esperado string, recebido null',
+      '$.statusDate: campo não documentado',
+    ]);
+  });
+
+  test('should report missing required fields', () => {
+    const { taxId, ...data } = DataMapper.mapToFrontendStructure(sample);
+
+    expect(validate('CompanyV1', data)).toEqual(['$.taxId: campo obrigatório ausente']);
+  });
+});
+
+describe('ResponseValidator', () => {
+  afterEach(() => {
+    SECURITY_CONFIG.RESPONSE_VALIDATION = false;
+  });
+
+  test('should be a no-op when disabled', () => {
+    expect(() => ResponseValidator.check('CompanyV1', {})).not.toThrow();
+  });
+
+  test('should throw with the violations when enabled', () => {
+    SECURITY_CONFIG.RESPONSE_VALIDATION = true;
+
+    expect(() => ResponseValidator.check('CompanyV1', { ...DataMapper.mapToFrontendStructure(sample), head: null }))
+      .toThrow(expect.objectContaining({
+        code: 'RESPONSE_SCHEMA_MISMATCH',
+        details: ['$.head: esperado boolean, recebido null'],
+      }));
+  });
+});
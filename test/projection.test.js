@@ -0,0 +1,70 @@
+import { FieldProjection } from '../api/_lib/projection.js';
+
+const data = {
+  taxId: '12345678000195',
+  status: { id: 2, text: 'Ativa' },
+  company: {
+    name: 'EMPRESA EXEMPLO LTDA',
+    members: [
+      { person: { name: 'FULANO' }, role: { text: 'Sócio-Administrador' } },
+      { person: { name: 'BELTRANO' }, role: { text: 'Sócio' } },
+    ],
+  },
+  address: { city: 'São Paulo', state: 'SP' },
+};
+
+describe('FieldProjection', () => {
+  describe('parse', () => {
+    test('should return null tree without the parameter', () => {
+      expect(FieldProjection.parse(undefined)).toEqual({ isValid: true, tree: null });
+    });
+
+    test('should build a tree of nested paths', () => {
+      const { tree } = FieldProjection.parse('company.name, address.city,status,company');
+      expect(tree).toEqual({ company: true, address: { city: true }, status: true });
+    });
+
+    test('should reject malformed paths', () => {
+      const result = FieldProjection.parse('company..name');
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe('INVALID_FIELDS');
+      expect(FieldProjection.parse(',').isValid).toBe(false);
+    });
+
+    test('should reject prototype keys without touching Object.prototype', () => {
+      ['__proto__.polluted', 'company.constructor.prototype', 'constructor'].forEach(fields => {
+        expect(FieldProjection.parse(fields)).toMatchObject({ isValid: false, code: 'INVALID_FIELDS' });
+      });
+
+      FieldProjection.buildTree(['__proto__.polluted']);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('apply', () => {
+    test('should keep only requested fields', () => {
+      const { tree } = FieldProjection.parse('company.name,address.city,status');
+
+      expect(FieldProjection.apply(data, tree)).toEqual({
+        company: { name: 'EMPRESA EXEMPLO LTDA' },
+        address: { city: 'São Paulo' },
+        status: { id: 2, text: 'Ativa' },
+      });
+    });
+
+    test('should project each item of a list', () => {
+      const { tree } = FieldProjection.parse('company.members.person.name');
+
+      expect(FieldProjection.apply(data, tree)).toEqual({
+        company: { members: [{ person: { name: 'FULANO' } }, { person: { name: 'BELTRANO' } }] },
+      });
+    });
+
+    test('should omit unknown fields and leave the source untouched', () => {
+      const { tree } = FieldProjection.parse('taxId,unknown.field');
+
+      expect(FieldProjection.apply(data, tree)).toEqual({ taxId: '12345678000195' });
+      expect(data.company.members).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { CircuitBreaker } from '../api/_lib/circuit-breaker.js';
+import { ProviderChain } from '../api/_lib/providers/index.js';
+import { BrasilApiProvider } from '../api/_lib/providers/brasil-api.js';
+import { ReceitaWsProvider } from '../api/_lib/providers/receita-ws.js';
+
+describe('BrasilApiProvider', () => {
+  describe('map', () => {
+    test('should map to frontend structure', () => {
+      const data = BrasilApiProvider.map({
+        cnpj: '12345678000195',
+        razao_social: 'EMPRESA EXEMPLO LTDA',
+        identificador_matriz_filial: 1,
+        codigo_natureza_juridica: 2062,
+        natureza_juridica: 'Sociedade Empresária Limitada',
+        ddd_telefone_1: '1133334444',
+        cnae_fiscal: 6201501,
+        cnae_fiscal_descricao: 'Desenvolvimento de programas de computador sob encomenda',
+        cnaes_secundarios: [{ codigo: 0, descricao: '' }],
+      });
+
+      expect(data.taxId).toBe('12345678000195');
+      expect(data.head).toBe(true);
+      expect(data.company.nature).toEqual({ id: '2062', text: 'Sociedade Empresária Limitada' });
+      expect(data.phones).toEqual([{ area: '11', number: '33334444', type: 'LANDLINE' }]);
+      expect(data.mainActivity.id).toBe('6201501');
+      expect(data.sideActivities).toEqual([]);
+    });
+  });
+});
+
+describe('ReceitaWsProvider', () => {
+  describe('parseDate', () => {
+    test('should convert dd/mm/yyyy to ISO', () => {
+      expect(ReceitaWsProvider.parseDate('02/03/2015')).toBe('2015-03-02');
+      expect(ReceitaWsProvider.parseDate('')).toBe(null);
+    });
+  });
+
+  describe('map', () => {
+    test('should map to frontend structure', () => {
+      const data = ReceitaWsProvider.map({
+        cnpj: '12.345.678/0001-95',
+        nome: 'EMPRESA EXEMPLO LTDA',
+        tipo: 'MATRIZ',
+        natureza_juridica: '206-2 - Sociedade Empresária Limitada',
+        telefone: '(11) 3333-4444 / (11) 5555-6666',
+        atividade_principal: [{ code: '62.01-5-01', text: 'Desenvolvimento de programas' }],
+        atividades_secundarias: [{ code: '00.00-0-00', text: '********' }],
+        qsa: [{ nome: 'FULANO DE TAL', qual: '49-Sócio-Administrador' }],
+      });
+
+      expect(data.taxId).toBe('12345678000195');
+      expect(data.company.nature).toEqual({ id: '2062', text: 'Sociedade Empresária Limitada' });
+      expect(data.phones).toHaveLength(2);
+      expect(data.mainActivity).toEqual({ id: '6201501', text: 'Desenvolvimento de programas' });
+      expect(data.sideActivities).toEqual([]);
+      expect(data.company.members[0].role.text).toBe('Sócio-Administrador');
+    });
+  });
+});
+
+describe('ProviderChain', () => {
+  const CNPJ = '12345678000195';
+  const defaultProviders = SECURITY_CONFIG.PROVIDERS;
+
+  const json = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  // Cada provedor responde conforme o handler do seu host
+  const mockUpstream = (handlers) => jest.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+    const [provider, handler] = Object.entries(handlers)
+      .find(([id]) => url.startsWith(SECURITY_CONFIG.PROVIDER_BASE_URLS[id]));
+    return handler(url, provider);
+  });
+
+  const calledProviders = (fetchMock) => fetchMock.mock.calls.map(([url]) => (
+    Object.keys(SECURITY_CONFIG.PROVIDER_BASE_URLS).find(id => url.startsWith(SECURITY_CONFIG.PROVIDER_BASE_URLS[id]))
+  ));
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    SECURITY_CONFIG.PROVIDERS = ['cnpjws', 'brasilapi', 'receitaws'];
+    CircuitBreaker.reset();
+  });
+
+  afterEach(() => {
+    globalThis.fetch.mockRestore?.();
+  });
+
+  afterAll(() => {
+    SECURITY_CONFIG.PROVIDERS = defaultProviders;
+    CircuitBreaker.reset();
+    jest.restoreAllMocks();
+  });
+
+  test('should fall back to the next provider on timeouts and 5xx', async () => {
+    const fetchMock = mockUpstream({
+      cnpjws: async () => { throw new DOMException('This operation was aborted', 'AbortError'); },
+      brasilapi: async () => json(503, { message: 'Service Unavailable' }),
+      receitaws: async () => json(200, { status: 'OK', cnpj: '12.345.678/0001-95', nome: 'EMPRESA EXEMPLO LTDA', tipo: 'MATRIZ' }),
+    });
+
+    const result = await ProviderChain.fetchCNPJData(CNPJ);
+
+    expect(result.provider).toBe('receitaws');
+    expect(result.data).toMatchObject({ taxId: CNPJ, head: true, company: { name: 'EMPRESA EXEMPLO LTDA' } });
+    expect(calledProviders(fetchMock)).toEqual(['cnpjws', 'brasilapi', 'receitaws']);
+  });
+
+  test('should stop at NOT_FOUND without asking the other providers', async () => {
+    const fetchMock = mockUpstream({
+      cnpjws: async () => json(404, { message: 'Not Found' }),
+      brasilapi: async () => json(200, { cnpj: CNPJ }),
+      receitaws: async () => json(200, { cnpj: CNPJ }),
+    });
+
+    await expect(ProviderChain.fetchCNPJData(CNPJ)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(calledProviders(fetchMock)).toEqual(['cnpjws']);
+  });
+
+  test('should rethrow the last failure when every provider fails', async () => {
+    mockUpstream({
+      cnpjws: async () => json(500, {}),
+      brasilapi: async () => json(502, {}),
+      receitaws: async () => json(429, {}),
+    });
+
+    await expect(ProviderChain.fetchCNPJData(CNPJ)).rejects.toMatchObject({ code: 'UPSTREAM_RATE_LIMITED' });
+  });
+
+  test('should fail with an ApiError when no provider is configured', async () => {
+    SECURITY_CONFIG.PROVIDERS = [];
+
+    const error = await ProviderChain.fetchCNPJData(CNPJ).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.code).toBe('UPSTREAM_UNAVAILABLE');
+  });
+});
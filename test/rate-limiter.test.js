@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { FileCacheBackend } from '../api/_lib/cache/file.js';
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    RateLimiter.setStore(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('consume', () => {
+    test('should allow requests until the bucket is empty', async () => {
+      const rules = [{ key: 'ip:1.2.3.4', limit: 2, windowMs: 60000 }];
+
+      expect((await RateLimiter.consume(rules)).remaining).toBe(1);
+      expect((await RateLimiter.consume(rules)).remaining).toBe(0);
+
+      const result = await RateLimiter.consume(rules);
+      expect(result.allowed).toBe(false);
+      expect(result.retryAfter).toBe(30);
+    });
+
+    test('should refill tokens over time', async () => {
+      const now = Date.now();
+      const rules = [{ key: 'ip:1.2.3.4', limit: 1, windowMs: 60000 }];
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await RateLimiter.consume(rules);
+      expect((await RateLimiter.consume(rules)).allowed).toBe(false);
+
+      Date.now.mockReturnValue(now + 60000);
+      expect((await RateLimiter.consume(rules)).allowed).toBe(true);
+    });
+
+    test('should not consume any bucket when one is empty', async () => {
+      const ipRule = { key: 'ip:1.2.3.4', limit: 10, windowMs: 60000 };
+      const cnpjRule = { key: 'cnpj:12345678000195', limit: 1, windowMs: 60000 };
+
+      await RateLimiter.consume([ipRule, cnpjRule]);
+      const blocked = await RateLimiter.consume([ipRule, cnpjRule]);
+
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.limit).toBe(1);
+      expect((await RateLimiter.consume([ipRule])).remaining).toBe(8);
+    });
+
+    test('should not hand out more tokens than the limit to concurrent requests', async () => {
+      const rules = [{ key: 'ip:1.2.3.4', limit: 5, windowMs: 60000 }];
+
+      const results = await Promise.all(Array.from({ length: 6 }, () => RateLimiter.consume(rules)));
+
+      expect(results.filter(result => result.allowed)).toHaveLength(5);
+    });
+
+    test('should serialize concurrent requests on the file backend too', async () => {
+      const dir = await mkdtemp(path.join(os.tmpdir(), 'cnpj-rate-'));
+      RateLimiter.setStore(new FileCacheBackend({ ttl: 60000, maxSize: 100, dir }));
+
+      try {
+        const rules = [{ key: 'ip:1.2.3.4', limit: 3, windowMs: 60000 }];
+        const results = await Promise.all(Array.from({ length: 4 }, () => RateLimiter.consume(rules)));
+
+        expect(results.map(result => result.allowed).sort()).toEqual([false, true, true, true]);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('applyHeaders', () => {
+    test('should set Retry-After only when blocked', () => {
+      const headers = {};
+      const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+      RateLimiter.applyHeaders(res, { allowed: false, limit: 10, remaining: 0, reset: 60, retryAfter: 6 });
+
+      expect(headers).toEqual({
+        'RateLimit-Limit': '10',
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': '60',
+        'Retry-After': '6',
+      });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { SecurityMiddleware } from '../api/_lib/security.js';
+
+function mockRes() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    getHeader(name) { return this.headers[name]; },
+  };
+}
+
+describe('SecurityMiddleware CORS', () => {
+  const defaultOrigins = SECURITY_CONFIG.ALLOWED_ORIGINS;
+
+  afterEach(() => {
+    SECURITY_CONFIG.ALLOWED_ORIGINS = defaultOrigins;
+  });
+
+  test('should allow any origin by default', () => {
+    const res = mockRes();
+    SecurityMiddleware.applySecurityHeaders({ headers: { origin: 'https://qualquer.com' } }, res);
+
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+  });
+
+  test('should echo only allowlisted origins', () => {
+    SECURITY_CONFIG.ALLOWED_ORIGINS = ['https://app.com.br', 'https://*.empresa.com.br'];
+
+    const allowed = mockRes();
+    SecurityMiddleware.applySecurityHeaders({ headers: { origin: 'https://app.com.br' } }, allowed);
+    expect(allowed.headers['Access-Control-Allow-Origin']).toBe('https://app.com.br');
+    expect(allowed.headers.Vary).toBe('Origin');
+
+    const denied = mockRes();
+    SecurityMiddleware.applySecurityHeaders({ headers: { origin: 'https://outro.com' } }, denied);
+    expect(denied.headers['Access-Control-Allow-Origin']).toBeUndefined();
+  });
+
+  test('should match one subdomain level for wildcards', () => {
+    SECURITY_CONFIG.ALLOWED_ORIGINS = ['https://*.empresa.com.br'];
+
+    expect(SecurityMiddleware.isOriginAllowed('https://erp.empresa.com.br')).toBe(true);
+    expect(SecurityMiddleware.isOriginAllowed('https://a.b.empresa.com.br')).toBe(false);
+    expect(SecurityMiddleware.isOriginAllowed('https://empresa.com.br')).toBe(false);
+    expect(SecurityMiddleware.isOriginAllowed('https://erpXempresa.com.br')).toBe(false);
+  });
+
+  test('should append to an existing Vary header', () => {
+    SECURITY_CONFIG.ALLOWED_ORIGINS = ['https://app.com.br'];
+    const res = mockRes();
+
+    SecurityMiddleware.applySecurityHeaders({ headers: {} }, res);
+    SecurityMiddleware.appendVary(res, 'Accept');
+
+    expect(res.headers.Vary).toBe('Origin, Accept');
+  });
+});
+
+describe('SecurityMiddleware.getClientIP', () => {
+  const defaultTrustProxy = SECURITY_CONFIG.TRUST_PROXY;
+  const req = {
+    headers: { 'x-forwarded-for': '6.6.6.6, 203.0.113.7', 'x-real-ip': '198.51.100.1' },
+    socket: { remoteAddress: '10.0.0.2' },
+  };
+
+  afterEach(() => {
+    SECURITY_CONFIG.TRUST_PROXY = defaultTrustProxy;
+  });
+
+  test('should ignore forwarding headers unless a proxy is trusted', () => {
+    SECURITY_CONFIG.TRUST_PROXY = false;
+    expect(SecurityMiddleware.getClientIP(req)).toBe('10.0.0.2');
+  });
+
+  test('should take the entry appended by the trusted proxy', () => {
+    SECURITY_CONFIG.TRUST_PROXY = true;
+    expect(SecurityMiddleware.getClientIP(req)).toBe('203.0.113.7');
+    expect(SecurityMiddleware.getClientIP({ ...req, headers: { 'x-real-ip': '198.51.100.1' } })).toBe('198.51.100.1');
+  });
+});
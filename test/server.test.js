@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { MemoryCacheBackend } from '../api/_lib/cache/memory.js';
+import { RateLimiter } from '../api/_lib/rate-limiter.js';
+import { createApp, loadRoutes, matchRoute } from '../server/app.js';
+
+describe('matchRoute', () => {
+  const routes = loadRoutes();
+
+  test('should map API routes to their handler files', () => {
+    expect(matchRoute(routes, 'GET', '/api/cnpj').dest).toBe('/api/cnpj.js');
+    expect(matchRoute(routes, 'POST', '/api/cnpj/batch').dest).toBe('/api/cnpj/batch.js');
+  });
+
+  test('should honour the methods filter and fall through to static files', () => {
+    expect(matchRoute(routes, 'POST', '/api/cnpj').dest).toBe('/public/api/cnpj');
+    expect(matchRoute(routes, 'GET', '/style.css').dest).toBe('/public/style.css');
+  });
+
+  test('should send CORS preflights of every API route to its handler', () => {
+    const apiRoutes = routes.filter(route => route.dest.startsWith('/api/'));
+
+    expect(apiRoutes.filter(route => !route.methods.includes('OPTIONS')).map(route => route.src)).toEqual([]);
+    expect(matchRoute(routes, 'OPTIONS', '/api/jobs/abc-123/results').dest).toBe('/api/jobs/results.js');
+  });
+});
+
+describe('createApp', () => {
+  let server;
+  let baseUrl;
+  const defaultProviders = SECURITY_CONFIG.PROVIDERS;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    SECURITY_CONFIG.PROVIDERS = ['fixture'];
+
+    server = createApp();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    SECURITY_CONFIG.PROVIDERS = defaultProviders;
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should serve the frontend', async () => {
+    const response = await fetch(`${baseUrl}/`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/html');
+  });
+
+  test('should not serve files outside public/', async () => {
+    const response = await fetch(`${baseUrl}/..%2fpackage.json`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should run API handlers with the route headers', async () => {
+    const response = await fetch(`${baseUrl}/api/cnpj?cnpj=12.345.678/0001-95`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('referrer-policy')).toBe('strict-origin-when-cross-origin');
+    expect(response.headers.get('x-request-id')).toBeTruthy();
+    expect(body).toMatchObject({ error: false, provider: 'fixture', data: { taxId: '12345678000195' } });
+  });
+
+  test('should answer CORS preflights of GET routes', async () => {
+    const response = await fetch(`${baseUrl}/api/health`, { method: 'OPTIONS' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('access-control-allow-methods')).toBe('GET, OPTIONS');
+  });
+
+  test('should parse JSON bodies and reject malformed ones', async () => {
+    const post = (body) => fetch(`${baseUrl}/api/cnpj/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    });
+
+    const ok = await post(JSON.stringify({ cnpjs: ['12345678000195'] }));
+    expect((await ok.json()).succeeded).toBe(1);
+
+    const malformed = await post('{');
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).code).toBe('INVALID_REQUEST');
+  });
+
+  test('should not let a spoofed X-Forwarded-For reset the rate limit', async () => {
+    RateLimiter.setStore(new MemoryCacheBackend({ ttl: 60000, maxSize: 100 }));
+
+    const post = (ip) => fetch(`${baseUrl}/api/cnpj/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+      body: JSON.stringify({ cnpjs: Array(SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE).fill('12345678000195') }),
+    });
+
+    expect((await post('198.51.100.1')).status).toBe(200);
+    expect((await post('198.51.100.2')).status).toBe(429);
+  });
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { SECURITY_CONFIG } from '../api/_lib/config.js';
+import { RequestContext, Tracer } from '../api/_lib/tracing.js';
+import { Logger } from '../api/_lib/logger.js';
+import { ErrorMapper } from '../api/_lib/errors.js';
+
+function mockRes() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: undefined,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+function logLines(spy) {
+  return spy.mock.calls.map(([line]) => JSON.parse(line));
+}
+
+describe('RequestContext', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    SECURITY_CONFIG.TRACING_ENABLED = false;
+  });
+
+  describe('resolveId', () => {
+    test('should keep a well-formed incoming id', () => {
+      expect(RequestContext.resolveId({ headers: { 'x-request-id': 'abc-123' } })).toBe('abc-123');
+    });
+
+    test('should generate an id for missing or malformed values', () => {
+      expect(RequestContext.resolveId({ headers: {} })).toMatch(/^[0-9a-f-]{36}$/);
+      expect(RequestContext.resolveId({ headers: { 'x-request-id': 'a b\n' } })).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe('wrap', () => {
+    test('should echo the id and attach it to logs and error bodies', async () => {
+      const handler = RequestContext.wrap(async (req, res) => {
+        Logger.info('Dentro do handler');
+        return ErrorMapper.send(res, 'NOT_FOUND');
+      });
+      const res = mockRes();
+
+      await handler({ headers: { 'x-request-id': 'req-1' } }, res);
+
+      expect(res.headers['X-Request-Id']).toBe('req-1');
+      expect(res.body.requestId).toBe('req-1');
+      expect(logLines(log)[0]).toMatchObject({ message: 'Dentro do handler', requestId: 'req-1' });
+    });
+
+    test('should not leak the id outside the request', () => {
+      Logger.info('Fora da requisição');
+
+      expect(logLines(log)[0].requestId).toBeUndefined();
+      expect(RequestContext.getRequestId()).toBeNull();
+    });
+  });
+
+  describe('Tracer', () => {
+    test('should only run the function when disabled', async () => {
+      const handler = RequestContext.wrap(async () => Tracer.span('cache.get', {}, () => 42));
+
+      await expect(handler({ headers: {} }, mockRes())).resolves.toBe(42);
+      expect(log).not.toHaveBeenCalled();
+    });
+
+    test('should log nested spans at the end of the request', async () => {
+      SECURITY_CONFIG.TRACING_ENABLED = true;
+
+      const handler = RequestContext.wrap(async () => {
+        await Tracer.span('lookup', {}, () => Tracer.span('upstream.fetch', { provider: 'cnpjws' }, async () => 'ok'));
+        await Tracer.span('mapping', {}, async () => { throw Object.assign(new Error('x'), { code: 'INTERNAL_ERROR' }); })
+          .catch(() => {});
+      });
+
+      await handler({ headers: { 'x-request-id': 'req-2' } }, mockRes());
+
+      const [entry] = logLines(log);
+      const [fetchSpan, lookupSpan, mappingSpan] = entry.spans;
+
+      expect(entry).toMatchObject({ message: 'Spans da requisição', requestId: 'req-2' });
+      expect(fetchSpan).toMatchObject({ name: 'upstream.fetch', parentSpanId: lookupSpan.spanId, attributes: { provider: 'cnpjws' } });
+      expect(lookupSpan).toMatchObject({ name: 'lookup', parentSpanId: null, status: 'OK', traceId: entry.traceId });
+      expect(mappingSpan).toMatchObject({ name: 'mapping', status: 'ERROR', error: 'INTERNAL_ERROR' });
+    });
+  });
+});